@@ -0,0 +1,145 @@
+/* ------------------------------------------------------------------ */
+/*  access.js – login, JWT / API key authentication, role checks       */
+/* ------------------------------------------------------------------ */
+// Requests authenticate with either
+//
+//   Authorization: Bearer <jwt>     from POST /api/login (AUTH_TOKEN_TTL, default 12h)
+//   X-API-Key: fk_…                 from POST /api/me/api-keys
+//
+// and socket.io clients with { auth: { token } } or { auth: { apiKey } }.
+// The user is looked up again on every request, so a role change or a
+// disabled user takes effect at once, and a JWT issued before the user's
+// password last changed is refused. Tokens are signed with
+// AUTH_JWT_SECRET; without it a random secret is used and every restart
+// logs everyone out.
+//
+// Roles are ordered viewer < trader < admin. authorize() lets viewers read
+// (GET) and needs trader for anything else; routes that need more add
+// require("admin"). audit() records every changing request and every
+// denial in the user's audit log.
+
+const crypto = require("crypto");
+const jwt    = require("jsonwebtoken");
+const { roleAtLeast } = require("./users");
+
+const READ_METHODS = ["GET", "HEAD", "OPTIONS"];
+const SECRET_FIELDS = ["password", "currentPassword", "key", "token", "secretKey", "pin"];
+
+// Request body for the audit log, without secrets
+const redact = body => (body && typeof body === "object" && !Array.isArray(body)
+  ? Object.fromEntries(Object.entries(body).map(([k, v]) => [k, SECRET_FIELDS.includes(k) ? "***" : v]))
+  : body ?? null);
+
+class Access {
+  constructor(users, opts = {}) {
+    this.users  = users;
+    this.ttl    = opts.ttl ?? process.env.AUTH_TOKEN_TTL ?? "12h";
+    this.secret = opts.secret ?? process.env.AUTH_JWT_SECRET;
+    if (!this.secret) {
+      console.warn("⚠️ AUTH_JWT_SECRET is not set – using a random secret, logins won't survive a restart");
+      this.secret = crypto.randomBytes(32).toString("hex");
+    }
+  }
+
+  /* ---------------- login -------------------------------------- */
+  // { token, expiresAt, user } or throws; both outcomes are audited
+  login(username, password, ip = null) {
+    const user = this.users.verifyPassword(username, password);
+    if (!user) {
+      this.users.audit({ action: "login_failed", path: "/api/login", ip, details: { username: String(username ?? "") } });
+      throw new Error("Invalid username or password");
+    }
+    this.users.audit({ user, action: "login", path: "/api/login", ip });
+    return this.issue(user);
+  }
+
+  // { token, expiresAt, user } for a user that has already proven who they are
+  issue(user) {
+    const token = jwt.sign({ sub: user.username, role: user.role }, this.secret, { expiresIn: this.ttl });
+    return { token, expiresAt: jwt.decode(token).exp, user };
+  }
+
+  // The user behind a JWT or API key, or null
+  identify({ token, apiKey }) {
+    if (apiKey) return this.users.verifyApiKey(apiKey);
+    if (!token) return null;
+    try {
+      const { sub, iat } = jwt.verify(token, this.secret);
+      const user = this.users.get(sub);
+      if (!user || user.disabled) return null;
+      // iat has whole seconds: a token from the second of the change stays valid
+      return iat >= Math.floor((user.passwordChangedAt ?? 0) / 1000) ? user : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /* ---------------- express middleware ------------------------- */
+  // 401 unless the request carries a valid token / key; sets req.user
+  authenticate() {
+    return (req, res, next) => {
+      const [scheme, token] = String(req.get("authorization") ?? "").split(" ");
+      req.user = this.identify({ token: /^bearer$/i.test(scheme) ? token : null, apiKey: req.get("x-api-key") });
+      if (!req.user) return res.status(401).json({ success: false, message: "Authentication required" });
+      next();
+    };
+  }
+
+  // viewer for reads, trader for everything else
+  authorize() {
+    return (req, res, next) => this.#allow(req, res, next, READ_METHODS.includes(req.method) ? "viewer" : "trader");
+  }
+
+  require(role) {
+    return (req, res, next) => this.#allow(req, res, next, role);
+  }
+
+  // Changing requests and every 401 / 403, once the response is sent
+  audit() {
+    return (req, res, next) => {
+      res.on("finish", () => this.#auditRequest(req, res));
+      next();
+    };
+  }
+
+  #auditRequest(req, res) {
+    const denied = res.statusCode === 401 || res.statusCode === 403;
+    if (READ_METHODS.includes(req.method) && !denied) return;
+    this.users.audit({
+      user   : req.user ?? null,
+      action : denied ? "denied" : "request",
+      method : req.method,
+      path   : req.originalUrl.split("?")[0],
+      status : res.statusCode,
+      ip     : req.ip,
+      details: READ_METHODS.includes(req.method) ? null : { body: redact(req.body) }
+    });
+  }
+
+  /* ---------------- socket.io ---------------------------------- */
+  // Namespace middleware: io.of("/admin").use(access.socket("admin"))
+  socket(role) {
+    return (sock, next) => {
+      const { token, apiKey } = sock.handshake.auth ?? {};
+      const user = this.identify({ token, apiKey });
+      if (!user) return next(new Error("Authentication required"));
+      if (!roleAtLeast(user.role, role)) {
+        this.users.audit({ user, action: "denied", path: `socket.io ${sock.nsp.name}`, status: 403, ip: sock.handshake.address });
+        return next(new Error(`Forbidden – ${role} role required`));
+      }
+      sock.data.user = user;
+      next();
+    };
+  }
+
+  /* ---------------- internals ---------------------------------- */
+  #allow(req, res, next, role) {
+    if (!req.user) return res.status(401).json({ success: false, message: "Authentication required" });
+    if (!roleAtLeast(req.user.role, role))
+      return res.status(403).json({ success: false, message: `Forbidden – ${role} role required` });
+    next();
+  }
+}
+
+module.exports = Access;
+module.exports.redact = redact;
@@ -0,0 +1,220 @@
+/* ------------------------------------------------------------------ */
+/*  accounts.js – named Fyers accounts: auth, trading, orders, risk    */
+/* ------------------------------------------------------------------ */
+// "default" is the FYERS_APP_ID / FYERS_SECRET_KEY / FYERS_PIN account the
+// app always had. config/accounts.json (ACCOUNTS_FILE) adds more:
+//
+//   {
+//     "client1": {
+//       "name": "Client One",
+//       "appId": "ABCD1234-100",
+//       "secretKey": "env:CLIENT1_SECRET",     // "env:NAME" reads process.env.NAME
+//       "pin": "env:CLIENT1_PIN",
+//       "redirectUri": "http://localhost:4000/auth/client1",
+//       "risk": { "capital": 200000 },         // RiskManager options
+//       "strategies": ["bullish"]              // rule sets it takes signals from
+//     }
+//   }
+//
+// Every account gets its own FyersAuthManager (own row in the token store),
+// TradingService (fyersModel + rate limiters), OrderStore, RiskManager and
+// order socket. Market data stays on the one data socket of "default".
+// Socket.io events of an account go to the room "account:<id>".
+//
+// Strategy assignments start from "strategies" (every rule set for
+// "default", none for the others unless listed); assignStrategies() changes
+// them and keeps the change in data/app.sqlite. null means "all".
+
+const fs               = require("fs");
+const path             = require("path");
+const appDB            = require("./appDB");
+const authManager      = require("./auth2.0");
+const { FyersAuthManager } = require("./auth2.0");
+const tradingService   = require("./tradingService");
+const { TradingService } = require("./tradingService");
+const { simulated }    = require("./fyersApi");
+const OrderStore       = require("./orderStore");
+const RiskManager      = require("./riskManager");
+
+const ACCOUNTS_FILE = path.resolve(__dirname, "../config/accounts.json");
+const ID_RE = /^[\w-]{1,40}$/;
+
+const room = id => `account:${id}`;
+
+// "env:NAME" → process.env.NAME
+const fromEnv = v => (typeof v === "string" && v.startsWith("env:") ? process.env[v.slice(4)] : v);
+
+class Account {
+  constructor(id, cfg, { io, auth, trading, risk, orders, strategies }) {
+    this.id         = id;
+    this.name       = cfg.name ?? id;
+    this.auth       = auth;
+    this.trading    = trading;
+    this.orders     = orders;
+    this.risk       = risk;
+    this.strategies = strategies;     // rule set names, or null for all
+    this.orderSocket = null;
+    this.io         = io;
+  }
+
+  get appId() { return this.auth.appId; }
+
+  takes(strategyName) {
+    return this.strategies === null || this.strategies.includes(strategyName);
+  }
+
+  // Order socket + order book for a token; later tokens reconnect the socket
+  async connectOrders(token) {
+    const socketToken = `${this.appId}:${token}`;
+    try {
+      if (this.orderSocket) await this.orderSocket.reconnect(socketToken);
+      else this.orders.attach(this.orderSocket = await this.trading.connectOrderSocket(socketToken));
+      const { orderBook = [] } = await this.trading.getOrderBook();
+      this.orders.sync(orderBook);
+      console.log(`📑 [${this.id}] Synced ${orderBook.length} orders from the order book`);
+    } catch (err) {
+      console.error(`⚠️ [${this.id}] order socket / order book sync failed:`, err.message);
+    }
+  }
+
+  summary() {
+    return {
+      id: this.id,
+      name: this.name,
+      appId: this.appId,
+      strategies: this.strategies,
+      dryRun: this.trading.isDryRun(),
+      orderSocket: !!this.orderSocket?.connected,
+      auth: this.auth.getStatus()
+    };
+  }
+}
+
+class AccountRegistry {
+  constructor(io, opts = {}) {
+    this.io = io;
+    this.db = opts.db ?? appDB;
+    this.accounts = new Map();        // id → Account
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS account_strategies (
+        account     TEXT PRIMARY KEY,
+        strategies  TEXT,             -- JSON array of rule set names, NULL = all
+        updated_at  INTEGER NOT NULL
+      )
+    `);
+    this._getStrategies = this.db.prepare(`SELECT strategies FROM account_strategies WHERE account = ?`);
+    this._putStrategies = this.db.prepare(`
+      INSERT INTO account_strategies (account, strategies, updated_at) VALUES (?, ?, ?)
+      ON CONFLICT(account) DO UPDATE SET strategies = excluded.strategies, updated_at = excluded.updated_at
+    `);
+
+    // The singletons the rest of the app already uses are "default"
+    this.#add("default", {}, { auth: opts.auth ?? authManager, trading: opts.trading ?? tradingService });
+    const config = opts.config ?? AccountRegistry.loadConfig();
+    for (const [id, cfg] of Object.entries(config)) this.#add(id, cfg);
+  }
+
+  static loadConfig(file = process.env.ACCOUNTS_FILE || ACCOUNTS_FILE) {
+    try {
+      return JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+      if (err.code !== "ENOENT" || process.env.ACCOUNTS_FILE)
+        console.warn(`⚠️ No accounts loaded from ${file} (${err.message}); only "default" is available`);
+      return {};
+    }
+  }
+
+  get default() { return this.accounts.get("default"); }
+
+  get(id = "default") {
+    const account = this.accounts.get(String(id));
+    if (!account) throw new Error(`Unknown account: ${id}`);
+    return account;
+  }
+
+  has(id) { return this.accounts.has(String(id)); }
+
+  all() { return [...this.accounts.values()]; }
+
+  list() { return this.all().map(a => a.summary()); }
+
+  // Accounts that take signals from a rule set
+  accountsFor(strategyName) { return this.all().filter(a => a.takes(strategyName)); }
+
+  // names: rule set names, or null for every rule set; `known` validates them
+  assignStrategies(id, names, known = null) {
+    const account = this.get(id);
+    if (names !== null) {
+      if (!Array.isArray(names)) throw new Error("strategies must be an array of rule set names or null");
+      names = [...new Set(names.map(String))];
+      const unknown = known ? names.filter(n => !known.includes(n)) : [];
+      if (unknown.length) throw new Error(`Unknown strategy: ${unknown.join(", ")}`);
+    }
+    this._putStrategies.run(account.id, names === null ? null : JSON.stringify(names), Date.now());
+    account.strategies = names;
+    return account;
+  }
+
+  // Every account's auth (never waits for a browser login); accounts other
+  // than "default" connect their order sockets now and on each new token –
+  // server.js does that for "default" together with the data socket
+  async initialize() {
+    for (const account of this.all()) {
+      try {
+        await account.auth.initialize();
+      } catch (err) {
+        if (account.id === "default") throw err;
+        console.error(`❌ [${account.id}] auth failed:`, err.message);
+        continue;
+      }
+      if (account.id === "default") continue;
+      account.auth.on("token", token => account.connectOrders(token));
+      const token = await account.auth.getAccessToken();
+      if (token) await account.connectOrders(token);
+    }
+    return this;
+  }
+
+  stop() {
+    for (const account of this.all()) {
+      account.auth.stopTokenRefresh();
+      account.orderSocket?.disconnect();
+    }
+  }
+
+  /* ---------------- internals ---------------------------------- */
+  #add(id, cfg, own = {}) {
+    if (!ID_RE.test(id)) throw new Error(`Invalid account id: ${id}`);
+    if (this.accounts.has(id)) throw new Error(`Duplicate account: ${id}`);
+    if (id !== "default" && !cfg.appId) throw new Error(`Account ${id}: appId is required`);
+
+    const auth = own.auth ?? new FyersAuthManager({
+      appId      : cfg.appId,
+      secret     : fromEnv(cfg.secretKey),
+      pin        : fromEnv(cfg.pin),
+      redirectUri: fromEnv(cfg.redirectUri),
+      account    : `${simulated ? "sim:" : ""}${id}`
+    });
+    const to     = this.io?.to(room(id));
+    const orders = new OrderStore(to, { db: this.db, account: id });
+    const risk   = new RiskManager({ ...cfg.risk, db: this.db, account: id }).addSource(orders);
+    const row    = this._getStrategies.get(id);
+    const strategies = row ? JSON.parse(row.strategies ?? "null") : cfg.strategies ?? (id === "default" ? null : []);
+
+    const account = new Account(id, cfg, {
+      io: to, auth, trading: own.trading ?? new TradingService({ auth }), risk, orders, strategies
+    });
+
+    // Token lifecycle → the account's room
+    auth.on("loginRequired", info => to?.emit("authRequired", { account: id, ...info }));
+    auth.on("status", status => to?.emit("authStatus", { ...status, account: id }));
+
+    this.accounts.set(id, account);
+    return account;
+  }
+}
+
+module.exports = AccountRegistry;
+module.exports.Account = Account;
+module.exports.room    = room;
@@ -0,0 +1,14 @@
+// appDB.js – SQLite store for application state (paper trades, …)
+// Candles stay in candles.sqlite (candleDB.js); everything else lives here.
+const Database = require("better-sqlite3");
+const fs       = require("fs");
+const path     = require("path");
+
+const dbPath = process.env.APP_DB_PATH || path.resolve(__dirname, "../data/app.sqlite");
+if (dbPath !== ":memory:") fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+
+const db = new Database(dbPath);
+db.pragma("journal_mode = WAL");
+db.pragma("busy_timeout = 30000");
+
+module.exports = db;
@@ -1,19 +1,63 @@
-// src/auth.js
+/* ------------------------------------------------------------------ */
+/*  auth2.0.js – Fyers v3 OAuth: login, token store, refresh-token flow */
+/* ------------------------------------------------------------------ */
+// Tokens live encrypted in data/app.sqlite (tokenStore.js). A stored access
+// token is used while it's valid; Fyers expires access tokens at 06:00 IST
+// the day after they were issued, so FYERS_REFRESH_LEAD_MIN (default 30)
+// minutes before that the refresh token (valid 15 days) and FYERS_PIN buy a
+// new one.
+//
+// Nothing ever waits for a browser login. When there's no usable token and
+// no way to refresh one, the status turns "login_required" and
+// "loginRequired" { reason, loginUrl } is emitted; the next /?auth_code=…
+// redirect (completeLogin) finishes it. Every login URL carries a random
+// OAuth `state` that the redirect has to bring back, so a forged callback
+// can't slip in an auth code. Every new access token is emitted as "token",
+// every status change as "status".
 const path = require('path');
 const fs = require('fs');
-const { fyersModel } = require('fyers-api-v3');
-const readline = require('readline');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { fyersModel, refreshAccessToken, simulated } = require('./fyersApi');
+const TokenStore = require('./tokenStore');
+const { ist, nextAt, nowUnix } = require('./exchangeTime');
 const dotenv = require('dotenv');
 
 dotenv.config({ path: path.resolve(__dirname, '../.env') });
 
-class FyersAuthManager {
-  constructor() {
+const EXPIRY_TIME = '06:00';                  // IST, the day after issue
+const REFRESH_TTL = 15 * 24 * 60 * 60;        // refresh token lifetime, seconds
+const RETRY_MS    = 5 * 60 * 1000;            // failed refresh → try again while the token lasts
+const AUTH_ERRORS = [-8, -15, -16, -17];      // expired / invalid token codes
+const STATE_TTL_MS = 30 * 60 * 1000;          // how long a login URL's state is accepted
+
+const expiryOf = issuedAt => nextAt(ist(issuedAt).endOf('day').unix(), EXPIRY_TIME);
+
+// Plain-text token files of earlier versions, moved into the store once
+const LEGACY_TOKEN_FILE = path.resolve(__dirname, simulated ? '../logs/access_token.simulator.txt' : '../logs/access_token.txt');
+
+class FyersAuthManager extends EventEmitter {
+  constructor(opts = {}) {
+    super();
     this.fyers = null;
-    this.tokenRefreshInterval = null;
-    this.tokenExpiryTime = null;
-    this.authCodePromise = null;
-    this.authCodeResolve = null;
+    this.store = opts.store ?? null;          // TokenStore, created in initialize()
+    this.appId = opts.appId ?? process.env.FYERS_APP_ID;
+    this.secret = opts.secret ?? process.env.FYERS_SECRET_KEY;
+    this.redirectUri = opts.redirectUri ?? process.env.FYERS_REDIRECT_URI;
+    this.pin = opts.pin ?? process.env.FYERS_PIN;
+    this.leadMin = opts.refreshLeadMin ?? (Number(process.env.FYERS_REFRESH_LEAD_MIN) || 30);
+    // The simulator's tokens are kept apart so they never replace a live one
+    this.account = opts.account ?? `${simulated ? 'sim:' : ''}${this.appId}`;
+    // Only the FYERS_APP_ID account inherits the old token file
+    this.legacyFile = opts.account ? null : LEGACY_TOKEN_FILE;
+
+    this.tokens = null;                       // { accessToken, refreshToken, issuedAt, expiresAt, refreshExpiresAt }
+    this.status = 'starting';                 // starting | authenticated | refreshing | login_required
+    this.reason = null;                       // why a login is required
+    this.lastError = null;
+    this.refreshTimer = null;
+    this.nextRefreshAt = null;
+    this.oauthStates = new Map();             // state → expiry (ms) of issued login URLs
   }
 
   async initialize() {
@@ -31,133 +75,263 @@ class FyersAuthManager {
       enableLogging: true,
     });
 
-    this.fyers.setAppId(process.env.FYERS_APP_ID);
-    this.fyers.setRedirectUrl(process.env.FYERS_REDIRECT_URI);
+    this.fyers.setAppId(this.appId);
+    this.fyers.setRedirectUrl(this.redirectUri);
+
+    this.store ??= new TokenStore();
+    this.tokens = this.store.load(this.account) ?? (this.legacyFile && this.#importLegacyToken());
 
     await this.authenticate();
-    this.startTokenRefresh();
     return this.fyers;
   }
 
+  // Stored token → refresh → login required; resolves to the access token or null
   async authenticate() {
-    try {
-      const accessToken = await this.getAccessToken();
-      if (!accessToken) {
-        // If no token is available, perform interactive authentication
-        return await this.performInteractiveAuth();
+    const t = this.tokens;
+    if (t?.accessToken && t.expiresAt > nowUnix() + 60) {
+      this.fyers.setAccessToken(t.accessToken);
+      const valid = await this.#check();
+      if (valid !== false) {
+        console.log('✅ Authenticated with the stored token');
+        return this.#use(t);
       }
+      console.log('❌ Stored token rejected');
+    }
 
-      // Set the token and try to validate it
-      this.fyers.setAccessToken(accessToken);
+    if (this.#canRefresh()) {
       try {
-        const profile = await this.fyers.get_profile();
-        if (profile && profile.s === 'ok') {
-          console.log('✅ Successfully authenticated with existing token');
-          this.tokenExpiryTime = Date.now() + (24 * 60 * 60 * 1000); // 24 hours
-          return accessToken;
-        }
+        return await this.refresh();
       } catch (err) {
-        console.log('❌ Existing token invalid, performing fresh authentication');
-          return await this.performInteractiveAuth();
-        }
-    } catch (err) {
-      console.error('❌ Authentication error:', err);
-      return await this.performInteractiveAuth();
+        console.error('❌ Token refresh failed:', err.message);
+      }
     }
+    return this.#requireLogin(t ? 'token expired' : 'no stored token');
   }
 
+  // The current access token, or null while a login is required
   async getAccessToken() {
-    try {
-      const tokenPath = path.resolve(__dirname, '../logs/access_token.txt');
-    if (fs.existsSync(tokenPath)) {
-        const token = fs.readFileSync(tokenPath, 'utf8').trim();
-        if (token) {
-      return token;
+    return this.status === 'authenticated' || this.status === 'refreshing' ? this.tokens?.accessToken ?? null : null;
+  }
+
+  isAuthenticated() {
+    return this.status === 'authenticated';
+  }
+
+  /* ---------------- login (auth code redirect) ------------------- */
+  // The Fyers login URL with our own OAuth state; one state is reused while
+  // it's fresh so the URL in the status doesn't change on every call
+  loginUrl() {
+    if (!this.fyers) return null;
+    const url = new URL(this.fyers.generateAuthCode());
+    url.searchParams.set('state', this.#oauthState());
+    return url.toString();
+  }
+
+  // Exchanges the auth code from the /?auth_code=…&state=… redirect for tokens
+  async completeLogin(authCode, state) {
+    if (!this.fyers) throw new Error('Auth manager not initialised');
+    if (!this.#takeState(state)) throw new Error('Invalid or expired OAuth state – open the login URL again');
+    const response = await this.fyers.generate_access_token({
+      client_id: this.appId,
+      secret_key: this.secret,
+      auth_code: authCode,
+    });
+    if (response?.s !== 'ok' || !response.access_token) {
+      this.lastError = response?.message || 'auth code exchange failed';
+      throw new Error(`Failed to get access token: ${this.lastError}`);
     }
-      }
-      return null;
-    } catch (err) {
-      console.error('Error reading access token:', err);
-      return null;
+
+    const now = nowUnix();
+    const tokens = {
+      accessToken: response.access_token,
+      refreshToken: response.refresh_token ?? null,
+      issuedAt: now,
+      expiresAt: expiryOf(now),
+      refreshExpiresAt: response.refresh_token ? now + REFRESH_TTL : null,
+    };
+    console.log('✅ Logged in to Fyers');
+    return this.#use(this.store.save(this.account, tokens));
+  }
+
+  /* ---------------- refresh-token grant -------------------------- */
+  async refresh() {
+    const t = this.tokens;
+    if (!t?.refreshToken) throw new Error('No refresh token – log in again');
+    if (t.refreshExpiresAt && t.refreshExpiresAt <= nowUnix()) throw new Error('Refresh token expired – log in again');
+    if (!this.pin) throw new Error('FYERS_PIN is not set – cannot refresh the token');
+
+    const before = this.status;
+    this.#setStatus('refreshing');
+    const response = await refreshAccessToken({
+      client_id: this.appId,
+      secret_key: this.secret,
+      refresh_token: t.refreshToken,
+      pin: this.pin,
+    });
+    if (response?.s !== 'ok' || !response.access_token) {
+      this.lastError = response?.message || 'refresh failed';
+      this.#setStatus(before);
+      throw new Error(this.lastError);
     }
+
+    const now = nowUnix();
+    console.log('🔄 Fyers access token refreshed');
+    return this.#use(this.store.save(this.account, {
+      ...t,
+      accessToken: response.access_token,
+      issuedAt: now,
+      expiresAt: expiryOf(now),
+    }));
+  }
+
+  /* ---------------- scheduling ----------------------------------- */
+  // Refresh FYERS_REFRESH_LEAD_MIN before the 06:00 expiry; without a way to
+  // refresh, ask for a login when the token expires
+  startTokenRefresh() {
+    this.stopTokenRefresh();
+    if (!this.tokens || this.status === 'login_required') return;
+
+    const at = this.#canRefresh()
+      ? this.tokens.expiresAt - this.leadMin * 60
+      : this.tokens.expiresAt;
+    this.#timer(Math.max(0, at - nowUnix()) * 1000, () => this.#scheduledRefresh());
   }
 
-  setAuthCode(code) {
-    if (this.authCodeResolve) {
-      this.authCodeResolve(code);
-      this.authCodeResolve = null;
+  stopTokenRefresh() {
+    if (this.refreshTimer) {
+      clearTimeout(this.refreshTimer);
+      this.refreshTimer = null;
+      this.nextRefreshAt = null;
     }
   }
 
-  async performInteractiveAuth() {
+  async #scheduledRefresh() {
+    if (!this.#canRefresh()) return this.#requireLogin('token expired');
     try {
-      // Generate auth URL
-      const authUrl = this.fyers.generateAuthCode();
-      console.log('🔑 Please authorize the app by visiting:', authUrl);
+      await this.refresh();
+    } catch (err) {
+      console.error('❌ Scheduled token refresh failed:', err.message);
+      if (this.tokens.expiresAt - nowUnix() > RETRY_MS / 1000) this.#timer(RETRY_MS, () => this.#scheduledRefresh());
+      else this.#requireLogin(`token refresh failed: ${err.message}`);
+    }
+  }
 
-      // Wait for auth code
-      const authCode = await new Promise((resolve) => {
-      this.authCodeResolve = resolve;
-      });
+  #timer(ms, fn) {
+    this.stopTokenRefresh();
+    this.nextRefreshAt = Math.floor((Date.now() + ms) / 1000);
+    this.refreshTimer = setTimeout(fn, Math.min(ms, 2 ** 31 - 1));
+    this.refreshTimer.unref?.();
+  }
 
-      // Exchange auth code for access token
-      const response = await this.fyers.generate_access_token({
-        client_id: process.env.FYERS_APP_ID,
-        secret_key: process.env.FYERS_SECRET_KEY,
-        auth_code: authCode,
-      });
+  /* ---------------- status --------------------------------------- */
+  getStatus() {
+    const t = this.tokens;
+    return {
+      status: this.status,
+      authenticated: this.isAuthenticated(),
+      account: this.account,
+      issuedAt: t?.issuedAt ?? null,
+      expiresAt: t?.expiresAt ?? null,
+      expiresIn: t?.expiresAt ? Math.max(0, t.expiresAt - nowUnix()) : null,
+      hasRefreshToken: !!t?.refreshToken,
+      refreshExpiresAt: t?.refreshExpiresAt ?? null,
+      pinConfigured: !!this.pin,
+      nextRefreshAt: this.nextRefreshAt,
+      loginUrl: this.status === 'login_required' ? this.loginUrl() : null,
+      reason: this.status === 'login_required' ? this.reason : null,
+      lastError: this.lastError,
+    };
+  }
 
-      if (response.s === 'ok' && response.access_token) {
-        // Save token
-        const tokenPath = path.resolve(__dirname, '../logs/access_token.txt');
-        fs.writeFileSync(tokenPath, response.access_token);
-        
-        // Set token and expiry
-        this.fyers.setAccessToken(response.access_token);
-        this.tokenExpiryTime = Date.now() + (24 * 60 * 60 * 1000); // 24 hours
-        
-        console.log('✅ Successfully authenticated with new token');
-        return response.access_token;
-      } else {
-      throw new Error('Failed to get access token: ' + JSON.stringify(response));
-      }
+  async validateToken() {
+    return (await this.#check()) === true;
+  }
+
+  /* ---------------- internals ------------------------------------ */
+  // true / false from the profile call, null when it couldn't tell (network)
+  async #check() {
+    try {
+      const profile = await this.fyers.get_profile();
+      if (profile?.s === 'ok') return true;
+      return AUTH_ERRORS.includes(profile?.code) ? false : null;
     } catch (err) {
-      console.error('❌ Interactive authentication failed:', err);
-      throw err;
+      console.warn('⚠️ Could not validate the token:', err.message);
+      return null;
     }
   }
 
-  startTokenRefresh() {
-    // Clear any existing interval
-    if (this.tokenRefreshInterval) {
-      clearInterval(this.tokenRefreshInterval);
-    }
+  #canRefresh() {
+    const t = this.tokens;
+    return !!(t?.refreshToken && this.pin && (!t.refreshExpiresAt || t.refreshExpiresAt > nowUnix()));
+  }
 
-    // Refresh token every 23 hours
-    this.tokenRefreshInterval = setInterval(async () => {
-        try {
-          await this.authenticate();
-      } catch (err) {
-        console.error('❌ Token refresh failed:', err);
-      }
-    }, 23 * 60 * 60 * 1000);
+  #use(tokens) {
+    this.tokens = tokens;
+    this.reason = null;
+    this.lastError = null;
+    this.fyers.setAccessToken(tokens.accessToken);
+    this.#setStatus('authenticated');
+    this.startTokenRefresh();
+    this.emit('token', tokens.accessToken);
+    return tokens.accessToken;
   }
 
-  stopTokenRefresh() {
-    if (this.tokenRefreshInterval) {
-      clearInterval(this.tokenRefreshInterval);
-      this.tokenRefreshInterval = null;
+  // Simulated logins approve themselves; live ones wait for the redirect
+  async #requireLogin(reason) {
+    this.stopTokenRefresh();
+    this.reason = reason;
+    const loginUrl = this.loginUrl();
+    if (simulated) {
+      const { searchParams } = new URL(loginUrl);
+      return this.completeLogin(searchParams.get('auth_code'), searchParams.get('state'));
     }
+
+    this.#setStatus('login_required');
+    console.log(`🔑 Fyers login required for ${this.account} (${reason}) – authorize the app at: ${loginUrl}`);
+    this.emit('loginRequired', { reason, loginUrl });
+    return null;
   }
 
-  async validateToken() {
+  #oauthState() {
+    const now = Date.now();
+    for (const [state, expires] of this.oauthStates) if (expires <= now) this.oauthStates.delete(state);
+    const latest = [...this.oauthStates].at(-1);
+    if (latest && latest[1] - now > STATE_TTL_MS / 2) return latest[0];
+    const state = crypto.randomBytes(16).toString('hex');
+    this.oauthStates.set(state, now + STATE_TTL_MS);
+    return state;
+  }
+
+  // Single use: a state is gone once a login came back with it
+  #takeState(state) {
+    const expires = this.oauthStates.get(String(state ?? ''));
+    this.oauthStates.delete(String(state ?? ''));
+    return expires > Date.now();
+  }
+
+  #setStatus(status) {
+    if (status === this.status) return;
+    this.status = status;
+    this.emit('status', this.getStatus());
+  }
+
+  #importLegacyToken() {
     try {
-      const profile = await this.fyers.get_profile();
-      return profile && profile.s === 'ok';
+      if (!fs.existsSync(this.legacyFile)) return null;
+      const accessToken = fs.readFileSync(this.legacyFile, 'utf8').trim();
+      const issuedAt = Math.floor(fs.statSync(this.legacyFile).mtimeMs / 1000);
+      fs.unlinkSync(this.legacyFile);
+      if (!accessToken) return null;
+      console.log(`🔐 Moved ${path.basename(this.legacyFile)} into the encrypted token store`);
+      return this.store.save(this.account, {
+        accessToken, refreshToken: null, issuedAt, expiresAt: expiryOf(issuedAt), refreshExpiresAt: null,
+      });
     } catch (err) {
-      return false;
+      console.error('Error importing the legacy access token:', err.message);
+      return null;
     }
   }
 }
 
 module.exports = new FyersAuthManager();
+module.exports.FyersAuthManager = FyersAuthManager;
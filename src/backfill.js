@@ -0,0 +1,264 @@
+/* ------------------------------------------------------------------ */
+/*  backfill.js – resumable history backfill + gap detection           */
+/* ------------------------------------------------------------------ */
+// A job is a symbols × resolutions × date range, split into chunks no
+// longer than one getHistory call may span (windowDaysFor). Jobs and chunks
+// live in candles.sqlite next to the data they describe; a chunk is marked
+// done only after its candles are stored, so a crashed or stopped job is
+// picked up again by resume() from the first unfinished chunk.
+//
+// gaps() checks the candle store against the exchange calendar: every trading day
+// should have one daily candle, or a full session of intraday bars. Missing
+// and partial days are merged into ranges that requeueGaps() turns into a
+// new job.
+
+const { EventEmitter } = require("events");
+const { ist }          = require("./exchangeTime");
+const candleDB         = require("./candleDB");
+const candleStore      = require("./storage");
+const calendar         = require("./marketCalendar");
+const { calendarForSymbol } = calendar;
+const tradingService   = require("./tradingService");
+
+const { windowDaysFor, rangeResolution } = tradingService;
+
+const MAX_ATTEMPTS = 3;
+
+class Backfill extends EventEmitter {
+  constructor(opts = {}) {
+    super();
+    this.candleDB    = opts.candleDB ?? candleDB;
+    this.db          = this.candleDB.db;      // job / chunk tables
+    this.store       = opts.store ?? candleStore;
+    this.calendarFor = opts.calendar ? () => opts.calendar : calendarForSymbol;
+    this.fetch       = opts.fetch ?? ((s, r, f, t) => tradingService.getHistoricalRange(s, r, f, t));
+    this.maxAttempts = opts.maxAttempts ?? MAX_ATTEMPTS;
+    this.chain       = Promise.resolve();    // jobs run one after the other
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS backfill_jobs (
+        id          INTEGER PRIMARY KEY AUTOINCREMENT,
+        kind        TEXT NOT NULL,           -- range | gaps
+        symbols     TEXT NOT NULL,           -- JSON array
+        resolutions TEXT NOT NULL,           -- JSON array
+        range_from  INTEGER NOT NULL,
+        range_to    INTEGER NOT NULL,
+        status      TEXT NOT NULL,           -- queued | running | done | failed | cancelled
+        error       TEXT,
+        created_at  INTEGER NOT NULL,
+        updated_at  INTEGER NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS backfill_chunks (
+        job_id      INTEGER NOT NULL,
+        symbol      TEXT NOT NULL,
+        resolution  TEXT NOT NULL,
+        range_from  INTEGER NOT NULL,
+        range_to    INTEGER NOT NULL,
+        status      TEXT NOT NULL,           -- pending | done | failed
+        attempts    INTEGER NOT NULL DEFAULT 0,
+        candles     INTEGER NOT NULL DEFAULT 0,
+        error       TEXT,
+        updated_at  INTEGER,
+        PRIMARY KEY (job_id, symbol, resolution, range_from)
+      );
+    `);
+    this._insertChunk = this.db.prepare(`
+      INSERT OR IGNORE INTO backfill_chunks (job_id, symbol, resolution, range_from, range_to, status)
+      VALUES (?, ?, ?, ?, ?, 'pending')
+    `);
+    this._nextChunk = this.db.prepare(`
+      SELECT rowid, * FROM backfill_chunks
+      WHERE job_id = ? AND status != 'done' AND attempts < ?
+      ORDER BY attempts, rowid LIMIT 1
+    `);
+    this._setJob = this.db.prepare(`UPDATE backfill_jobs SET status = ?, error = ?, updated_at = ? WHERE id = ?`);
+  }
+
+  /* ---------------- jobs --------------------------------------- */
+  // Plans (but doesn't start) a job over symbols × resolutions × [from, to]
+  create({ symbols, resolutions = ["D"], from, to }) {
+    if (!symbols?.length) throw new Error("symbols are required");
+    if (!(from <= to)) throw new Error("from must be before to");
+    const res = resolutions.map(rangeResolution);
+    const ranges = [];
+    for (const symbol of symbols) for (const r of res) ranges.push({ symbol, resolution: r, from, to });
+    return this.#insertJob("range", symbols, res, from, to, ranges);
+  }
+
+  // Queues a job and runs it after any job already in progress
+  start(id) {
+    this.get(id);                                            // throws for an unknown id
+    this.chain = this.chain.then(() => this.#run(id)).catch(err =>
+      console.error(`❌ backfill job ${id}:`, err.message));
+    return this.chain;
+  }
+
+  // Restarts every unfinished (queued / running) job – e.g. after a crash –
+  // or one job by id; failed chunks get a fresh set of attempts
+  resume(id) {
+    const ids = id !== undefined
+      ? [this.get(id).id]
+      : this.db.prepare(`SELECT id FROM backfill_jobs WHERE status IN ('queued', 'running') ORDER BY id`).pluck().all();
+    for (const jobId of ids) {
+      this.db.prepare(`UPDATE backfill_chunks SET attempts = 0 WHERE job_id = ? AND status = 'failed'`).run(jobId);
+      this._setJob.run("queued", null, Date.now(), jobId);
+      this.start(jobId);
+    }
+    if (ids.length) console.log(`⏯️  Resuming backfill job(s) ${ids.join(", ")}`);
+    return ids;
+  }
+
+  cancel(id) {
+    const job = this.get(id);
+    if (["done", "cancelled"].includes(job.status)) return job;
+    this._setJob.run("cancelled", null, Date.now(), job.id);
+    return this.get(id);
+  }
+
+  get(id) {
+    const j = this.db.prepare(`SELECT * FROM backfill_jobs WHERE id = ?`).get(Number(id));
+    if (!j) throw new Error(`Backfill job not found: ${id}`);
+    return this.#view(j);
+  }
+
+  list({ limit = 50 } = {}) {
+    return this.db.prepare(`SELECT * FROM backfill_jobs ORDER BY id DESC LIMIT ?`).all(limit).map(j => this.#view(j));
+  }
+
+  // Chunks of a job, optionally filtered by status
+  chunks(id, { status } = {}) {
+    const rows = this.db.prepare(`
+      SELECT symbol, resolution, range_from AS "from", range_to AS "to", status, attempts, candles, error, updated_at AS updatedAt
+      FROM backfill_chunks WHERE job_id = ? ${status ? "AND status = ?" : ""} ORDER BY rowid
+    `).all(...(status ? [Number(id), status] : [Number(id)]));
+    return rows;
+  }
+
+  /* ---------------- gap detection ------------------------------ */
+  // Per symbol × resolution: trading days with no (missing) or too few
+  // (partial) candles between from and to, and the merged ranges to refetch.
+  // Today's session is only checked once it has closed.
+  async gaps({ symbols, resolutions = ["D"], from, to, now = ist().unix() }) {
+    const report = [];
+    for (const symbol of symbols) {
+      const cal  = this.calendarFor(symbol);
+      const days = cal.tradingDays(from, Math.min(to, now)).filter(d => cal.sessionClose(d) <= now);
+      for (const r of resolutions.map(rangeResolution)) {
+        const have = new Set((await this.store.getCandles(symbol, r, from, to)).map(c => c[0]));
+        let missing = 0, partial = 0, run = null;
+        const ranges = [];
+        for (const date of days) {
+          const want  = cal.sessionBars(date, r);
+          const found = want.filter(ts => have.has(ts)).length;
+          if (found === want.length) { run = null; continue; }
+          found ? partial++ : missing++;
+          if (run) { run.to = date; run.days++; }
+          else ranges.push(run = { from: date, to: date, days: 1 });
+        }
+        report.push({ symbol, resolution: r, tradingDays: days.length, missing, partial, ranges });
+      }
+    }
+    return report;
+  }
+
+  // New job covering every gap range of a gaps() report (null if there are none)
+  requeueGaps(report) {
+    const ranges = report.flatMap(g => g.ranges.map(x => ({
+      symbol    : g.symbol,
+      resolution: g.resolution,
+      from      : calendar.midnight(x.from),
+      to        : calendar.midnight(x.to) + 86_399
+    })));
+    if (!ranges.length) return null;
+    const symbols     = [...new Set(ranges.map(x => x.symbol))];
+    const resolutions = [...new Set(ranges.map(x => x.resolution))];
+    const from = Math.min(...ranges.map(x => x.from)), to = Math.max(...ranges.map(x => x.to));
+    return this.#insertJob("gaps", symbols, resolutions, from, to, ranges);
+  }
+
+  /* ---------------- internals ---------------------------------- */
+  // ranges: [{ symbol, resolution, from, to }] split into API-sized chunks
+  #insertJob(kind, symbols, resolutions, from, to, ranges) {
+    const now = Date.now();
+    const id  = this.db.transaction(() => {
+      const { lastInsertRowid } = this.db.prepare(`
+        INSERT INTO backfill_jobs (kind, symbols, resolutions, range_from, range_to, status, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, 'queued', ?, ?)
+      `).run(kind, JSON.stringify(symbols), JSON.stringify(resolutions), from, to, now, now);
+      for (const x of ranges) {
+        const step = windowDaysFor(x.resolution) * 86_400;
+        for (let s = x.from; s <= x.to; s += step)
+          this._insertChunk.run(lastInsertRowid, x.symbol, x.resolution, s, Math.min(x.to, s + step - 1));
+      }
+      return Number(lastInsertRowid);
+    })();
+    const job = this.get(id);
+    console.log(`🗂️  Backfill job ${id} (${kind}): ${job.total} chunks`);
+    return job;
+  }
+
+  async #run(id) {
+    if (this.get(id).status === "cancelled") return;
+    this._setJob.run("running", null, Date.now(), id);
+    this.emit("progress", this.get(id));
+
+    for (;;) {
+      if (this.get(id).status === "cancelled") return this.emit("progress", this.get(id));
+      const c = this._nextChunk.get(id, this.maxAttempts);
+      if (!c) break;
+      try {
+        const count = await this.fetch(c.symbol, c.resolution, c.range_from, c.range_to);
+        this.db.prepare(`
+          UPDATE backfill_chunks SET status = 'done', attempts = attempts + 1, candles = ?, error = NULL, updated_at = ?
+          WHERE rowid = ?
+        `).run(Number(count) || 0, Date.now(), c.rowid);
+      } catch (err) {
+        console.error(`⚠️ backfill ${c.symbol}@${c.resolution} ${ist(c.range_from).format("YYYY-MM-DD")}:`, err.message);
+        this.db.prepare(`
+          UPDATE backfill_chunks SET status = 'failed', attempts = attempts + 1, error = ?, updated_at = ?
+          WHERE rowid = ?
+        `).run(err.message, Date.now(), c.rowid);
+      }
+      this.db.prepare(`UPDATE backfill_jobs SET updated_at = ? WHERE id = ?`).run(Date.now(), id);
+      this.emit("progress", this.get(id));
+    }
+
+    const job = this.get(id);
+    if (job.failed) this._setJob.run("failed", `${job.failed} chunk(s) failed after ${this.maxAttempts} attempts`, Date.now(), id);
+    else this._setJob.run("done", null, Date.now(), id);
+    const final = this.get(id);
+    console.log(`${final.status === "done" ? "✅" : "⚠️"} Backfill job ${id} ${final.status}: ${final.done}/${final.total} chunks, ${final.candles} candles`);
+    this.emit("progress", final);
+  }
+
+  #view(j) {
+    const c = this.db.prepare(`
+      SELECT COUNT(*) AS total,
+             SUM(status = 'done')    AS done,
+             SUM(status = 'failed')  AS failed,
+             SUM(status = 'pending') AS pending,
+             SUM(candles)            AS candles
+      FROM backfill_chunks WHERE job_id = ?
+    `).get(j.id);
+    return {
+      id         : j.id,
+      kind       : j.kind,
+      status     : j.status,
+      symbols    : JSON.parse(j.symbols),
+      resolutions: JSON.parse(j.resolutions),
+      from       : j.range_from,
+      to         : j.range_to,
+      total      : c.total,
+      done       : c.done ?? 0,
+      failed     : c.failed ?? 0,
+      pending    : c.pending ?? 0,
+      candles    : c.candles ?? 0,
+      error      : j.error,
+      createdAt  : j.created_at,
+      updatedAt  : j.updated_at
+    };
+  }
+}
+
+module.exports = new Backfill();
+module.exports.Backfill = Backfill;
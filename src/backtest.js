@@ -0,0 +1,291 @@
+/* ------------------------------------------------------------------ */
+/*  backtest.js – offline replay of Strategy rules over candleDB       */
+/* ------------------------------------------------------------------ */
+// Reads candles straight from data/candles.sqlite (no Fyers client),
+// walks the daily bars one at a time and evaluates each one "as of" its
+// close through the same rule engine (rules.js) and buildTrade code the live
+// Strategy uses. Every lookup moves forward with the walk, so a replay is
+// linear in the number of bars.
+
+const { ist, toUnix, dateKey, periodKey } = require("./exchangeTime");
+const candleDB = require("./candleDB");
+const { buildContext, buildTrade } = require("./strategy");
+const { evaluate, loadStrategies } = require("./rules");
+const { compute, paramKey } = require("./indicators");
+
+/* Candle array indices */
+const T = 0, O = 1, H = 2, L = 3, C = 4, V = 5;
+
+const DAY           = 86_400;
+const WARMUP_DAYS   = 400;                 // daily history before `from`
+const TIMEFRAMES    = ["1", "5", "60", "120", "D"];
+const INTRADAY_BACK = { "1": 10, "5": 30, "60": 180, "120": 300 };  // calendar days
+
+/* ---------- helpers ----------------------------------------------- */
+const round = (x, dp = 2) => Number(x.toFixed(dp));
+
+// Rolling SMA20/50/200 lookups over a candle series with a forward-only cursor.
+// `at(cutoff)` returns the SMAs of the last candle whose timestamp is < cutoff.
+class SmaSeries {
+  constructor(candles) {
+    this.ts   = candles.map(c => c[T]);
+    this.csum = [0];
+    candles.forEach(c => this.csum.push(this.csum.at(-1) + c[C]));
+    this.idx  = -1;
+  }
+  #avg(end, n) { return end + 1 < n ? null : (this.csum[end + 1] - this.csum[end + 1 - n]) / n; }
+  at(cutoff) {
+    while (this.idx + 1 < this.ts.length && this.ts[this.idx + 1] < cutoff) this.idx++;
+    if (this.idx < 0) return undefined;
+    const i = this.idx;
+    return { sma20: this.#avg(i, 20), sma50: this.#avg(i, 50), sma200: this.#avg(i, 200) };
+  }
+}
+
+// Indicator series computed once per (name, res, params); `at(cutoff)` gives
+// the outputs of the last value whose timestamp is < cutoff, like SmaSeries.
+class IndicatorSeries {
+  constructor(rows) { this.rows = rows; }
+  at(cutoff) {
+    let lo = 0, hi = this.rows.length - 1, hit = null;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (this.rows[mid].ts < cutoff) { hit = this.rows[mid]; lo = mid + 1; } else hi = mid - 1;
+    }
+    return hit;
+  }
+}
+
+// This week's / month's bar up to the latest daily candle added, rolled
+// forward one candle at a time (the same bar strategy.js rollup builds)
+class PeriodBar {
+  constructor(mode) { this.mode = mode; this.key = null; this.bar = null; }
+  add(c) {
+    const k = periodKey(c[T], this.mode);
+    if (k !== this.key) {
+      this.key = k;
+      this.bar = [...c];
+    } else {
+      this.bar[H] = Math.max(this.bar[H], c[H]);
+      this.bar[L] = Math.min(this.bar[L], c[L]);
+      this.bar[C] = c[C];
+      this.bar[V] += c[V];
+    }
+    return this.bar;
+  }
+}
+
+/* ---------- class ------------------------------------------------- */
+class Backtester {
+  constructor(opts = {}) {
+    this.candleDB  = opts.candleDB ?? candleDB;
+    this.smaRes    = opts.smaResolution ?? "60";
+    this.capital   = opts.capital ?? 100_000;
+    this.tradeSize = opts.tradeSize ?? 10_000;   // notional allocated per trade
+
+    const sets = opts.strategies ?? loadStrategies();
+    this.ruleSet = opts.strategy ? sets.find(s => s.name === opts.strategy)
+                                 : sets.find(s => s.type === "BUY");
+    if (!this.ruleSet) throw new Error(`Unknown strategy: ${opts.strategy}`);
+  }
+
+  /* ---------------- public: run --------------------------------- */
+  run({ symbols, from, to }) {
+    if (!symbols?.length) throw new Error("At least one symbol is required");
+    const fromTs = toUnix(from);
+    const toTs   = toUnix(to);
+    if (!(fromTs <= toTs)) throw new Error(`Invalid date range: ${from} → ${to}`);
+
+    const trades = [], tradesBySymbol = {}, skipped = [];
+    for (const symbol of symbols) {
+      const t = this.#replay(symbol, fromTs, toTs);
+      if (t.skipped) {
+        skipped.push({ symbol, reason: t.skipped });
+        continue;
+      }
+      tradesBySymbol[symbol] = t.trades.length;
+      trades.push(...t.trades);
+    }
+    trades.sort((a, b) => a.exitTs - b.exitTs);
+
+    const equityCurve = [{ ts: fromTs, date: dateKey(fromTs), equity: this.capital }];
+    let equity = this.capital;
+    for (const t of trades) {
+      equity += t.pnl;
+      equityCurve.push({ ts: t.exitTs, date: dateKey(t.exitTs), equity: round(equity) });
+    }
+
+    return {
+      symbols,
+      strategy: this.ruleSet.name,
+      from: dateKey(fromTs),
+      to  : dateKey(toTs),
+      resolution: this.smaRes,
+      summary: this.#summarise(trades, equityCurve),
+      tradesBySymbol,
+      skipped,
+      trades,
+      equityCurve
+    };
+  }
+
+  /* ---------------- per-symbol replay --------------------------- */
+  // → { trades }, or { skipped: reason } when there's too little data
+  #replay(symbol, fromTs, toTs) {
+    const daily = this.candleDB.getCandles(symbol, "D", fromTs - WARMUP_DAYS * DAY, toTs);
+    if (daily.length < 10) return { skipped: `only ${daily.length} daily candles in DB` };
+
+    // One SMA series per timeframe the rules look at (+ the selected resolution)
+    const series = {};
+    for (const res of new Set([...TIMEFRAMES, this.smaRes])) {
+      const back    = INTRADAY_BACK[res] ?? WARMUP_DAYS;
+      const candles = res === "D" ? daily
+                                  : this.candleDB.getCandles(symbol, res, fromTs - back * DAY, toTs + DAY);
+      if (candles.length) series[res] = new SmaSeries(candles);
+    }
+
+    // ind() lookups, built lazily the first time a rule asks for a series
+    const indicators = new Map();
+    const indicatorAt = cutoff => (name, res, params) => {
+      const r   = res === "res" ? this.smaRes : res;
+      const key = `${name}|${r}|${paramKey(params)}`;
+      if (!indicators.has(key)) {
+        const back    = INTRADAY_BACK[r] ?? WARMUP_DAYS;
+        const candles = r === "D" ? daily : this.candleDB.getCandles(symbol, r, fromTs - back * DAY, toTs + DAY);
+        indicators.set(key, new IndicatorSeries(compute(name, candles, params)));
+      }
+      return indicators.get(key).at(cutoff);
+    };
+
+    const trades = [];
+    const weekly = new PeriodBar("W"), monthly = new PeriodBar("M");
+    let open = null;
+    let prevSignal = false;
+
+    for (let i = 0; i < daily.length; i++) {
+      const bar = daily[i];
+      const week = weekly.add(bar), month = monthly.add(bar);
+      if (bar[T] < fromTs) continue;
+
+      /* 1️⃣ manage the open position against this bar ---------- */
+      if (open) {
+        const exit = this.#checkExit(open, bar);
+        if (exit) {
+          trades.push(this.#close(open, bar, exit.price, exit.reason));
+          open = null;
+        }
+      }
+
+      /* 2️⃣ evaluate the rules as of this bar's close ----------- */
+      const cutoff = bar[T] + DAY;
+      const tf = {};
+      for (const res of TIMEFRAMES) tf[res] = series[res]?.at(cutoff);
+      const smaBuf = series[this.smaRes]?.at(cutoff);
+      if (!smaBuf || i < 9) { prevSignal = false; continue; }
+
+      const { signal } = evaluate(this.ruleSet, buildContext({
+        daily, end: i, smaBuf, timeframes: tf, indicator: indicatorAt(cutoff), weekly: week, monthly: month
+      }));
+
+      /* 3️⃣ enter on a fresh signal transition ------------------ */
+      if (signal && !prevSignal && !open) {
+        const { name, type } = this.ruleSet;
+        const trade = buildTrade(symbol, daily.slice(i - 1, i + 1), {    // reads today and yesterday
+          key: `${name}:${symbol}@${this.smaRes}`, resolution: this.smaRes, strategy: name, type
+        });
+        const entryPrice = Number(trade.entryPrice);
+        open = {
+          symbol,
+          type,
+          entryTs   : bar[T],
+          entryDate : trade.entryDate,
+          entryPrice,
+          stopLoss  : Number(trade.stopLoss),
+          target    : Number(trade.target),
+          qty       : Math.max(1, Math.floor(this.tradeSize / entryPrice)),
+          bars      : 0
+        };
+      }
+      prevSignal = signal;
+    }
+
+    /* 4️⃣ mark anything still open at the last bar -------------- */
+    if (open) {
+      const last = daily.filter(c => c[T] <= toTs).at(-1);
+      trades.push(this.#close(open, last, last[C], "end"));
+    }
+    return { trades };
+  }
+
+  // Stop-loss wins ties: if a bar touches both levels we assume the worse fill.
+  // Longs stop out below / take profit above entry, shorts the other way round.
+  #checkExit(pos, bar) {
+    pos.bars++;
+    if (pos.type === "SELL") {
+      if (bar[O] >= pos.stopLoss) return { price: bar[O],       reason: "stopLoss" };
+      if (bar[H] >= pos.stopLoss) return { price: pos.stopLoss, reason: "stopLoss" };
+      if (bar[O] <= pos.target)   return { price: bar[O],       reason: "target" };
+      if (bar[L] <= pos.target)   return { price: pos.target,   reason: "target" };
+      return null;
+    }
+    if (bar[O] <= pos.stopLoss) return { price: bar[O],       reason: "stopLoss" };
+    if (bar[L] <= pos.stopLoss) return { price: pos.stopLoss, reason: "stopLoss" };
+    if (bar[O] >= pos.target)   return { price: bar[O],       reason: "target" };
+    if (bar[H] >= pos.target)   return { price: pos.target,   reason: "target" };
+    return null;
+  }
+
+  #close(pos, bar, price, reason) {
+    const dir = pos.type === "SELL" ? -1 : 1;
+    const pnl = (price - pos.entryPrice) * pos.qty * dir;
+    return {
+      symbol    : pos.symbol,
+      type      : pos.type,
+      entryDate : pos.entryDate,
+      entryPrice: pos.entryPrice,
+      stopLoss  : pos.stopLoss,
+      target    : pos.target,
+      qty       : pos.qty,
+      exitTs    : bar[T],
+      exitDate  : ist(bar[T]).format("DD-MM-YYYY"),
+      exitPrice : round(price),
+      exitReason: reason,
+      bars      : pos.bars,
+      returnPct : round(((price - pos.entryPrice) / pos.entryPrice) * 100 * dir),
+      pnl       : round(pnl)
+    };
+  }
+
+  /* ---------------- statistics ---------------------------------- */
+  #summarise(trades, equityCurve) {
+    const wins   = trades.filter(t => t.pnl > 0);
+    const losses = trades.filter(t => t.pnl <= 0);
+    const mean   = arr => arr.length ? arr.reduce((s, x) => s + x, 0) / arr.length : 0;
+
+    let peak = -Infinity, maxDD = 0, maxDDPct = 0;
+    for (const { equity } of equityCurve) {
+      peak = Math.max(peak, equity);
+      if (peak - equity > maxDD) {
+        maxDD    = peak - equity;
+        maxDDPct = (maxDD / peak) * 100;
+      }
+    }
+
+    return {
+      trades        : trades.length,
+      wins          : wins.length,
+      losses        : losses.length,
+      winRate       : round(trades.length ? (wins.length / trades.length) * 100 : 0),
+      avgWinPct     : round(mean(wins.map(t => t.returnPct))),
+      avgLossPct    : round(mean(losses.map(t => t.returnPct))),
+      expectancyPct : round(mean(trades.map(t => t.returnPct))),   // avg return per trade
+      expectancy    : round(mean(trades.map(t => t.pnl))),         // avg P&L per trade
+      totalPnl      : round(trades.reduce((s, t) => s + t.pnl, 0)),
+      finalEquity   : equityCurve.at(-1).equity,
+      maxDrawdown   : round(maxDD),
+      maxDrawdownPct: round(maxDDPct)
+    };
+  }
+}
+
+module.exports = Backtester;
@@ -0,0 +1,123 @@
+/* ------------------------------------------------------------------ */
+/*  barAggregator.js – live sf ticks → intraday OHLCV bars             */
+/* ------------------------------------------------------------------ */
+// Builds one bar per symbol per configured resolution (minutes), aligned
+// to the exchange's normal session from marketCalendar: buckets start at
+// the open (09:15, or a special session's open such as Muhurat trading) and
+// the last one is cut at the close. Ticks outside it – pre-open, post-close,
+// holidays – are ignored. A bar is stored in the candle store when it closes – either
+// because a tick for the next bucket arrived or because the bucket's end
+// passed with no further ticks – and a "barClose" event is emitted once it is stored.
+// Ticks that arrive late for a bucket that has already been closed are dropped,
+// so they can't start a one-tick bar that would overwrite the stored one.
+//
+// Volume comes from the cumulative vol_traded_today field of the tick, so
+// the first tick of the day for a symbol contributes no volume.
+
+const { EventEmitter } = require("events");
+const candleStore      = require("./storage");
+const { calendarForSymbol } = require("./marketCalendar");
+
+const DEFAULT_RES   = ["1", "5", "60", "120"];
+
+class BarAggregator extends EventEmitter {
+  constructor(opts = {}) {
+    super();
+    this.store       = opts.store ?? candleStore;
+    this.resolutions = (opts.resolutions ?? process.env.BAR_RESOLUTIONS?.split(",") ?? DEFAULT_RES)
+      .map(r => String(r).trim()).filter(Boolean);
+    for (const r of this.resolutions)
+      if (!/^\d+$/.test(r)) throw new Error(`Bar aggregator only builds intraday (minute) bars, got: ${r}`);
+
+    this.calendarFor = opts.calendar ? () => opts.calendar : calendarForSymbol;
+
+    this.bars    = new Map();   // `${symbol}|${res}` → { start, end, o, h, l, c, v }
+    this.lastVol = new Map();   // symbol → { day, vol } (cumulative volume at the previous tick)
+    this.closed  = new Map();   // `${symbol}|${res}` → start of the last closed bucket
+
+    this.timer = setInterval(() => this.flushExpired(), opts.flushMs ?? 5_000);
+    this.timer.unref?.();
+  }
+
+  /* ---------------- input -------------------------------------- */
+  // msg: a DataSocket `sf` message
+  onTick(msg) {
+    const { symbol, ltp } = msg ?? {};
+    if (!symbol || !ltp) return;
+    const ts  = Number(msg.exch_feed_time ?? msg.last_traded_time) || Math.floor(Date.now() / 1000);
+    const vol = this.#volumeDelta(symbol, ts, Number(msg.vol_traded_today));
+
+    for (const res of this.resolutions) {
+      const bucket = this.#bucket(symbol, ts, Number(res));
+      if (!bucket) return;                                 // outside the session
+
+      const key = `${symbol}|${res}`;
+      if (bucket.start <= (this.closed.get(key) ?? -Infinity)) continue;   // late tick for a closed bar
+      let bar   = this.bars.get(key);
+      if (bar && bar.start !== bucket.start) {
+        if (bucket.start < bar.start) continue;            // late tick for an earlier bucket
+        this.#closeBar(symbol, res, bar);
+        bar = null;
+      }
+      if (!bar) {
+        this.bars.set(key, { ...bucket, o: ltp, h: ltp, l: ltp, c: ltp, v: vol });
+        continue;
+      }
+      bar.h  = Math.max(bar.h, ltp);
+      bar.l  = Math.min(bar.l, ltp);
+      bar.c  = ltp;
+      bar.v += vol;
+    }
+  }
+
+  // Close every bar whose bucket has ended (quiet symbols, end of session)
+  flushExpired(now = Math.floor(Date.now() / 1000)) {
+    for (const [key, bar] of this.bars) {
+      if (now < bar.end) continue;
+      const [symbol, res] = key.split("|");
+      this.#closeBar(symbol, res, bar);
+    }
+  }
+
+  // Partial bars currently being built, for debugging / the UI
+  getOpenBars(symbol) {
+    return [...this.bars.entries()]
+      .filter(([k]) => !symbol || k.startsWith(`${symbol}|`))
+      .map(([k, b]) => ({ symbol: k.split("|")[0], resolution: k.split("|")[1], ...b }));
+  }
+
+  stop() { clearInterval(this.timer); }
+
+  /* ---------------- internals ---------------------------------- */
+  // Session-aligned [start, end) for a timestamp, or null outside the normal session
+  #bucket(symbol, ts, resMin) {
+    const cal     = this.calendarFor(symbol);
+    const session = cal.sessionsOn(cal.dateOf(ts))?.normal;
+    if (!session || ts < session.start || ts >= session.end) return null;
+
+    const start = session.start + Math.floor((ts - session.start) / (resMin * 60)) * resMin * 60;
+    return { start, end: Math.min(start + resMin * 60, session.end) };
+  }
+
+  #volumeDelta(symbol, ts, cumVol) {
+    if (!Number.isFinite(cumVol)) return 0;
+    const day  = this.calendarFor(symbol).dateOf(ts);
+    const prev = this.lastVol.get(symbol);
+    this.lastVol.set(symbol, { day, vol: cumVol });
+    if (!prev || prev.day !== day) return 0;
+    return Math.max(0, cumVol - prev.vol);
+  }
+
+  #closeBar(symbol, res, bar) {
+    const key = `${symbol}|${res}`;
+    this.bars.delete(key);
+    this.closed.set(key, bar.start);
+    const candle = [bar.start, bar.o, bar.h, bar.l, bar.c, bar.v];
+    // Listeners read the bar's SMAs back from the store, so emit only once it's written
+    return this.store.storeCandles(symbol, res, [candle]).then(
+      () => this.emit("barClose", { symbol, resolution: res, candle }),
+      err => console.error(`⚠️ storing ${res}m bar for ${symbol} failed:`, err.message));
+  }
+}
+
+module.exports = BarAggregator;
@@ -0,0 +1,125 @@
+/* ------------------------------------------------------------------ */
+/*  blackScholes.js – European option price, Greeks and implied vol    */
+/* ------------------------------------------------------------------ */
+// Pure functions, no I/O – optionChain.js feeds them live quotes, the tests
+// fixed inputs. Conventions:
+//
+//   S spot, K strike, T years to expiry, r risk-free rate and q dividend
+//   yield (both continuous, 0.065 = 6.5%), sigma volatility (0.2 = 20%)
+//   type "CE" (call) or "PE" (put)
+//
+// theta is per calendar day and vega per 1 volatility point (sigma + 0.01),
+// the way option chains quote them.
+
+const DAYS_PER_YEAR = 365;
+const IV_MIN = 1e-4, IV_MAX = 5;          // 0.01% … 500%
+const IV_TOL = 1e-7, IV_ITER = 100;
+
+// Standard normal density / cumulative distribution (Hart's double-precision
+// algorithm as given by West, 2005 – accurate to ~1e-14, which deep in- or
+// out-of-the-money IVs on index-sized strikes need)
+const normPdf = x => Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+function normCdf(x) {
+  const z = Math.abs(x);
+  let tail = 0;
+  if (z <= 37) {
+    const e = Math.exp(-z * z / 2);
+    if (z < 7.07106781186547) {
+      const n = ((((((0.0352624965998911 * z + 0.700383064443688) * z + 6.37396220353165) * z
+                + 33.912866078383) * z + 112.079291497871) * z + 221.213596169931) * z + 220.206867912376);
+      const d = (((((((0.0883883476483184 * z + 1.75566716318264) * z + 16.064177579207) * z
+                + 86.7807322029461) * z + 296.564248779674) * z + 637.333633378831) * z
+                + 793.826512519948) * z + 440.413735824752);
+      tail = e * n / d;
+    } else {
+      const f = z + 1 / (z + 2 / (z + 3 / (z + 4 / (z + 0.65))));
+      tail = e / f / 2.506628274631;
+    }
+  }
+  return x > 0 ? 1 - tail : tail;
+}
+
+const isCall = type => {
+  const t = String(type).toUpperCase();
+  if (t !== "CE" && t !== "PE") throw new Error(`Option type must be CE or PE, got ${type}`);
+  return t === "CE";
+};
+
+function d1d2(S, K, T, r, q, sigma) {
+  const vt = sigma * Math.sqrt(T);
+  const d1 = (Math.log(S / K) + (r - q + sigma * sigma / 2) * T) / vt;
+  return [d1, d1 - vt];
+}
+
+// Option value; at or past expiry (T ≤ 0) or with zero vol it is the
+// discounted intrinsic value
+function price(type, S, K, T, r = 0, sigma, q = 0) {
+  const call = isCall(type);
+  if (T <= 0 || sigma <= 0) {
+    const fwd = S * Math.exp(-q * Math.max(T, 0)), pv = K * Math.exp(-r * Math.max(T, 0));
+    return Math.max(0, call ? fwd - pv : pv - fwd);
+  }
+  const [d1, d2] = d1d2(S, K, T, r, q, sigma);
+  const dq = Math.exp(-q * T), dr = Math.exp(-r * T);
+  return call
+    ? S * dq * normCdf(d1) - K * dr * normCdf(d2)
+    : K * dr * normCdf(-d2) - S * dq * normCdf(-d1);
+}
+
+// { delta, gamma, theta (per day), vega (per vol point), rho (per rate point) }
+function greeks(type, S, K, T, r = 0, sigma, q = 0) {
+  const call = isCall(type);
+  if (!(T > 0) || !(sigma > 0)) return null;
+  const [d1, d2] = d1d2(S, K, T, r, q, sigma);
+  const dq = Math.exp(-q * T), dr = Math.exp(-r * T);
+  const sqrtT = Math.sqrt(T);
+
+  const gamma = dq * normPdf(d1) / (S * sigma * sqrtT);
+  const vega  = S * dq * normPdf(d1) * sqrtT;
+  const decay = -S * dq * normPdf(d1) * sigma / (2 * sqrtT);
+  const theta = call
+    ? decay - r * K * dr * normCdf(d2) + q * S * dq * normCdf(d1)
+    : decay + r * K * dr * normCdf(-d2) - q * S * dq * normCdf(-d1);
+
+  return {
+    delta: call ? dq * normCdf(d1) : dq * (normCdf(d1) - 1),
+    gamma,
+    theta: theta / DAYS_PER_YEAR,
+    vega : vega / 100,
+    rho  : (call ? K * T * dr * normCdf(d2) : -K * T * dr * normCdf(-d2)) / 100
+  };
+}
+
+// Volatility that reproduces `premium`: Newton steps, bisection when Newton
+// leaves the bracket. null when the premium is outside the no-arbitrage
+// bounds or the option has expired.
+function impliedVol(type, premium, S, K, T, r = 0, q = 0) {
+  const call = isCall(type);
+  if (!(premium > 0) || !(T > 0) || !(S > 0) || !(K > 0)) return null;
+
+  const lower = price(type, S, K, T, r, 0, q);
+  const upper = call ? S * Math.exp(-q * T) : K * Math.exp(-r * T);
+  if (premium < lower - IV_TOL || premium >= upper) return null;
+
+  let lo = IV_MIN, hi = IV_MAX, sigma = 0.3;
+  for (let i = 0; i < IV_ITER; i++) {
+    const diff = price(type, S, K, T, r, sigma, q) - premium;
+    if (Math.abs(diff) < IV_TOL) return sigma;
+    if (diff > 0) hi = sigma; else lo = sigma;
+
+    const vega = S * Math.exp(-q * T) * normPdf(d1d2(S, K, T, r, q, sigma)[0]) * Math.sqrt(T);
+    const next = vega > 1e-12 ? sigma - diff / vega : NaN;
+    sigma = next > lo && next < hi ? next : (lo + hi) / 2;
+    if (hi - lo < IV_TOL) return sigma;
+  }
+  return sigma;
+}
+
+module.exports = {
+  DAYS_PER_YEAR,
+  normPdf,
+  normCdf,
+  price,
+  greeks,
+  impliedVol
+};
@@ -2,73 +2,23 @@
 const Database = require("better-sqlite3");
 const fs       = require("fs");
 const path     = require("path");
-const moment   = require("moment");
+const { ist, toUnix, timestampKey } = require("./exchangeTime");
+const Migrator = require("./migrator");
+const { normalizeResolution, SMA_PERIODS, MAX_PERIOD } = require("./storage/candleStore");
 
-// Helper function to normalize resolution format to match Fyers API
-function normalizeResolution(res) {
-  // Convert the resolution to string and uppercase
-  let r = String(res).toUpperCase().trim();
-  
-  // Handle minute format: "1M" -> "1", "5M" -> "5"
-  if (/^\d+M$/i.test(r)) {
-    return r.slice(0, -1); // Remove the 'M'
-  }
-  
-  // Handle hour format: "1H" -> "60", "2H" -> "120"
-  if (/^\d+H$/i.test(r)) {
-    return String(parseInt(r) * 60); // Convert hours to minutes
-  }
-  
-  // Handle day format: "1D" -> "D"
-  if (r === "1D") {
-    return "D";
-  }
-  
-  return r;
-}
+const DEFAULT_PATH = path.resolve(__dirname, "../data/candles.sqlite");
 
 class CandleDB {
-  constructor() {
-    const dbPath = path.resolve(__dirname, "../data/candles.sqlite");
-    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  constructor(dbPath = process.env.CANDLE_DB_PATH || DEFAULT_PATH) {
+    if (dbPath !== ":memory:") fs.mkdirSync(path.dirname(dbPath), { recursive: true });
 
     this.db = new Database(dbPath);
     this.db.pragma("journal_mode = WAL");
     this.db.pragma("busy_timeout = 30000");          // wait up to 30 s for locks
 
-    // Create main candles table
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS candles (
-        symbol          TEXT NOT NULL,
-        resolution      TEXT NOT NULL,
-        timestamp       TEXT NOT NULL,     -- Changed to TEXT for human-readable format
-        unix_timestamp  INTEGER,          -- Added for original Unix timestamp
-        open            REAL,
-        high            REAL,
-        low             REAL,
-        close           REAL,
-        volume          REAL,
-        sma20           REAL,
-        sma50           REAL,
-        sma200          REAL,
-        PRIMARY KEY (symbol, resolution, timestamp)
-      );
-      CREATE INDEX IF NOT EXISTS idx_candles_symbol_res_time
-        ON candles(symbol, resolution, timestamp);
-      CREATE INDEX IF NOT EXISTS idx_candles_symbol_res_unix
-        ON candles(symbol, resolution, unix_timestamp);
-    `);
-    
-    // Check if the unix_timestamp column exists, add it if it doesn't
-    // This handles migration for existing databases
-    const columns = this.db.prepare("PRAGMA table_info(candles)").all();
-    if (!columns.some(col => col.name === 'unix_timestamp')) {
-      console.log("Adding unix_timestamp column to candles table...");
-      this.db.exec("ALTER TABLE candles ADD COLUMN unix_timestamp INTEGER;");
-    }
-    
-    // Create views for each specific resolution
-    this.createResolutionViews();
+    // Tables, indexes and views come from src/migrations/candles
+    this.migrator = new Migrator(this.db);
+    this.migrator.migrate();
 
     this._insert = this.db.prepare(`
       INSERT OR REPLACE INTO candles
@@ -77,6 +27,28 @@ class CandleDB {
       VALUES (@symbol, @resolution, @timestamp, @unix_timestamp, @open, @high, @low,
               @close, @volume, @sma20, @sma50, @sma200)
     `);
+
+    // Incremental SMA maintenance (see _recalcSMA)
+    this._priorCsums = this.db.prepare(`
+      SELECT close_csum FROM candles
+      WHERE symbol = ? AND resolution = ? AND unix_timestamp < ?
+      ORDER BY unix_timestamp DESC
+      LIMIT ${MAX_PERIOD}
+    `);
+    this._tailRows = this.db.prepare(`
+      SELECT rowid, close FROM candles
+      WHERE symbol = ? AND resolution = ? AND unix_timestamp >= ?
+      ORDER BY unix_timestamp ASC
+    `);
+    this._dropIndicators = this.db.prepare(`
+      DELETE FROM indicators WHERE symbol = ? AND resolution = ? AND ts >= ?
+    `);
+    this._newestTs = this.db.prepare(`
+      SELECT MAX(unix_timestamp) FROM candles WHERE symbol = ? AND resolution = ?
+    `).pluck();
+    this._updSMA = this.db.prepare(`
+      UPDATE candles SET sma20 = ?, sma50 = ?, sma200 = ?, close_csum = ? WHERE rowid = ?
+    `);
     
     // Prepare statements for querying SMA values
     this._getSMAsByResolution = {};
@@ -110,90 +82,6 @@ class CandleDB {
       }
     }
   }
-  
-  // Create SQLite views for each resolution to make SMA queries efficient
-  createResolutionViews() {
-    try {
-      // Check if the candles table exists and has data
-      const tableExists = this.db.prepare(
-        "SELECT name FROM sqlite_master WHERE type='table' AND name='candles'"
-      ).get();
-      
-      if (!tableExists) {
-        console.warn("Candles table doesn't exist yet, skipping view creation");
-        return;
-      }
-      
-      // Define the key resolutions we want to create views for
-      const resolutions = [
-        { name: 'view_sma_1', resolution: '1' },      // 1-minute
-        { name: 'view_sma_5', resolution: '5' },      // 5-minute
-        { name: 'view_sma_60', resolution: '60' },    // 60-minute (1-hour)
-        { name: 'view_sma_120', resolution: '120' },  // 120-minute (2-hour)
-        { name: 'view_sma_D', resolution: 'D' }       // Daily
-      ];
-      
-      // Create or replace each view
-      for (const { name, resolution } of resolutions) {
-        try {
-          // Drop existing view if it exists
-          this.db.exec(`DROP VIEW IF EXISTS ${name}`);
-          
-          // Create view for this resolution
-          this.db.exec(`
-            CREATE VIEW ${name} AS
-            SELECT 
-              symbol, 
-              unix_timestamp,
-              timestamp,
-              open, high, low, close, volume,
-              sma20, sma50, sma200
-            FROM candles
-            WHERE resolution = '${resolution}'
-          `);
-          
-          console.log(`Created view: ${name} for resolution '${resolution}'`);
-        } catch (viewErr) {
-          console.error(`Error creating view ${name}: ${viewErr.message}`);
-        }
-      }
-      
-      // Create a unified view with latest SMA values for all symbols and resolutions
-      try {
-        this.db.exec(`DROP VIEW IF EXISTS view_latest_sma;`);
-        
-        this.db.exec(`
-          CREATE VIEW view_latest_sma AS
-          WITH latest_timestamps AS (
-            SELECT 
-              symbol, 
-              resolution, 
-              MAX(unix_timestamp) AS latest_timestamp
-            FROM candles
-            GROUP BY symbol, resolution
-          )
-          SELECT 
-            c.symbol, 
-            c.resolution,
-            c.timestamp,
-            c.unix_timestamp,
-            c.sma20, c.sma50, c.sma200
-          FROM candles c
-          JOIN latest_timestamps lt 
-            ON c.symbol = lt.symbol 
-            AND c.resolution = lt.resolution 
-            AND c.unix_timestamp = lt.latest_timestamp
-          WHERE c.sma20 IS NOT NULL AND c.sma50 IS NOT NULL AND c.sma200 IS NOT NULL
-        `);
-        
-        console.log('Created view: view_latest_sma');
-      } catch (unifiedViewErr) {
-        console.error(`Error creating unified view: ${unifiedViewErr.message}`);
-      }
-    } catch (err) {
-      console.error(`Error creating resolution views: ${err.message}`);
-    }
-  }
 
   // Get all SMA values for all key timeframes in a single call (most efficient)
   getAllTimeframeSMAs(symbol) {
@@ -284,7 +172,10 @@ class CandleDB {
 
   /* ---------- public API ---------------------------------------- */
 
-  storeCandles(symbol, resolution, candlesArr) {
+  // opts.refresh = false skips the SMA / indicator refresh, for bulk imports
+  // that call refreshSeries once at the end. Returns the number of candles
+  // stored; a failed insert is logged and rethrown (nothing is stored then).
+  storeCandles(symbol, resolution, candlesArr, opts = {}) {
     // Normalize the resolution format to match Fyers API standards
     const normalizedResolution = normalizeResolution(resolution);
     
@@ -292,39 +183,17 @@ class CandleDB {
     
     if (!candlesArr || candlesArr.length === 0) {
       console.warn(`No candles to store for ${symbol} @ ${normalizedResolution}`);
-      return;
+      return 0;
     }
     
     // Log sample candle for debugging
     const sampleCandle = candlesArr[0];
-    console.log(`Sample candle: timestamp=${sampleCandle[0]}, unix time=${moment.unix(sampleCandle[0]).format('YYYY-MM-DD HH:mm:ss')}`);
+    console.log(`Sample candle: timestamp=${sampleCandle[0]}, IST=${ist(sampleCandle[0]).format('YYYY-MM-DD HH:mm:ss')}`);
     
     const rows = candlesArr.map(c => {
-      // Format timestamp based on resolution
-      let formattedTimestamp;
-      
-      // Check if resolution is intraday (numeric) or daily/weekly/monthly
-      if (['D', 'W', 'M'].includes(normalizedResolution)) {
-        // For daily+ candles, use only date
-        formattedTimestamp = moment.unix(c[0]).format('YYYY-MM-DD');
-      } else {
-        // For intraday candles (minutes), use date+time to avoid duplicates
-        const m = moment.unix(c[0]);
-        // Create a unique identifier by combining date with hour and minute
-        // Minute-level resolution requires full precision
-        if (parseInt(normalizedResolution) < 60) {
-          formattedTimestamp = `${m.format('YYYY-MM-DD')}_${m.format('HH:mm')}`;
-        } 
-        // Hour-level resolution requires hour precision
-        else if (parseInt(normalizedResolution) < 1440) {
-          formattedTimestamp = `${m.format('YYYY-MM-DD')}_${m.format('HH')}h`;
-        }
-        // Fallback for any other intraday resolution
-        else {
-          formattedTimestamp = `${m.format('YYYY-MM-DD')}_${normalizedResolution}`;
-        }
-      }
-      
+      // Date for daily+ candles, date + time for intraday ones (see timestampKey)
+      const formattedTimestamp = timestampKey(c[0], normalizedResolution);
+
       return {
         symbol,
         resolution: normalizedResolution, // Store normalized resolution
@@ -345,10 +214,23 @@ class CandleDB {
       const trx = this.db.transaction(arr => arr.forEach(r => this._insert.run(r)));
       trx(rows);
       console.log(`Successfully stored ${rows.length} candles for ${symbol} @ ${normalizedResolution}`);
-      this._recalcSMA(symbol, normalizedResolution);
+      if (opts.refresh ?? true)
+        this.refreshSeries(symbol, normalizedResolution, rows.reduce((m, r) => Math.min(m, r.unix_timestamp), Infinity));
     } catch (err) {
       console.error(`Error storing candles for ${symbol} @ ${normalizedResolution}: ${err.message}`);
+      throw err;
     }
+    return rows.length;
+  }
+
+  // SMAs and indicators of a series after its candles changed from `fromUnix` on
+  refreshSeries(symbol, resolution, fromUnix) {
+    const normalizedResolution = normalizeResolution(resolution);
+    this._recalcSMA(symbol, normalizedResolution, fromUnix);
+    // Indicator values from the first changed candle on are stale now – unless
+    // only the newest candle changed, which indicatorStore recomputes anyway
+    if (fromUnix < (this._newestTs.get(symbol, normalizedResolution) ?? -Infinity))
+      this._dropIndicators.run(symbol, normalizedResolution, fromUnix);
   }
 
   getCandles(symbol, resolution, fromTS, toTS) {
@@ -356,17 +238,13 @@ class CandleDB {
     const normalizedResolution = normalizeResolution(resolution);
     
     // Format timestamps based on Unix timestamps and resolution
-    const fromMoment = typeof fromTS === 'number' ? moment.unix(fromTS) : moment(fromTS);
-    const toMoment = typeof toTS === 'number' ? moment.unix(toTS) : moment(toTS);
-    
     // Use unix_timestamp for the query instead of formatted timestamp
-    // This is more accurate and avoids issues with different timestamp formats
+    // This is more accurate and avoids issues with different timestamp formats;
+    // date strings are read as exchange time
+    const fromUnix = toUnix(fromTS);
+    const toUnixTs = toUnix(toTS);
     
-    // Convert moment objects to Unix timestamps for consistent comparison
-    const fromUnix = fromMoment.unix();
-    const toUnix = toMoment.unix();
-    
-    console.log(`Fetching candles for ${symbol} @ ${resolution} (normalized to ${normalizedResolution}) from ${fromMoment.format('YYYY-MM-DD HH:mm')} to ${toMoment.format('YYYY-MM-DD HH:mm')}`);
+    console.log(`Fetching candles for ${symbol} @ ${resolution} (normalized to ${normalizedResolution}) from ${ist(fromUnix).format('YYYY-MM-DD HH:mm')} to ${ist(toUnixTs).format('YYYY-MM-DD HH:mm')}`);
     
     const results = this.db.prepare(`
       SELECT unix_timestamp, open, high, low, close, volume
@@ -374,31 +252,39 @@ class CandleDB {
       WHERE symbol = ? AND resolution = ?
         AND unix_timestamp BETWEEN ? AND ?
       ORDER BY unix_timestamp ASC
-    `).all(symbol, normalizedResolution, fromUnix, toUnix)
+    `).all(symbol, normalizedResolution, fromUnix, toUnixTs)
       .map(r => [r.unix_timestamp, r.open, r.high, r.low, r.close, r.volume]);
     
     console.log(`Found ${results.length} candles in database for ${symbol} @ ${normalizedResolution}`);
     return results;
   }
 
+  // One page of candles after `afterTs` (exclusive) up to `toTs`, as row
+  // objects – used to stream long ranges without holding them in memory or
+  // keeping a statement open across awaits
+  pageCandles(symbol, resolution, afterTs, toTs, limit = 5000, withSMA = false) {
+    const normalizedResolution = normalizeResolution(resolution);
+    const cols = withSMA ? ", sma20, sma50, sma200" : "";
+    return this.db.prepare(`
+      SELECT unix_timestamp AS ts, open, high, low, close, volume${cols}
+      FROM candles
+      WHERE symbol = ? AND resolution = ?
+        AND unix_timestamp > ? AND unix_timestamp <= ?
+      ORDER BY unix_timestamp ASC
+      LIMIT ?
+    `).all(symbol, normalizedResolution, afterTs, toTs, limit);
+  }
+
   countCandles(symbol, resolution, fromTS, toTS) {
     // Normalize the resolution format to match Fyers API standards
     const normalizedResolution = normalizeResolution(resolution);
     
-    // Format timestamps based on Unix timestamps for consistency
-    const fromMoment = typeof fromTS === 'number' ? moment.unix(fromTS) : moment(fromTS);
-    const toMoment = typeof toTS === 'number' ? moment.unix(toTS) : moment(toTS);
-    
-    // Convert moment objects to Unix timestamps for consistent comparison
-    const fromUnix = fromMoment.unix();
-    const toUnix = toMoment.unix();
-    
     return this.db.prepare(`
       SELECT COUNT(*) AS n
       FROM candles
       WHERE symbol = ? AND resolution = ?
         AND unix_timestamp BETWEEN ? AND ?
-    `).get(symbol, normalizedResolution, fromUnix, toUnix).n;
+    `).get(symbol, normalizedResolution, toUnix(fromTS), toUnix(toTS)).n;
   }
 
   getCachedSMA(symbol, resolution, period) {
@@ -415,7 +301,7 @@ class CandleDB {
       SELECT ${column} as value
       FROM candles
       WHERE symbol = ? AND resolution = ? AND ${column} IS NOT NULL
-      ORDER BY timestamp DESC
+      ORDER BY unix_timestamp DESC
       LIMIT 1
     `).get(symbol, normalizedResolution);
 
@@ -518,7 +404,7 @@ class CandleDB {
     const updateSMA = this.db.prepare(`
       UPDATE candles
       SET ${column} = ?
-      WHERE symbol = ? AND resolution = ? AND timestamp = ?
+      WHERE symbol = ? AND resolution = ? AND unix_timestamp = ?
     `);
     
     // Store candles first
@@ -527,25 +413,8 @@ class CandleDB {
     // Update SMA values for each candle
     const trx = this.db.transaction(() => {
       for (let i = period - 1; i < candles.length; i++) {
-        const unixTimestamp = candles[i][0];
-        const m = moment.unix(unixTimestamp);
-        let formattedTimestamp;
-        
-        // Format timestamp based on resolution, same logic as in storeCandles
-        if (['D', 'W', 'M'].includes(normalizedResolution)) {
-          formattedTimestamp = m.format('YYYY-MM-DD');
-        } else {
-          if (parseInt(normalizedResolution) < 60) {
-            formattedTimestamp = `${m.format('YYYY-MM-DD')}_${m.format('HH:mm')}`;
-          } else if (parseInt(normalizedResolution) < 1440) {
-            formattedTimestamp = `${m.format('YYYY-MM-DD')}_${m.format('HH')}h`;
-          } else {
-            formattedTimestamp = `${m.format('YYYY-MM-DD')}_${normalizedResolution}`;
-          }
-        }
-        
         const smaValue = smaValues[i - (period - 1)];
-        updateSMA.run(smaValue, symbol, normalizedResolution, formattedTimestamp);
+        updateSMA.run(smaValue, symbol, normalizedResolution, candles[i][0]);
       }
     });
     
@@ -574,7 +443,47 @@ class CandleDB {
 
   /* ---------- internal helpers --------------------------------- */
 
-  _recalcSMA(symbol, resolution) {
+  // Recompute SMAs from `fromUnix` onwards. Only the rows at or after the
+  // first changed candle are touched: each SMA is a difference of two running
+  // sums, so the 200 close_csum values before `fromUnix` are all that is
+  // needed. Falls back to the full recompute when those sums are missing.
+  _recalcSMA(symbol, resolution, fromUnix = null) {
+    const normalizedResolution = normalizeResolution(resolution);
+    if (fromUnix === null || fromUnix === undefined || !Number.isFinite(fromUnix))
+      return this._recalcSMAFull(symbol, normalizedResolution);
+
+    const prior = this._priorCsums.all(symbol, normalizedResolution, fromUnix).reverse();
+    if (prior.some(r => r.close_csum === null))
+      return this._recalcSMAFull(symbol, normalizedResolution);
+
+    try {
+      const trx = this.db.transaction(() => {
+        // csums[i] = running sum through row i of this window; when fewer than
+        // MAX_PERIOD rows precede `fromUnix` the window starts at the first row
+        const csums = prior.map(r => r.close_csum);
+        const sma = (i, n) => {
+          if (i - n < -1) return null;                     // not enough candles yet
+          return (csums[i] - (i - n >= 0 ? csums[i - n] : 0)) / n;
+        };
+
+        let rows = 0;
+        for (const { rowid, close } of this._tailRows.all(symbol, normalizedResolution, fromUnix)) {
+          csums.push((csums.at(-1) ?? 0) + close);
+          const i = csums.length - 1;
+          this._updSMA.run(...SMA_PERIODS.map(n => sma(i, n)), csums[i], rowid);
+          rows++;
+        }
+        return rows;
+      });
+      const n = trx();
+      console.log(`Updated SMAs for ${symbol} @ ${normalizedResolution}: ${n} trailing candles`);
+    } catch (err) {
+      console.error(`Error updating SMAs for ${symbol} @ ${normalizedResolution}: ${err.message}`);
+    }
+  }
+
+  // Full recompute of every candle of a symbol/resolution (also rebuilds close_csum)
+  _recalcSMAFull(symbol, resolution) {
     // Resolution is already normalized when called from other methods
     // No need to normalize it again, just double-check that it's properly formatted
     const normalizedResolution = normalizeResolution(resolution);
@@ -585,10 +494,10 @@ class CandleDB {
     console.log(`Recalculating SMAs for ${symbol} @ ${normalizedResolution}`);
     
     const rows = this.db.prepare(`
-      SELECT timestamp, close
+      SELECT rowid, close
       FROM candles
       WHERE symbol = ? AND resolution = ?
-      ORDER BY timestamp ASC
+      ORDER BY unix_timestamp ASC
     `).all(symbol, normalizedResolution);
 
     if (!rows.length) {
@@ -597,26 +506,22 @@ class CandleDB {
     }
 
     const buf20 = [], buf50 = [], buf200 = [];
-    const upd   = this.db.prepare(`
-      UPDATE candles
-      SET sma20  = ?, sma50 = ?, sma200 = ?
-      WHERE symbol = ? AND resolution = ? AND timestamp = ?
-    `);
+    let csum = 0;
     const avg = arr => arr.reduce((s, x) => s + x, 0) / arr.length;
 
     try {
       const trx = this.db.transaction(() => {
-        rows.forEach(({ timestamp, close }) => {
+        rows.forEach(({ rowid, close }) => {
           buf20.push(close);   if (buf20.length  >  20) buf20.shift();
           buf50.push(close);   if (buf50.length  >  50) buf50.shift();
           buf200.push(close);  if (buf200.length > 200) buf200.shift();
   
-          // The timestamp is already in the correctly formatted string
-          upd.run(
+          csum += close;
+          this._updSMA.run(
             buf20.length  ===  20 ? avg(buf20)  : null,
             buf50.length  ===  50 ? avg(buf50)  : null,
             buf200.length === 200 ? avg(buf200) : null,
-            symbol, normalizedResolution, timestamp
+            csum, rowid
           );
         });
       });
@@ -629,3 +534,5 @@ class CandleDB {
 }
 
 module.exports = new CandleDB();
+module.exports.CandleDB = CandleDB;
+module.exports.timestampKey = timestampKey;
@@ -0,0 +1,101 @@
+/* ------------------------------------------------------------------ */
+/*  candleExport.js – stream stored candles as JSON / CSV / NDJSON     */
+/* ------------------------------------------------------------------ */
+// Candles are read from the candle store (storage/index.js) a page at a
+// time (keyset on ts) and written to any Writable, waiting for "drain" so a
+// multi-year 1-minute range never sits in memory. The zip export feeds one
+// CSV per symbol × resolution through archiver, which pulls the entries
+// one after the other.
+
+const { Readable } = require("stream");
+const { once }     = require("events");
+const { ist, toUnix } = require("./exchangeTime");
+const archiver     = require("archiver");
+const candleStore  = require("./storage");
+
+const FORMATS  = {
+  json  : "application/json; charset=utf-8",
+  csv   : "text/csv; charset=utf-8",
+  ndjson: "application/x-ndjson; charset=utf-8"
+};
+const PAGE     = 5_000;
+const COLUMNS  = ["ts", "time", "open", "high", "low", "close", "volume"];
+const SMA_COLS = ["sma20", "sma50", "sma200"];
+
+// unix seconds, "YYYY-MM-DD" or "YYYY-MM-DD HH:mm" (exchange time) → unix seconds (NaN if invalid)
+function parseTime(v, fallback) {
+  if (v === undefined || v === null || v === "") return fallback;
+  return toUnix(String(v));
+}
+
+// Validated { from, to } with a 30-day default window ending now
+function parseRange(from, to) {
+  const end   = parseTime(to, ist().unix());
+  const start = parseTime(from, end - 30 * 86_400);
+  if (Number.isNaN(start) || Number.isNaN(end)) throw new Error("from/to must be unix seconds or YYYY-MM-DD");
+  if (start > end) throw new Error("from must be before to");
+  return { from: start, to: end };
+}
+
+// Async generator of candle rows ({ ts, time, open, …[, sma20, sma50, sma200] })
+async function* rows(symbol, resolution, { from, to, sma = false, store = candleStore } = {}) {
+  let after = from - 1;
+  for (;;) {
+    const page = await store.pageCandles(symbol, resolution, after, to, { limit: PAGE, sma });
+    for (const r of page) yield { ts: r.ts, time: ist(r.ts).format("YYYY-MM-DD HH:mm:ss"), ...r };
+    if (page.length < PAGE) return;
+    after = page[page.length - 1].ts;
+  }
+}
+
+const csvLine = (r, cols) => cols.map(c => (r[c] ?? "")).join(",") + "\n";
+
+// Async generator of text chunks in the requested format
+async function* encode(format, source, { sma = false, meta = {} } = {}) {
+  const cols = sma ? [...COLUMNS, ...SMA_COLS] : COLUMNS;
+  if (format === "csv") {
+    yield cols.join(",") + "\n";
+    for await (const r of source) yield csvLine(r, cols);
+  } else if (format === "ndjson") {
+    for await (const r of source) yield JSON.stringify(r) + "\n";
+  } else {
+    yield JSON.stringify({ success: true, ...meta }).slice(0, -1) + ',"candles":[';
+    let first = true;
+    for await (const r of source) { yield (first ? "" : ",") + JSON.stringify(r); first = false; }
+    yield "]}\n";
+  }
+}
+
+// Writes one symbol's range to `out`, honouring backpressure. Returns the row count.
+async function streamCandles(out, { symbol, resolution = "D", from, to, format = "json", sma = false, store } = {}) {
+  if (!FORMATS[format]) throw new Error(`format must be one of ${Object.keys(FORMATS).join(", ")}`);
+  let count = 0;
+  const source = (async function* () {
+    for await (const r of rows(symbol, resolution, { from, to, sma, store })) { count++; yield r; }
+  })();
+  const meta = { symbol, resolution: String(resolution).toUpperCase(), from, to };
+  for await (const chunk of encode(format, source, { sma, meta })) {
+    if (out.destroyed) break;                               // client went away
+    if (!out.write(chunk)) await Promise.race([once(out, "drain"), once(out, "close")]);
+  }
+  return count;
+}
+
+// Zip of `SYMBOL_RES.csv` entries for every symbol × resolution, piped to `out`
+async function exportZip(out, { symbols, resolutions, from, to, sma = false, store } = {}) {
+  const zip = archiver("zip", { zlib: { level: 6 } });
+  zip.on("warning", err => console.warn("⚠️ zip:", err.message));
+  zip.pipe(out);
+
+  for (const symbol of symbols) {
+    for (const res of resolutions) {
+      const name = `${symbol.replace(/[^\w-]+/g, "_")}_${String(res).toUpperCase()}.csv`;
+      const csv  = encode("csv", rows(symbol, res, { from, to, sma, store }), { sma });
+      zip.append(Readable.from(csv), { name });
+    }
+  }
+  await zip.finalize();                                   // resolves once every entry is written
+  return { files: symbols.length * resolutions.length, bytes: zip.pointer() };
+}
+
+module.exports = { FORMATS, parseTime, parseRange, rows, streamCandles, exportZip };
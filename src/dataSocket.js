@@ -1,22 +1,37 @@
 // dataSocket.js
-const { fyersDataSocket } = require("fyers-api-v3");
+const { fyersDataSocket } = require("./fyersApi");
 const { EventEmitter } = require("events");
+const fs = require("fs");
 const WebSocket = require('ws');
+const instruments = require("./instruments");
 
-// Nifty 50 symbols
+// Default universe – seeds the "default" watchlist on first run (see watchlists.js)
 const nifty50Symbols = [
 "NSE:MOGSEC-EQ","NSE:NH-EQ","NSE:TATVA-EQ","NSE:POLYMED-EQ","NSE:RRKABEL-EQ","NSE:PAYTM-EQ","NSE:KPRMILL-EQ","NSE:APARINDS-EQ","NSE:ORICONENT-EQ","NSE:SHYAMMETL-EQ","NSE:KRISHANA-EQ"
 ];
 
 
 class DataSocket extends EventEmitter {
-  constructor(accessToken) {
+  constructor(accessToken, symbols = nifty50Symbols) {
     super();
     this.accessToken = accessToken;
     this.socket = null;
     this.connected = false;
-    this.symbols = [...nifty50Symbols]; 
+    this.symbols = [...symbols];
     this.lastMessageTime = {};
+    this.streams = new Map();   // subscribed contract → watchlist symbols (continuous futures differ)
+    // FYERS_RECORD_TICKS: append every tick as a JSON line the simulator can replay (FYERS_MOCK_TICKS)
+    this.recorder = process.env.FYERS_RECORD_TICKS
+      ? fs.createWriteStream(process.env.FYERS_RECORD_TICKS, { flags: "a" })
+      : null;
+  }
+
+  // Ticker to subscribe for a watchlist symbol: NSE:NIFTY-FUT → front-month contract
+  contractOf(symbol) {
+    const contract = instruments.resolve(symbol);
+    if (!this.streams.has(contract)) this.streams.set(contract, new Set());
+    this.streams.get(contract).add(symbol);
+    return contract;
   }
 
   async connect() {
@@ -29,8 +44,8 @@ class DataSocket extends EventEmitter {
       this.connected = true;
       this.emit("connect");
       
-      // Subscribe to all Nifty 50 symbols
-      this.subscribe(this.symbols);
+      // Subscribe to the active watchlist
+      this.socket.subscribe(this.symbols.map(s => this.contractOf(s)));
       this.socket.mode(this.socket.FullMode);
       
       // Enable auto-reconnect
@@ -56,16 +71,20 @@ class DataSocket extends EventEmitter {
         
         
         if (data && data.type === "sf") {
-          const symbol = data.symbol;
-          
-          // Update last message time
-          this.lastMessageTime[symbol] = Date.now();
-          
-          // Update entry time for the symbol
-          this.updateEntryTime(symbol, data);
-          
-          // Emit the message
-          this.emit("message", data);
+          this.recorder?.write(JSON.stringify({ ...data, recvAt: Date.now() }) + "\n");
+
+          // Ticks of a rolled-to contract go out under the continuous symbol too
+          const symbols = this.streams.get(data.symbol) ?? [data.symbol];
+          for (const symbol of symbols) {
+            // Update last message time
+            this.lastMessageTime[symbol] = Date.now();
+
+            // Update entry time for the symbol
+            this.updateEntryTime(symbol, data);
+
+            // Emit the message
+            this.emit("message", symbol === data.symbol ? data : { ...data, symbol, contract: data.symbol });
+          }
         }
       } catch (error) {
         console.error("Error processing message:", error);
@@ -76,7 +95,25 @@ class DataSocket extends EventEmitter {
     return this;
   }
 
+  // A new access token (refresh / login): drop the old connection and
+  // subscribe everything again on a fresh one; the recorder stays open
+  async reconnect(accessToken) {
+    const old = this.socket;
+    this.accessToken = accessToken;
+    this.socket = null;
+    this.connected = false;
+    this.streams.clear();
+    if (old) {
+      old.removeAllListeners?.();
+      try { old.close(); } catch (err) { console.warn("⚠️ closing the old data socket:", err.message); }
+    }
+    console.log("🔄 Reconnecting the data socket with the new token");
+    return this.connect();
+  }
+
   disconnect() {
+    this.recorder?.end();
+    this.recorder = null;
     if (this.connected && this.socket) {
       this.socket.close();
       this.connected = false;
@@ -84,20 +121,55 @@ class DataSocket extends EventEmitter {
     }
   }
 
+  // Adds to the current subscription; while disconnected the symbols are
+  // remembered and subscribed on the next connect
   subscribe(symbols) {
+    const fresh = symbols.filter(s => !this.symbols.includes(s));
+    this.symbols.push(...fresh);
+    if (!fresh.length) return;
+
     if (!this.connected || !this.socket) {
-      console.warn("⚠️ Cannot subscribe: socket not connected");
+      console.warn("⚠️ Socket not connected – subscription deferred");
       return;
     }
-    
-    // Update the symbols list
-    this.symbols = symbols;
-    
-    // Subscribe to the symbols
-    console.log(`📈 Subscribing to ${symbols.length} symbols`);
-    this.socket.subscribe(symbols);
+    console.log(`📈 Subscribing to ${fresh.length} symbols`);
+    this.socket.subscribe(fresh.map(s => this.contractOf(s)));
+  }
+
+  unsubscribe(symbols) {
+    const gone = symbols.filter(s => this.symbols.includes(s));
+    this.symbols = this.symbols.filter(s => !gone.includes(s));
+    gone.forEach(s => delete this.lastMessageTime[s]);
+
+    // Contracts no other watched symbol still needs
+    const contracts = [];
+    for (const [contract, watchers] of this.streams) {
+      gone.forEach(s => watchers.delete(s));
+      if (!watchers.size) { this.streams.delete(contract); contracts.push(contract); }
+    }
+    if (!contracts.length || !this.connected || !this.socket) return;
+
+    console.log(`📉 Unsubscribing from ${contracts.length} symbols`);
+    this.socket.unsubscribe(contracts);
   }
 
+  // A continuous future moved to the next contract (instruments "roll" event)
+  roll({ symbol, from, to }) {
+    if (!this.symbols.includes(symbol)) return;
+    const watchers = this.streams.get(from);
+    watchers?.delete(symbol);
+    const drop = watchers && !watchers.size;
+    if (drop) this.streams.delete(from);
+    this.contractOf(symbol);
+    if (!this.connected || !this.socket) return;
+
+    console.log(`🔁 Resubscribing ${symbol}: ${from} → ${to}`);
+    if (drop) this.socket.unsubscribe([from]);
+    this.socket.subscribe([to]);
+  }
+
+  getSymbols() { return [...this.symbols]; }
+
   getLastMessageTime(symbol) {
     return this.lastMessageTime[symbol] || 0;
   }
@@ -114,8 +186,8 @@ class DataSocket extends EventEmitter {
   }
 }
 
-async function connect(accessToken) {
-  const ds = new DataSocket(accessToken);
+async function connect(accessToken, symbols) {
+  const ds = new DataSocket(accessToken, symbols);
   await ds.connect();
   return ds;
 }
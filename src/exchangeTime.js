@@ -0,0 +1,61 @@
+/* ------------------------------------------------------------------ */
+/*  exchangeTime.js – every date / time-of-day in exchange time (IST)  */
+/* ------------------------------------------------------------------ */
+// Candle timestamps are unix seconds; anything that turns them into a date,
+// a time of day, a week or a month goes through here so the answer is the
+// same on a UTC server, a developer laptop and CI. Plain `moment()` uses the
+// host's zone and must not be used for that.
+
+const moment = require("moment-timezone");
+
+const TZ = "Asia/Kolkata";
+
+// moment in exchange time: from unix seconds, or now
+const ist = ts => (ts === undefined ? moment.tz(TZ) : moment.unix(ts).tz(TZ));
+
+// Parses a wall-clock string ("YYYY-MM-DD", "YYYY-MM-DD HH:mm", …) as exchange time
+const parse = (str, formats = ["YYYY-MM-DD HH:mm:ss", "YYYY-MM-DD HH:mm", "YYYY-MM-DD"], strict = true) =>
+  moment.tz(String(str), formats, strict, TZ);
+
+// Number → as is; Date / moment; "YYYY-MM-DD[ HH:mm[:ss]]" or ISO-8601 → unix seconds (NaN if invalid)
+function toUnix(v) {
+  if (typeof v === "number") return v;
+  if (v instanceof Date) return Math.floor(v.getTime() / 1000);
+  if (moment.isMoment(v)) return v.unix();
+  if (/^\d+$/.test(String(v))) return Number(v);
+  const m = parse(v, ["YYYY-MM-DD HH:mm:ss", "YYYY-MM-DD HH:mm", "YYYY-MM-DD", moment.ISO_8601]);
+  return m.isValid() ? m.unix() : NaN;
+}
+
+// Bucket of a timestamp for weekly / monthly roll-ups: ISO week ("2024-W01")
+// or month ("2024-01"); a week spanning New Year belongs to its ISO year
+const periodKey = (ts, mode) => (mode === "W" ? ist(ts).format("GGGG-[W]WW") : ist(ts).format("YYYY-MM"));
+
+// Exchange day number of a timestamp (days since 1970-01-01 IST) – a cheap
+// per-candle day boundary; IST has had a fixed +05:30 offset since 1945
+const IST_OFFSET = 330 * 60;
+const dayNumber  = ts => Math.floor((ts + IST_OFFSET) / 86_400);
+
+// The human-readable `timestamp` key of a candle (candles.sqlite):
+// "YYYY-MM-DD" for D/W/M, "YYYY-MM-DD_HH:mm" below an hour, "YYYY-MM-DD_HHh" up to a day
+function timestampKey(unix, resolution) {
+  const m = ist(unix);
+  if (["D", "W", "M"].includes(resolution)) return m.format("YYYY-MM-DD");
+  if (parseInt(resolution) < 60)   return `${m.format("YYYY-MM-DD")}_${m.format("HH:mm")}`;
+  if (parseInt(resolution) < 1440) return `${m.format("YYYY-MM-DD")}_${m.format("HH")}h`;
+  return `${m.format("YYYY-MM-DD")}_${resolution}`;
+}
+
+const dateKey = ts => ist(ts).format("YYYY-MM-DD");     // exchange date of a timestamp
+const today   = () => ist().format("YYYY-MM-DD");
+const nowUnix = () => Math.floor(Date.now() / 1000);
+
+// First moment after `ts` (unix seconds) the exchange clock reads "HH:mm"
+function nextAt(ts, hhmm) {
+  const [h, m] = String(hhmm).split(":").map(Number);
+  const t = ist(ts).hour(h).minute(m || 0).second(0).millisecond(0);
+  if (t.unix() <= ts) t.add(1, "day");
+  return t.unix();
+}
+
+module.exports = { moment, TZ, ist, parse, toUnix, periodKey, dayNumber, timestampKey, dateKey, today, nowUnix, nextAt };
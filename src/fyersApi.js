@@ -0,0 +1,46 @@
+/* ------------------------------------------------------------------ */
+/*  fyersApi.js – fyers-api-v3, or the local simulator (FYERS_MOCK)    */
+/* ------------------------------------------------------------------ */
+// Everything that talks to Fyers requires this instead of fyers-api-v3.
+// With FYERS_MOCK=true the simulator in src/simulator stands in for the
+// whole API – login, history, orders and both sockets – with no network.
+
+const path   = require("path");
+const crypto = require("crypto");
+const axios  = require("axios");
+const dotenv = require("dotenv");
+
+dotenv.config({ path: path.resolve(__dirname, "../.env") });
+
+const simulated = /^(1|true|yes)$/i.test(process.env.FYERS_MOCK || "");
+const api       = simulated ? require("./simulator") : require("fyers-api-v3");
+
+if (simulated) console.log("🧪 Fyers simulator enabled (FYERS_MOCK) – no live API calls");
+
+const REFRESH_URL = "https://api-t1.fyers.in/api/v3/validate-refresh-token";
+
+// The v3 refresh-token grant (fyers-api-v3 has no call for it): a new access
+// token for a refresh token + the account PIN. Resolves to the Fyers
+// response, { s: "ok", access_token } or { s: "error", code, message }.
+async function refreshAccessToken({ client_id, secret_key, refresh_token, pin }) {
+  const body = {
+    grant_type: "refresh_token",
+    appIdHash : crypto.createHash("sha256").update(`${client_id}:${secret_key}`).digest("hex"),
+    refresh_token,
+    pin       : String(pin ?? "")
+  };
+  if (simulated) return api.simulator.refresh(body);
+  try {
+    return (await axios.post(REFRESH_URL, body)).data;
+  } catch (err) {
+    return err.response?.data ?? { s: "error", code: -1, message: err.message };
+  }
+}
+
+module.exports = {
+  fyersModel      : api.fyersModel,
+  fyersDataSocket : api.fyersDataSocket,
+  fyersOrderSocket: api.fyersOrderSocket,
+  refreshAccessToken,
+  simulated
+};
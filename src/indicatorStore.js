@@ -0,0 +1,106 @@
+/* ------------------------------------------------------------------ */
+/*  indicatorStore.js – computed indicator series in candles.sqlite    */
+/* ------------------------------------------------------------------ */
+// Series are keyed by (symbol, resolution, indicator, params, ts) in the
+// `indicators` table of candles.sqlite; the candles come from the candle
+// store (storage/index.js). refresh() brings a series up to date: the first
+// time over the whole history, afterwards only the newest stored value (its
+// candle may have moved since – the live daily candle does on every tick)
+// and anything newer, computed from the candles after it plus the
+// indicator's warm-up (indicators.js). candleDB drops stored values when
+// candles before the newest one change, so those are recomputed as well.
+//
+// series() refreshes itself; latest() is synchronous for the rule engine
+// and reads what the last refresh() wrote (Strategy refreshes the series its
+// rule sets use before each analysis).
+
+const candleDB    = require("./candleDB");
+const candleStore = require("./storage");
+const { INDICATORS, resolveName, normalizeParams, paramKey, compute } = require("./indicators");
+const { normalizeResolution } = require("./storage/candleStore");
+
+class IndicatorStore {
+  constructor(db = candleDB, store = candleStore) {
+    this.candleDB = db;
+    this.db       = db.db;
+    this.store    = store;
+
+    this._lastValue = this.db.prepare(`
+      SELECT MAX(ts) AS ts FROM indicators WHERE symbol = ? AND resolution = ? AND indicator = ? AND params = ?
+    `);
+    this._insert = this.db.prepare(`
+      INSERT OR REPLACE INTO indicators (symbol, resolution, indicator, params, ts, value, outputs)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    this._latest = this.db.prepare(`
+      SELECT ts, outputs FROM indicators
+      WHERE symbol = ? AND resolution = ? AND indicator = ? AND params = ?
+      ORDER BY ts DESC LIMIT 1
+    `);
+  }
+
+  // Resolved name / params
+  #resolve(resolution, name, params) {
+    const id = resolveName(name);
+    const p  = normalizeParams(id, params);
+    return { id, params: p, key: paramKey(p), res: normalizeResolution(resolution ?? "D") };
+  }
+
+  // Brings the stored series up to date with the candle store
+  async refresh(symbol, resolution, name, params) {
+    const spec = this.#resolve(resolution, name, params);
+    const { id, params: p, key, res } = spec;
+
+    if (!(await this.store.getRecent(symbol, res, 1)).length) return spec;
+    const lastValue = this._lastValue.get(symbol, res, id, key).ts;
+    let candles;
+    if (lastValue === null) {
+      candles = await this.store.getCandles(symbol, res, 0, 2 ** 31);
+    } else {
+      const pending = await this.store.countCandles(symbol, res, lastValue, 2 ** 31);
+      candles = await this.store.getRecent(symbol, res, pending + INDICATORS[id].warmup(p));
+    }
+    const rows    = compute(id, candles, p).filter(r => lastValue === null || r.ts >= lastValue);
+    const primary = INDICATORS[id].outputs[0];
+    this.db.transaction(() => {
+      for (const r of rows) {
+        const { ts, ...outputs } = r;
+        this._insert.run(symbol, res, id, key, ts, outputs[primary], JSON.stringify(outputs));
+      }
+    })();
+    return spec;
+  }
+
+  // [{ ts, ...outputs }] between from/to (unix seconds), newest `limit` rows
+  async series(symbol, resolution, name, params, { from = 0, to = 2 ** 31, limit = 500 } = {}) {
+    const { id, params: p, key, res } = await this.refresh(symbol, resolution, name, params);
+    const rows = this.db.prepare(`
+      SELECT ts, outputs FROM indicators
+      WHERE symbol = ? AND resolution = ? AND indicator = ? AND params = ? AND ts BETWEEN ? AND ?
+      ORDER BY ts DESC LIMIT ?
+    `).all(symbol, res, id, key, from, to, limit).reverse();
+    return {
+      symbol,
+      resolution: res,
+      indicator : id,
+      params    : p,
+      outputs   : INDICATORS[id].outputs,
+      series    : rows.map(r => ({ ts: r.ts, ...JSON.parse(r.outputs) }))
+    };
+  }
+
+  // Newest stored { ts, ...outputs } or null – what strategy rules read
+  latest(symbol, resolution, name, params) {
+    const { id, key, res } = this.#resolve(resolution, name, params);
+    const r = this._latest.get(symbol, res, id, key);
+    return r ? { ts: r.ts, ...JSON.parse(r.outputs) } : null;
+  }
+
+  // Indicator catalogue for the API
+  list() {
+    return Object.entries(INDICATORS).map(([name, d]) => ({ name, params: d.params, outputs: d.outputs }));
+  }
+}
+
+module.exports = new IndicatorStore();
+module.exports.IndicatorStore = IndicatorStore;
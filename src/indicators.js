@@ -0,0 +1,281 @@
+/* ------------------------------------------------------------------ */
+/*  indicators.js – technical indicator maths + parameter handling     */
+/* ------------------------------------------------------------------ */
+// Pure functions over candle arrays ([ts, o, h, l, c, v]). Every indicator
+// returns one entry per input candle: null during warm-up, otherwise an
+// object keyed by the indicator's outputs (the first output is the primary
+// value used when a rule doesn't name one).
+//
+// Storage lives in indicatorStore.js; rules.js exposes these through ind().
+
+const { dayNumber } = require("./exchangeTime");
+
+/* Candle array indices */
+const T = 0, H = 2, L = 3, C = 4, V = 5;
+
+const finite = x => (x === null || !Number.isFinite(x) ? null : x);
+
+/* ---------- building blocks --------------------------------------- */
+function smaOf(xs, n) {
+  const out = new Array(xs.length).fill(null);
+  let sum = 0, count = 0;
+  for (let i = 0; i < xs.length; i++) {
+    if (xs[i] === null) { sum = 0; count = 0; continue; }
+    sum += xs[i]; count++;
+    if (count > n) { sum -= xs[i - n]; count = n; }
+    if (count === n) out[i] = sum / n;
+  }
+  return out;
+}
+
+// EMA seeded with the SMA of the first n (non-null) values
+function emaOf(xs, n) {
+  const out = new Array(xs.length).fill(null);
+  const k = 2 / (n + 1);
+  let prev = null, seed = 0, seen = 0;
+  for (let i = 0; i < xs.length; i++) {
+    const x = xs[i];
+    if (x === null) continue;
+    if (prev === null) {
+      seed += x; seen++;
+      if (seen === n) prev = out[i] = seed / n;
+      continue;
+    }
+    prev = out[i] = x * k + prev * (1 - k);
+  }
+  return out;
+}
+
+// Wilder smoothing (RMA): first value is the mean of the first n inputs
+function rmaOf(xs, n) {
+  const out = new Array(xs.length).fill(null);
+  let prev = null, seed = 0, seen = 0;
+  for (let i = 0; i < xs.length; i++) {
+    const x = xs[i];
+    if (x === null) continue;
+    if (prev === null) {
+      seed += x; seen++;
+      if (seen === n) prev = out[i] = seed / n;
+      continue;
+    }
+    prev = out[i] = (prev * (n - 1) + x) / n;
+  }
+  return out;
+}
+
+function trueRange(candles) {
+  return candles.map((c, i) => {
+    if (i === 0) return c[H] - c[L];
+    const pc = candles[i - 1][C];
+    return Math.max(c[H] - c[L], Math.abs(c[H] - pc), Math.abs(c[L] - pc));
+  });
+}
+
+const closes = candles => candles.map(c => c[C]);
+
+/* ---------- indicators -------------------------------------------- */
+function sma(candles, { period }) {
+  return smaOf(closes(candles), period).map(v => (v === null ? null : { value: v }));
+}
+
+function ema(candles, { period }) {
+  return emaOf(closes(candles), period).map(v => (v === null ? null : { value: v }));
+}
+
+function rsi(candles, { period }) {
+  const gains = [null], losses = [null];
+  for (let i = 1; i < candles.length; i++) {
+    const d = candles[i][C] - candles[i - 1][C];
+    gains.push(Math.max(d, 0));
+    losses.push(Math.max(-d, 0));
+  }
+  const g = rmaOf(gains, period), l = rmaOf(losses, period);
+  return candles.map((_, i) => {
+    if (g[i] === null) return null;
+    if (l[i] === 0) return { value: g[i] === 0 ? 50 : 100 };
+    return { value: 100 - 100 / (1 + g[i] / l[i]) };
+  });
+}
+
+function macd(candles, { fast, slow, signal }) {
+  const cl = closes(candles);
+  const f = emaOf(cl, fast), s = emaOf(cl, slow);
+  const line = cl.map((_, i) => (f[i] === null || s[i] === null ? null : f[i] - s[i]));
+  const sig  = emaOf(line, signal);
+  return line.map((m, i) => (m === null ? null : {
+    macd  : m,
+    signal: sig[i],
+    hist  : sig[i] === null ? null : m - sig[i]
+  }));
+}
+
+function atr(candles, { period }) {
+  return rmaOf(trueRange(candles), period).map(v => (v === null ? null : { value: v }));
+}
+
+function bollinger(candles, { period, mult }) {
+  const cl  = closes(candles);
+  const mid = smaOf(cl, period);
+  return mid.map((m, i) => {
+    if (m === null) return null;
+    let sq = 0;
+    for (let j = i - period + 1; j <= i; j++) sq += (cl[j] - m) ** 2;
+    const sd = Math.sqrt(sq / period);
+    const upper = m + mult * sd, lower = m - mult * sd;
+    return { middle: m, upper, lower, width: m ? (upper - lower) / m : null };
+  });
+}
+
+// Session VWAP: typical price × volume, reset at each exchange (IST) day
+function vwap(candles) {
+  let day = null, pv = 0, vol = 0;
+  return candles.map(c => {
+    const d = dayNumber(c[T]);
+    if (d !== day) { day = d; pv = 0; vol = 0; }
+    const v = c[V] || 0;
+    pv  += ((c[H] + c[L] + c[C]) / 3) * v;
+    vol += v;
+    return vol ? { value: pv / vol } : null;
+  });
+}
+
+function supertrend(candles, { period, mult }) {
+  const a   = rmaOf(trueRange(candles), period);
+  const out = new Array(candles.length).fill(null);
+  let upper = null, lower = null, dir = 1;
+  for (let i = 0; i < candles.length; i++) {
+    if (a[i] === null) continue;
+    const c  = candles[i];
+    const hl = (c[H] + c[L]) / 2;
+    const bu = hl + mult * a[i], bl = hl - mult * a[i];
+    const pc = i ? candles[i - 1][C] : c[C];
+
+    if (upper === null) {
+      upper = bu; lower = bl;
+      dir = c[C] > bu ? 1 : c[C] < bl ? -1 : 1;
+    } else {
+      const nu = bu < upper || pc > upper ? bu : upper;
+      const nl = bl > lower || pc < lower ? bl : lower;
+      if (dir === -1 && c[C] > nu) dir = 1;
+      else if (dir === 1 && c[C] < nl) dir = -1;
+      upper = nu; lower = nl;
+    }
+    out[i] = { value: dir === 1 ? lower : upper, direction: dir };
+  }
+  return out;
+}
+
+function adx(candles, { period }) {
+  const tr = trueRange(candles), plus = [null], minus = [null];
+  for (let i = 1; i < candles.length; i++) {
+    const up   = candles[i][H] - candles[i - 1][H];
+    const down = candles[i - 1][L] - candles[i][L];
+    plus.push(up > down && up > 0 ? up : 0);
+    minus.push(down > up && down > 0 ? down : 0);
+  }
+  tr[0] = null;
+  const str = rmaOf(tr, period), sp = rmaOf(plus, period), sm = rmaOf(minus, period);
+  const pdi = [], mdi = [], dx = [];
+  for (let i = 0; i < candles.length; i++) {
+    if (str[i] === null || !str[i]) { pdi.push(null); mdi.push(null); dx.push(null); continue; }
+    const p = 100 * sp[i] / str[i], m = 100 * sm[i] / str[i];
+    pdi.push(p); mdi.push(m);
+    dx.push(p + m ? 100 * Math.abs(p - m) / (p + m) : 0);
+  }
+  const ax = rmaOf(dx, period);
+  return ax.map((v, i) => (v === null ? null : { adx: v, plusDI: pdi[i], minusDI: mdi[i] }));
+}
+
+/* ---------- registry ---------------------------------------------- */
+// Smoothed (EMA / Wilder) values forget their seed geometrically: after
+// SETTLE periods its weight is below e^-10, so that many candles before the
+// first wanted value reproduce the full-history result to ~1e-5
+const SETTLE = 10;
+const SESSION_BARS = 400;                  // one day of 1-minute bars (375) and then some
+
+// params: name → default, in positional order (so "12,26,9" works for macd);
+// warmup: candles needed before a value for it to match a full-history run
+const INDICATORS = {
+  sma       : { fn: sma,        params: { period: 20 },                     outputs: ["value"], warmup: p => p.period },
+  ema       : { fn: ema,        params: { period: 20 },                     outputs: ["value"], warmup: p => SETTLE * p.period },
+  rsi       : { fn: rsi,        params: { period: 14 },                     outputs: ["value"], warmup: p => SETTLE * p.period },
+  macd      : { fn: macd,       params: { fast: 12, slow: 26, signal: 9 },  outputs: ["macd", "signal", "hist"],
+                warmup: p => SETTLE * (p.slow + p.signal) },
+  atr       : { fn: atr,        params: { period: 14 },                     outputs: ["value"], warmup: p => SETTLE * p.period },
+  bollinger : { fn: bollinger,  params: { period: 20, mult: 2 },            outputs: ["middle", "upper", "lower", "width"],
+                warmup: p => p.period },
+  vwap      : { fn: vwap,       params: {},                                 outputs: ["value"], warmup: () => SESSION_BARS },
+  supertrend: { fn: supertrend, params: { period: 10, mult: 3 },            outputs: ["value", "direction"],
+                warmup: p => SETTLE * p.period },
+  adx       : { fn: adx,        params: { period: 14 },                     outputs: ["adx", "plusDI", "minusDI"],
+                warmup: p => 2 * SETTLE * p.period }
+};
+const ALIASES = { bb: "bollinger", bbands: "bollinger", st: "supertrend" };
+
+function resolveName(name) {
+  const key = String(name ?? "").toLowerCase();
+  const id  = ALIASES[key] ?? key;
+  if (!INDICATORS[id]) throw new Error(`Unknown indicator "${name}" (${Object.keys(INDICATORS).join(", ")})`);
+  return id;
+}
+
+// Accepts an object, an array of positional values, or a string such as
+// "14", "12,26,9" or "period=20,mult=2.5". Missing params take their default.
+function normalizeParams(name, input) {
+  const id   = resolveName(name);
+  const defs = INDICATORS[id].params;
+  const keys = Object.keys(defs);
+  let given  = {};
+
+  if (typeof input === "string" && input.trim()) {
+    const parts = input.split(",").map(s => s.trim()).filter(Boolean);
+    parts.forEach((p, i) => {
+      const [k, v] = p.includes("=") ? p.split("=").map(s => s.trim()) : [keys[i], p];
+      given[k] = v;
+    });
+  } else if (Array.isArray(input)) {
+    input.forEach((v, i) => { given[keys[i]] = v; });
+  } else if (input && typeof input === "object") {
+    given = { ...input };
+  }
+
+  const out = {};
+  for (const k of Object.keys(given)) {
+    if (k === "undefined" || !(k in defs))
+      throw new Error(`${id}: unexpected parameter${k === "undefined" ? "" : ` "${k}"`} (takes ${keys.join(", ") || "none"})`);
+  }
+  for (const k of keys) {
+    const v = Number(given[k] ?? defs[k]);
+    if (!Number.isFinite(v) || v <= 0) throw new Error(`${id}: ${k} must be a positive number`);
+    if (k !== "mult" && !Number.isInteger(v)) throw new Error(`${id}: ${k} must be an integer`);
+    out[k] = v;
+  }
+  if (id === "macd" && out.fast >= out.slow) throw new Error("macd: fast must be shorter than slow");
+  return out;
+}
+
+// Canonical params string used as the storage key: "fast=12,signal=9,slow=26"
+const paramKey = params => Object.keys(params).sort().map(k => `${k}=${params[k]}`).join(",");
+
+// [{ ts, ...outputs }] for every candle past the warm-up
+function compute(name, candles, params) {
+  const id = resolveName(name);
+  const p  = normalizeParams(id, params);
+  const vals = INDICATORS[id].fn(candles, p);
+  const out  = [];
+  vals.forEach((v, i) => {
+    if (!v) return;
+    const row = { ts: candles[i][T] };
+    for (const k of INDICATORS[id].outputs) row[k] = finite(v[k] ?? null);
+    out.push(row);
+  });
+  return out;
+}
+
+module.exports = {
+  INDICATORS,
+  resolveName,
+  normalizeParams,
+  paramKey,
+  compute
+};
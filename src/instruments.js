@@ -0,0 +1,310 @@
+/* ------------------------------------------------------------------ */
+/*  instruments.js – equities, indices, futures and options            */
+/* ------------------------------------------------------------------ */
+// The instrument is spelled out in the Fyers ticker:
+//
+//   NSE:SBIN-EQ             cash equity (any -EQ / -BE / -SM … series)
+//   NSE:NIFTY50-INDEX       index – streams and has history, can't be traded
+//   NSE:NIFTY25JANFUT       monthly future   <underlying><YY><MMM>FUT
+//   NSE:NIFTY25JAN24000CE   monthly option   <underlying><YY><MMM><strike><CE|PE>
+//   NSE:NIFTY2510924000CE   weekly option    <underlying><YY><M><DD><strike><CE|PE>, M = 1…9, O, N, D
+//   NSE:NIFTY-FUT           continuous front-month future (this app's alias)
+//
+// A continuous future is resolved to its front-month contract: the data
+// socket and the order API use the contract, history is requested with
+// cont_flag=1 and candles are stored under the alias, so the series carries
+// on across rolls. The contract rolls after its expiry day (FUT_ROLL_DAYS
+// trading days earlier if set); resolve() emits "roll" when that happens.
+//
+// Expiries and lot sizes come from the symbol master once it's imported.
+// Without it, monthly expiries follow the NSE rule (last Tuesday from the
+// Sep 2025 series, last Thursday before), moved back over holidays, and lot
+// sizes come from config/lotSizes.json.
+//
+// Open interest is tracked from `sf` ticks of derivatives (oi / pdoi).
+
+const { EventEmitter } = require("events");
+const fs       = require("fs");
+const path     = require("path");
+const { moment, dateKey, today } = require("./exchangeTime");
+const symbolMaster = require("./symbolMaster");
+const { calendarFor } = require("./marketCalendar");
+
+const LOT_SIZES_FILE = path.resolve(__dirname, "../config/lotSizes.json");
+const MONTHS     = ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"];
+const WEEK_MONTH = "123456789OND";                       // weekly option month codes
+const MONTHLY_RE = new RegExp(`^(.+?)(\\d{2})(${MONTHS.join("|")})(?:FUT|(\\d+(?:\\.\\d+)?)(CE|PE))$`);
+const WEEKLY_RE  = /^(.+?)(\d{2})([1-9OND])(\d{2})(\d+(?:\.\d+)?)(CE|PE)$/;
+const CONTINUOUS = "-FUT";
+
+// Monthly expiry weekday (ISO, 1 = Mon), newest rule first: [first contract month, weekday]
+const EXPIRY_WEEKDAYS = [["2025-09", 2], ["0000-01", 4]];
+
+// Index underlyings → spot ticker; stock underlyings trade as NSE:<name>-EQ
+const INDEX_SPOT = {
+  NIFTY     : "NSE:NIFTY50-INDEX",
+  BANKNIFTY : "NSE:NIFTYBANK-INDEX",
+  FINNIFTY  : "NSE:FINNIFTY-INDEX",
+  MIDCPNIFTY: "NSE:MIDCPNIFTY-INDEX",
+  NIFTYNXT50: "NSE:NIFTYNXT50-INDEX",
+  SENSEX    : "BSE:SENSEX-INDEX",
+  BANKEX    : "BSE:BANKEX-INDEX"
+};
+
+const derivative = info => info.type === "FUT" || info.type === "OPT";
+
+class Instruments extends EventEmitter {
+  constructor(opts = {}) {
+    super();
+    this.master   = opts.symbolMaster ?? symbolMaster;
+    this.lotSizes = opts.lotSizes ?? Instruments.loadLotSizes();
+    this.rollDays = opts.rollDays ?? (Number(process.env.FUT_ROLL_DAYS) || 0);
+    this.fronts   = new Map();           // continuous alias → current contract
+    this.oi       = new Map();           // symbol → { oi, prevOi, change, changePct, ltp, ts }
+    this.timer    = null;
+  }
+
+  static loadLotSizes(file = process.env.LOT_SIZES_FILE || LOT_SIZES_FILE) {
+    try {
+      return JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+      console.warn(`⚠️ No lot size map loaded (${err.message}); derivatives default to the symbol master`);
+      return {};
+    }
+  }
+
+  /* ---------------- parsing ------------------------------------ */
+  // { ticker, exchange, code, type: EQ|INDEX|FUT|OPT, underlying, series,
+  //   expiry, expiryDate, strike, optionType, weekly, continuous }
+  parse(ticker) {
+    const t = String(ticker ?? "").trim().toUpperCase();
+    const [exchange, code] = t.includes(":") ? t.split(":", 2) : ["NSE", t];
+    const info = {
+      ticker: `${exchange}:${code}`, exchange, code, type: "EQ", underlying: code, series: null,
+      expiry: null, expiryDate: null, strike: null, optionType: null, weekly: false, continuous: false
+    };
+
+    if (code.endsWith(CONTINUOUS)) {
+      return { ...info, type: "FUT", underlying: code.slice(0, -CONTINUOUS.length), continuous: true };
+    }
+
+    let m = MONTHLY_RE.exec(code);
+    if (m) {
+      const [, und, yy, mon, strike, opt] = m;
+      Object.assign(info, {
+        type: opt ? "OPT" : "FUT", underlying: und,
+        expiryDate: this.monthlyExpiry(`20${yy}-${String(MONTHS.indexOf(mon) + 1).padStart(2, "0")}`, exchange),
+        strike: opt ? Number(strike) : null, optionType: opt ?? null
+      });
+    } else if ((m = WEEKLY_RE.exec(code))) {
+      const [, und, yy, mon, dd, strike, opt] = m;
+      Object.assign(info, {
+        type: "OPT", underlying: und, weekly: true,
+        expiryDate: `20${yy}-${String(WEEK_MONTH.indexOf(mon) + 1).padStart(2, "0")}-${dd}`,
+        strike: Number(strike), optionType: opt
+      });
+    } else {
+      const dash = code.lastIndexOf("-");
+      if (dash > 0) {
+        info.underlying = code.slice(0, dash);
+        info.series     = code.slice(dash + 1);
+        if (info.series === "INDEX") info.type = "INDEX";
+      }
+      return info;
+    }
+
+    // The master's expiry beats the computed one (holiday shifts, exchange changes)
+    const row = this.master.isLoaded() ? this.master.get(info.ticker) : null;
+    if (row?.expiry) info.expiryDate = dateKey(row.expiry);
+    info.expiry = this.#calendar(exchange).midnight(info.expiryDate);
+    return info;
+  }
+
+  // Future or option (continuous aliases included)
+  isDerivative(ticker) { return derivative(this.parse(ticker)); }
+
+  // "NIFTY25JANFUT" (no exchange) is a derivative code; watchlists use this
+  // to avoid turning it into NIFTY25JANFUT-EQ
+  isDerivativeCode(code) {
+    const c = String(code ?? "").toUpperCase();
+    return MONTHLY_RE.test(c) || WEEKLY_RE.test(c) || c.endsWith(CONTINUOUS);
+  }
+
+  /* ---------------- expiries / rolls --------------------------- */
+  // Last expiry weekday of a "YYYY-MM" month, moved back over holidays
+  monthlyExpiry(month, exchange = "NSE") {
+    const weekday = EXPIRY_WEEKDAYS.find(([from]) => month >= from)[1];
+    const d = moment.utc(`${month}-01`, "YYYY-MM-DD").endOf("month").startOf("day");
+    while (d.isoWeekday() !== weekday) d.subtract(1, "day");
+    return this.#calendar(exchange).tradingDaysBack(d.format("YYYY-MM-DD"), 0);
+  }
+
+  // Futures contracts of an underlying from `date` on: the symbol master's,
+  // else this month's and the next two generated from the expiry rule
+  contracts(underlying, exchange = "NSE", date = today()) {
+    const listed = this.master.isLoaded() ? this.master.futures(underlying, exchange) : [];
+    if (listed.length)
+      return listed.map(r => ({ ticker: r.ticker, expiryDate: dateKey(r.expiry) }))
+        .filter(c => c.expiryDate >= date);
+
+    const first = moment.utc(date, "YYYY-MM-DD").startOf("month");
+    return [0, 1, 2].map(i => {
+      const m = first.clone().add(i, "months");
+      return {
+        ticker    : `${exchange}:${underlying}${m.format("YY")}${MONTHS[m.month()]}FUT`,
+        expiryDate: this.monthlyExpiry(m.format("YYYY-MM"), exchange)
+      };
+    }).filter(c => c.expiryDate >= date);
+  }
+
+  // Front-month contract on `date`: the nearest one whose last day (expiry,
+  // or FUT_ROLL_DAYS trading days before it) hasn't passed
+  frontMonth(underlying, exchange = "NSE", date = today()) {
+    const cal = this.#calendar(exchange);
+    const front = this.contracts(underlying, exchange, date).find(c =>
+      (this.rollDays ? cal.tradingDaysBack(c.expiryDate, this.rollDays) : c.expiryDate) >= date);
+    if (!front) throw new Error(`No futures contract found for ${exchange}:${underlying}`);
+    return front;
+  }
+
+  // Contract a ticker streams / trades as: continuous aliases → front month,
+  // everything else unchanged. Emits "roll" the first time an alias resolves
+  // to a new contract today (lookups for other dates don't move the front).
+  resolve(ticker, date = today()) {
+    const info = this.parse(ticker);
+    if (!info.continuous) return ticker;
+
+    const contract = this.frontMonth(info.underlying, info.exchange, date).ticker;
+    if (date !== today()) return contract;
+    const prev     = this.fronts.get(info.ticker);
+    this.fronts.set(info.ticker, contract);
+    if (prev && prev !== contract) {
+      console.log(`🔁 ${info.ticker} rolled ${prev} → ${contract}`);
+      this.emit("roll", { symbol: info.ticker, from: prev, to: contract });
+    }
+    return contract;
+  }
+
+  // Fyers history cont_flag: continuous series for aliases, the contract's
+  // own candles for a specific expiry
+  contFlag(ticker) {
+    const info = this.parse(ticker);
+    return derivative(info) && !info.continuous ? "0" : "1";
+  }
+
+  // Throws for a ticker the symbol master doesn't know (aliases are checked
+  // through their front-month contract)
+  validate(ticker) { return this.master.validate(this.resolve(ticker)); }
+
+  // Re-resolves every alias seen so far each minute so rolls happen without a request
+  schedule(everyMs = 60_000) {
+    this.stop();
+    this.timer = setInterval(() => {
+      for (const alias of this.fronts.keys()) {
+        try { this.resolve(alias); } catch (err) { console.error(`⚠️ roll check ${alias}:`, err.message); }
+      }
+    }, everyMs);
+    this.timer.unref?.();
+    return this;
+  }
+
+  stop() { clearInterval(this.timer); this.timer = null; }
+
+  /* ---------------- lot sizes / underlyings -------------------- */
+  // Contract multiple orders and positions are sized in; 1 for cash / index
+  lotSize(ticker) {
+    const info = this.parse(ticker);
+    if (!derivative(info)) return 1;
+    if (this.master.isLoaded()) {
+      const lot = this.master.get(this.resolve(ticker))?.lotSize ?? this.master.lotSizeOf(info.underlying, info.exchange);
+      if (lot) return lot;
+    }
+    return Number(this.lotSizes[info.underlying]) || 1;
+  }
+
+  // Cash / index ticker of a derivative's underlying; the ticker itself otherwise
+  spotOf(ticker) {
+    const info = this.parse(ticker);
+    if (!derivative(info)) return info.ticker;
+    return INDEX_SPOT[info.underlying] ?? `${info.exchange}:${info.underlying}-EQ`;
+  }
+
+  // Derivative underlying name of any ticker: NSE:NIFTY50-INDEX → NIFTY,
+  // NSE:SBIN-EQ → SBIN, NSE:NIFTY25JANFUT → NIFTY
+  underlyingOf(ticker) {
+    const info = this.parse(ticker);
+    const index = Object.keys(INDEX_SPOT).find(u => INDEX_SPOT[u] === info.ticker);
+    return index ?? info.underlying;
+  }
+
+  /* ---------------- open interest ------------------------------ */
+  // `sf` tick → OI snapshot; ticks without OI (cash, index) are ignored
+  onTick(msg) {
+    const oi = Number(msg?.oi);
+    if (!msg?.symbol || msg.oi === undefined || !Number.isFinite(oi)) return null;
+    const prevOi = Number(msg.pdoi) || null;
+    const snap = {
+      oi,
+      prevOi,
+      change   : prevOi ? oi - prevOi : null,
+      changePct: prevOi ? Number((((oi - prevOi) / prevOi) * 100).toFixed(2)) : null,
+      ltp      : msg.ltp ?? null,
+      ts       : Date.now()
+    };
+    this.oi.set(msg.symbol, snap);
+    return snap;
+  }
+
+  getOI(ticker) { return this.oi.get(String(ticker).toUpperCase()) ?? null; }
+
+  getAllOI() { return Object.fromEntries(this.oi); }
+
+  /* ---------------- display ------------------------------------ */
+  // "SBIN", "NIFTY50", "NIFTY 30 JAN FUT", "NIFTY 09 JAN 24000 CE", "NIFTY FUT (30 JAN)"
+  displayName(ticker) {
+    const info = this.parse(ticker);
+    if (!derivative(info)) return info.underlying;
+    if (info.continuous) {
+      const exp = this.#expiryOf(this.resolve(ticker));
+      return `${info.underlying} FUT${exp ? ` (${exp})` : ""}`;
+    }
+    const exp = moment.utc(info.expiryDate, "YYYY-MM-DD").format("DD MMM").toUpperCase();
+    return info.type === "FUT"
+      ? `${info.underlying} ${exp} FUT`
+      : `${info.underlying} ${exp} ${info.strike} ${info.optionType}`;
+  }
+
+  // Everything the UI / API shows about a ticker
+  describe(ticker) {
+    const info     = this.parse(ticker);
+    const contract = this.resolve(info.ticker);
+    const c        = contract === info.ticker ? info : this.parse(contract);
+    return {
+      ticker    : info.ticker,
+      type      : info.type,
+      display   : this.displayName(info.ticker),
+      exchange  : info.exchange,
+      underlying: info.underlying,
+      spot      : this.spotOf(info.ticker),
+      contract,
+      continuous: info.continuous,
+      expiry    : c.expiryDate,
+      weekly    : c.weekly,
+      strike    : c.strike,
+      optionType: c.optionType,
+      lotSize   : this.lotSize(info.ticker),
+      oi        : this.getOI(info.ticker)
+    };
+  }
+
+  /* ---------------- internals ---------------------------------- */
+  #calendar(exchange) { return calendarFor(exchange); }
+
+  #expiryOf(contract) {
+    const date = this.parse(contract).expiryDate;
+    return date ? moment.utc(date, "YYYY-MM-DD").format("DD MMM").toUpperCase() : null;
+  }
+}
+
+module.exports = new Instruments();
+module.exports.Instruments = Instruments;
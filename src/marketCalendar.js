@@ -0,0 +1,219 @@
+/* ------------------------------------------------------------------ */
+/*  marketCalendar.js – exchange trading days, sessions and holidays   */
+/* ------------------------------------------------------------------ */
+// One calendar per exchange, loaded from config/calendars/<EXCHANGE>.json:
+//
+//   sessions : { preOpen, normal, postClose } as ["HH:mm", "HH:mm"] (IST)
+//   holidays : { "YYYY-MM-DD": name }         – from the exchange circulars
+//   special  : { "YYYY-MM-DD": { name, preOpen?, normal, postClose? } }
+//              – Muhurat and other one-off sessions, weekends included
+//   extends  : another exchange whose file this one builds on (BSE → NSE)
+//
+// A trading day is a weekday that isn't a holiday, or any day with a special
+// session. Dates are exchange dates: timestamps are read in Asia/Kolkata
+// (exchangeTime.js) whatever the server's own timezone is.
+
+const fs     = require("fs");
+const path   = require("path");
+const { moment, ist, parse, dateKey, nowUnix } = require("./exchangeTime");
+
+const CALENDAR_DIR = path.resolve(__dirname, "../config/calendars");
+const PHASES       = [["preOpen", "pre-open"], ["normal", "open"], ["postClose", "post-close"]];
+const MAX_SCAN     = 60;                      // days searched for the next / previous session
+
+const minutesOf = hhmm => { const [h, m] = hhmm.split(":").map(Number); return h * 60 + m; };
+
+class MarketCalendar {
+  constructor(exchange = "NSE", opts = {}) {
+    const spec = opts.spec ?? MarketCalendar.load(exchange, opts.dir);
+    this.exchange = exchange;
+    this.sessions = spec.sessions ?? {};
+    this.holidays = opts.holidays ?? spec.holidays ?? {};
+    this.special  = opts.special  ?? spec.special  ?? {};
+    if (!this.sessions.normal) throw new Error(`Calendar ${exchange} has no normal session`);
+  }
+
+  // Reads <dir>/<exchange>.json, merging the file it extends underneath
+  static load(exchange, dir = process.env.MARKET_CALENDAR_DIR || CALENDAR_DIR) {
+    const file = path.join(dir, `${exchange}.json`);
+    const spec = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (!spec.extends) return spec;
+    const base = MarketCalendar.load(spec.extends, dir);
+    return {
+      sessions: { ...base.sessions, ...spec.sessions },
+      holidays: { ...base.holidays, ...spec.holidays },
+      special : { ...base.special,  ...spec.special }
+    };
+  }
+
+  /* ---------------- dates -------------------------------------- */
+  // Exchange date of a unix timestamp: "YYYY-MM-DD"
+  dateOf(ts) { return dateKey(ts); }
+
+  // Unix seconds of 00:00 IST on a "YYYY-MM-DD" date (Fyers' daily candle timestamp)
+  midnight(date) { return parse(date, "YYYY-MM-DD").unix(); }
+
+  #shift(date, days) { return moment.utc(date, "YYYY-MM-DD").add(days, "days").format("YYYY-MM-DD"); }
+
+  holidayName(date) { return this.holidays[date] ?? null; }
+
+  // Whether the file lists any holiday in `year` – none means nobody has
+  // copied that year's circular in yet
+  hasHolidays(year = ist().year()) { return Object.keys(this.holidays).some(d => d.startsWith(`${year}-`)); }
+
+  isTradingDay(date) {
+    if (this.special[date]?.normal) return true;
+    const dow = moment.utc(date, "YYYY-MM-DD").isoWeekday();
+    return dow <= 5 && !this.holidays[date];
+  }
+
+  // Trading dates between two unix timestamps, inclusive
+  tradingDays(from, to) {
+    const out = [];
+    const end = this.dateOf(to);
+    for (let date = this.dateOf(from); date <= end; date = this.#shift(date, 1))
+      if (this.isTradingDay(date)) out.push(date);
+    return out;
+  }
+
+  // The trading date `n` sessions before `date` (n = 0: date itself if it trades)
+  tradingDaysBack(date, n) {
+    let d = date, left = n;
+    while (!this.isTradingDay(d)) d = this.#shift(d, -1);
+    while (left > 0) {
+      d = this.#shift(d, -1);
+      if (this.isTradingDay(d)) left--;
+    }
+    return d;
+  }
+
+  // Latest trading date whose normal session has opened by `ts` – the date
+  // the newest daily candle should carry
+  lastTradingDay(ts = nowUnix()) {
+    let d = this.dateOf(ts);
+    for (let i = 0; i < MAX_SCAN; i++, d = this.#shift(d, -1)) {
+      const s = this.sessionsOn(d);
+      if (s && s.normal.start <= ts) return d;
+    }
+    return null;
+  }
+
+  /* ---------------- sessions ----------------------------------- */
+  // { preOpen?, normal, postClose? } as { start, end } unix seconds, or null on a closed day
+  sessionsOn(date) {
+    if (!this.isTradingDay(date)) return null;
+    const spec = this.special[date] ?? this.sessions;
+    const base = this.midnight(date);
+    const out  = {};
+    for (const [key] of PHASES) {
+      if (!spec[key]) continue;
+      const [a, b] = spec[key];
+      out[key] = { start: base + minutesOf(a) * 60, end: base + minutesOf(b) * 60 };
+    }
+    return out;
+  }
+
+  sessionOpen(date)  { return this.sessionsOn(date)?.normal.start ?? null; }
+  sessionClose(date) { return this.sessionsOn(date)?.normal.end ?? null; }
+
+  // Regular-day normal session length in minutes
+  sessionMinutes() {
+    const [a, b] = this.sessions.normal;
+    return minutesOf(b) - minutesOf(a);
+  }
+
+  // Bar start timestamps a full session produces at a resolution ("D" or
+  // minutes), aligned to the session open like BarAggregator's buckets
+  sessionBars(date, resolution) {
+    const s = this.sessionsOn(date);
+    if (!s) return [];
+    if (String(resolution).toUpperCase() === "D") return [this.midnight(date)];
+    const step = Number(resolution) * 60;
+    const out  = [];
+    for (let t = s.normal.start; t < s.normal.end; t += step) out.push(t);
+    return out;
+  }
+
+  // Phase at a timestamp: "pre-open" | "open" | "post-close" | "closed"
+  phaseAt(ts) {
+    const s = this.sessionsOn(this.dateOf(ts));
+    if (!s) return "closed";
+    for (const [key, name] of PHASES)
+      if (s[key] && ts >= s[key].start && ts < s[key].end) return name;
+    return "closed";
+  }
+
+  // Next normal-session open at or after `ts` (now if the market is open)
+  nextSessionOpen(ts = nowUnix()) {
+    let d = this.dateOf(ts);
+    for (let i = 0; i < MAX_SCAN; i++, d = this.#shift(d, 1)) {
+      const s = this.sessionsOn(d);
+      if (!s) continue;
+      if (ts < s.normal.start) return s.normal.start;
+      if (ts < s.normal.end)   return ts;
+    }
+    return null;
+  }
+
+  // Next normal-session close after `ts`
+  nextSessionClose(ts = nowUnix()) {
+    let d = this.dateOf(ts);
+    for (let i = 0; i < MAX_SCAN; i++, d = this.#shift(d, 1)) {
+      const s = this.sessionsOn(d);
+      if (s && ts < s.normal.end) return s.normal.end;
+    }
+    return null;
+  }
+
+  // Everything GET /api/market/status reports
+  status(ts = nowUnix()) {
+    const date     = this.dateOf(ts);
+    const sessions = this.sessionsOn(date);
+    const fmt      = t => (t === null ? null : ist(t).format());
+    const view     = s => (s ? Object.fromEntries(Object.entries(s).map(([k, v]) => [k, { start: fmt(v.start), end: fmt(v.end) }])) : null);
+    const nextOpen = this.nextSessionOpen(ts);
+    return {
+      exchange      : this.exchange,
+      now           : fmt(ts),
+      date,
+      phase         : this.phaseAt(ts),
+      isTradingDay  : this.isTradingDay(date),
+      holiday       : this.holidayName(date),
+      special       : this.special[date]?.name ?? null,
+      sessions      : view(sessions),
+      nextOpen      : fmt(nextOpen),
+      nextClose     : fmt(this.nextSessionClose(ts)),
+      secondsToOpen : nextOpen === null ? null : Math.max(0, nextOpen - ts),
+      lastTradingDay: this.lastTradingDay(ts)
+    };
+  }
+}
+
+/* ---------------- per-exchange instances ------------------------- */
+const calendars = new Map();
+
+// Calendar for an exchange code; exchanges without a file use NSE's
+function calendarFor(exchange = "NSE") {
+  const ex = String(exchange).toUpperCase();
+  if (!calendars.has(ex)) {
+    try {
+      const cal = new MarketCalendar(ex);
+      if (!cal.hasHolidays())
+        console.warn(`⚠️ ${ex} calendar has no holidays for ${ist().year()} – every weekday counts as a trading day until they're added to config/calendars`);
+      calendars.set(ex, cal);
+    } catch (err) {
+      if (ex === "NSE") throw err;
+      console.warn(`⚠️ No market calendar for ${ex} (${err.message}); using NSE`);
+      calendars.set(ex, calendarFor("NSE"));
+    }
+  }
+  return calendars.get(ex);
+}
+
+// "NSE:SBIN-EQ" → the NSE calendar
+const calendarForSymbol = symbol => calendarFor(/^([A-Z]+):/.exec(String(symbol ?? ""))?.[1] ?? "NSE");
+
+module.exports = calendarFor("NSE");
+module.exports.MarketCalendar    = MarketCalendar;
+module.exports.calendarFor       = calendarFor;
+module.exports.calendarForSymbol = calendarForSymbol;
@@ -0,0 +1,58 @@
+// 001 – candles and indicators tables as they were before versioned migrations.
+// Databases from older releases already have the tables, possibly without
+// the later columns, so those are added when missing.
+
+const addColumn = (db, table, column, type) => {
+  const cols = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!cols.some(c => c.name === column)) db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+};
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS candles (
+        symbol          TEXT NOT NULL,
+        resolution      TEXT NOT NULL,
+        timestamp       TEXT NOT NULL,     -- human-readable key (timestampKey)
+        unix_timestamp  INTEGER,
+        open            REAL,
+        high            REAL,
+        low             REAL,
+        close           REAL,
+        volume          REAL,
+        sma20           REAL,
+        sma50           REAL,
+        sma200          REAL,
+        close_csum      REAL,              -- running sum of close up to this candle
+        PRIMARY KEY (symbol, resolution, timestamp)
+      );
+    `);
+    addColumn(db, "candles", "unix_timestamp", "INTEGER");
+    addColumn(db, "candles", "close_csum", "REAL");
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_candles_symbol_res_time
+        ON candles(symbol, resolution, timestamp);
+      CREATE INDEX IF NOT EXISTS idx_candles_symbol_res_unix
+        ON candles(symbol, resolution, unix_timestamp);
+
+      -- Indicator series (indicatorStore.js), keyed next to the candles they come from
+      CREATE TABLE IF NOT EXISTS indicators (
+        symbol      TEXT NOT NULL,
+        resolution  TEXT NOT NULL,
+        indicator   TEXT NOT NULL,
+        params      TEXT NOT NULL,        -- canonical "period=14"
+        ts          INTEGER NOT NULL,     -- candle unix_timestamp
+        value       REAL,                 -- primary output
+        outputs     TEXT,                 -- JSON of every output
+        PRIMARY KEY (symbol, resolution, indicator, params, ts)
+      );
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS indicators;
+      DROP TABLE IF EXISTS candles;
+    `);
+  }
+};
@@ -0,0 +1,71 @@
+// 002 – rewrite `timestamp` keys in exchange time (IST).
+// Keys used to be formatted in the host's zone. Changed rows first get a
+// unique placeholder key so a shifted key can't collide with a neighbour
+// that hasn't been rewritten yet; if two rows end up with the same key (the
+// same candle stored from hosts in different zones) the most recently
+// written one is kept and that series' SMAs are recomputed.
+//
+// Releases before schema_version did this on open and marked it with
+// PRAGMA user_version = 1; such databases are left as they are.
+// The old host-zone keys can't be recovered, so down() is a no-op.
+
+const { timestampKey } = require("../../exchangeTime");
+
+const PAGE = 10_000;
+
+// SMA20/50/200 and close_csum of one series, in SQL
+const RECALC_SMA = `
+  UPDATE candles SET sma20 = w.s20, sma50 = w.s50, sma200 = w.s200, close_csum = w.csum
+  FROM (
+    SELECT rowid AS rid,
+           CASE WHEN ROW_NUMBER() OVER o >=  20 THEN AVG(close) OVER (o ROWS  19 PRECEDING) END AS s20,
+           CASE WHEN ROW_NUMBER() OVER o >=  50 THEN AVG(close) OVER (o ROWS  49 PRECEDING) END AS s50,
+           CASE WHEN ROW_NUMBER() OVER o >= 200 THEN AVG(close) OVER (o ROWS 199 PRECEDING) END AS s200,
+           SUM(close) OVER (o ROWS UNBOUNDED PRECEDING) AS csum
+    FROM candles WHERE symbol = ? AND resolution = ?
+    WINDOW o AS (ORDER BY unix_timestamp)
+  ) w
+  WHERE candles.rowid = w.rid
+`;
+
+module.exports = {
+  up(db) {
+    if (db.pragma("user_version", { simple: true }) >= 1) return;
+
+    const page = db.prepare(`
+      SELECT rowid, resolution, timestamp, unix_timestamp FROM candles
+      WHERE rowid > ? AND unix_timestamp IS NOT NULL ORDER BY rowid LIMIT ${PAGE}
+    `);
+    const park   = db.prepare(`UPDATE candles SET timestamp = '~' || rowid WHERE rowid = ?`);
+    const parked = db.prepare(`
+      SELECT rowid, symbol, resolution, unix_timestamp FROM candles
+      WHERE timestamp LIKE '~%' AND rowid < ? ORDER BY rowid DESC LIMIT ${PAGE}
+    `);
+    const rekey = db.prepare(`UPDATE OR IGNORE candles SET timestamp = ? WHERE rowid = ?`);
+    const drop  = db.prepare(`DELETE FROM candles WHERE rowid = ?`);
+
+    let changed = 0;
+    for (let after = 0, rows; (rows = page.all(after)).length; after = rows.at(-1).rowid) {
+      for (const r of rows) {
+        if (r.timestamp === timestampKey(r.unix_timestamp, r.resolution)) continue;
+        park.run(r.rowid);
+        changed++;
+      }
+    }
+    if (!changed) return;
+
+    const dropped = new Set();
+    for (let before = Number.MAX_SAFE_INTEGER, rows; (rows = parked.all(before)).length; before = rows.at(-1).rowid) {
+      for (const r of rows) {
+        if (rekey.run(timestampKey(r.unix_timestamp, r.resolution), r.rowid).changes) continue;
+        drop.run(r.rowid);
+        dropped.add(`${r.symbol}|${r.resolution}`);
+      }
+    }
+    const recalc = db.prepare(RECALC_SMA);
+    for (const key of dropped) recalc.run(...key.split("|"));
+    console.log(`🕰️  Rewrote ${changed} candle timestamp keys in exchange time${dropped.size ? ` (duplicates dropped in ${dropped.size} series)` : ""}`);
+  },
+
+  down() {}
+};
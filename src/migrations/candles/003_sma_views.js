@@ -0,0 +1,41 @@
+// 003 – per-resolution SMA views and view_latest_sma (getAllSMA,
+// getAllTimeframeSMAs). Created once here instead of on every start.
+
+const VIEWS = { view_sma_1: "1", view_sma_5: "5", view_sma_60: "60", view_sma_120: "120", view_sma_D: "D" };
+
+module.exports = {
+  up(db) {
+    for (const [name, resolution] of Object.entries(VIEWS)) {
+      db.exec(`
+        DROP VIEW IF EXISTS ${name};
+        CREATE VIEW ${name} AS
+        SELECT symbol, unix_timestamp, timestamp,
+               open, high, low, close, volume,
+               sma20, sma50, sma200
+        FROM candles
+        WHERE resolution = '${resolution}';
+      `);
+    }
+    db.exec(`
+      DROP VIEW IF EXISTS view_latest_sma;
+      CREATE VIEW view_latest_sma AS
+      WITH latest_timestamps AS (
+        SELECT symbol, resolution, MAX(unix_timestamp) AS latest_timestamp
+        FROM candles
+        GROUP BY symbol, resolution
+      )
+      SELECT c.symbol, c.resolution, c.timestamp, c.unix_timestamp,
+             c.sma20, c.sma50, c.sma200
+      FROM candles c
+      JOIN latest_timestamps lt
+        ON c.symbol = lt.symbol
+        AND c.resolution = lt.resolution
+        AND c.unix_timestamp = lt.latest_timestamp
+      WHERE c.sma20 IS NOT NULL AND c.sma50 IS NOT NULL AND c.sma200 IS NOT NULL;
+    `);
+  },
+
+  down(db) {
+    for (const name of [...Object.keys(VIEWS), "view_latest_sma"]) db.exec(`DROP VIEW IF EXISTS ${name}`);
+  }
+};
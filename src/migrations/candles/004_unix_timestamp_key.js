@@ -0,0 +1,78 @@
+// 004 – key candles by (symbol, resolution, unix_timestamp).
+// SQLite can't change a primary key in place, so the table is rebuilt:
+// views on it are dropped and recreated around the copy, and where two rows
+// share a key the most recently written one (highest rowid) is kept. Rows
+// from before unix_timestamp existed get it from their `timestamp` key.
+
+const { parse } = require("../../exchangeTime");
+
+const COLUMNS = "symbol, resolution, timestamp, unix_timestamp, open, high, low, close, volume, sma20, sma50, sma200, close_csum";
+
+// "YYYY-MM-DD", "YYYY-MM-DD_HH:mm", "YYYY-MM-DD_HHh" → unix seconds (exchange time), or null
+function unixFromKey(key) {
+  const [date, rest = ""] = String(key).split("_");
+  const time = /^\d\d:\d\d$/.test(rest) ? rest : /^\d\dh$/.test(rest) ? `${rest.slice(0, 2)}:00` : "00:00";
+  const m = parse(`${date} ${time}`, "YYYY-MM-DD HH:mm");
+  return m.isValid() ? m.unix() : null;
+}
+
+function rebuild(db, { primaryKey, unixNotNull, indexes }) {
+  const views = db.prepare(`SELECT name, sql FROM sqlite_master WHERE type = 'view' AND sql IS NOT NULL`).all();
+  for (const v of views) db.exec(`DROP VIEW "${v.name}"`);
+
+  const before = db.prepare(`SELECT COUNT(*) FROM candles`).pluck().get();
+  db.exec(`
+    CREATE TABLE candles_new (
+      symbol          TEXT NOT NULL,
+      resolution      TEXT NOT NULL,
+      timestamp       TEXT NOT NULL,     -- human-readable key (timestampKey)
+      unix_timestamp  INTEGER${unixNotNull ? " NOT NULL" : ""},
+      open            REAL,
+      high            REAL,
+      low             REAL,
+      close           REAL,
+      volume          REAL,
+      sma20           REAL,
+      sma50           REAL,
+      sma200          REAL,
+      close_csum      REAL,              -- running sum of close up to this candle
+      PRIMARY KEY (${primaryKey})
+    );
+    INSERT OR REPLACE INTO candles_new (${COLUMNS})
+      SELECT ${COLUMNS} FROM candles ${unixNotNull ? "WHERE unix_timestamp IS NOT NULL" : ""} ORDER BY rowid;
+    DROP TABLE candles;
+    ALTER TABLE candles_new RENAME TO candles;
+    ${indexes}
+  `);
+  for (const v of views) db.exec(v.sql);
+
+  const lost = before - db.prepare(`SELECT COUNT(*) FROM candles`).pluck().get();
+  if (lost) console.log(`🧹 Dropped ${lost} duplicate or unkeyed candle rows while rebuilding candles`);
+}
+
+module.exports = {
+  up(db) {
+    const missing = db.prepare(`SELECT rowid, timestamp FROM candles WHERE unix_timestamp IS NULL`).all();
+    const setUnix = db.prepare(`UPDATE candles SET unix_timestamp = ? WHERE rowid = ?`);
+    for (const r of missing) setUnix.run(unixFromKey(r.timestamp), r.rowid);
+
+    rebuild(db, {
+      primaryKey : "symbol, resolution, unix_timestamp",
+      unixNotNull: true,
+      indexes    : ""                       // the primary key covers (symbol, resolution, unix_timestamp)
+    });
+  },
+
+  down(db) {
+    rebuild(db, {
+      primaryKey : "symbol, resolution, timestamp",
+      unixNotNull: false,
+      indexes    : `
+        CREATE INDEX IF NOT EXISTS idx_candles_symbol_res_time
+          ON candles(symbol, resolution, timestamp);
+        CREATE INDEX IF NOT EXISTS idx_candles_symbol_res_unix
+          ON candles(symbol, resolution, unix_timestamp);
+      `
+    });
+  }
+};
@@ -0,0 +1,110 @@
+/* ------------------------------------------------------------------ */
+/*  migrator.js – numbered up/down schema migrations for SQLite        */
+/* ------------------------------------------------------------------ */
+// A migrations directory holds `NNN_name.js` files exporting
+// { up(db), down(db) }. Applied versions are recorded in `schema_version`;
+// each migration runs in its own transaction together with its record, so a
+// failing one leaves the database at the previous version.
+//
+//   const m = new Migrator(db, { dir: CANDLE_MIGRATIONS });
+//   m.migrate();                 // everything pending
+//   m.rollback({ steps: 1 });    // undo the newest
+//   m.status();                  // { current, latest, migrations: [...] }
+
+const fs   = require("fs");
+const path = require("path");
+
+const CANDLE_MIGRATIONS = path.resolve(__dirname, "migrations/candles");
+const FILE_RE = /^(\d+)_([\w-]+)\.js$/;
+
+class Migrator {
+  constructor(db, opts = {}) {
+    this.db  = db;
+    this.dir = opts.dir ?? CANDLE_MIGRATIONS;
+    this.log = opts.log ?? console.log;
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_version (
+        version     INTEGER PRIMARY KEY,
+        name        TEXT NOT NULL,
+        applied_at  INTEGER NOT NULL
+      );
+    `);
+  }
+
+  // [{ version, name, up, down }] sorted by version
+  migrations() {
+    const list = fs.readdirSync(this.dir)
+      .map(file => FILE_RE.exec(file))
+      .filter(Boolean)
+      .map(([file, v, name]) => ({ version: Number(v), name, ...require(path.join(this.dir, file)) }))
+      .sort((a, b) => a.version - b.version);
+    for (let i = 1; i < list.length; i++)
+      if (list[i].version === list[i - 1].version) throw new Error(`Duplicate migration version ${list[i].version} in ${this.dir}`);
+    return list;
+  }
+
+  // version → applied_at (ms)
+  applied() {
+    return new Map(this.db.prepare(`SELECT version, applied_at FROM schema_version`).raw().all());
+  }
+
+  current() {
+    return this.db.prepare(`SELECT MAX(version) FROM schema_version`).pluck().get() ?? 0;
+  }
+
+  status() {
+    const applied = this.applied();
+    const list    = this.migrations();
+    return {
+      current   : this.current(),
+      latest    : list.at(-1)?.version ?? 0,
+      migrations: list.map(m => ({
+        version  : m.version,
+        name     : m.name,
+        applied  : applied.has(m.version),
+        appliedAt: applied.get(m.version) ?? null
+      }))
+    };
+  }
+
+  // Applies every pending migration up to `to` (default: all). Returns the versions applied.
+  migrate({ to = Infinity } = {}) {
+    const applied = this.applied();
+    const done    = [];
+    for (const m of this.migrations()) {
+      if (m.version > to || applied.has(m.version)) continue;
+      if (typeof m.up !== "function") throw new Error(`Migration ${m.version}_${m.name} has no up()`);
+      this.log(`⬆️  Migrating ${path.basename(this.dir)} → ${m.version} ${m.name}`);
+      this.db.transaction(() => {
+        m.up(this.db);
+        this.db.prepare(`INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, ?)`).run(m.version, m.name, Date.now());
+      })();
+      done.push(m.version);
+    }
+    return done;
+  }
+
+  // Reverts the newest `steps` applied migrations, or everything above `to`.
+  // Returns the versions rolled back.
+  rollback({ steps = 1, to } = {}) {
+    const applied = this.applied();
+    const targets = this.migrations().filter(m => applied.has(m.version)).reverse();
+    const undo    = to !== undefined ? targets.filter(m => m.version > to) : targets.slice(0, steps);
+    const done    = [];
+    for (const m of undo) {
+      if (typeof m.down !== "function") throw new Error(`Migration ${m.version}_${m.name} can't be rolled back`);
+      this.log(`⬇️  Rolling back ${path.basename(this.dir)} ← ${m.version} ${m.name}`);
+      this.db.transaction(() => {
+        m.down(this.db);
+        this.db.prepare(`DELETE FROM schema_version WHERE version = ?`).run(m.version);
+      })();
+      done.push(m.version);
+    }
+    return done;
+  }
+}
+
+module.exports = Migrator;
+module.exports.Migrator          = Migrator;
+module.exports.CANDLE_MIGRATIONS = CANDLE_MIGRATIONS;
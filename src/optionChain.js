@@ -0,0 +1,287 @@
+/* ------------------------------------------------------------------ */
+/*  optionChain.js – option chains with IV / Greeks, PCR and max pain  */
+/* ------------------------------------------------------------------ */
+// The strikes of an underlying's expiry come from the symbol master (the
+// NSE_FO / BSE_FO import); prices, OI and volume from live `sf` ticks.
+// Watching a chain – a socket.io subscription or a REST request – subscribes
+// its contracts and the underlying's spot on the data socket ("subscribe"
+// event). Chains without a socket watcher that nobody requested for
+// OPTION_CHAIN_IDLE_MIN minutes are dropped again ("unsubscribe").
+//
+// IV and Greeks are Black-Scholes (blackScholes.js) on the bid/ask mid, or
+// the LTP without a two-sided quote, to the close of the expiry session.
+// buildChain, pcr and maxPain are pure so they can be tested on fixed inputs.
+
+const { EventEmitter } = require("events");
+const { parse, today, nowUnix } = require("./exchangeTime");
+const { calendarFor } = require("./marketCalendar");
+const { DAYS_PER_YEAR, greeks, impliedVol } = require("./blackScholes");
+const symbolMaster = require("./symbolMaster");
+const instruments  = require("./instruments");
+const candleStore  = require("./storage");
+
+const envNum = (name, dflt) => (process.env[name] !== undefined && process.env[name] !== "" ? Number(process.env[name]) : dflt);
+const round  = (x, dp) => (x === null || x === undefined || !Number.isFinite(x) ? null : Number(x.toFixed(dp)));
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/* ---------- pure chain maths -------------------------------------- */
+// rows: [{ strike, call, put }] → put/call ratio of OI and volume
+function pcr(rows) {
+  const sum = (side, k) => rows.reduce((s, r) => s + (r[side]?.[k] ?? 0), 0);
+  const callOI = sum("call", "oi"), putOI = sum("put", "oi");
+  const callVolume = sum("call", "volume"), putVolume = sum("put", "volume");
+  return {
+    oi     : callOI ? round(putOI / callOI, 4) : null,
+    volume : callVolume ? round(putVolume / callVolume, 4) : null,
+    callOI, putOI, callVolume, putVolume
+  };
+}
+
+// Strike where option buyers collect the least at expiry (OI-weighted
+// intrinsic value of every call and put): { strike, value } or null without OI
+function maxPain(rows) {
+  if (!rows.some(r => r.call?.oi || r.put?.oi)) return null;
+  let best = null;
+  for (const { strike: at } of rows) {
+    const value = rows.reduce((s, r) =>
+      s + (r.call?.oi ?? 0) * Math.max(0, at - r.strike) + (r.put?.oi ?? 0) * Math.max(0, r.strike - at), 0);
+    if (!best || value < best.value) best = { strike: at, value };
+  }
+  return best;
+}
+
+// One side of a strike: quote + IV / Greeks when there is a price and a spot
+function optionSide(c, q, { spot, T, rate, dividendYield }) {
+  const mid     = q?.bid > 0 && q?.ask > 0 ? (q.bid + q.ask) / 2 : null;
+  const premium = mid ?? q?.ltp ?? null;
+  const iv      = spot && premium ? impliedVol(c.optionType, premium, spot, c.strike, T, rate, dividendYield) : null;
+  const g       = iv ? greeks(c.optionType, spot, c.strike, T, rate, iv, dividendYield) : null;
+  return {
+    ticker  : c.ticker,
+    lotSize : c.lotSize ?? null,
+    ltp     : q?.ltp ?? null,
+    bid     : q?.bid ?? null,
+    ask     : q?.ask ?? null,
+    volume  : q?.volume ?? null,
+    oi      : q?.oi ?? null,
+    oiChange: q?.oi != null && q?.prevOi != null ? q.oi - q.prevOi : null,
+    iv      : iv ? round(iv * 100, 2) : null,     // %
+    delta   : round(g?.delta, 4),
+    gamma   : round(g?.gamma, 6),
+    theta   : round(g?.theta, 2),                 // per day
+    vega    : round(g?.vega, 2)                   // per vol point
+  };
+}
+
+// contracts : [{ ticker, strike, optionType: CE|PE, lotSize }] of one expiry
+// quotes    : Map | object ticker → { ltp, bid, ask, oi, prevOi, volume }
+// expiryTs  : unix seconds the options expire (close of the expiry session)
+// strikes   : rows either side of the ATM strike to return (0 = all);
+//             PCR and max pain always cover the whole chain
+function buildChain({ underlying, expiry, expiryTs, spot = null, contracts, quotes = {},
+                      now = nowUnix(), rate = 0, dividendYield = 0, strikes = 0 }) {
+  const quoteOf = t => (quotes instanceof Map ? quotes.get(t) : quotes[t]);
+  const T   = Math.max(0, expiryTs - now) / (DAYS_PER_YEAR * 86_400);
+  const ctx = { spot, T, rate, dividendYield };
+
+  const byStrike = new Map();
+  for (const c of contracts) {
+    if (!byStrike.has(c.strike)) byStrike.set(c.strike, { strike: c.strike, call: null, put: null });
+    byStrike.get(c.strike)[c.optionType === "CE" ? "call" : "put"] = optionSide(c, quoteOf(c.ticker), ctx);
+  }
+  const all = [...byStrike.values()].sort((a, b) => a.strike - b.strike);
+
+  const atmAt = spot ? all.reduce((best, r, i) =>
+    Math.abs(r.strike - spot) < Math.abs(all[best].strike - spot) ? i : best, 0) : -1;
+  const atm  = atmAt >= 0 ? all[atmAt] : null;
+  const ivs  = [atm?.call?.iv, atm?.put?.iv].filter(v => v !== null && v !== undefined);
+  const rows = strikes > 0 && atmAt >= 0 ? all.slice(Math.max(0, atmAt - strikes), atmAt + strikes + 1) : all;
+
+  return {
+    underlying,
+    expiry,
+    spot,
+    atm          : atm?.strike ?? null,
+    atmIV        : ivs.length ? round(ivs.reduce((s, v) => s + v, 0) / ivs.length, 2) : null,
+    daysToExpiry : round(T * DAYS_PER_YEAR, 2),
+    rate,
+    dividendYield,
+    pcr          : pcr(all),
+    maxPain      : maxPain(all),
+    strikes      : all.length,
+    rows,
+    ts           : now
+  };
+}
+
+/* ---------- live chains ------------------------------------------- */
+class OptionChainService extends EventEmitter {
+  constructor(opts = {}) {
+    super();
+    this.master        = opts.symbolMaster ?? symbolMaster;
+    this.instruments   = opts.instruments ?? instruments;
+    this.store         = opts.store ?? candleStore;
+    this.rate          = opts.rate ?? envNum("OPTION_RISK_FREE_RATE", 0.065);
+    this.dividendYield = opts.dividendYield ?? envNum("OPTION_DIVIDEND_YIELD", 0);
+    this.strikes       = opts.strikes ?? envNum("OPTION_CHAIN_STRIKES", 15);
+    this.pushMs        = opts.pushMs ?? envNum("OPTION_CHAIN_PUSH_MS", 1000);
+    this.idleMs        = (opts.idleMinutes ?? envNum("OPTION_CHAIN_IDLE_MIN", 10)) * 60_000;
+
+    this.quotes   = new Map();     // ticker → { ltp, bid, ask, oi, prevOi, volume, ts }
+    this.chains   = new Map();     // key → { key, underlying, exchange, expiry, expiryTs, spot, contracts, tickers, watchers, usedAt, dirty }
+    this.byTicker = new Map();     // ticker → Set of chain keys
+    this.timer    = null;
+  }
+
+  /* ---------------- lookups ------------------------------------ */
+  // "NIFTY", "NSE:NIFTY50-INDEX", "NSE:SBIN-EQ", "NSE:NIFTY-FUT" → master underlying name
+  underlyingOf(input) {
+    const s = String(input ?? "").trim().toUpperCase();
+    if (!s) throw new Error("underlying is required");
+    return s.includes(":") ? this.instruments.underlyingOf(s) : s;
+  }
+
+  // Option expiry dates of an underlying from today on
+  expiries(underlying, { exchange = "NSE" } = {}) {
+    this.#requireMaster();
+    const from  = calendarFor(exchange).midnight(today());
+    const dates = this.master.options(this.underlyingOf(underlying), { exchange, from })
+      .map(r => calendarFor(exchange).dateOf(r.expiry));
+    return [...new Set(dates)];
+  }
+
+  /* ---------------- watching ----------------------------------- */
+  // Registers (or touches) a chain and subscribes its tickers; `listener`
+  // counts a socket watcher that has to unwatch() when it leaves
+  watch(underlying, { exchange = "NSE", expiry, listener = false } = {}) {
+    this.#requireMaster();
+    const und = this.underlyingOf(underlying);
+    const ex  = String(exchange).toUpperCase();
+    const exp = expiry || this.expiries(und, { exchange: ex })[0];
+    if (!exp) throw new Error(`No ${und} options in the symbol master`);
+    if (!DATE_RE.test(exp)) throw new Error(`expiry must be YYYY-MM-DD, got ${exp}`);
+
+    const key = `${ex}:${und}:${exp}`;
+    let chain = this.chains.get(key);
+    if (!chain) {
+      const cal  = calendarFor(ex);
+      const from = cal.midnight(exp);
+      const contracts = this.master.options(und, { exchange: ex, from, to: from + 86_400 });
+      if (!contracts.length) throw new Error(`No ${und} options expiring ${exp}`);
+
+      const spot = this.instruments.spotOf(contracts[0].ticker);
+      chain = {
+        key, underlying: und, exchange: ex, expiry: exp,
+        expiryTs : cal.sessionClose(exp) ?? parse(`${exp} 15:30`, "YYYY-MM-DD HH:mm").unix(),
+        spot, contracts,
+        tickers  : [spot, ...contracts.map(c => c.ticker)],
+        watchers : 0, usedAt: Date.now(), dirty: true
+      };
+      this.chains.set(key, chain);
+      const fresh = chain.tickers.filter(t => !this.byTicker.has(t));
+      chain.tickers.forEach(t => (this.byTicker.get(t) ?? this.byTicker.set(t, new Set()).get(t)).add(key));
+      console.log(`🧮 Option chain ${key}: ${contracts.length} contracts`);
+      if (fresh.length) this.emit("subscribe", fresh);
+    }
+    if (listener) chain.watchers++;
+    chain.usedAt = Date.now();
+    return chain;
+  }
+
+  unwatch(key) {
+    const chain = this.chains.get(key);
+    if (!chain) return;
+    chain.watchers = Math.max(0, chain.watchers - 1);
+    chain.usedAt   = Date.now();
+  }
+
+  // Every ticker a watched chain needs (resubscribed when the data socket connects)
+  tickers() { return [...this.byTicker.keys()]; }
+
+  /* ---------------- ticks -------------------------------------- */
+  onTick(msg) {
+    const ticker = msg?.contract ?? msg?.symbol;
+    const keys   = this.byTicker.get(ticker);
+    if (!keys) return;
+    const prev = this.quotes.get(ticker) ?? {};
+    this.quotes.set(ticker, {
+      ltp   : msg.ltp ?? prev.ltp ?? null,
+      bid   : msg.bid_price ?? prev.bid ?? null,
+      ask   : msg.ask_price ?? prev.ask ?? null,
+      oi    : msg.oi ?? prev.oi ?? null,
+      prevOi: msg.pdoi ?? prev.prevOi ?? null,
+      volume: msg.vol_traded_today ?? prev.volume ?? null,
+      ts    : Date.now()
+    });
+    keys.forEach(k => { this.chains.get(k).dirty = true; });
+  }
+
+  /* ---------------- chains ------------------------------------- */
+  // opts: { exchange, expiry, strikes (either side of ATM, 0 = all), spot (override) }
+  async chain(underlying, opts = {}) {
+    const chain = this.watch(underlying, opts);
+    const spot  = Number(opts.spot) || this.quotes.get(chain.spot)?.ltp || await this.#lastClose(chain.spot);
+    return buildChain({
+      underlying   : chain.underlying,
+      expiry       : chain.expiry,
+      expiryTs     : chain.expiryTs,
+      spot,
+      contracts    : chain.contracts,
+      quotes       : this.quotes,
+      rate         : this.rate,
+      dividendYield: this.dividendYield,
+      strikes      : opts.strikes !== undefined && opts.strikes !== "" ? Number(opts.strikes) : this.strikes
+    });
+  }
+
+  // Pushes changed chains to their watchers ("update") and drops idle ones
+  start() {
+    this.stop();
+    this.timer = setInterval(() => this.#tick().catch(err => console.error("⚠️ option chain push:", err.message)), this.pushMs);
+    this.timer.unref?.();
+    return this;
+  }
+
+  stop() { clearInterval(this.timer); this.timer = null; }
+
+  /* ---------------- internals ---------------------------------- */
+  async #tick() {
+    for (const chain of [...this.chains.values()]) {
+      if (chain.watchers > 0 && chain.dirty) {
+        chain.dirty = false;
+        this.emit("update", chain.key, await this.chain(chain.underlying, { exchange: chain.exchange, expiry: chain.expiry }));
+      } else if (!chain.watchers && Date.now() - chain.usedAt > this.idleMs) {
+        this.#drop(chain);
+      }
+    }
+  }
+
+  #drop(chain) {
+    this.chains.delete(chain.key);
+    const gone = [];
+    for (const t of chain.tickers) {
+      const keys = this.byTicker.get(t);
+      keys?.delete(chain.key);
+      if (keys && !keys.size) { this.byTicker.delete(t); this.quotes.delete(t); gone.push(t); }
+    }
+    console.log(`🧮 Option chain ${chain.key} idle – dropped`);
+    if (gone.length) this.emit("unsubscribe", gone);
+  }
+
+  async #lastClose(ticker) {
+    const now = nowUnix();
+    const candles = await this.store.getCandles(ticker, "D", now - 10 * 86_400, now);
+    return candles.at(-1)?.[4] ?? null;
+  }
+
+  #requireMaster() {
+    if (!this.master.isLoaded())
+      throw new Error("Symbol master not imported – option chains need the F&O master (NSE_FO.csv)");
+  }
+}
+
+module.exports = new OptionChainService();
+module.exports.OptionChainService = OptionChainService;
+module.exports.buildChain = buildChain;
+module.exports.pcr        = pcr;
+module.exports.maxPain    = maxPain;
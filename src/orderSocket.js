@@ -1,4 +1,4 @@
-const { fyersOrderSocket } = require('fyers-api-v3');
+const { fyersOrderSocket } = require('./fyersApi');
 const { EventEmitter } = require('events');
 
 class OrderSocket extends EventEmitter {
@@ -77,6 +77,20 @@ class OrderSocket extends EventEmitter {
     }
   }
 
+  // A new access token (refresh / login); socketToken is "<app id>:<token>"
+  async reconnect(socketToken) {
+    const old = this.socket;
+    this.accessToken = socketToken;
+    this.socket = null;
+    this.connected = false;
+    if (old) {
+      old.removeAllListeners?.();
+      try { old.close(); } catch (error) { console.warn('⚠️ Closing the old order socket:', error.message); }
+    }
+    console.log('🔄 Reconnecting the order socket with the new token');
+    return this.connect();
+  }
+
   disconnect() {
     try {
       if (this.connected && this.socket) {
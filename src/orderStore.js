@@ -0,0 +1,208 @@
+/* ------------------------------------------------------------------ */
+/*  orderStore.js – local order / trade / position state               */
+/* ------------------------------------------------------------------ */
+// Orders placed through TradingService are recorded here straight away and
+// then reconciled with the 'orders', 'trades' and 'positions' events coming
+// from OrderSocket (and with a full order-book sync at startup). Orders are
+// persisted in data/app.sqlite so their history survives a restart. There's
+// one store per account (accounts.js); `io` is that account's socket.io room.
+
+const { EventEmitter } = require("events");
+const appDB            = require("./appDB");
+
+// Fyers v3 order status codes
+const STATUS = { 1: "CANCELLED", 2: "FILLED", 3: "NOT_USED", 4: "TRANSIT", 5: "REJECTED", 6: "PENDING", 7: "EXPIRED" };
+const TYPES  = { 1: "LIMIT", 2: "MARKET", 3: "SL-M", 4: "SL" };
+const SIDES  = { 1: "BUY", "-1": "SELL" };
+const FINAL  = ["CANCELLED", "FILLED", "REJECTED", "EXPIRED"];
+
+class OrderStore extends EventEmitter {
+  constructor(io, opts = {}) {
+    super();
+    this.io = io;
+    this.db = opts.db ?? appDB;
+    this.account = opts.account ?? "default";
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS orders (
+        id          TEXT PRIMARY KEY,
+        symbol      TEXT,
+        status      TEXT,
+        dry_run     INTEGER DEFAULT 0,
+        data        TEXT NOT NULL,        -- JSON of the normalised order
+        updated_at  INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_orders_status ON orders(status);
+    `);
+    // Orders from before accounts existed belong to "default"
+    if (!this.db.prepare(`PRAGMA table_info(orders)`).all().some(c => c.name === "account"))
+      this.db.exec(`ALTER TABLE orders ADD COLUMN account TEXT NOT NULL DEFAULT 'default'`);
+    this.db.exec(`CREATE INDEX IF NOT EXISTS idx_orders_account ON orders(account)`);
+
+    this._upsert = this.db.prepare(`
+      INSERT INTO orders (id, account, symbol, status, dry_run, data, updated_at)
+      VALUES (@id, @account, @symbol, @status, @dry_run, @data, @updated_at)
+      ON CONFLICT(id) DO UPDATE SET
+        symbol = excluded.symbol, status = excluded.status,
+        data = excluded.data, updated_at = excluded.updated_at
+    `);
+
+    this.orders    = new Map();   // id → order
+    this.positions = new Map();   // symbol → latest broker position
+    for (const row of this.db.prepare(`SELECT data FROM orders WHERE account = ?`).all(this.account)) {
+      const o = JSON.parse(row.data);
+      this.orders.set(o.id, o);
+    }
+  }
+
+  /* ---------------- wiring ------------------------------------- */
+  attach(orderSocket) {
+    orderSocket.on("orders",    m => this.onOrder(m?.orders ?? m));
+    orderSocket.on("trades",    m => this.onTrade(m?.trades ?? m));
+    orderSocket.on("positions", m => this.onPosition(m?.positions ?? m));
+    return this;
+  }
+
+  /* ---------------- local side (requests we sent) -------------- */
+  recordPlaced(resp, source = "api") {
+    const req = resp.request ?? {};
+    return this.#save({
+      id        : String(resp.id),
+      symbol    : req.symbol,
+      side      : SIDES[req.side] ?? req.side,
+      type      : TYPES[req.type] ?? req.type,
+      productType: req.productType,
+      qty       : req.qty,
+      limitPrice: req.limitPrice,
+      stopPrice : req.stopPrice,
+      filledQty : 0,
+      avgPrice  : null,
+      status    : resp.dryRun ? "DRY_RUN" : "PENDING",
+      dryRun    : !!resp.dryRun,
+      source,
+      message   : resp.message ?? null,
+      trades    : [],
+      history   : [{ ts: Date.now(), status: resp.dryRun ? "DRY_RUN" : "PENDING", message: resp.message ?? null }]
+    });
+  }
+
+  recordModified(resp) {
+    const o = this.orders.get(String(resp.id));
+    if (!o) return null;
+    const req = resp.request ?? {};
+    for (const k of ["qty", "limitPrice", "stopPrice"]) if (req[k] !== undefined) o[k] = req[k];
+    if (req.type !== undefined) o.type = TYPES[req.type] ?? req.type;
+    o.history.push({ ts: Date.now(), status: o.status, message: resp.dryRun ? "dry-run modify" : "modify requested" });
+    return this.#save(o);
+  }
+
+  recordCancelRequested(resp) {
+    const o = this.orders.get(String(resp.id));
+    if (!o) return null;
+    if (resp.dryRun) o.status = "CANCELLED";
+    o.history.push({ ts: Date.now(), status: o.status, message: resp.dryRun ? "dry-run cancel" : "cancel requested" });
+    return this.#save(o);
+  }
+
+  /* ---------------- broker side (socket / order book) ---------- */
+  onOrder(msg) {
+    if (!msg?.id) return null;
+    const id     = String(msg.id);
+    const status = STATUS[msg.status] ?? String(msg.status ?? "UNKNOWN");
+    const prev   = this.orders.get(id);
+    const o      = prev ?? { id, source: "broker", trades: [], history: [], dryRun: false };
+    const before = { status: o.status, message: o.message };
+
+    Object.assign(o, {
+      symbol    : msg.symbol ?? o.symbol,
+      side      : SIDES[msg.side] ?? o.side,
+      type      : TYPES[msg.type] ?? o.type,
+      productType: msg.productType ?? o.productType,
+      qty       : msg.qty ?? o.qty,
+      limitPrice: msg.limitPrice ?? o.limitPrice,
+      stopPrice : msg.stopPrice ?? o.stopPrice,
+      filledQty : msg.filledQty ?? o.filledQty ?? 0,
+      avgPrice  : msg.tradedPrice || o.avgPrice || null,
+      status,
+      message   : msg.message ?? o.message ?? null
+    });
+    if (!prev || before.status !== status || (msg.message && msg.message !== before.message))
+      o.history.push({ ts: Date.now(), status, message: o.message });
+
+    return this.#save(o);
+  }
+
+  onTrade(msg) {
+    const id = msg?.orderNumber ?? msg?.id;
+    if (!id) return null;
+    const o = this.orders.get(String(id)) ?? { id: String(id), source: "broker", trades: [], history: [], dryRun: false };
+    const tradeNo = msg.tradeNumber ?? `${msg.orderDateTime ?? Date.now()}`;
+    if (o.trades.some(t => t.tradeNumber === tradeNo)) return o;
+
+    o.trades.push({ tradeNumber: tradeNo, qty: msg.tradedQty, price: msg.tradePrice, ts: Date.now() });
+    const filled = o.trades.reduce((s, t) => s + (t.qty || 0), 0);
+    o.filledQty = Math.max(o.filledQty ?? 0, filled);
+    o.avgPrice  = filled ? o.trades.reduce((s, t) => s + (t.qty || 0) * (t.price || 0), 0) / filled : o.avgPrice;
+    o.symbol  ??= msg.symbol;
+    if (o.qty && o.filledQty >= o.qty && !FINAL.includes(o.status)) o.status = "FILLED";
+    else if (o.filledQty && !FINAL.includes(o.status)) o.status = "PARTIALLY_FILLED";
+    o.history.push({ ts: Date.now(), status: o.status, message: `trade ${tradeNo}: ${msg.tradedQty} @ ${msg.tradePrice}` });
+    return this.#save(o);
+  }
+
+  onPosition(msg) {
+    if (!msg?.symbol) return null;
+    this.positions.set(msg.symbol, { ...msg, updatedAt: Date.now() });
+    this.emit("position", msg);
+    this.io?.emit("positionUpdate", { ...msg, account: this.account });
+    return msg;
+  }
+
+  // Reconcile against a full get_orders() response (orderBook array)
+  sync(orderBook = []) {
+    orderBook.forEach(o => this.onOrder(o));
+    return this.list();
+  }
+
+  /* ---------------- queries ------------------------------------ */
+  get(id) { return this.orders.get(String(id)) ?? null; }
+
+  list({ status, symbol } = {}) {
+    return [...this.orders.values()]
+      .filter(o => (!status || o.status === status) && (!symbol || o.symbol === symbol))
+      .sort((a, b) => (b.history.at(-1)?.ts ?? 0) - (a.history.at(-1)?.ts ?? 0));
+  }
+
+  getPositions() { return [...this.positions.values()]; }
+
+  // RiskManager source, from the broker's net positions (Fyers position fields)
+  getExposure() {
+    return this.getPositions()
+      .filter(p => Number(p.netQty))
+      .map(p => ({
+        symbol  : p.symbol,
+        qty     : Number(p.netQty),
+        notional: Math.abs(Number(p.netQty)) * (Number(p.ltp) || Number(p.netAvg) || 0),
+        pnl     : Number(p.unrealized_profit) || 0
+      }));
+  }
+
+  getRealisedToday() {
+    return this.getPositions().reduce((s, p) => s + (Number(p.realized_profit) || 0), 0);
+  }
+
+  /* ---------------- internals ---------------------------------- */
+  #save(o) {
+    o.account = this.account;
+    this.orders.set(o.id, o);
+    this._upsert.run({
+      id: o.id, account: this.account, symbol: o.symbol ?? null, status: o.status, dry_run: o.dryRun ? 1 : 0,
+      data: JSON.stringify(o), updated_at: Date.now()
+    });
+    this.emit("order", o);
+    this.io?.emit("orderUpdate", o);
+    return o;
+  }
+}
+
+module.exports = OrderStore;
@@ -0,0 +1,287 @@
+/* ------------------------------------------------------------------ */
+/*  paperBroker.js – virtual fills for strategy signals + live MTM     */
+/* ------------------------------------------------------------------ */
+// Every new bullish/bearish signal opens a virtual position at the signal's
+// entryPrice. Each `sf` tick marks it to market and closes it when the
+// stop-loss or target is touched, or at the daily square-off time. The
+// square-off keeps its distance to the close on special sessions (Muhurat)
+// and never fires on days the exchange is shut. Futures and options are
+// sized in whole lots (instruments.js).
+// Positions and fills are persisted in data/app.sqlite.
+
+const { EventEmitter } = require("events");
+const { ist }          = require("./exchangeTime");
+const appDB            = require("./appDB");
+const calendar         = require("./marketCalendar");
+const instruments      = require("./instruments");
+
+const round = (x, dp = 2) => Number(x.toFixed(dp));
+
+class PaperBroker extends EventEmitter {
+  constructor(io, opts = {}) {
+    super();
+    this.io        = io;
+    this.db        = opts.db ?? appDB;
+    this.tradeSize = opts.tradeSize ?? (Number(process.env.PAPER_TRADE_SIZE) || 10_000);
+    this.squareOff = opts.squareOffTime ?? process.env.PAPER_SQUARE_OFF ?? "15:15";   // HH:mm
+    if (!/^\d{1,2}:\d{2}$/.test(this.squareOff))
+      throw new Error(`Invalid square-off time: ${this.squareOff}`);
+    this.calendar  = opts.calendar ?? calendar;
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS paper_positions (
+        id           INTEGER PRIMARY KEY AUTOINCREMENT,
+        signal_key   TEXT,
+        strategy     TEXT,
+        symbol       TEXT NOT NULL,
+        side         TEXT NOT NULL,        -- BUY (long) | SELL (short)
+        qty          INTEGER NOT NULL,
+        entry_price  REAL NOT NULL,
+        stop_loss    REAL NOT NULL,
+        target       REAL NOT NULL,
+        ltp          REAL,
+        pnl          REAL DEFAULT 0,       -- unrealised while OPEN, realised once CLOSED
+        status       TEXT NOT NULL DEFAULT 'OPEN',
+        exit_price   REAL,
+        exit_reason  TEXT,                 -- stopLoss | target | squareOff
+        opened_at    INTEGER NOT NULL,
+        closed_at    INTEGER
+      );
+      CREATE INDEX IF NOT EXISTS idx_paper_positions_status ON paper_positions(status);
+
+      CREATE TABLE IF NOT EXISTS paper_fills (
+        id           INTEGER PRIMARY KEY AUTOINCREMENT,
+        position_id  INTEGER NOT NULL REFERENCES paper_positions(id),
+        symbol       TEXT NOT NULL,
+        side         TEXT NOT NULL,        -- side of this fill
+        qty          INTEGER NOT NULL,
+        price        REAL NOT NULL,
+        reason       TEXT NOT NULL,        -- entry | stopLoss | target | squareOff
+        ts           INTEGER NOT NULL
+      );
+    `);
+
+    this._insertPos  = this.db.prepare(`
+      INSERT INTO paper_positions
+        (signal_key, strategy, symbol, side, qty, entry_price, stop_loss, target, ltp, opened_at)
+      VALUES (@signal_key, @strategy, @symbol, @side, @qty, @entry_price, @stop_loss, @target, @ltp, @opened_at)
+    `);
+    this._insertFill = this.db.prepare(`
+      INSERT INTO paper_fills (position_id, symbol, side, qty, price, reason, ts)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    this._mark  = this.db.prepare(`UPDATE paper_positions SET ltp = ?, pnl = ? WHERE id = ?`);
+    this._close = this.db.prepare(`
+      UPDATE paper_positions
+      SET status = 'CLOSED', ltp = @price, exit_price = @price, exit_reason = @reason,
+          pnl = @pnl, closed_at = @ts
+      WHERE id = @id
+    `);
+
+    // Open positions survive restarts: symbol → row
+    this.open = new Map();
+    for (const row of this.db.prepare(`SELECT * FROM paper_positions WHERE status = 'OPEN'`).all())
+      this.open.set(row.symbol, row);
+    if (this.open.size) console.log(`📒 Restored ${this.open.size} open paper positions`);
+
+    this.lastSquareOff = null;        // YYYY-MM-DD of the last square-off run
+    this.timer = setInterval(() => this.#checkSquareOff(), 30_000);
+    this.timer.unref?.();
+  }
+
+  /* ---------------- wiring ------------------------------------- */
+  attach(strategy) {
+    strategy.on("bullish", p => this.onSignal(p));
+    strategy.on("bearish", p => this.onSignal(p));
+    return this;
+  }
+
+  /* ---------------- signal → virtual entry -------------------- */
+  onSignal({ trade }) {
+    const symbol = trade.ticker;
+    if (trade.risk && !trade.risk.approved) {
+      console.log(`📒 Paper: ${symbol} ${trade.type} signal rejected by risk – ${trade.risk.reason}`);
+      return null;
+    }
+    if (this.open.has(symbol)) {
+      console.log(`📒 Paper: already holding ${symbol}, ignoring ${trade.type} signal`);
+      return null;
+    }
+    if (this.#pastSquareOff()) {
+      console.log(`📒 Paper: ${symbol} ${trade.type} signal after square-off (${this.squareOff}) or market closed, not entering`);
+      return null;
+    }
+
+    const price = Number(trade.entryPrice);
+    const now   = Date.now();
+    const lot   = instruments.lotSize(symbol);
+    const row   = {
+      signal_key : trade.key,
+      strategy   : trade.strategy ?? null,
+      symbol,
+      side       : trade.type,
+      qty        : trade.risk?.qty || lot * Math.max(1, Math.floor(this.tradeSize / (price * lot))),
+      entry_price: price,
+      stop_loss  : Number(trade.stopLoss),
+      target     : Number(trade.target),
+      ltp        : price,
+      opened_at  : now
+    };
+
+    const id = this.db.transaction(() => {
+      const { lastInsertRowid } = this._insertPos.run(row);
+      this._insertFill.run(lastInsertRowid, symbol, row.side, row.qty, price, "entry", now);
+      return Number(lastInsertRowid);
+    })();
+
+    const pos = { id, ...row, pnl: 0, status: "OPEN" };
+    this.open.set(symbol, pos);
+    console.log(`📒 Paper ${row.side} ${row.qty} × ${symbol} @ ${price} (SL ${row.stop_loss}, TGT ${row.target})`);
+    this.#publish(pos);
+    return pos;
+  }
+
+  /* ---------------- tick → mark-to-market / exits -------------- */
+  onTick(symbol, ltp, ts = Date.now()) {
+    const pos = this.open.get(symbol);
+    if (!pos || !ltp) return;
+
+    const long = pos.side === "BUY";
+    if (long ? ltp <= pos.stop_loss : ltp >= pos.stop_loss) return this.#exit(pos, ltp, "stopLoss", ts);
+    if (long ? ltp >= pos.target    : ltp <= pos.target)    return this.#exit(pos, ltp, "target", ts);
+
+    if (ltp === pos.ltp) return;
+    pos.ltp = ltp;
+    pos.pnl = this.#pnl(pos, ltp);
+    this._mark.run(ltp, pos.pnl, pos.id);
+    this.#publish(pos);
+  }
+
+  squareOffAll(reason = "squareOff") {
+    const positions = [...this.open.values()];
+    positions.forEach(pos => this.#exit(pos, pos.ltp ?? pos.entry_price, reason));
+    return positions.length;
+  }
+
+  /* ---------------- queries ------------------------------------ */
+  getPositions(status = "OPEN") {
+    const rows = status === "ALL"
+      ? this.db.prepare(`SELECT * FROM paper_positions ORDER BY opened_at DESC`).all()
+      : this.db.prepare(`SELECT * FROM paper_positions WHERE status = ? ORDER BY opened_at DESC`).all(status);
+    return rows.map(r => this.#view(r));
+  }
+
+  getTrades({ symbol, limit = 500 } = {}) {
+    const fills = symbol
+      ? this.db.prepare(`SELECT * FROM paper_fills WHERE symbol = ? ORDER BY ts DESC LIMIT ?`).all(symbol, limit)
+      : this.db.prepare(`SELECT * FROM paper_fills ORDER BY ts DESC LIMIT ?`).all(limit);
+    const pnl = this.db.prepare(`
+      SELECT COUNT(*) AS closed,
+             COALESCE(SUM(pnl), 0) AS realised,
+             COALESCE(SUM(CASE WHEN pnl > 0 THEN 1 ELSE 0 END), 0) AS wins
+      FROM paper_positions WHERE status = 'CLOSED'
+    `).get();
+    const unrealised = [...this.open.values()].reduce((s, p) => s + (p.pnl || 0), 0);
+    return { fills, summary: { ...pnl, realised: round(pnl.realised), unrealised: round(unrealised) } };
+  }
+
+  // RiskManager source: open notional + unrealised P&L per symbol
+  getExposure() {
+    return [...this.open.values()].map(p => ({
+      symbol  : p.symbol,
+      qty     : p.side === "BUY" ? p.qty : -p.qty,
+      notional: p.qty * (p.ltp ?? p.entry_price),
+      pnl     : p.pnl || 0
+    }));
+  }
+
+  getRealisedToday() {
+    const since = ist().startOf("day").valueOf();               // since the exchange day began
+    return this.db.prepare(`
+      SELECT COALESCE(SUM(pnl), 0) AS pnl FROM paper_positions WHERE status = 'CLOSED' AND closed_at >= ?
+    `).get(since).pnl;
+  }
+
+  stop() { clearInterval(this.timer); }
+
+  /* ---------------- internals ---------------------------------- */
+  #pnl(pos, price) {
+    const dir = pos.side === "BUY" ? 1 : -1;
+    return round((price - pos.entry_price) * pos.qty * dir);
+  }
+
+  #exit(pos, price, reason, ts = Date.now()) {
+    const pnl  = this.#pnl(pos, price);
+    const side = pos.side === "BUY" ? "SELL" : "BUY";
+    this.db.transaction(() => {
+      this._close.run({ id: pos.id, price, reason, pnl, ts });
+      this._insertFill.run(pos.id, pos.symbol, side, pos.qty, price, reason, ts);
+    })();
+
+    this.open.delete(pos.symbol);
+    Object.assign(pos, { status: "CLOSED", ltp: price, exit_price: price, exit_reason: reason, pnl, closed_at: ts });
+    console.log(`📒 Paper exit ${pos.symbol} @ ${price} (${reason}) P&L ${pnl}`);
+    this.#publish(pos);
+    this.emit("closed", this.#view(pos));
+  }
+
+  // Unix square-off time on a date: the configured HH:mm on a regular day,
+  // the same distance before the close on a special session, null if closed
+  #squareOffAt(date) {
+    const close = this.calendar.sessionClose(date);
+    if (close === null) return null;
+    const [h, m]  = this.squareOff.split(":").map(Number);
+    const [ch, cm] = this.calendar.sessions.normal[1].split(":").map(Number);
+    return close - ((ch * 60 + cm) - (h * 60 + m)) * 60;
+  }
+
+  #pastSquareOff(now = ist().unix()) {
+    const at = this.#squareOffAt(this.calendar.dateOf(now));
+    return at === null || now >= at;
+  }
+
+  #checkSquareOff(now = ist().unix()) {
+    const today = this.calendar.dateOf(now);
+    const at    = this.#squareOffAt(today);
+    if (this.lastSquareOff === today || at === null || now < at) return;
+    this.lastSquareOff = today;
+    const n = this.squareOffAll("squareOff");
+    if (n) console.log(`⏰ Paper square-off at ${ist(at).format("HH:mm")}: closed ${n} positions`);
+  }
+
+  // Shape sent to the UI / API – liveReturns matches the signal card format
+  #view(pos) {
+    const price = pos.status === "CLOSED" ? pos.exit_price : (pos.ltp ?? pos.entry_price);
+    const dir   = pos.side === "BUY" ? 1 : -1;
+    const ret   = ((price - pos.entry_price) / pos.entry_price) * 100 * dir;
+    return {
+      id         : pos.id,
+      key        : pos.signal_key,
+      strategy   : pos.strategy,
+      symbol     : pos.symbol,
+      display    : instruments.displayName(pos.symbol),
+      side       : pos.side,
+      qty        : pos.qty,
+      lots       : pos.qty / instruments.lotSize(pos.symbol),
+      entryPrice : pos.entry_price,
+      stopLoss   : pos.stop_loss,
+      target     : pos.target,
+      ltp        : price,
+      pnl        : pos.pnl,
+      liveReturns: `${ret.toFixed(2)}%`,
+      isProfit   : ret >= 0,
+      status     : pos.status,
+      exitReason : pos.exit_reason ?? null,
+      openedAt   : ist(Math.floor(pos.opened_at / 1000)).format("YYYY-MM-DD HH:mm:ss"),
+      closedAt   : pos.closed_at ? ist(Math.floor(pos.closed_at / 1000)).format("YYYY-MM-DD HH:mm:ss") : null
+    };
+  }
+
+  #publish(pos) {
+    const view = this.#view(pos);
+    this.emit("update", view);
+    this.io?.emit("paperPosition", view);
+  }
+}
+
+module.exports = PaperBroker;
@@ -0,0 +1,295 @@
+/* ------------------------------------------------------------------ */
+/*  retention.js – candle retention, monthly archives and maintenance  */
+/* ------------------------------------------------------------------ */
+// Each resolution keeps its candles for a configured period (CANDLE_RETENTION,
+// e.g. "1:60d,5:1y"; resolutions not listed are kept forever). Older rows are
+// appended to gzip NDJSON archives, one per resolution and month:
+//
+//   <CANDLE_ARCHIVE_DIR>/<resolution>/<YYYY-MM>.ndjson.gz
+//   {"symbol":"NSE:SBIN-EQ","resolution":"1","ts":…,"open":…,"high":…,"low":…,"close":…,"volume":…}
+//
+// and deleted only after the archive write has been flushed to disk. Every
+// run appends a new gzip member to the month's file, which gunzip reads as
+// one stream; a row archived twice (a crash between write and delete)
+// restores to the same candle. restore() imports an archive back.
+//
+// schedule() runs retention, a WAL checkpoint and – when enough pages are
+// free – VACUUM once a day at STORAGE_MAINTENANCE_AT (exchange time), and
+// a passive checkpoint every hour.
+
+const fs       = require("fs");
+const path     = require("path");
+const zlib     = require("zlib");
+const readline = require("readline");
+const { ist, periodKey, nowUnix } = require("./exchangeTime");
+const candleDB = require("./candleDB");
+
+const ARCHIVE_DIR    = path.resolve(__dirname, "../data/archive");
+const RETENTION      = "1:60d,5:1y";
+const MAINTENANCE_AT = "02:30";
+const VACUUM_FREE    = 0.2;                // VACUUM once 20 % of the file is free pages
+const PAGE           = 10_000;
+const UNITS          = { d: "days", w: "weeks", mo: "months", y: "years" };
+
+// "1:60d,5:1y,D:forever" → { "1": { n: 60, unit: "days", label: "60d" }, "5": …, "D": null }
+function parseRetention(spec = RETENTION) {
+  const out = {};
+  for (const part of String(spec).split(",").map(s => s.trim()).filter(Boolean)) {
+    const [res, period] = part.split(":").map(s => s?.trim());
+    if (!res || !period) throw new Error(`Bad retention entry "${part}" (expected resolution:period)`);
+    if (/^(forever|0)$/i.test(period)) { out[res.toUpperCase()] = null; continue; }
+    const m = /^(\d+)(d|w|mo|y)$/i.exec(period);
+    if (!m) throw new Error(`Bad retention period "${period}" (use 60d, 8w, 6mo, 1y or forever)`);
+    out[res.toUpperCase()] = { n: Number(m[1]), unit: UNITS[m[2].toLowerCase()], label: period };
+  }
+  return out;
+}
+
+class CandleRetention {
+  constructor(opts = {}) {
+    this.candleDB      = opts.candleDB ?? candleDB;
+    this.db            = this.candleDB.db;
+    this.dir           = opts.dir ?? path.resolve(process.env.CANDLE_ARCHIVE_DIR || ARCHIVE_DIR);
+    this.retention     = parseRetention(opts.retention ?? process.env.CANDLE_RETENTION ?? RETENTION);
+    this.maintenanceAt = opts.maintenanceAt ?? process.env.STORAGE_MAINTENANCE_AT ?? MAINTENANCE_AT;
+    this.vacuumFree    = opts.vacuumFree ?? VACUUM_FREE;
+    this.lastRun       = null;             // YYYY-MM-DD of the last daily maintenance
+    this.lastCheckpoint = 0;
+    this.timer         = null;
+  }
+
+  /* ---------------- retention ---------------------------------- */
+  // Unix cutoff per resolution with a retention period: rows before it expire
+  cutoffs(now = nowUnix()) {
+    const out = {};
+    for (const [res, keep] of Object.entries(this.retention))
+      if (keep) out[res] = ist(now).subtract(keep.n, keep.unit).startOf("day").unix();
+    return out;
+  }
+
+  // Archives then deletes expired rows. dryRun only counts them.
+  // → [{ resolution, cutoff, rows, files }]
+  apply({ now = nowUnix(), dryRun = false } = {}) {
+    const report = [];
+    for (const [res, cutoff] of Object.entries(this.cutoffs(now))) {
+      if (dryRun) {
+        const rows = this.db.prepare(`SELECT COUNT(*) FROM candles WHERE resolution = ? AND unix_timestamp < ?`).pluck().get(res, cutoff);
+        report.push({ resolution: res, cutoff: ist(cutoff).format(), rows, files: [] });
+        continue;
+      }
+      const { rows, files } = this.#expire(res, cutoff);
+      if (rows) console.log(`🗄️  Archived ${rows} ${res} candles before ${ist(cutoff).format("YYYY-MM-DD")} to ${files.length} file(s)`);
+      report.push({ resolution: res, cutoff: ist(cutoff).format(), rows, files });
+    }
+    return report;
+  }
+
+  #expire(res, cutoff) {
+    const select = this.db.prepare(`
+      SELECT rowid, symbol, unix_timestamp AS ts, open, high, low, close, volume FROM candles
+      WHERE resolution = ? AND unix_timestamp < ?
+      ORDER BY symbol, unix_timestamp LIMIT ${PAGE}
+    `);
+    const del       = this.db.prepare(`DELETE FROM candles WHERE rowid = ?`);
+    const dropInds  = this.db.prepare(`DELETE FROM indicators WHERE resolution = ? AND ts < ?`);
+    const files     = new Set();
+    let total = 0;
+
+    for (let rows; (rows = select.all(res, cutoff)).length;) {
+      // month → NDJSON lines, appended as one gzip member per page
+      const months = new Map();
+      for (const r of rows) {
+        const key  = periodKey(r.ts, "M");
+        const line = JSON.stringify({ symbol: r.symbol, resolution: res, ts: r.ts, open: r.open, high: r.high, low: r.low, close: r.close, volume: r.volume });
+        if (!months.has(key)) months.set(key, []);
+        months.get(key).push(line);
+      }
+      for (const [month, lines] of months) {
+        const file = this.archiveFile(res, month);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const fd = fs.openSync(file, "a");
+        try {
+          fs.writeSync(fd, zlib.gzipSync(lines.join("\n") + "\n"));
+          fs.fsyncSync(fd);
+        } finally {
+          fs.closeSync(fd);
+        }
+        files.add(file);
+      }
+      this.db.transaction(() => rows.forEach(r => del.run(r.rowid)))();
+      total += rows.length;
+    }
+    if (total) dropInds.run(res, cutoff);
+    return { rows: total, files: [...files] };
+  }
+
+  /* ---------------- archives ----------------------------------- */
+  archiveFile(resolution, month) {
+    return path.join(this.dir, String(resolution).toUpperCase(), `${month}.ndjson.gz`);
+  }
+
+  // [{ resolution, month, file, bytes }]
+  archives() {
+    if (!fs.existsSync(this.dir)) return [];
+    const out = [];
+    for (const res of fs.readdirSync(this.dir)) {
+      const dir = path.join(this.dir, res);
+      if (!fs.statSync(dir).isDirectory()) continue;
+      for (const name of fs.readdirSync(dir).filter(f => f.endsWith(".ndjson.gz")).sort()) {
+        const file = path.join(dir, name);
+        out.push({ resolution: res, month: name.replace(".ndjson.gz", ""), file, bytes: fs.statSync(file).size });
+      }
+    }
+    return out;
+  }
+
+  // Re-imports an archive – a file path or { resolution, month } – into
+  // candles, then refreshes SMAs / indicators of every series it touched.
+  // The archive file is left in place. → { file, rows, series }
+  async restore(target) {
+    const file = typeof target === "string" ? path.resolve(target) : this.archiveFile(target.resolution, target.month);
+    if (!fs.existsSync(file)) throw new Error(`Archive not found: ${file}`);
+
+    const lines = readline.createInterface({ input: fs.createReadStream(file).pipe(zlib.createGunzip()), crlfDelay: Infinity });
+    const first = new Map();                // "symbol|res" → earliest ts restored
+    const batch = new Map();                // "symbol|res" → [[ts, o, h, l, c, v]]
+    let rows = 0, pending = 0;
+    const flush = () => {
+      for (const [key, candles] of batch) this.candleDB.storeCandles(...key.split("|"), candles, { refresh: false });
+      batch.clear();
+      pending = 0;
+    };
+
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      const r   = JSON.parse(line);
+      const key = `${r.symbol}|${r.resolution}`;
+      if (!batch.has(key)) batch.set(key, []);
+      batch.get(key).push([r.ts, r.open, r.high, r.low, r.close, r.volume]);
+      first.set(key, Math.min(first.get(key) ?? Infinity, r.ts));
+      rows++;
+      if (++pending >= PAGE) flush();
+    }
+    flush();
+    for (const [key, ts] of first) this.candleDB.refreshSeries(...key.split("|"), ts);
+    console.log(`📦 Restored ${rows} candles (${first.size} series) from ${file}`);
+    return { file, rows, series: first.size };
+  }
+
+  /* ---------------- maintenance -------------------------------- */
+  checkpoint(mode = "PASSIVE") {
+    const [r] = this.db.pragma(`wal_checkpoint(${mode})`);
+    this.lastCheckpoint = Date.now();
+    return r;                               // { busy, log, checkpointed }
+  }
+
+  // Checkpoint + truncate the WAL; VACUUM when `force` or enough pages are free
+  compact({ force = false } = {}) {
+    const before = this.#fileBytes();
+    const pages  = this.db.pragma("page_count", { simple: true });
+    const free   = this.db.pragma("freelist_count", { simple: true });
+    const vacuum = force || (pages > 0 && free / pages >= this.vacuumFree);
+    if (vacuum) this.db.exec("VACUUM");
+    this.checkpoint("TRUNCATE");
+    const after = this.#fileBytes();
+    if (vacuum) console.log(`🧽 VACUUM: ${(before.total / 1e6).toFixed(1)} MB → ${(after.total / 1e6).toFixed(1)} MB`);
+    return { vacuumed: vacuum, freePages: free, pages, before, after };
+  }
+
+  // Daily job: retention, then compaction
+  runMaintenance({ now = nowUnix() } = {}) {
+    const retention = this.apply({ now });
+    const compact   = this.compact();
+    this.lastRun = ist(now).format("YYYY-MM-DD");
+    return { retention, compact };
+  }
+
+  // Starts the daily maintenance / hourly checkpoint timer
+  schedule() {
+    if (this.timer) return this;
+    this.timer = setInterval(() => this.#tick(), 60_000);
+    this.timer.unref?.();
+    console.log(`🗓️  Storage maintenance daily at ${this.maintenanceAt} IST; retention ${this.describe()}`);
+    return this;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  describe() {
+    const parts = Object.entries(this.retention).map(([res, k]) => `${res}=${k?.label ?? "forever"}`);
+    return parts.length ? parts.join(", ") : "keep everything";
+  }
+
+  #tick() {
+    try {
+      const now = ist();
+      if (now.format("HH:mm") >= this.maintenanceAt && this.lastRun !== now.format("YYYY-MM-DD")) this.runMaintenance();
+      else if (Date.now() - this.lastCheckpoint >= 3_600_000) this.checkpoint();
+    } catch (err) {
+      console.error("❌ Storage maintenance failed:", err.message);
+    }
+  }
+
+  /* ---------------- stats -------------------------------------- */
+  #fileBytes() {
+    const file = this.db.name;
+    const size = f => (fs.existsSync(f) ? fs.statSync(f).size : 0);
+    if (file === ":memory:") return { db: 0, wal: 0, total: 0 };
+    const db = size(file), wal = size(`${file}-wal`);
+    return { db, wal, total: db + wal };
+  }
+
+  // Row counts and disk usage per symbol / resolution. Per-series bytes are
+  // the candles table's pages shared out by row count (SQLite doesn't track
+  // space per key range).
+  stats() {
+    const pageSize = this.db.pragma("page_size", { simple: true });
+    const pages    = this.db.pragma("page_count", { simple: true });
+    const free     = this.db.pragma("freelist_count", { simple: true });
+    let tables;
+    try {
+      tables = this.db.prepare(`SELECT name, SUM(pgsize) AS bytes FROM dbstat GROUP BY name ORDER BY bytes DESC`).all();
+    } catch {
+      tables = [];                          // SQLite built without DBSTAT
+    }
+    const tableBytes = n => tables.filter(t => t.name === n || t.name === `sqlite_autoindex_${n}_1`).reduce((s, t) => s + t.bytes, 0);
+
+    const series = this.db.prepare(`
+      SELECT symbol, resolution, COUNT(*) AS rows, MIN(unix_timestamp) AS first, MAX(unix_timestamp) AS last
+      FROM candles GROUP BY symbol, resolution ORDER BY symbol, resolution
+    `).all();
+    const totalRows   = series.reduce((s, r) => s + r.rows, 0);
+    const candleBytes = tableBytes("candles");
+    const byRes = {};
+    for (const r of series) {
+      r.bytes = totalRows ? Math.round(candleBytes * r.rows / totalRows) : 0;
+      r.first = ist(r.first).format();
+      r.last  = ist(r.last).format();
+      const b = (byRes[r.resolution] ??= { resolution: r.resolution, series: 0, rows: 0, bytes: 0 });
+      b.series++; b.rows += r.rows; b.bytes += r.bytes;
+    }
+    const archives = this.archives();
+
+    return {
+      file       : this.db.name,
+      disk       : this.#fileBytes(),
+      pageSize,
+      pages,
+      freePages  : free,
+      tables,
+      rows       : totalRows,
+      resolutions: Object.values(byRes),
+      series,
+      retention  : Object.fromEntries(Object.entries(this.retention).map(([res, k]) => [res, k?.label ?? "forever"])),
+      archive    : { dir: this.dir, files: archives.length, bytes: archives.reduce((s, a) => s + a.bytes, 0) },
+      lastMaintenance: this.lastRun
+    };
+  }
+}
+
+module.exports = new CandleRetention();
+module.exports.CandleRetention = CandleRetention;
+module.exports.parseRetention  = parseRetention;
@@ -0,0 +1,283 @@
+/* ------------------------------------------------------------------ */
+/*  riskManager.js – pre-trade checks + position sizing                */
+/* ------------------------------------------------------------------ */
+// Every signal (and every order sent through the REST API) is run through
+// evaluate()/checkOrder() before anything is executed:
+//
+//   1. daily loss limit   – realised + unrealised P&L today; halts new entries
+//   2. max open positions
+//   3. liquidity          – average daily volume from the candle store
+//   4. sizing             – capital × risk% ÷ |entry − stopLoss|, whole lots for F&O
+//   5. exposure caps      – per symbol and per sector (config/sectors.json)
+//
+// Open exposure and P&L come from registered sources (PaperBroker,
+// OrderStore) that implement getExposure() and getRealisedToday().
+// Orders that only reduce an existing position are always let through so a
+// halted day can still be flattened.
+//
+// The candle store is async and evaluate() is not (Strategy builds signals
+// synchronously), so daily candles are read ahead with loadDaily() – Strategy
+// does that before every analysis, checkOrder() itself – and kept for a
+// minute.
+
+const fs       = require("fs");
+const path     = require("path");
+const { ist, today } = require("./exchangeTime");
+const candleStore = require("./storage");
+const instruments = require("./instruments");
+const appDB    = require("./appDB");
+
+const SECTORS_FILE = path.resolve(__dirname, "../config/sectors.json");
+const envNum = (name, dflt) => (process.env[name] !== undefined && process.env[name] !== "" ? Number(process.env[name]) : dflt);
+const round  = (x, dp = 2) => Number(x.toFixed(dp));
+const DAILY_TTL_MS = 60_000;        // loadDaily() cache
+
+class RiskManager {
+  constructor(opts = {}) {
+    this.config = {
+      capital             : opts.capital              ?? envNum("RISK_CAPITAL", 500_000),
+      riskPerTradePct     : opts.riskPerTradePct      ?? envNum("RISK_PER_TRADE_PCT", 1),
+      maxOpenPositions    : opts.maxOpenPositions     ?? envNum("RISK_MAX_OPEN_POSITIONS", 5),
+      maxSymbolExposurePct: opts.maxSymbolExposurePct ?? envNum("RISK_MAX_SYMBOL_EXPOSURE_PCT", 20),
+      maxSectorExposurePct: opts.maxSectorExposurePct ?? envNum("RISK_MAX_SECTOR_EXPOSURE_PCT", 40),
+      dailyLossLimitPct   : opts.dailyLossLimitPct    ?? envNum("RISK_DAILY_LOSS_LIMIT_PCT", 3),
+      minAvgVolume        : opts.minAvgVolume         ?? envNum("RISK_MIN_AVG_VOLUME", 50_000),
+      volumeLookback      : opts.volumeLookback       ?? envNum("RISK_VOLUME_LOOKBACK", 20)
+    };
+    this.store    = opts.store ?? candleStore;
+    this.daily    = new Map();          // symbol → { at (ms), candles } from loadDaily()
+    this.db       = opts.db ?? appDB;
+    this.account  = opts.account ?? "default";   // accounts.js – one manager per account
+    this.sectors  = opts.sectors ?? RiskManager.loadSectors();
+    this.sources  = [];
+    this.haltedOn = null;           // YYYY-MM-DD when the daily loss limit tripped
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS risk_rejections (
+        id          INTEGER PRIMARY KEY AUTOINCREMENT,
+        ts          INTEGER NOT NULL,
+        kind        TEXT NOT NULL,        -- signal | order
+        symbol      TEXT,
+        side        TEXT,
+        signal_key  TEXT,
+        reason      TEXT NOT NULL,
+        details     TEXT                  -- JSON (entryPrice, stopLoss)
+      );
+    `);
+    // Rejections from before accounts existed belong to "default"
+    if (!this.db.prepare(`PRAGMA table_info(risk_rejections)`).all().some(c => c.name === "account"))
+      this.db.exec(`ALTER TABLE risk_rejections ADD COLUMN account TEXT NOT NULL DEFAULT 'default'`);
+    this._reject = this.db.prepare(`
+      INSERT INTO risk_rejections (account, ts, kind, symbol, side, signal_key, reason, details)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+  }
+
+  static loadSectors(file = process.env.SECTORS_FILE || SECTORS_FILE) {
+    try {
+      return JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+      console.warn(`⚠️ No sector map loaded (${err.message}); sector limits disabled`);
+      return {};
+    }
+  }
+
+  // source: { getExposure() → [{ symbol, qty (signed), notional, pnl }], getRealisedToday() → number }
+  addSource(source) {
+    this.sources.push(source);
+    return this;
+  }
+
+  // Recent daily candles of `symbol` for the liquidity check and order valuation
+  async loadDaily(symbol) {
+    const cached = this.daily.get(symbol);
+    if (cached && Date.now() - cached.at < DAILY_TTL_MS) return cached.candles;
+    const candles = await this.store.getRecent(symbol, "D", Math.max(this.config.volumeLookback, 1));
+    this.daily.set(symbol, { at: Date.now(), candles });
+    return candles;
+  }
+
+  /* ---------------- signal check -------------------------------- */
+  // trade: a Strategy signal payload's `trade`. Returns the verdict that is
+  // attached to the payload as `trade.risk`; `record` logs rejections.
+  // Needs loadDaily(trade.ticker) first.
+  evaluate(trade, { record = false } = {}) {
+    const symbol = trade.ticker;
+    const entry  = Number(trade.entryPrice);
+    const stop   = Number(trade.stopLoss);
+    const { capital, riskPerTradePct } = this.config;
+
+    const verdict = this.#common(symbol);
+    if (!verdict.approved) return this.#done(verdict, "signal", trade, record);
+
+    const perShare = Math.abs(entry - stop);
+    if (!(perShare > 0)) return this.#done(this.#deny(`Invalid stop distance (${entry} → ${stop})`), "signal", trade, record);
+
+    const riskBudget = capital * riskPerTradePct / 100;
+    let qty = Math.floor(riskBudget / perShare);
+
+    const cap = this.#headroom(symbol);
+    qty = Math.min(qty, Math.floor(cap.notional / entry));
+    const lot = instruments.lotSize(symbol);
+    qty -= qty % lot;
+    if (qty < 1) return this.#done(this.#deny(cap.reason ?? (lot > 1 ? `Position size below one lot (${lot})` : "Position size rounds to zero")), "signal", trade, record);
+
+    return this.#done({
+      approved  : true,
+      reason    : null,
+      qty,
+      lots      : qty / lot,
+      notional  : round(qty * entry),
+      riskAmount: round(qty * perShare),
+      sector    : this.sectorOf(symbol)
+    }, "signal", trade, record);
+  }
+
+  /* ---------------- order check --------------------------------- */
+  // order: REST order body { symbol, qty, side, limitPrice? }. Uses the limit
+  // price or the last stored close to value the order.
+  async checkOrder(order, { record = true } = {}) {
+    const symbol = order.symbol;
+    await this.loadDaily(symbol);
+    const side   = String(order.side ?? "").toUpperCase();
+    const ctx    = { ticker: symbol, type: side, key: null, entryPrice: order.limitPrice ?? null, stopLoss: order.stopPrice ?? null };
+
+    const held = this.#positions().filter(p => p.symbol === symbol).reduce((s, p) => s + (p.qty || 0), 0);
+    const dir  = side === "SELL" ? -1 : 1;
+    if (held * dir < 0 && Number(order.qty) <= Math.abs(held))
+      return { approved: true, reason: null, qty: Number(order.qty), reducesPosition: true, sector: this.sectorOf(symbol) };
+
+    const verdict = this.#common(symbol);
+    if (!verdict.approved) return this.#done(verdict, "order", ctx, record);
+
+    const price = Number(order.limitPrice) || this.#lastClose(symbol);
+    if (!price) return this.#done(this.#deny(`No price available to value ${symbol}`), "order", ctx, record);
+
+    const notional = Number(order.qty) * price;
+    const cap = this.#headroom(symbol);
+    if (notional > cap.notional)
+      return this.#done(this.#deny(cap.reason ?? `Order value ${round(notional)} exceeds exposure headroom ${round(cap.notional)}`), "order", ctx, record);
+
+    return { approved: true, reason: null, qty: Number(order.qty), notional: round(notional), sector: this.sectorOf(symbol) };
+  }
+
+  /* ---------------- state / queries ----------------------------- */
+  // Derivatives take their underlying's sector
+  sectorOf(symbol) { return this.sectors[symbol] ?? this.sectors[instruments.spotOf(symbol)] ?? null; }
+
+  getState() {
+    const positions  = this.#positions();
+    const bySymbol   = {};
+    const bySector   = {};
+    for (const p of positions) {
+      bySymbol[p.symbol] = round((bySymbol[p.symbol] ?? 0) + p.notional);
+      const sector = this.sectorOf(p.symbol) ?? "UNMAPPED";
+      bySector[sector] = round((bySector[sector] ?? 0) + p.notional);
+    }
+    const pnlToday = this.#pnlToday();
+    return {
+      config          : this.config,
+      openPositions   : new Set(positions.map(p => p.symbol)).size,
+      exposureBySymbol: bySymbol,
+      exposureBySector: bySector,
+      pnlToday        : round(pnlToday),
+      dailyLossLimit  : round(this.config.capital * this.config.dailyLossLimitPct / 100),
+      halted          : this.#halted(pnlToday)
+    };
+  }
+
+  getRejections({ limit = 100, kind } = {}) {
+    const rows = kind
+      ? this.db.prepare(`SELECT * FROM risk_rejections WHERE account = ? AND kind = ? ORDER BY ts DESC LIMIT ?`).all(this.account, kind, limit)
+      : this.db.prepare(`SELECT * FROM risk_rejections WHERE account = ? ORDER BY ts DESC LIMIT ?`).all(this.account, limit);
+    return rows.map(r => ({ ...r, details: r.details ? JSON.parse(r.details) : null }));
+  }
+
+  /* ---------------- internals ----------------------------------- */
+  // Checks shared by signals and orders: loss limit, position count, liquidity
+  #common(symbol) {
+    if (this.#halted(this.#pnlToday()))
+      return this.#deny(`Daily loss limit of ${this.config.dailyLossLimitPct}% reached – new entries halted`);
+
+    const open = new Set(this.#positions().map(p => p.symbol));
+    if (!open.has(symbol) && open.size >= this.config.maxOpenPositions)
+      return this.#deny(`Max open positions (${this.config.maxOpenPositions}) reached`);
+
+    const avgVol = this.#avgVolume(symbol);
+    if (avgVol === null)
+      return this.#deny(`No daily candles for ${symbol} to check liquidity`);
+    if (avgVol < this.config.minAvgVolume)
+      return this.#deny(`Illiquid: ${this.config.volumeLookback}-day avg volume ${Math.round(avgVol)} < ${this.config.minAvgVolume}`);
+
+    return { approved: true };
+  }
+
+  // Remaining notional allowed for `symbol` under the symbol and sector caps
+  #headroom(symbol) {
+    const { capital, maxSymbolExposurePct, maxSectorExposurePct } = this.config;
+    const positions = this.#positions();
+    const symExp    = positions.filter(p => p.symbol === symbol).reduce((s, p) => s + p.notional, 0);
+    const symLeft   = capital * maxSymbolExposurePct / 100 - symExp;
+
+    const sector = this.sectorOf(symbol);
+    let secLeft = Infinity;
+    if (sector) {
+      const secExp = positions.filter(p => this.sectorOf(p.symbol) === sector).reduce((s, p) => s + p.notional, 0);
+      secLeft = capital * maxSectorExposurePct / 100 - secExp;
+    }
+
+    const notional = Math.max(0, Math.min(symLeft, secLeft));
+    let reason = null;
+    if (symLeft <= 0)      reason = `Symbol exposure cap (${maxSymbolExposurePct}%) reached for ${symbol}`;
+    else if (secLeft <= 0) reason = `Sector exposure cap (${maxSectorExposurePct}%) reached for ${sector}`;
+    return { notional, reason };
+  }
+
+  #halted(pnlToday) {
+    const day = today();
+    if (this.haltedOn === day) return true;
+    const limit = this.config.capital * this.config.dailyLossLimitPct / 100;
+    if (pnlToday <= -limit) {
+      this.haltedOn = day;
+      console.warn(`🛑 Daily loss limit hit (${round(pnlToday)} ≤ -${round(limit)}) – halting new entries`);
+      return true;
+    }
+    return false;
+  }
+
+  #positions() { return this.sources.flatMap(s => s.getExposure?.() ?? []); }
+
+  #pnlToday() {
+    return this.sources.reduce((sum, s) =>
+      sum + (s.getRealisedToday?.() ?? 0) + (s.getExposure?.() ?? []).reduce((u, p) => u + (p.pnl || 0), 0), 0);
+  }
+
+  // Loaded daily candles from the last `days` days
+  #dailySince(symbol, days) {
+    const from = ist().subtract(days, "days").unix();
+    return (this.daily.get(symbol)?.candles ?? []).filter(c => c[0] >= from);
+  }
+
+  #avgVolume(symbol) {
+    const daily = this.#dailySince(symbol, this.config.volumeLookback * 2).slice(-this.config.volumeLookback);
+    if (!daily.length) return null;
+    return daily.reduce((s, c) => s + (c[5] || 0), 0) / daily.length;
+  }
+
+  #lastClose(symbol) {
+    return this.#dailySince(symbol, 10).at(-1)?.[4] ?? null;
+  }
+
+  #deny(reason) { return { approved: false, reason, qty: 0 }; }
+
+  #done(verdict, kind, trade, record) {
+    if (!verdict.approved && record) {
+      console.log(`🚫 Risk rejected ${kind} ${trade.ticker ?? ""} ${trade.type ?? ""}: ${verdict.reason}`);
+      this._reject.run(this.account, Date.now(), kind, trade.ticker ?? null, trade.type ?? null, trade.key ?? null,
+        verdict.reason, JSON.stringify({ entryPrice: trade.entryPrice, stopLoss: trade.stopLoss }));
+    }
+    return verdict;
+  }
+}
+
+module.exports = RiskManager;
@@ -0,0 +1,362 @@
+/* ------------------------------------------------------------------ */
+/*  rules.js – declarative strategy rule sets + tiny expression engine */
+/* ------------------------------------------------------------------ */
+// A rule set (strategies/*.json|yaml) looks like:
+//
+//   name  : bullish
+//   type  : BUY                   # or SELL for short signals
+//   rules :                       # evaluated top → bottom, may reference earlier rules
+//     closeGTopen: daily.close > daily.open
+//     smaOK      : sma(res,20) > sma(res,50) AND sma(res,50) > sma(res,200)
+//   signal: closeGTopen AND smaOK
+//
+// Expressions support numbers, + - * /, comparisons (> < >= <= == !=),
+// AND / OR / NOT (or && || !), parentheses and the functions in FUNCTIONS,
+// including ind() for the indicators in indicators.js.
+// Anything compared with a missing value (null) is false, like the old
+// inlined checks were.
+
+const fs   = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const { INDICATORS, resolveName, normalizeParams } = require("./indicators");
+
+/* Candle array indices */
+const T = 0, O = 1, H = 2, L = 3, C = 4, V = 5;
+
+const DEFAULT_DIR  = path.resolve(__dirname, "../strategies");
+const SMA_RES      = ["1", "5", "60", "120", "D", "res"];   // "res" = selected SMA resolution
+const SMA_PERIODS  = [20, 50, 200];
+const BARS         = ["daily", "prev", "weekly", "monthly"];
+const FIELDS       = { open: O, high: H, low: L, close: C, volume: V, range: null };
+const TYPES        = ["BUY", "SELL"];
+
+class RuleError extends Error {
+  constructor(message, source) {
+    super(source ? `${message} in "${source}"` : message);
+    this.name = "RuleError";
+  }
+}
+
+/* ---------- tokenizer --------------------------------------------- */
+const TOKEN_RE = /\s*(?:(\d+(?:\.\d+)?)|([A-Za-z_][\w]*)|(>=|<=|==|!=|&&|\|\||[-+*/()<>!,.]))/y;
+const KEYWORDS = { AND: "&&", OR: "||", NOT: "!" };
+
+function tokenize(src) {
+  const out = [];
+  TOKEN_RE.lastIndex = 0;
+  while (TOKEN_RE.lastIndex < src.length) {
+    if (/^\s*$/.test(src.slice(TOKEN_RE.lastIndex))) break;
+    const pos = TOKEN_RE.lastIndex;
+    const m   = TOKEN_RE.exec(src);
+    if (!m) throw new RuleError(`Unexpected character at ${pos}`, src);
+    if (m[1] !== undefined)      out.push({ t: "num", v: Number(m[1]) });
+    else if (m[3] !== undefined) out.push({ t: "op",  v: m[3] });
+    else if (KEYWORDS[m[2].toUpperCase()]) out.push({ t: "op", v: KEYWORDS[m[2].toUpperCase()] });
+    else                         out.push({ t: "id",  v: m[2] });
+  }
+  return out;
+}
+
+/* ---------- parser (recursive descent → AST) ---------------------- */
+function parse(src) {
+  const toks = tokenize(String(src));
+  let i = 0;
+  const peek = v => toks[i]?.t === "op" && toks[i].v === v;
+  const take = v => { if (!peek(v)) throw new RuleError(`Expected "${v}"`, src); i++; };
+
+  const binary = (next, ops) => () => {
+    let left = next();
+    while (toks[i]?.t === "op" && ops.includes(toks[i].v)) {
+      const op = toks[i++].v;
+      left = { type: "bin", op, left, right: next() };
+    }
+    return left;
+  };
+
+  const primary = () => {
+    const tok = toks[i++];
+    if (!tok) throw new RuleError("Unexpected end of expression", src);
+    if (tok.t === "num") return { type: "num", value: tok.v };
+    if (tok.t === "op" && tok.v === "(") { const e = or(); take(")"); return e; }
+    if (tok.t === "id") {
+      if (peek("(")) {
+        i++;
+        const args = [];
+        while (!peek(")")) {
+          args.push(or());
+          if (!peek(",")) break;
+          i++;
+        }
+        take(")");
+        return { type: "call", name: tok.v.toLowerCase(), args };
+      }
+      if (peek(".")) {
+        i++;
+        const field = toks[i++];
+        if (field?.t !== "id") throw new RuleError(`Expected field after "${tok.v}."`, src);
+        return { type: "ref", name: tok.v, field: field.v };
+      }
+      return { type: "ref", name: tok.v };
+    }
+    throw new RuleError(`Unexpected "${tok.v}"`, src);
+  };
+  const unary = () => {
+    if (peek("!")) { i++; return { type: "not", expr: unary() }; }
+    if (peek("-")) { i++; return { type: "neg", expr: unary() }; }
+    return primary();
+  };
+  const mul = binary(unary, ["*", "/"]);
+  const add = binary(mul,   ["+", "-"]);
+  const cmp = binary(add,   [">", "<", ">=", "<=", "==", "!="]);
+  const and = binary(cmp,   ["&&"]);
+  const or  = binary(and,   ["||"]);
+
+  const ast = or();
+  if (i < toks.length) throw new RuleError(`Unexpected "${toks[i].v}"`, src);
+  return ast;
+}
+
+/* ---------- context helpers --------------------------------------- */
+const nOrNull = x => (x === null || x === undefined || Number.isNaN(x) ? null : x);
+const barAgo  = (ctx, n) => ctx.daily[(ctx.end ?? ctx.daily.length - 1) - n];
+const fieldOf = (bar, field) =>
+  !bar ? null : field === "range" ? bar[H] - bar[L] : nOrNull(bar[FIELDS[field]]);
+
+// Resolution argument of sma()/has(): a bare identifier (D, res) or a number (60)
+const resArg = node =>
+  node?.type === "num" ? String(node.value) : node?.type === "ref" && !node.field ? node.name : null;
+
+const lookbackArg = (node, src) => {
+  if (node?.type !== "num" || !Number.isInteger(node.value) || node.value < 0)
+    throw new RuleError("Lookback must be a non-negative integer literal", src);
+  return node.value;
+};
+
+const smaOf = (ctx, res) => (res === "res" ? ctx.sma.res : ctx.sma[res]);
+
+/* ---------- functions --------------------------------------------- */
+// compile(args, src) returns (ctx, flags) => value. `raw` functions receive the
+// argument AST (so literals can be validated up front), the rest receive the
+// already-compiled argument closures.
+const candleFn = field => ({
+  raw: true,
+  arity: 1,
+  compile: ([n], src) => { const k = lookbackArg(n, src); return ctx => fieldOf(barAgo(ctx, k), field); }
+});
+
+const FUNCTIONS = {
+  // sma(res, period) – latest SMA for a timeframe; res ∈ 1,5,60,120,D or `res`
+  sma: {
+    raw: true,
+    arity: 2,
+    compile: ([r, p], src) => {
+      const res = resArg(r);
+      if (!SMA_RES.includes(res)) throw new RuleError(`sma(): unknown resolution "${res ?? "?"}"`, src);
+      if (p?.type !== "num" || !SMA_PERIODS.includes(p.value))
+        throw new RuleError(`sma(): period must be one of ${SMA_PERIODS.join(", ")}`, src);
+      const key = `sma${p.value}`;
+      return ctx => nOrNull(smaOf(ctx, res)?.[key]);
+    }
+  },
+  // has(res) – true when SMA data for the timeframe is loaded at all
+  has: {
+    raw: true,
+    arity: 1,
+    compile: ([r], src) => {
+      const res = resArg(r);
+      if (!SMA_RES.includes(res)) throw new RuleError(`has(): unknown resolution "${res ?? "?"}"`, src);
+      return ctx => smaOf(ctx, res) !== undefined;
+    }
+  },
+  // n days ago: 0 = today, 1 = yesterday …
+  open  : candleFn("open"),
+  high  : candleFn("high"),
+  low   : candleFn("low"),
+  close : candleFn("close"),
+  volume: candleFn("volume"),
+  range : candleFn("range"),
+  // max(a, b, …) / min(a, b, …) ignore missing values
+  max: { variadic: true, compile: fns => (ctx, f) => reduceNums(fns.map(fn => fn(ctx, f)), Math.max) },
+  min: { variadic: true, compile: fns => (ctx, f) => reduceNums(fns.map(fn => fn(ctx, f)), Math.min) },
+  abs: { arity: 1, compile: ([fn]) => (ctx, f) => { const x = fn(ctx, f); return x === null ? null : Math.abs(x); } },
+  // ind(name[.output], res, ...params) – latest value of an indicator series,
+  // e.g. ind(rsi, D, 14), ind(macd.hist, 60), ind(bollinger.upper, D, 20, 2)
+  ind: {
+    raw: true,
+    variadic: true,
+    compile: ([n, r, ...ps], src, refs) => {
+      if (n?.type !== "ref") throw new RuleError("ind(): first argument must be an indicator name", src);
+      let id, params;
+      try {
+        id     = resolveName(n.name);
+        params = normalizeParams(id, ps.map(p => {
+          if (p?.type !== "num") throw new Error("parameters must be number literals");
+          return p.value;
+        }));
+      } catch (err) {
+        throw new RuleError(`ind(): ${err.message}`, src);
+      }
+      const output = n.field ?? INDICATORS[id].outputs[0];
+      if (!INDICATORS[id].outputs.includes(output))
+        throw new RuleError(`ind(): ${id} has no output "${output}" (${INDICATORS[id].outputs.join(", ")})`, src);
+      const res = resArg(r);
+      if (res !== "res" && res !== "D" && !/^\d+$/.test(res ?? ""))
+        throw new RuleError(`ind(): unknown resolution "${res ?? "?"}"`, src);
+      refs?.push({ id, res, params });
+      return ctx => nOrNull(ctx.indicator?.(id, res, params)?.[output] ?? null);
+    }
+  }
+};
+
+function reduceNums(xs, fn) {
+  const nums = xs.filter(x => x !== null);
+  return nums.length ? fn(...nums) : null;
+}
+
+/* ---------- AST → closure ----------------------------------------- */
+const CMP = {
+  ">" : (a, b) => a >  b, "<" : (a, b) => a <  b,
+  ">=": (a, b) => a >= b, "<=": (a, b) => a <= b,
+  "==": (a, b) => a === b, "!=": (a, b) => a !== b
+};
+const ARITH = {
+  "+": (a, b) => a + b, "-": (a, b) => a - b,
+  "*": (a, b) => a * b, "/": (a, b) => (b === 0 ? null : a / b)
+};
+
+function compileNode(node, scope, src, refs) {
+  switch (node.type) {
+    case "num": return () => node.value;
+
+    case "ref": {
+      if (!node.field) {
+        if (!scope.has(node.name)) throw new RuleError(`Unknown rule "${node.name}"`, src);
+        return (ctx, flags) => flags[node.name];
+      }
+      if (!BARS.includes(node.name)) throw new RuleError(`Unknown bar "${node.name}"`, src);
+      if (!(node.field in FIELDS))   throw new RuleError(`Unknown field "${node.field}"`, src);
+      return ctx => fieldOf(ctx.bars[node.name], node.field);
+    }
+
+    case "call": {
+      const fn = FUNCTIONS[node.name];
+      if (!fn) throw new RuleError(`Unknown function "${node.name}()"`, src);
+      if (!fn.variadic && node.args.length !== fn.arity)
+        throw new RuleError(`${node.name}() takes ${fn.arity} argument(s)`, src);
+      if (fn.raw) return fn.compile(node.args, src, refs);
+      return fn.compile(node.args.map(a => compileNode(a, scope, src, refs)), src);
+    }
+
+    case "not": {
+      const e = compileNode(node.expr, scope, src, refs);
+      return (ctx, f) => !e(ctx, f);
+    }
+    case "neg": {
+      const e = compileNode(node.expr, scope, src, refs);
+      return (ctx, f) => { const x = e(ctx, f); return x === null ? null : -x; };
+    }
+
+    case "bin": {
+      const l = compileNode(node.left,  scope, src, refs);
+      const r = compileNode(node.right, scope, src, refs);
+      if (node.op === "&&") return (ctx, f) => !!l(ctx, f) && !!r(ctx, f);
+      if (node.op === "||") return (ctx, f) => !!l(ctx, f) || !!r(ctx, f);
+      if (CMP[node.op]) {
+        const cmp = CMP[node.op];
+        return (ctx, f) => {
+          const a = l(ctx, f), b = r(ctx, f);
+          return a !== null && b !== null && cmp(a, b);
+        };
+      }
+      const op = ARITH[node.op];
+      return (ctx, f) => {
+        const a = l(ctx, f), b = r(ctx, f);
+        return a === null || b === null ? null : op(a, b);
+      };
+    }
+  }
+  throw new RuleError(`Unsupported node "${node.type}"`, src);
+}
+
+/* ---------- rule set compile / evaluate ---------------------------- */
+function compileRuleSet(def, origin = "rule set") {
+  if (!def || typeof def !== "object") throw new RuleError(`${origin}: not an object`);
+  const { name, rules = {}, signal, description = "" } = def;
+  const type = String(def.type ?? "BUY").toUpperCase();
+
+  if (!name || !/^[\w-]+$/.test(name)) throw new RuleError(`${origin}: "name" must match [A-Za-z0-9_-]+`);
+  if (!TYPES.includes(type))           throw new RuleError(`${origin}: unsupported type "${type}"`);
+  if (typeof rules !== "object" || Array.isArray(rules))
+    throw new RuleError(`${origin}: "rules" must be a map of name → expression`);
+  if (!signal) throw new RuleError(`${origin}: "signal" expression is required`);
+
+  const scope    = new Set();
+  const compiled = [];
+  const refs     = [];                    // ind() calls: { id, res, params }
+  for (const [rule, expr] of Object.entries(rules)) {
+    if (!/^[A-Za-z_]\w*$/.test(rule) || KEYWORDS[rule.toUpperCase()] || FUNCTIONS[rule.toLowerCase()] || BARS.includes(rule))
+      throw new RuleError(`${origin}: invalid rule name "${rule}"`);
+    try {
+      compiled.push({ name: rule, expr: String(expr), fn: compileNode(parse(expr), scope, String(expr), refs) });
+    } catch (err) {
+      throw new RuleError(`${origin} › ${rule}: ${err.message}`);
+    }
+    scope.add(rule);
+  }
+
+  let signalFn;
+  try {
+    signalFn = compileNode(parse(signal), scope, String(signal), refs);
+  } catch (err) {
+    throw new RuleError(`${origin} › signal: ${err.message}`);
+  }
+
+  // Indicator series the rule set reads, once each – Strategy brings them up to date before evaluating
+  const indicators = [...new Map(refs.map(r => [JSON.stringify(r), r])).values()];
+  return { name, type, description, rules: compiled, signal: String(signal), signalFn, indicators };
+}
+
+// Returns { signal, flags } where flags holds every named rule's boolean result
+function evaluate(ruleSet, ctx) {
+  const flags = {};
+  for (const r of ruleSet.rules) flags[r.name] = !!r.fn(ctx, flags);
+  return { signal: !!ruleSet.signalFn(ctx, flags), flags };
+}
+
+/* ---------- loading ----------------------------------------------- */
+function readRuleFile(file) {
+  const raw = fs.readFileSync(file, "utf8");
+  return /\.ya?ml$/i.test(file) ? yaml.load(raw) : JSON.parse(raw);
+}
+
+// Loads and validates every *.json / *.yaml / *.yml in `dir`; throws on the first bad file
+function loadStrategies(dir = process.env.STRATEGY_DIR || DEFAULT_DIR) {
+  const files = fs.readdirSync(dir).filter(f => /\.(json|ya?ml)$/i.test(f)).sort();
+  if (!files.length) throw new RuleError(`No strategy files found in ${dir}`);
+
+  const out = [];
+  for (const f of files) {
+    const file = path.join(dir, f);
+    let def;
+    try {
+      def = readRuleFile(file);
+    } catch (err) {
+      throw new RuleError(`${f}: ${err.message}`);
+    }
+    const set = compileRuleSet(def, f);
+    if (out.some(s => s.name === set.name)) throw new RuleError(`${f}: duplicate strategy name "${set.name}"`);
+    out.push(set);
+    console.log(`📜 Loaded strategy "${set.name}" (${set.type}, ${set.rules.length} rules) from ${f}`);
+  }
+  return out;
+}
+
+module.exports = {
+  RuleError,
+  parse,
+  compileRuleSet,
+  evaluate,
+  loadStrategies,
+  DEFAULT_DIR
+};
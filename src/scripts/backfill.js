@@ -0,0 +1,73 @@
+// scripts/backfill.js – fill candle history from Fyers, resumably
+//
+//   node src/scripts/backfill.js --from 2022-01-01 [--to 2024-12-31] \
+//        [--symbols NSE:SBIN-EQ,NSE:TCS-EQ | --watchlist name] [--resolutions D,60,5]
+//   node src/scripts/backfill.js --resume [jobId]        (unfinished jobs, or one job)
+//   node src/scripts/backfill.js --gaps --from 2024-01-01 [--to …] [--symbols … | --watchlist …] \
+//        [--resolutions D,60] [--requeue]
+//
+// Progress is kept per chunk in data/candles.sqlite: stop it at any point and
+// --resume carries on from the first unfinished chunk.
+const WatchlistStore  = require('../watchlists');
+const tradingService  = require('../tradingService');
+const backfill        = require('../backfill');
+const { parseRange }  = require('../candleExport');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const m = /^--([\w-]+)(?:=(.*))?$/.exec(argv[i]);
+    if (!m) continue;
+    args[m[1]] = m[2] ?? (argv[i + 1]?.startsWith('--') || argv[i + 1] === undefined ? true : argv[++i]);
+  }
+  return args;
+}
+
+function report(job) {
+  console.log(`🗂️  job ${job.id} ${job.status}: ${job.done}/${job.total} chunks done, ${job.failed} failed, ${job.candles} candles`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.from && !args.resume) {
+    console.error('Usage: node src/scripts/backfill.js --from YYYY-MM-DD [--to YYYY-MM-DD] [--symbols A,B | --watchlist name] [--resolutions D,60] [--gaps [--requeue]] | --resume [jobId]');
+    process.exit(1);
+  }
+
+  if (args.resume) {
+    await tradingService.initialize();
+    const ids = backfill.resume(args.resume === true ? undefined : args.resume);
+    if (!ids.length) console.log('Nothing to resume');
+    await backfill.chain;
+    ids.forEach(id => report(backfill.get(id)));
+    return;
+  }
+
+  // --symbols wins, then --watchlist, then the active watchlist
+  const lists   = new WatchlistStore(null);
+  const symbols = args.symbols ? String(args.symbols).split(',').map(s => s.trim()).filter(Boolean)
+                : args.watchlist ? lists.get(args.watchlist).symbols
+                : lists.getActiveSymbols();
+  const resolutions = String(args.resolutions || 'D').split(',').map(r => r.trim()).filter(Boolean);
+  const range = parseRange(args.from, args.to);
+
+  let job;
+  if (args.gaps) {
+    const gaps = await backfill.gaps({ symbols, resolutions, ...range });
+    console.table(gaps.map(({ ranges, ...g }) => ({ ...g, ranges: ranges.length })));
+    if (!args.requeue || !(job = backfill.requeueGaps(gaps))) return;
+  } else {
+    job = backfill.create({ symbols, resolutions, ...range });
+  }
+
+  await tradingService.initialize();
+  backfill.on('progress', j => process.stdout.write(`\r⏳ ${j.done}/${j.total} chunks (${j.failed} failed)`));
+  await backfill.start(job.id);
+  process.stdout.write('\n');
+  report(backfill.get(job.id));
+}
+
+main().then(() => process.exit(0)).catch(err => {
+  console.error('❌ backfill failed:', err.message);
+  process.exit(1);
+});
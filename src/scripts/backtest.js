@@ -0,0 +1,68 @@
+// scripts/backtest.js – replay a strategy rule set over data/candles.sqlite
+//
+//   node src/scripts/backtest.js --from 2024-01-01 --to 2024-12-31 \
+//        [--symbols NSE:NH-EQ,NSE:PAYTM-EQ | --watchlist name] [--strategy bullish] [--resolution 60] \
+//        [--capital 100000] [--trade-size 10000] [--out report.json]
+//
+// Runs fully offline: only candles already stored in SQLite are used.
+const fs         = require('fs');
+const path       = require('path');
+const Backtester = require('../backtest');
+const WatchlistStore = require('../watchlists');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const m = /^--([\w-]+)(?:=(.*))?$/.exec(argv[i]);
+    if (!m) continue;
+    args[m[1]] = m[2] ?? argv[++i];
+  }
+  return args;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.from || !args.to) {
+    console.error('Usage: node src/scripts/backtest.js --from YYYY-MM-DD --to YYYY-MM-DD [--symbols A,B | --watchlist name] [--strategy name] [--resolution 60] [--out file.json]');
+    process.exit(1);
+  }
+
+  // --symbols wins, then --watchlist, then the active watchlist
+  const lists   = new WatchlistStore(null);
+  const symbols = args.symbols   ? args.symbols.split(',').map(s => s.trim()).filter(Boolean)
+                : args.watchlist ? lists.get(args.watchlist).symbols
+                                 : lists.getActiveSymbols();
+
+  const bt = new Backtester({
+    strategy     : args.strategy,
+    smaResolution: args.resolution,
+    capital      : args.capital ? Number(args.capital) : undefined,
+    tradeSize    : args['trade-size'] ? Number(args['trade-size']) : undefined
+  });
+  const report = bt.run({ symbols, from: args.from, to: args.to });
+  for (const [symbol, n] of Object.entries(report.tradesBySymbol)) console.log(`🧪 ${symbol}: ${n} trades`);
+  for (const { symbol, reason } of report.skipped) console.warn(`⚠️ ${symbol}: ${reason} – skipping`);
+
+  console.log(`\n======= Backtest "${report.strategy}" ${report.from} → ${report.to} @ ${report.resolution} =======`);
+  console.table(report.trades.map(t => ({
+    symbol: t.symbol, entry: t.entryDate, price: t.entryPrice,
+    exit: t.exitDate, exitPrice: t.exitPrice, reason: t.exitReason,
+    'return %': t.returnPct, pnl: t.pnl
+  })));
+  console.table(report.summary);
+
+  if (args.out) {
+    const out = path.resolve(process.cwd(), args.out);
+    fs.writeFileSync(out, JSON.stringify(report, null, 2));
+    console.log(`✅ Report written to ${out}`);
+  }
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error('❌ Backtest failed:', err.message);
+    process.exit(1);
+  }
+}
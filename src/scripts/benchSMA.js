@@ -0,0 +1,114 @@
+// scripts/benchSMA.js – full vs incremental SMA maintenance in CandleDB
+//
+//   node src/scripts/benchSMA.js [--symbols 50] [--resolutions 5] [--bars 10000]
+//        [--updates 200] [--db /tmp/bench-candles.sqlite] [--keep]
+//
+// Builds a synthetic candles DB (symbols × resolutions × bars), then times
+// tail-candle updates – what Strategy.tick does on every tick – with the old
+// full-table recompute (_recalcSMAFull) and the running-sum update
+// (_recalcSMA). Both paths must end with identical SMA columns.
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+const { CandleDB } = require('../candleDB');
+
+const RES_POOL = ['1', '5', '15', '60', '120', 'D'];
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const m = /^--([\w-]+)(?:=(.*))?$/.exec(argv[i]);
+    if (!m) continue;
+    args[m[1]] = m[2] ?? (argv[i + 1]?.startsWith('--') || argv[i + 1] === undefined ? true : argv[++i]);
+  }
+  return args;
+}
+
+// console.log is chatty inside CandleDB; silence it while timing
+function quiet(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try { return fn(); } finally { console.log = log; }
+}
+
+function time(fn) {
+  const t = process.hrtime.bigint();
+  fn();
+  return Number(process.hrtime.bigint() - t) / 1e6;
+}
+
+function main() {
+  const args     = parseArgs(process.argv.slice(2));
+  const nSym     = Number(args.symbols ?? 50);
+  const nRes     = Math.min(Number(args.resolutions ?? 5), RES_POOL.length);
+  const nBars    = Number(args.bars ?? 10_000);
+  const nUpdates = Number(args.updates ?? 200);
+  const file     = args.db ?? path.join(os.tmpdir(), `bench-candles-${process.pid}.sqlite`);
+
+  for (const f of [file, `${file}-wal`, `${file}-shm`]) fs.rmSync(f, { force: true });
+  const db = quiet(() => new CandleDB(file));
+
+  const symbols = Array.from({ length: nSym }, (_, i) => `NSE:SYM${i}-EQ`);
+  const res     = RES_POOL.slice(0, nRes);
+  const step    = r => (r === 'D' ? 86_400 : Number(r) * 60);
+  const t0      = 1_600_000_000;
+  console.log(`🏗️  Building ${nSym} × ${nRes} × ${nBars} = ${(nSym * nRes * nBars).toLocaleString()} candles in ${file}`);
+
+  /* 1️⃣ synthetic data (random walk) ----------------------------- */
+  const build = db.db.transaction((symbol, r) => {
+    let px = 100 + Math.random() * 900;
+    for (let i = 0; i < nBars; i++) {
+      px *= 1 + (Math.random() - 0.5) * 0.02;
+      db._insert.run({
+        symbol, resolution: r, timestamp: String(i), unix_timestamp: t0 + i * step(r),
+        open: px, high: px * 1.005, low: px * 0.995, close: px, volume: 1000,
+        sma20: null, sma50: null, sma200: null
+      });
+    }
+  });
+  const buildMs = time(() => symbols.forEach(s => res.forEach(r => build(s, r))));
+  const seedMs  = time(() => quiet(() => symbols.forEach(s => res.forEach(r => db._recalcSMAFull(s, r)))));
+  console.log(`   insert ${buildMs.toFixed(0)} ms, initial SMA backfill ${seedMs.toFixed(0)} ms`);
+
+  /* 2️⃣ tail updates: same random series for both strategies ----- */
+  const picks = Array.from({ length: nUpdates }, () => ({
+    symbol: symbols[Math.floor(Math.random() * nSym)],
+    r     : res[Math.floor(Math.random() * nRes)],
+    close : 100 + Math.random() * 900
+  }));
+  const touch = ({ symbol, r, close }) => {
+    const ts = t0 + (nBars - 1) * step(r);
+    db._insert.run({
+      symbol, resolution: r, timestamp: String(nBars - 1), unix_timestamp: ts,
+      open: close, high: close, low: close, close, volume: 1000, sma20: null, sma50: null, sma200: null
+    });
+    return ts;
+  };
+
+  const fullMs = time(() => quiet(() => picks.forEach(p => { touch(p); db._recalcSMAFull(p.symbol, p.r); })));
+  const snapshot = () => db.db.prepare(`SELECT sma20, sma50, sma200 FROM candles WHERE symbol = ? AND resolution = ? ORDER BY unix_timestamp`);
+  const check = picks.slice(0, 5).map(p => snapshot().all(p.symbol, p.r));
+
+  const incMs = time(() => quiet(() => picks.forEach(p => db._recalcSMA(p.symbol, p.r, touch(p)))));
+
+  /* 3️⃣ results --------------------------------------------------- */
+  let maxErr = 0;
+  picks.slice(0, 5).forEach((p, k) => snapshot().all(p.symbol, p.r).forEach((row, i) => {
+    for (const col of ['sma20', 'sma50', 'sma200']) {
+      const a = row[col], b = check[k][i][col];
+      if ((a === null) !== (b === null)) throw new Error(`SMA mismatch for ${p.symbol} @ ${p.r} row ${i}`);
+      if (a !== null) maxErr = Math.max(maxErr, Math.abs(a - b));
+    }
+  }));
+
+  console.table({
+    full       : { updates: nUpdates, totalMs: +fullMs.toFixed(1), perUpdateMs: +(fullMs / nUpdates).toFixed(3) },
+    incremental: { updates: nUpdates, totalMs: +incMs.toFixed(1),  perUpdateMs: +(incMs / nUpdates).toFixed(3) }
+  });
+  console.log(`⚡ ${(fullMs / incMs).toFixed(1)}× faster, max SMA difference ${maxErr.toExponential(2)}`);
+
+  db.db.close();
+  if (!args.keep) for (const f of [file, `${file}-wal`, `${file}-shm`]) fs.rmSync(f, { force: true });
+}
+
+main();
@@ -0,0 +1,51 @@
+// scripts/exportCandles.js – cached candles for a watchlist → zip of CSVs
+//
+//   node src/scripts/exportCandles.js --from 2024-01-01 --to 2024-12-31 \
+//        [--symbols NSE:SBIN-EQ,NSE:TCS-EQ | --watchlist name] [--resolutions D,60,5] \
+//        [--sma] [--out candles.zip]
+//
+// Reads only from data/candles.sqlite (no API calls); run a backfill first for
+// ranges that aren't cached. One CSV per symbol × resolution, streamed page by page.
+const fs             = require('fs');
+const path           = require('path');
+const { once }       = require('events');
+const WatchlistStore = require('../watchlists');
+const { parseRange, exportZip } = require('../candleExport');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const m = /^--([\w-]+)(?:=(.*))?$/.exec(argv[i]);
+    if (!m) continue;
+    args[m[1]] = m[2] ?? (argv[i + 1]?.startsWith('--') || argv[i + 1] === undefined ? true : argv[++i]);
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.from) {
+    console.error('Usage: node src/scripts/exportCandles.js --from YYYY-MM-DD [--to YYYY-MM-DD] [--symbols A,B | --watchlist name] [--resolutions D,60] [--sma] [--out file.zip]');
+    process.exit(1);
+  }
+
+  // --symbols wins, then --watchlist, then the active watchlist
+  const lists   = new WatchlistStore(null);
+  const symbols = args.symbols ? String(args.symbols).split(',').map(s => s.trim()).filter(Boolean)
+                : args.watchlist ? lists.get(args.watchlist).symbols
+                : lists.getActiveSymbols();
+  const resolutions = String(args.resolutions || 'D').split(',').map(r => r.trim()).filter(Boolean);
+  const range = parseRange(args.from, args.to);
+  const file  = path.resolve(args.out || `candles_${args.watchlist || 'export'}.zip`);
+
+  const out    = fs.createWriteStream(file);
+  const closed = once(out, 'close');
+  const { files, bytes } = await exportZip(out, { symbols, resolutions, ...range, sma: !!args.sma });
+  await closed;
+  console.log(`📦 ${files} CSV files (${symbols.length} symbols × ${resolutions.length} resolutions), ${(bytes / 1024).toFixed(1)} KiB → ${file}`);
+}
+
+main().catch(err => {
+  console.error('❌ candle export failed:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,22 @@
+// scripts/importSymbols.js – load Fyers symbol master CSVs into data/app.sqlite
+//
+//   node src/scripts/importSymbols.js ./symbols            (every *.csv in the dir)
+//   node src/scripts/importSymbols.js NSE_CM.csv NSE_FO.csv
+//
+// Files come from https://public.fyers.in/sym_details/ (NSE_CM, NSE_FO, BSE_CM, MCX_COM).
+const symbolMaster = require('../symbolMaster');
+
+async function main() {
+  const paths = process.argv.slice(2);
+  if (!paths.length) {
+    console.error('Usage: node src/scripts/importSymbols.js <file.csv|dir> [...]');
+    process.exit(1);
+  }
+  for (const p of paths) await symbolMaster.importPath(p);
+  console.table(symbolMaster.stats());
+}
+
+main().catch(err => {
+  console.error('❌ symbol import failed:', err.message);
+  process.exit(1);
+});
@@ -1,75 +1,46 @@
-const fs = require('fs');
-const path = require('path');
-const cacheManager = require('../services/cacheManager');
-
-async function initializeDatabase() {
-  let dbInitialized = false;
-  
+// scripts/initDb.js – create data/ and bring candles.sqlite to the latest schema
+//
+//   node src/scripts/initDb.js       (run by `npm run setup`)
+//
+// Safe to run again: only pending migrations are applied.
+const fs       = require('fs');
+const path     = require('path');
+const Database = require('better-sqlite3');
+const Migrator = require('../migrator');
+
+function initializeDatabase(dbPath = process.env.CANDLE_DB_PATH || path.resolve(__dirname, '../../data/candles.sqlite')) {
+  const dataDir = path.dirname(dbPath);
+  if (!fs.existsSync(dataDir)) {
+    fs.mkdirSync(dataDir, { recursive: true });
+    console.log('✅ Created data directory:', dataDir);
+  }
   try {
-    // Create data directory if it doesn't exist
-    const dataDir = path.join(__dirname, '../../data');
-    if (!fs.existsSync(dataDir)) {
-      fs.mkdirSync(dataDir, { recursive: true });
-      console.log('✅ Created data directory:', dataDir);
-    }
-
-    // Check directory permissions
-    try {
-      fs.accessSync(dataDir, fs.constants.W_OK);
-      console.log('✅ Data directory is writable');
-    } catch (err) {
-      throw new Error(`Data directory is not writable: ${dataDir}. Please check permissions.`);
-    }
-
-    // Initialize cache manager (this will create the database and tables)
-    await cacheManager.initialize();
-    dbInitialized = true;
-    console.log('✅ Database initialized successfully');
-
-    // Set up periodic cleanup of old data (runs daily)
-    const cleanupInterval = setInterval(async () => {
-      try {
-        await cacheManager.cleanupOldData();
-        console.log('✅ Old data cleanup completed');
-      } catch (err) {
-        console.error('❌ Error during cleanup:', err);
-      }
-    }, 24 * 60 * 60 * 1000); // Run every 24 hours
-
-    // Handle process termination
-    process.on('SIGINT', async () => {
-      console.log('\n🛑 Shutting down...');
-      clearInterval(cleanupInterval);
-      if (dbInitialized) {
-        await cacheManager.close();
-      }
-      process.exit(0);
-    });
-
-    process.on('SIGTERM', async () => {
-      console.log('\n🛑 Shutting down...');
-      clearInterval(cleanupInterval);
-      if (dbInitialized) {
-        await cacheManager.close();
-      }
-      process.exit(0);
-    });
+    fs.accessSync(dataDir, fs.constants.W_OK);
+  } catch {
+    throw new Error(`Data directory is not writable: ${dataDir}. Please check permissions.`);
+  }
 
-  } catch (err) {
-    console.error('❌ Error initializing database:', err);
-    if (dbInitialized) {
-      await cacheManager.close();
-    }
-    process.exit(1);
+  const db = new Database(dbPath);
+  try {
+    db.pragma('journal_mode = WAL');
+    const migrator = new Migrator(db);
+    const applied  = migrator.migrate();
+    const { current } = migrator.status();
+    console.log(`✅ ${dbPath} at schema version ${current}${applied.length ? ` (applied ${applied.join(', ')})` : ''}`);
+    return current;
+  } finally {
+    db.close();
   }
 }
 
 // Run if this file is executed directly
 if (require.main === module) {
-  initializeDatabase().catch(err => {
-    console.error('❌ Fatal error:', err);
+  try {
+    initializeDatabase();
+  } catch (err) {
+    console.error('❌ Error initializing database:', err.message);
     process.exit(1);
-  });
+  }
 }
 
-module.exports = initializeDatabase; 
\ No newline at end of file
+module.exports = initializeDatabase;
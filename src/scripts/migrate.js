@@ -0,0 +1,68 @@
+// scripts/migrate.js – schema migrations for data/candles.sqlite
+//
+//   node src/scripts/migrate.js [up] [--to N]           apply pending migrations
+//   node src/scripts/migrate.js down [--steps N | --to N] roll back (default: newest one)
+//   node src/scripts/migrate.js status
+//   [--db path]                                        another database (default $CANDLE_DB_PATH)
+//
+// The server applies pending migrations itself when it opens the database;
+// this is for setup, inspecting and rolling back. Take a copy of the file
+// before rolling back past 001 – that drops the tables.
+const path     = require('path');
+const Database = require('better-sqlite3');
+const Migrator = require('../migrator');
+
+const DEFAULT_DB = path.resolve(__dirname, '../../data/candles.sqlite');
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const m = /^--([\w-]+)(?:=(.*))?$/.exec(argv[i]);
+    if (!m) { args._.push(argv[i]); continue; }
+    args[m[1]] = m[2] ?? (argv[i + 1]?.startsWith('--') || argv[i + 1] === undefined ? true : argv[++i]);
+  }
+  return args;
+}
+
+function printStatus(migrator) {
+  const s = migrator.status();
+  console.table(s.migrations.map(m => ({
+    version: m.version,
+    name   : m.name,
+    applied: m.applied ? new Date(m.appliedAt).toISOString() : '—'
+  })));
+  console.log(`📌 schema version ${s.current} of ${s.latest}`);
+}
+
+function main() {
+  const args    = parseArgs(process.argv.slice(2));
+  const command = args._[0] || 'up';
+  const file    = path.resolve(args.db || process.env.CANDLE_DB_PATH || DEFAULT_DB);
+  const to      = args.to !== undefined ? Number(args.to) : undefined;
+  if (!['up', 'down', 'status'].includes(command) || Number.isNaN(to)) {
+    console.error('Usage: node src/scripts/migrate.js [up [--to N] | down [--steps N | --to N] | status] [--db path]');
+    process.exit(1);
+  }
+
+  const db = new Database(file);
+  db.pragma('busy_timeout = 30000');
+  const migrator = new Migrator(db);
+  console.log(`🗄️  ${file}`);
+
+  if (command === 'up') {
+    const done = migrator.migrate({ to });
+    console.log(done.length ? `✅ Applied ${done.join(', ')}` : '✅ Already up to date');
+  } else if (command === 'down') {
+    const done = migrator.rollback({ steps: Number(args.steps || 1), to });
+    console.log(done.length ? `✅ Rolled back ${done.join(', ')}` : 'Nothing to roll back');
+  }
+  printStatus(migrator);
+  db.close();
+}
+
+try {
+  main();
+} catch (err) {
+  console.error('❌ Migration failed:', err.message);
+  process.exit(1);
+}
@@ -0,0 +1,70 @@
+// scripts/storage.js – candle retention, archives and compaction
+//
+//   node src/scripts/storage.js stats
+//   node src/scripts/storage.js retention [--dry-run]      archive + delete expired rows (CANDLE_RETENTION)
+//   node src/scripts/storage.js archives                   list archive files
+//   node src/scripts/storage.js restore --resolution 1 --month 2024-01 | --file path.ndjson.gz
+//   node src/scripts/storage.js vacuum                     VACUUM + WAL checkpoint
+//
+// The server runs retention and compaction itself every day at
+// STORAGE_MAINTENANCE_AT; stop it before a VACUUM of a large database.
+const retention = require('../retention');
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const m = /^--([\w-]+)(?:=(.*))?$/.exec(argv[i]);
+    if (!m) { args._.push(argv[i]); continue; }
+    args[m[1]] = m[2] ?? (argv[i + 1]?.startsWith('--') || argv[i + 1] === undefined ? true : argv[++i]);
+  }
+  return args;
+}
+
+const mb = b => `${(b / 1e6).toFixed(2)} MB`;
+
+async function main() {
+  const args    = parseArgs(process.argv.slice(2));
+  const command = args._[0];
+
+  switch (command) {
+    case 'stats': {
+      const s = retention.stats();
+      console.log(`🗄️  ${s.file}: ${mb(s.disk.db)} + ${mb(s.disk.wal)} WAL, ${s.freePages}/${s.pages} pages free`);
+      console.table(s.resolutions.map(r => ({ ...r, bytes: mb(r.bytes) })));
+      console.log(`📦 ${s.archive.files} archive file(s), ${mb(s.archive.bytes)} in ${s.archive.dir}`);
+      console.log(`⏳ Retention: ${retention.describe()}`);
+      break;
+    }
+    case 'retention': {
+      const report = retention.apply({ dryRun: Boolean(args['dry-run']) });
+      console.table(report.map(r => ({ resolution: r.resolution, cutoff: r.cutoff, rows: r.rows, files: r.files.length })));
+      if (args['dry-run']) console.log('Dry run – nothing archived or deleted');
+      break;
+    }
+    case 'archives':
+      console.table(retention.archives().map(a => ({ ...a, bytes: mb(a.bytes) })));
+      break;
+    case 'restore': {
+      if (!args.file && !(args.resolution && args.month)) return usage();
+      await retention.restore(args.file ? String(args.file) : { resolution: String(args.resolution), month: String(args.month) });
+      break;
+    }
+    case 'vacuum': {
+      const r = retention.compact({ force: true });
+      console.log(`✅ ${mb(r.before.total)} → ${mb(r.after.total)}`);
+      break;
+    }
+    default:
+      usage();
+  }
+}
+
+function usage() {
+  console.error('Usage: node src/scripts/storage.js stats | retention [--dry-run] | archives | restore (--resolution R --month YYYY-MM | --file path) | vacuum');
+  process.exit(1);
+}
+
+main().catch(err => {
+  console.error('❌ Storage command failed:', err.message);
+  process.exit(1);
+});
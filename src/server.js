@@ -6,6 +6,7 @@ const { Server } = require("socket.io");
 const cors       = require("cors");
 const path       = require("path");
 const dotenv     = require("dotenv");
+const { ist, toUnix } = require("./exchangeTime");
 
 dotenv.config({ path: path.resolve(__dirname, "../.env") });
 
@@ -13,69 +14,364 @@ const tradingService = require("./tradingService");
 const authManager    = require("./auth2.0");
 const { connect: connectDataSocket } = require("./dataSocket");
 const Strategy       = require("./strategy");
+const PaperBroker    = require("./paperBroker");
+const AccountRegistry = require("./accounts");
+const { room: accountRoom } = require("./accounts");
+const WatchlistStore = require("./watchlists");
+const symbolMaster   = require("./symbolMaster");
+const instruments    = require("./instruments");
+const optionChains   = require("./optionChain");
+const BarAggregator  = require("./barAggregator");
+const indicatorStore = require("./indicatorStore");
+const candleStore    = require("./storage");
+const { parseResolution } = require("./storage/candleStore");
+const candleExport   = require("./candleExport");
+const backfill       = require("./backfill");
+const retention      = require("./retention");
+const { calendarFor } = require("./marketCalendar");
+const { loadStrategies } = require("./rules");
+const UserStore      = require("./users");
+const { roleAtLeast } = require("./users");
+const Access         = require("./access");
+
+// Browser origins allowed to call the API and open the socket (CORS_ORIGINS, comma-separated)
+const origins = (process.env.CORS_ORIGINS || "http://localhost:3000").split(",").map(o => o.trim()).filter(Boolean);
 
 const app    = express();
 const server = http.createServer(app);
 const io     = new Server(server, {
-  cors: { origin: "http://localhost:3000", methods: ["GET", "POST"], credentials: true }
+  cors: { origin: origins, methods: ["GET", "POST"], credentials: true }
 });
 
-app.use(cors());
+app.use(cors({ origin: origins, credentials: true }));
 app.use(express.json());
 
-let strategy; // Strategy instance
+const users  = new UserStore();    // app users, API keys and the audit log
+const access = new Access(users);  // JWT / API key auth and role checks
+const admin  = access.require("admin");
+
+let strategy;    // Strategy instance
+let paperBroker; // PaperBroker instance (virtual fills for every signal)
+const accounts   = new AccountRegistry(io); // named Fyers accounts; "default" is FYERS_APP_ID
+const risk       = accounts.default.risk; // pre-trade checks for signals + "default" orders
+const watchlists = new WatchlistStore(io); // named symbol lists; the active one is streamed
+let dataSocket;  // DataSocket instance (live ticks for the active watchlist)
+let bars;        // BarAggregator instance (live ticks → intraday bars)
+let started = null; // startTrading() promise – feeds are up once it resolves
+let streamed = new Set(watchlists.getActiveSymbols()); // symbols the strategy / paper broker / bars see
+
+// Option chains subscribe their contracts + spot on top of the watchlist
+optionChains.on("subscribe", tickers => dataSocket?.subscribe(tickers));
+optionChains.on("unsubscribe", tickers => dataSocket?.unsubscribe(tickers.filter(t => !streamed.has(t))));
+optionChains.on("update", (key, chain) => io.to(`optionChain:${key}`).emit("optionChain", chain));
 
 // ───────────────────────── socket hydration ─────────────────────────
+// Every socket needs a user ({ auth: { token } } or { auth: { apiKey } });
+// viewers get everything below, none of it changes anything
+io.use(access.socket("viewer"));
+
 io.on("connection", sock => {
   console.log("👋  UI connected");
+
+  // Account-scoped events (orders, positions, auth, accountSignal) go to the
+  // account's room: ?account=<id> on the handshake picks it ("default"
+  // otherwise), "selectAccount" switches. Only accounts the user may use
+  // (users.js) can be joined; without any the socket joins no room.
+  const user = sock.data.user;
+  let account = null;
+  const joinAccount = id => {
+    if (account) sock.leave(accountRoom(account));
+    sock.join(accountRoom(account = id));
+    sock.emit("authStatus", { ...accounts.get(account).auth.getStatus(), account });
+  };
+  const selectAccount = id => {
+    if (!accounts.has(id)) return sock.emit("accountError", { account: id, message: `Unknown account: ${id}` });
+    if (!users.mayUse(user, id)) {
+      users.audit({ user, action: "denied", path: `socket.io selectAccount ${id}`, status: 403, ip: sock.handshake.address });
+      return sock.emit("accountError", { account: id, message: `Not allowed to use account ${id}` });
+    }
+    joinAccount(id);
+  };
+  const wanted = sock.handshake.query?.account;
+  if (wanted && wanted !== "default") selectAccount(wanted);
+  if (!account) {
+    const first = accounts.all().find(a => users.mayUse(user, a.id));
+    if (first) joinAccount(first.id);
+  }
+  sock.on("selectAccount", selectAccount);
   if (strategy) {
     // Emit initial signals in the format the React client expects
     const bullishSignals = strategy.getBullishSignals();
-    console.log(`Emitting ${bullishSignals.length} bullish signals to new client`);
+    const bearishSignals = strategy.getBearishSignals();
+    console.log(`Emitting ${bullishSignals.length} bullish / ${bearishSignals.length} bearish signals to new client`);
     sock.emit("initialBullishSignals", bullishSignals);
-    sock.emit("initialBearishSignals", strategy.getBearishSignals?.() || []);
+    sock.emit("initialBearishSignals", bearishSignals);
   }
+  if (paperBroker) sock.emit("initialPaperPositions", paperBroker.getPositions());
+
+  // Live option chain: { underlying, expiry?, exchange? } → "optionChain" now and on every change
+  const chains = new Set();
+  sock.on("subscribeOptionChain", async (req = {}) => {
+    try {
+      const chain = optionChains.watch(req.underlying, { exchange: req.exchange, expiry: req.expiry });
+      if (!chains.has(chain.key)) {       // one watcher per socket, however often it asks
+        chains.add(chain.key);
+        optionChains.watch(chain.underlying, { exchange: chain.exchange, expiry: chain.expiry, listener: true });
+      }
+      sock.join(`optionChain:${chain.key}`);
+      sock.emit("optionChain", await optionChains.chain(chain.underlying, { exchange: chain.exchange, expiry: chain.expiry }));
+    } catch (err) {
+      sock.emit("optionChainError", { underlying: req.underlying, message: err.message });
+    }
+  });
+  sock.on("unsubscribeOptionChain", ({ key } = {}) => {
+    if (!chains.delete(key)) return;
+    sock.leave(`optionChain:${key}`);
+    optionChains.unwatch(key);
+  });
+  sock.on("disconnect", () => chains.forEach(key => optionChains.unwatch(key)));
 });
 
+// Admin namespace: the audit log as it's written
+const adminIO = io.of("/admin");
+adminIO.use(access.socket("admin"));
+users.on("audit", entry => adminIO.emit("audit", entry));
+
 // ───────────────────────── auth callback & health ───────────────────
-app.get("/", (req, res) => {
-  const code = req.query.auth_code;
-  if (code) {
-    authManager.setAuthCode(code);
+// "default" redirects to FYERS_REDIRECT_URI (/), other accounts to /auth/<id>.
+// The callback can't carry our login, so the OAuth state is what ties it to
+// a login URL we handed out; both outcomes go to the audit log
+const completeLogin = async (id, req, res) => {
+  const entry = { path: req.path, ip: req.ip, status: 200, details: { account: id } };
+  try {
+    await accounts.get(id).auth.completeLogin(req.query.auth_code, req.query.state);
+    users.audit({ ...entry, action: "fyers_login" });
     return res.send("<h1>Auth OK</h1>");
+  } catch (err) {
+    console.error(`❌ [${id}] Login failed:`, err.message);
+    users.audit({ ...entry, action: "fyers_login_failed", status: 400, details: { account: id, reason: err.message } });
+    return res.status(400).send(`<h1>Auth failed</h1><p>${escapeHtml(err.message)}</p>`);
   }
+};
+
+app.get("/", (req, res) => {
+  const code = req.query.auth_code;
+  if (code) return completeLogin("default", req, res);
   res.send("Server running");
 });
 
+app.get("/auth/:account", (req, res) => {
+  if (!req.query.auth_code) return res.status(400).send("<h1>auth_code missing</h1>");
+  return completeLogin(req.params.account, req, res);
+});
+
+const escapeHtml = s => String(s).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
 // ───────────────────────── bootstrap logic ──────────────────────────
+// Never waits for a browser login: without a usable token bootstrap returns
+// with the auth status "login_required", and the feeds start on the "token"
+// event that completing the login emits. Later tokens (refreshes, re-logins)
+// reconnect the sockets.
 async function bootstrap() {
   try {
-    await authManager.initialize();
-    await tradingService.initialize();
+    // Validate rule files before touching Fyers so a typo fails fast
+    const strategies = loadStrategies();
+
+    // First run with SYMBOL_MASTER_PATH set: import the symbol master CSVs
+    if (process.env.SYMBOL_MASTER_PATH && !symbolMaster.isLoaded())
+      await symbolMaster.importPath(process.env.SYMBOL_MASTER_PATH);
 
-    strategy = new Strategy(tradingService, io);
+    await accounts.initialize();
+    authManager.on("token", token => onToken(strategies, token).catch(err =>
+      console.error("❌ starting / reconnecting the feeds failed:", err.message)));
 
     const token = await authManager.getAccessToken();
-    if (!token) throw new Error('Failed to get access token');
+    if (!token) {
+      console.log("⏸  Waiting for a Fyers login – GET /api/auth/status has the URL");
+      return;
+    }
+    await onToken(strategies, token);
+  } catch (err) {
+    console.error("❌ bootstrap error:", err);
+    throw err;
+  }
+}
 
-    const dataSocket = await connectDataSocket(token);
+function onToken(strategies, token) {
+  if (!started) {
+    started = startTrading(strategies, token).catch(err => { started = null; throw err; });
+    return started;
+  }
+  return started.then(() => reconnectFeeds(token));
+}
 
-    dataSocket.on("message", msg => {
-      
-      if (msg?.type === "sf" && msg.symbol && msg.ltp) {
-        strategy.updateRealtimeDataFromSF({ symbol: msg.symbol, ltp: msg.ltp });
+// A retry after a failed start (the "token" event of the next login) picks up
+// where that attempt stopped: the strategy, paper broker and their listeners
+// are only made once, and a data socket that connected is reconnected.
+async function startTrading(strategies, token) {
+  await tradingService.initialize();
+  if (!strategy) startStrategy(strategies);
+  if (dataSocket) await dataSocket.reconnect(token);
+  else await startDataSocket(token);
+
+  // Order socket feeds the local order store; a failure here is not fatal
+  await accounts.default.connectOrders(token);
+
+  // await strategy.analyzeCurrentData();
+
+  console.log("✅ server ready with multi-timeframe strategy");
+}
+
+function startStrategy(strategies) {
+  // Backfill jobs interrupted by a crash / restart carry on where they stopped
+  backfill.on("progress", job => io.emit("backfillProgress", job));
+  backfill.resume();
+
+  strategy = new Strategy(tradingService, io, { strategies, risk });
+  paperBroker = new PaperBroker(io).attach(strategy);
+  risk.addSource(paperBroker);
+
+  // New signals also go to the rooms of the accounts that take the rule set,
+  // each with its own risk verdict (the strategy's is "default"'s)
+  for (const side of ["bullish", "bearish"])
+    strategy.on(side, payload => emitAccountSignals(side, payload).catch(err =>
+      console.error(`⚠️ accountSignal ${payload.trade.ticker}:`, err.message)));
+
+  // Live ticks → intraday bars in the candle store; closed bars refresh intraday SMAs
+  bars = new BarAggregator();
+  bars.on("barClose", bar => strategy.onBarClose(bar).catch(err =>
+    console.error(`⚠️ barClose ${bar.symbol} @ ${bar.resolution}:`, err.message)));
+}
+
+async function startDataSocket(token) {
+  streamed   = new Set(watchlists.getActiveSymbols());
+  dataSocket = await connectDataSocket(token, [...streamed]);
+
+  dataSocket.on("message", msg => {
+    
+    if (msg?.type === "sf" && msg.symbol && msg.ltp) {
+      instruments.onTick(msg);    // open interest of futures / options
+      optionChains.onTick(msg);
+      if (!streamed.has(msg.symbol)) return;    // option chain contracts only feed the chain
+      strategy.updateRealtimeDataFromSF({ symbol: msg.symbol, ltp: msg.ltp }).catch(err =>
+        console.error(`⚠️ tick ${msg.symbol}:`, err.message));
+      paperBroker.onTick(msg.symbol, msg.ltp);
+      bars.onTick(msg);
+    }
+  });
+
+  // Option chains watched before the socket connected
+  dataSocket.subscribe(optionChains.tickers());
+
+  // Continuous future rolled to the next contract: move the subscription
+  // and re-evaluate its signals (the stored series is already continuous)
+  instruments.on("roll", async r => {
+    dataSocket.roll(r);
+    try {
+      await strategy.hydrate(r.symbol);
+    } catch (err) {
+      console.error(`⚠️ hydrate ${r.symbol} after roll failed:`, err.message);
+    }
+  });
+
+  // Watchlist edits / activation: resubscribe live, hydrate new symbols, drop removed ones
+  watchlists.on("change", async ({ added, removed, symbols }) => {
+    streamed = new Set(symbols);
+    dataSocket.unsubscribe(removed.filter(s => !optionChains.tickers().includes(s)));
+    removed.forEach(sym => strategy.removeSymbol(sym));
+    dataSocket.subscribe(added);
+    for (const sym of added) {
+      try {
+        await strategy.hydrate(sym);
+      } catch (err) {
+        console.error(`⚠️ hydrate ${sym} failed:`, err.message);
       }
-    });
+    }
+  });
+}
 
-    // await strategy.analyzeCurrentData();
+// "accountSignal" to every account that takes the rule set; qty and verdict
+// are the account's own, "default" keeps the one the strategy attached
+async function emitAccountSignals(side, payload) {
+  for (const a of accounts.accountsFor(payload.trade.strategy)) {
+    let risk = payload.trade.risk;
+    if (a !== accounts.default) {
+      await a.risk.loadDaily(payload.trade.ticker);
+      risk = a.risk.evaluate(payload.trade, { record: true });
+    }
+    a.io?.emit("accountSignal", { account: a.id, side, ...payload, trade: { ...payload.trade, risk } });
+  }
+}
 
-    console.log("✅ server ready with multi-timeframe strategy");
+// Same DataSocket / OrderSocket objects on a new connection, so every
+// listener above stays attached
+async function reconnectFeeds(token) {
+  await dataSocket.reconnect(token);
+  await accounts.default.connectOrders(token);
+}
+
+// ───────────────────────── users & access ──────────────────────────
+// Wraps an async handler: JSON { success: true, ...result } or 400 with the error message
+const handle = fn => async (req, res) => {
+  try {
+    return res.json({ success: true, ...(await fn(req)) });
   } catch (err) {
-    console.error("❌ bootstrap error:", err);
-    process.exit(1);
+    console.error(`❌ ${req.method} ${req.baseUrl}${req.path}:`, err.message);
+    return res.status(400).json({ success: false, message: err.message });
   }
-}
-bootstrap();
+};
+
+// POST /api/login — { username, password } → { token, expiresAt, user }; the only open API route
+app.post("/api/login", (req, res) => {
+  try {
+    return res.json({ success: true, ...access.login(req.body?.username, req.body?.password, req.ip) });
+  } catch (err) {
+    return res.status(401).json({ success: false, message: err.message });
+  }
+});
+
+// Everything else under /api needs a user and lands in the audit log
+app.use("/api", access.audit(), access.authenticate());
+
+// GET /api/me — the signed-in user
+app.get("/api/me", handle(async req => ({ user: req.user })));
+
+// POST /api/me/password — { currentPassword, password } → { token, expiresAt, user }; older tokens stop working
+app.post("/api/me/password", handle(async req => {
+  if (!users.verifyPassword(req.user.username, req.body?.currentPassword)) throw new Error("currentPassword is wrong");
+  return access.issue(users.update(req.user.username, { password: req.body?.password }));
+}));
+
+// GET/POST/DELETE /api/me/api-keys — { name }; the key is only returned on creation
+app.get("/api/me/api-keys", handle(async req => ({ apiKeys: users.listApiKeys(req.user.username) })));
+app.post("/api/me/api-keys", handle(async req => users.createApiKey(req.user.username, req.body?.name)));
+app.delete("/api/me/api-keys/:id", handle(async req => users.revokeApiKey(req.user.username, req.params.id)));
+
+// From here on: viewers may read, changes need a trader, admin routes say so
+app.use("/api", access.authorize());
+
+// A user's `accounts` may only name accounts that exist
+const knownAccounts = ids => {
+  if (Array.isArray(ids)) ids.forEach(id => accounts.get(id));
+  return ids;
+};
+
+// GET/POST /api/users — { username, password, role: viewer|trader|admin, accounts: [id, …] | null }
+app.get("/api/users", admin, handle(async () => ({ users: users.list() })));
+app.post("/api/users", admin, handle(async req => {
+  const { username, password, role, accounts: ids } = req.body ?? {};
+  return { user: users.create({ username, password, role, accounts: knownAccounts(ids) }) };
+}));
+
+// PATCH /api/users/:username — { role, password, disabled, accounts }
+app.patch("/api/users/:username", admin, handle(async req => {
+  const { role, password, disabled, accounts: ids } = req.body ?? {};
+  return { user: users.update(req.params.username, { role, password, disabled, accounts: knownAccounts(ids) }) };
+}));
+app.delete("/api/users/:username", admin, handle(async req => users.remove(req.params.username)));
+
+// GET /api/audit — newest first (?user=&action=&since=&limit=)
+app.get("/api/audit", admin, handle(async req => ({ entries: users.auditLog(req.query) })));
 
 // ───────────────────────── API endpoints ───────────────────────────
 
@@ -100,19 +396,19 @@ app.post("/api/change-resolution", async (req, res) => {
     
     // Get updated signals
     const bullishSignals = strategy.getBullishSignals();
+    const bearishSignals = strategy.getBearishSignals();
     
     // Emit to all connected clients
     io.emit("initialBullishSignals", bullishSignals);
-    console.log(`Emitting ${bullishSignals.length} bullish signals after resolution change to ${newResolution}`);
-    
-    // Also emit empty bearish signals to keep UI in sync
-    io.emit("initialBearishSignals", []);
+    io.emit("initialBearishSignals", bearishSignals);
+    console.log(`Emitting ${bullishSignals.length} bullish / ${bearishSignals.length} bearish signals after resolution change to ${newResolution}`);
 
     return res.json({
       success: true,
       resolution: newResolution,
       message: `Resolution changed to ${newResolution}`,
       bullishSignals: bullishSignals,
+      bearishSignals: bearishSignals,
       analysisCount: results.length
     });
   } catch (err) {
@@ -130,6 +426,433 @@ app.get("/api/resolution", (req, res) => {
   return res.json({ success: true, resolution: current });
 });
 
+// GET /api/strategies — loaded rule sets and their current signals
+app.get("/api/strategies", (req, res) => {
+  if (!strategy) return res.status(503).json({ success: false, message: "Strategy not ready" });
+
+  const strategies = strategy.getStrategies().map(s => ({
+    name: s.name,
+    type: s.type,
+    description: s.description,
+    rules: Object.fromEntries(s.rules.map(r => [r.name, r.expr])),
+    signal: s.signal,
+    signals: strategy.getStrategySignals(s.name)
+  }));
+  return res.json({ success: true, resolution: strategy.getResolution(), strategies });
+});
+
+// GET /api/paper/positions — virtual positions (?status=OPEN|CLOSED|ALL, default OPEN)
+app.get("/api/paper/positions", (req, res) => {
+  if (!paperBroker) return res.status(503).json({ success: false, message: "Paper broker not ready" });
+
+  const status = String(req.query.status || "OPEN").toUpperCase();
+  if (!["OPEN", "CLOSED", "ALL"].includes(status))
+    return res.status(400).json({ success: false, message: `Invalid status: ${req.query.status}` });
+
+  return res.json({ success: true, positions: paperBroker.getPositions(status) });
+});
+
+// GET /api/paper/trades — fills plus realised/unrealised P&L (?symbol=&limit=)
+app.get("/api/paper/trades", (req, res) => {
+  if (!paperBroker) return res.status(503).json({ success: false, message: "Paper broker not ready" });
+
+  const limit = Math.min(Number(req.query.limit) || 500, 5000);
+  const { fills, summary } = paperBroker.getTrades({ symbol: req.query.symbol, limit });
+  return res.json({ success: true, summary, trades: fills });
+});
+
+// ───────────────────────── orders ───────────────────────────────────
+// Orders, broker views, auth, risk and dry-run are per account: the routes
+// below are served at /api/… for "default" and at /api/accounts/:account/…
+const accountRoutes = express.Router({ mergeParams: true });
+const accountOf = req => accounts.get(req.params.account ?? "default");
+
+// 403 unless the user may use the account (users.js); unknown ids fall through to the route's 400
+const accountAccess = (req, res, next) => {
+  const id = req.params.account ?? "default";
+  if (accounts.has(id) && !users.mayUse(req.user, id))
+    return res.status(403).json({ success: false, message: `Not allowed to use account ${id}` });
+  next();
+};
+accountRoutes.use(accountAccess);
+
+// Every new order goes through the account's risk manager first; a rejection is a 400
+const riskGate = async (account, body) => {
+  instruments.validate(body?.symbol);
+  const verdict = await account.risk.checkOrder(body);
+  if (!verdict.approved) throw new Error(`Risk check failed: ${verdict.reason}`);
+  return verdict;
+};
+
+// POST /api/orders — { symbol, qty, side, type: MARKET|LIMIT|SL|SL-M, limitPrice, stopPrice, productType, validity }
+accountRoutes.post("/orders", handle(async req => {
+  const account = accountOf(req);
+  const verdict = await riskGate(account, req.body);
+  const resp    = await account.trading.placeOrder(req.body);
+  return { dryRun: !!resp.dryRun, order: account.orders.recordPlaced(resp), risk: verdict };
+}));
+
+// POST /api/orders/bracket — same as above plus stopLoss / takeProfit (points)
+accountRoutes.post("/orders/bracket", handle(async req => {
+  const account = accountOf(req);
+  const verdict = await riskGate(account, req.body);
+  const resp    = await account.trading.placeBracketOrder(req.body);
+  return { dryRun: !!resp.dryRun, order: account.orders.recordPlaced(resp), risk: verdict };
+}));
+
+// POST /api/orders/cover — same as above plus stopLoss (points)
+accountRoutes.post("/orders/cover", handle(async req => {
+  const account = accountOf(req);
+  const verdict = await riskGate(account, req.body);
+  const resp    = await account.trading.placeCoverOrder(req.body);
+  return { dryRun: !!resp.dryRun, order: account.orders.recordPlaced(resp), risk: verdict };
+}));
+
+// PATCH /api/orders/:id — { qty, type, limitPrice, stopPrice }
+accountRoutes.patch("/orders/:id", handle(async req => {
+  const account = accountOf(req);
+  const resp    = await account.trading.modifyOrder(req.params.id, req.body);
+  return { dryRun: !!resp.dryRun, order: account.orders.recordModified(resp), response: resp };
+}));
+
+// DELETE /api/orders/:id — cancel
+accountRoutes.delete("/orders/:id", handle(async req => {
+  const account = accountOf(req);
+  const resp    = await account.trading.cancelOrder(req.params.id);
+  return { dryRun: !!resp.dryRun, order: account.orders.recordCancelRequested(resp), response: resp };
+}));
+
+// GET /api/orders — local order state (?status=&symbol=)
+accountRoutes.get("/orders", handle(async req => ({
+  orders: accountOf(req).orders.list({ status: req.query.status, symbol: req.query.symbol })
+})));
+
+// GET /api/orders/:id — one order with its status history and fills
+accountRoutes.get("/orders/:id", handle(async req => {
+  const order = accountOf(req).orders.get(req.params.id);
+  if (!order) throw new Error(`Unknown order: ${req.params.id}`);
+  return { order };
+}));
+
+// Broker-side views straight from Fyers
+accountRoutes.get("/orderbook", handle(async req => ({ orderBook: (await accountOf(req).trading.getOrderBook()).orderBook ?? [] })));
+accountRoutes.get("/positions", handle(async req => {
+  const account = accountOf(req);
+  const { netPositions = [], overall = {} } = await account.trading.getPositions();
+  return { positions: netPositions, overall, socketUpdates: account.orders.getPositions() };
+}));
+accountRoutes.get("/holdings",  handle(async req => {
+  const { holdings = [], overall = {} } = await accountOf(req).trading.getHoldings();
+  return { holdings, overall };
+}));
+
+// ───────────────────────── auth / token ─────────────────────────────
+// GET /api/auth/status — token expiry, refresh schedule; loginUrl while a login is required
+accountRoutes.get("/auth/status", handle(async req => accountOf(req).auth.getStatus()));
+
+// POST /api/auth/refresh — refresh the access token now (refresh token + FYERS_PIN)
+accountRoutes.post("/auth/refresh", handle(async req => {
+  const { auth } = accountOf(req);
+  await auth.refresh();
+  return auth.getStatus();
+}));
+
+// ───────────────────────── accounts ─────────────────────────────────
+// GET /api/accounts — the user's accounts with their auth status and strategies
+app.get("/api/accounts", handle(async req => ({ accounts: accounts.list().filter(a => users.mayUse(req.user, a.id)) })));
+
+// GET /api/accounts/:account
+app.get("/api/accounts/:account", accountAccess, handle(async req => ({ account: accountOf(req).summary() })));
+
+// PUT /api/accounts/:account/strategies — { strategies: ["bullish", …] }, null for every rule set
+app.put("/api/accounts/:account/strategies", admin, handle(async req => {
+  if (!req.body || !("strategies" in req.body)) throw new Error("strategies is required");
+  const known = (strategy?.getStrategies() ?? loadStrategies()).map(s => s.name);
+  return { account: accounts.assignStrategies(req.params.account, req.body.strategies, known).summary() };
+}));
+
+// GET /api/accounts/:account/signals — current signals of the account's rule sets
+app.get("/api/accounts/:account/signals", accountAccess, handle(async req => {
+  const account = accountOf(req);
+  const mine = signals => signals.filter(s => account.takes(s.trade.strategy));
+  return {
+    bullishSignals: strategy ? mine(strategy.getBullishSignals()) : [],
+    bearishSignals: strategy ? mine(strategy.getBearishSignals()) : []
+  };
+}));
+
+// ───────────────────────── watchlists ──────────────────────────────
+// GET /api/watchlists — all lists with symbol counts
+app.get("/api/watchlists", handle(async () => ({ watchlists: watchlists.list(), active: watchlists.getActive()?.name ?? null })));
+
+// GET /api/watchlists/:name — one list with its symbols
+app.get("/api/watchlists/:name", handle(async req => ({ watchlist: watchlists.get(req.params.name) })));
+
+// POST /api/watchlists — { name, symbols: [] }
+app.post("/api/watchlists", handle(async req => ({
+  watchlist: watchlists.create(req.body?.name, req.body?.symbols ?? [])
+})));
+
+// DELETE /api/watchlists/:name — not allowed for the active list
+app.delete("/api/watchlists/:name", handle(async req => watchlists.delete(req.params.name)));
+
+// POST /api/watchlists/:name/symbols — { symbols: [] }
+app.post("/api/watchlists/:name/symbols", handle(async req => ({
+  watchlist: watchlists.addSymbols(req.params.name, req.body?.symbols)
+})));
+
+// DELETE /api/watchlists/:name/symbols — { symbols: [] }
+app.delete("/api/watchlists/:name/symbols", handle(async req => ({
+  watchlist: watchlists.removeSymbols(req.params.name, req.body?.symbols)
+})));
+
+// POST /api/watchlists/:name/import — text/csv body (or JSON { csv }); ?replace=true swaps the contents
+app.post("/api/watchlists/:name/import", express.text({ type: ["text/csv", "text/plain"] }), handle(async req => ({
+  watchlist: watchlists.importCSV(req.params.name, typeof req.body === "string" ? req.body : req.body?.csv,
+                                  { replace: req.query.replace === "true" })
+})));
+
+// POST /api/watchlists/:name/activate — switch the streamed universe
+app.post("/api/watchlists/:name/activate", handle(async req => ({ watchlist: watchlists.activate(req.params.name) })));
+
+// ───────────────────────── symbol master ────────────────────────────
+// GET /api/symbols/search?q=reliance&exchange=NSE&segment=CM&limit=20
+app.get("/api/symbols/search", handle(async req => {
+  if (!req.query.q) throw new Error("q is required");
+  const limit = Math.min(Number(req.query.limit) || 20, 200);
+  return {
+    loaded : symbolMaster.isLoaded(),
+    results: symbolMaster.search(req.query.q, { limit, exchange: req.query.exchange, segment: req.query.segment })
+  };
+}));
+
+// GET /api/symbols — row counts per exchange / segment
+app.get("/api/symbols", handle(async () => ({ loaded: symbolMaster.isLoaded(), segments: symbolMaster.stats() })));
+
+// GET /api/symbols/:ticker — lot size, tick size, ISIN, expiry, …
+app.get("/api/symbols/:ticker", handle(async req => {
+  const symbol = symbolMaster.get(req.params.ticker);
+  if (!symbol) throw new Error(`Unknown symbol: ${req.params.ticker}`);
+  return { symbol };
+}));
+
+// POST /api/symbols/import — { path } of a CSV file or a directory of them
+app.post("/api/symbols/import", admin, handle(async req => {
+  if (!req.body?.path) throw new Error("path is required");
+  return { imported: await symbolMaster.importPath(req.body.path) };
+}));
+
+// ───────────────────────── instruments ──────────────────────────────
+// GET /api/instruments/oi?symbols=NSE:NIFTY-FUT,… — latest open interest from the data socket
+app.get("/api/instruments/oi", handle(async req => {
+  const all = instruments.getAllOI();
+  if (!req.query.symbols) return { oi: all };
+  const want = String(req.query.symbols).split(",").map(s => s.trim().toUpperCase()).filter(Boolean);
+  return { oi: Object.fromEntries(want.map(s => [s, all[s] ?? null])) };
+}));
+
+// GET /api/instruments/:ticker — type, underlying, expiry, strike, lot size, front-month contract
+app.get("/api/instruments/:ticker", handle(async req => ({ instrument: instruments.describe(req.params.ticker) })));
+
+// ───────────────────────── option chains ────────────────────────────
+// GET /api/options/chain/NIFTY?expiry=YYYY-MM-DD&exchange=NSE&strikes=15&spot= — strikes around
+// ATM with LTP / OI / IV / Greeks per side, PCR and max pain; nearest expiry by default
+app.get("/api/options/chain/:underlying", handle(async req => ({
+  chain: await optionChains.chain(req.params.underlying, {
+    exchange: req.query.exchange, expiry: req.query.expiry, strikes: req.query.strikes, spot: req.query.spot
+  })
+})));
+
+// GET /api/options/expiries/:underlying — option expiries in the symbol master from today on
+app.get("/api/options/expiries/:underlying", handle(async req => ({
+  expiries: optionChains.expiries(req.params.underlying, { exchange: req.query.exchange })
+})));
+
+// ───────────────────────── indicators ───────────────────────────────
+// GET /api/indicators — available indicators with default params and outputs
+app.get("/api/indicators", handle(async () => ({ indicators: indicatorStore.list() })));
+
+// GET /api/indicators/:symbol?res=D&name=rsi&params=14&from=&to=&limit=
+// params: positional ("12,26,9") or named ("period=20,mult=2"); from/to: unix or YYYY-MM-DD
+app.get("/api/indicators/:symbol", handle(async req => {
+  const { res = "D", name, params, from, to } = req.query;
+  if (!name) throw new Error("name is required (see GET /api/indicators)");
+  instruments.validate(req.params.symbol);
+
+  const at    = v => (v === undefined ? undefined : toUnix(v));
+  const range = { from: at(from), to: at(to), limit: Math.min(Number(req.query.limit) || 500, 10_000) };
+  if (Number.isNaN(range.from) || Number.isNaN(range.to)) throw new Error("from/to must be unix seconds or YYYY-MM-DD");
+  return indicatorStore.series(req.params.symbol, res, name, params, range);
+}));
+
+// ───────────────────────── candles ──────────────────────────────────
+// Streams a body produced by candleExport; errors before the first byte are JSON 400s
+const stream = fn => async (req, res) => {
+  try {
+    await fn(req, res);
+  } catch (err) {
+    console.error(`❌ ${req.method} ${req.path}:`, err.message);
+    if (!res.headersSent) return res.status(400).json({ success: false, message: err.message });
+    res.destroy(err);
+  }
+};
+
+// symbols=A,B | watchlist=name (default: the active watchlist) and resolutions=D,60 from a query or body
+const universe = ({ symbols, watchlist, resolutions } = {}) => {
+  const list = symbols
+    ? (Array.isArray(symbols) ? symbols : String(symbols).split(",")).map(s => String(s).trim()).filter(Boolean)
+    : (watchlist ? watchlists.get(watchlist).symbols : watchlists.getActiveSymbols());
+  list.forEach(s => instruments.validate(s));
+  const res = (Array.isArray(resolutions) ? resolutions : String(resolutions || "D").split(","))
+    .map(r => String(r).trim()).filter(Boolean);
+  return { symbols: list, resolutions: res };
+};
+
+// GET /api/candles/export.zip?watchlist=&symbols=A,B&resolutions=D,5&from=&to=&sma=true
+// One CSV per symbol × resolution from the local cache (no API calls); defaults to the active watchlist
+app.get("/api/candles/export.zip", stream(async (req, res) => {
+  const { symbols, resolutions } = universe(req.query);
+  const range = candleExport.parseRange(req.query.from, req.query.to);
+
+  const name = `candles_${req.query.watchlist || "export"}_${ist().format("YYYYMMDD_HHmm")}.zip`;
+  res.set({ "Content-Type": "application/zip", "Content-Disposition": `attachment; filename="${name}"` });
+  const { files, bytes } = await candleExport.exportZip(res, { symbols, resolutions, ...range, sma: req.query.sma === "true" });
+  console.log(`📦 Exported ${files} candle files (${bytes} bytes)`);
+}));
+
+// GET /api/candles/:symbol?resolution=D&from=&to=&format=json|csv|ndjson&sma=true&fetch=false
+// from/to: unix or YYYY-MM-DD (default: last 30 days). When the candle store has nothing in the
+// range a trader's request fetches the candles from Fyers and stores them first (audited as
+// candle_fetch), unless fetch=false; viewers only read what is stored.
+app.get("/api/candles/:symbol", stream(async (req, res) => {
+  const { symbol } = req.params;
+  const resolution = parseResolution(req.query.resolution || req.query.res || "D");
+  const format     = String(req.query.format || "json").toLowerCase();
+  if (!candleExport.FORMATS[format]) throw new Error(`format must be one of ${Object.keys(candleExport.FORMATS).join(", ")}`);
+  const range = candleExport.parseRange(req.query.from, req.query.to);
+  instruments.validate(symbol);
+
+  const mayFetch = req.query.fetch !== "false" && roleAtLeast(req.user.role, "trader");
+  if (mayFetch && !(await candleStore.countCandles(symbol, resolution, range.from, range.to))) {
+    if (!tradingService.fyers) throw new Error("No cached candles in range and the Fyers client is not ready");
+    users.audit({ user: req.user, action: "candle_fetch", method: req.method, path: req.originalUrl, ip: req.ip,
+                  details: { symbol, resolution, from: range.from, to: range.to } });
+    await tradingService.getHistoricalRange(symbol, resolution, range.from, range.to);
+  }
+
+  res.set("Content-Type", candleExport.FORMATS[format]);
+  if (format === "csv")
+    res.set("Content-Disposition", `attachment; filename="${symbol.replace(/[^\w-]+/g, "_")}_${resolution}.csv"`);
+  await candleExport.streamCandles(res, { symbol, resolution, ...range, format, sma: req.query.sma === "true" });
+  res.end();
+}));
+
+// ───────────────────────── backfill ─────────────────────────────────
+// POST /api/backfill — { symbols | watchlist, resolutions, from, to } → queued job (progress on "backfillProgress")
+app.post("/api/backfill", handle(async req => {
+  const { symbols, resolutions } = universe(req.body);
+  if (!req.body?.from) throw new Error("from is required");
+  const job = backfill.create({ symbols, resolutions, ...candleExport.parseRange(req.body.from, req.body.to) });
+  backfill.start(job.id);
+  return { job };
+}));
+
+// GET /api/backfill — recent jobs with chunk counts
+app.get("/api/backfill", handle(async req => ({ jobs: backfill.list({ limit: Math.min(Number(req.query.limit) || 50, 500) }) })));
+
+// GET /api/backfill/gaps?symbols=|watchlist=&resolutions=D,60&from=&to=
+// Missing / partial trading sessions per symbol × resolution
+app.get("/api/backfill/gaps", handle(async req => {
+  const { symbols, resolutions } = universe(req.query);
+  return { gaps: await backfill.gaps({ symbols, resolutions, ...candleExport.parseRange(req.query.from, req.query.to) }) };
+}));
+
+// POST /api/backfill/gaps/requeue — { symbols | watchlist, resolutions, from, to } → { gaps, job } refetching them
+app.post("/api/backfill/gaps/requeue", handle(async req => {
+  const { symbols, resolutions } = universe(req.body);
+  const gaps = await backfill.gaps({ symbols, resolutions, ...candleExport.parseRange(req.body?.from, req.body?.to) });
+  const job  = backfill.requeueGaps(gaps);
+  if (job) backfill.start(job.id);
+  return { gaps, job };
+}));
+
+// GET /api/backfill/:id — job progress plus its failed chunks
+app.get("/api/backfill/:id", handle(async req => ({
+  job: backfill.get(req.params.id),
+  failed: backfill.chunks(req.params.id, { status: "failed" })
+})));
+
+// POST /api/backfill/:id/resume — rerun unfinished and failed chunks
+app.post("/api/backfill/:id/resume", handle(async req => {
+  backfill.resume(req.params.id);
+  return { job: backfill.get(req.params.id) };
+}));
+
+// POST /api/backfill/:id/cancel — stops after the chunk in flight
+app.post("/api/backfill/:id/cancel", handle(async req => ({ job: backfill.cancel(req.params.id) })));
+
+// ───────────────────────── storage ──────────────────────────────────
+// GET /api/storage/stats — candles.sqlite size, rows / bytes per symbol × resolution, archives
+app.get("/api/storage/stats", handle(async () => retention.stats()));
+
+// ───────────────────────── market calendar ──────────────────────────
+// GET /api/market/status?exchange=NSE — session phase, holiday / special session, next open
+app.get("/api/market/status", handle(async req => calendarFor(req.query.exchange || "NSE").status()));
+
+// ───────────────────────── risk ─────────────────────────────────────
+// GET /api/risk — limits, current exposure by symbol / sector, today's P&L, halt flag
+accountRoutes.get("/risk", handle(async req => accountOf(req).risk.getState()));
+
+// GET /api/risk/rejections — rejected signals / orders with reasons (?kind=signal|order&limit=)
+accountRoutes.get("/risk/rejections", handle(async req => {
+  const limit = Math.min(Number(req.query.limit) || 100, 1000);
+  return { rejections: accountOf(req).risk.getRejections({ kind: req.query.kind, limit }) };
+}));
+
+// POST /api/risk/check — dry check of an order body without placing it
+accountRoutes.post("/risk/check", handle(async req => {
+  if (!req.body?.symbol) throw new Error("symbol is required");
+  return { risk: await accountOf(req).risk.checkOrder(req.body, { record: false }) };
+}));
+
+// GET/POST /api/dry-run — { enabled: true|false }; switching it is for admins
+accountRoutes.get("/dry-run", handle(async req => ({ enabled: accountOf(req).trading.isDryRun() })));
+accountRoutes.post("/dry-run", admin, handle(async req => {
+  if (typeof req.body?.enabled !== "boolean") throw new Error("enabled (boolean) is required");
+  return { enabled: accountOf(req).trading.setDryRun(req.body.enabled) };
+}));
+
+app.use("/api", accountRoutes);
+app.use("/api/accounts/:account", accountRoutes);
+
 // ───────────────────────── start HTTP server ───────────────────────
-const PORT = process.env.PORT || 4000;
-server.listen(PORT, () => console.log(`🚀  http://localhost:${PORT}`));
+// `npm start` runs this file; tests require it and drive bootstrap() /
+// server.listen() themselves (no schedulers, no auto-start)
+if (require.main === module) {
+  bootstrap().catch(() => process.exit(1));
+
+  const PORT = process.env.PORT || 4000;
+  server.listen(PORT, () => console.log(`🚀  http://localhost:${PORT}`));
+
+  // Daily retention / archiving and compaction of candles.sqlite (retention.js)
+  retention.schedule();
+
+  // Continuous futures roll to the next contract after expiry (instruments.js)
+  instruments.schedule();
+
+  // Pushes changed option chains to their socket.io watchers
+  optionChains.start();
+}
+
+module.exports = {
+  app,
+  server,
+  io,
+  bootstrap,
+  watchlists,
+  accounts,
+  users,
+  access,
+  getStrategy  : () => strategy,
+  getDataSocket: () => dataSocket
+};
@@ -0,0 +1,356 @@
+/* ------------------------------------------------------------------ */
+/*  simulator/index.js – local Fyers API v3 stand-in (FYERS_MOCK)       */
+/* ------------------------------------------------------------------ */
+// Implements the part of fyers-api-v3 this app uses, in process and with
+// no network: login / token exchange, profile, history, orders, positions
+// and the data / order sockets. src/fyersApi.js hands it out instead of the
+// real SDK when FYERS_MOCK=true, so server.js boots end to end offline and
+// tests can drive the full stack.
+//
+// Responses keep the Fyers shape: { s: "ok" | "error" | "no_data", code,
+// message, … }. What's enforced, as on the live API:
+//
+//   auth      tokens from generate_access_token or the refresh-token grant
+//             only (code -16 otherwise), valid until 06:00 IST the next day
+//             (-17 after);
+//             auth codes expire after 10 minutes, refresh tokens after 15
+//             days, and refreshing takes a 4-digit PIN
+//   history   known resolutions, range_from ≤ range_to, at most 100 days per
+//             request intraday and 366 days daily (code -50), valid symbols
+//             (-300, checked against the symbol master when imported)
+//   limits    10 requests a second and 200 a minute (code 429)
+//
+// Orders fill against the synthetic price (market at once, limit / stop
+// orders when the price gets there) and live in memory until restart.
+
+const fs     = require("fs");
+const path   = require("path");
+const { EventEmitter } = require("events");
+const dotenv = require("dotenv");
+const Market = require("./market");
+const { SimDataSocket, SimOrderSocket } = require("./sockets");
+const instruments  = require("../instruments");
+const symbolMaster = require("../symbolMaster");
+const { calendarForSymbol } = require("../marketCalendar");
+const { ist, parse, nextAt } = require("../exchangeTime");
+
+dotenv.config({ path: path.resolve(__dirname, "../../.env") });
+
+const TOKEN_EXPIRY  = "06:00";        // IST, the day after issue
+const AUTH_CODE_TTL = 600;
+const REFRESH_TTL   = 15 * 86_400;
+const RESOLUTIONS   = ["1", "2", "3", "5", "10", "15", "20", "30", "45", "60", "120", "180", "240", "D"];
+const LIMIT_DAYS    = { intraday: 100, D: 366 };
+const ORDER_TYPES   = { 1: "LIMIT", 2: "MARKET", 3: "SL-M", 4: "SL" };
+const STATUS        = { CANCELLED: 1, FILLED: 2, REJECTED: 5, PENDING: 6 };
+
+const error = (code, message) => ({ s: "error", code, message });
+const b64   = s => Buffer.from(s).toString("base64url");
+const unb64 = s => Buffer.from(String(s), "base64url").toString();
+const nowSec = () => Math.floor(Date.now() / 1000);
+
+class Simulator extends EventEmitter {
+  constructor(opts = {}) {
+    super();
+    this.market      = opts.market ?? new Market({ instruments: opts.instruments });
+    this.master      = opts.symbolMaster ?? symbolMaster;
+    this.now         = opts.now ?? (() => Date.now() / 1000);
+    this.tickMs      = opts.tickMs ?? (Number(process.env.FYERS_MOCK_TICK_MS) || 1000);
+    this.afterHours  = opts.afterHours ?? /^(1|true|yes)$/i.test(process.env.FYERS_MOCK_AFTER_HOURS || "");
+    this.replaySpeed = opts.replaySpeed ?? (Number(process.env.FYERS_MOCK_REPLAY_SPEED) || 1);
+    this.rateLimit   = opts.rateLimit ?? true;
+    this.recording   = Simulator.loadRecording(opts.ticksFile ?? process.env.FYERS_MOCK_TICKS);
+    this.recorded    = new Set(this.recording.map(m => m.symbol));
+    this.calls       = [];           // request times (ms) inside the last minute
+    this.orders      = new Map();    // id → order, in the get_orders shape
+    this.positions   = new Map();    // symbol → net position
+    this.seq         = 0;
+    this.timer       = null;         // re-checks pending limit / stop orders
+  }
+
+  // Ticks recorded by DataSocket (FYERS_RECORD_TICKS): one JSON message per line
+  static loadRecording(file) {
+    if (!file) return [];
+    try {
+      const lines = fs.readFileSync(path.resolve(file), "utf8").split("\n").filter(Boolean);
+      const msgs  = lines.map((l, i) => ({ recvAt: i * 1000, ...JSON.parse(l) })).filter(m => m.symbol);
+      console.log(`📼 Simulator replaying ${msgs.length} recorded ticks from ${file}`);
+      return msgs.sort((a, b) => a.recvAt - b.recvAt);
+    } catch (err) {
+      console.warn(`⚠️ Tick recording ${file} not loaded (${err.message}); all ticks are synthetic`);
+      return [];
+    }
+  }
+
+  /* ---------------- auth --------------------------------------- */
+  // Login page stand-in: "redirects" straight back with an auth code
+  authUrl(appId, redirectUrl) {
+    const code = `mockauth.${b64(`${appId ?? ""}|${nowSec()}`)}`;
+    const base = redirectUrl || `http://localhost:${process.env.PORT || 4000}/`;
+    return `${base}${base.includes("?") ? "&" : "?"}s=ok&code=200&auth_code=${code}&state=sample_state`;
+  }
+
+  exchange({ client_id, secret_key, auth_code } = {}) {
+    if (!secret_key) return error(-50, "secret_key is required");
+    const [appId, issued] = unb64(String(auth_code ?? "").replace(/^mockauth\./, "")).split("|");
+    if (!String(auth_code ?? "").startsWith("mockauth.") || appId !== String(client_id ?? ""))
+      return error(-16, "Invalid auth code");
+    if (nowSec() - Number(issued) > AUTH_CODE_TTL) return error(-16, "Auth code expired");
+    return { s: "ok", code: 200, message: "", access_token: this.#token(appId), refresh_token: `mockrefresh.${b64(`${appId}|${nowSec()}`)}` };
+  }
+
+  // POST /validate-refresh-token: { grant_type, appIdHash, refresh_token, pin }
+  refresh({ grant_type, appIdHash, refresh_token, pin } = {}) {
+    if (grant_type !== "refresh_token" || !/^[0-9a-f]{64}$/.test(String(appIdHash ?? "")))
+      return error(-50, "grant_type refresh_token and appIdHash are required");
+    const [appId, issued] = unb64(String(refresh_token ?? "").replace(/^mockrefresh\./, "")).split("|");
+    if (!String(refresh_token ?? "").startsWith("mockrefresh.") || !Number(issued)) return error(-16, "Invalid refresh token");
+    if (nowSec() - Number(issued) > REFRESH_TTL) return error(-17, "Refresh token expired");
+    if (!/^\d{4}$/.test(String(pin ?? ""))) return error(-16, "Invalid PIN");
+    return { s: "ok", code: 200, message: "", access_token: this.#token(appId) };
+  }
+
+  #token(appId) { return `mock.${b64(`${appId}|${nowSec()}`)}`; }
+
+  // null when the token is good, the Fyers error otherwise
+  checkToken(token) {
+    const [, issued] = unb64(String(token ?? "").replace(/^mock\./, "")).split("|");
+    if (!String(token ?? "").startsWith("mock.") || !Number(issued)) return error(-16, "Could not authenticate the user");
+    if (nowSec() >= nextAt(ist(Number(issued)).endOf("day").unix(), TOKEN_EXPIRY)) return error(-17, "Token expired");
+    return null;
+  }
+
+  // Auth + rate limit in front of every REST call
+  request(token, fn) {
+    const denied = this.checkToken(token);
+    if (denied) return denied;
+    if (this.rateLimit) {
+      const t = Date.now();
+      this.calls = this.calls.filter(c => t - c < 60_000);
+      if (this.calls.length >= 200 || this.calls.filter(c => t - c < 1000).length >= 10)
+        return error(429, "request limit reached");
+      this.calls.push(t);
+    }
+    return fn();
+  }
+
+  profile(token) {
+    const [appId] = unb64(String(token).slice(5)).split("|");
+    return {
+      s: "ok", code: 200, message: "",
+      data: { fy_id: "XS0000", name: "SIMULATED TRADER", display_name: "Simulator", email_id: "simulator@localhost",
+              mobile_number: "0000000000", pan: "XXXXX0000X", pwd_to_expire: 90, app_id: appId }
+    };
+  }
+
+  /* ---------------- market data -------------------------------- */
+  // fyersModel.getHistory({ symbol, resolution, date_format, range_from, range_to, cont_flag })
+  history(p = {}) {
+    const res = String(p.resolution ?? "").toUpperCase() === "1D" ? "D" : String(p.resolution ?? "").toUpperCase();
+    if (!RESOLUTIONS.includes(res)) return error(-50, `Invalid resolution: ${p.resolution}`);
+    const bad = this.#badSymbol(p.symbol);
+    if (bad) return bad;
+
+    let from, to;
+    if (String(p.date_format) === "1") {
+      const f = parse(String(p.range_from ?? ""), "YYYY-MM-DD"), t = parse(String(p.range_to ?? ""), "YYYY-MM-DD");
+      if (!f.isValid() || !t.isValid()) return error(-50, "range_from / range_to must be YYYY-MM-DD with date_format 1");
+      from = f.unix();
+      to   = t.endOf("day").unix();
+    } else {
+      from = Number(p.range_from);
+      to   = Number(p.range_to);
+      if (!Number.isFinite(from) || !Number.isFinite(to)) return error(-50, "range_from / range_to must be epoch seconds with date_format 0");
+    }
+    if (from > to) return error(-50, "range_from must not be after range_to");
+    const limit = res === "D" ? LIMIT_DAYS.D : LIMIT_DAYS.intraday;
+    if (Math.floor((to - from) / 86_400) > limit)
+      return error(-50, `Invalid input: range can be at most ${limit} days for resolution ${res}`);
+
+    const candles = this.market.candles(instruments.resolve(p.symbol), res, from, to, Math.floor(this.now()));
+    return candles.length
+      ? { s: "ok", code: 200, message: "", candles }
+      : { s: "no_data", code: 200, message: "", candles: [] };
+  }
+
+  quote(symbol, t = this.now()) {
+    if (this.#badSymbol(symbol)) return null;
+    return this.market.quote(symbol, t, this.afterHours);
+  }
+
+  isOpen(symbol, t = this.now()) {
+    const cal = calendarForSymbol(symbol);
+    const s   = cal.sessionsOn(cal.dateOf(t))?.normal;
+    return !!s && t >= s.start && t < s.end;
+  }
+
+  #badSymbol(symbol) {
+    const s = String(symbol ?? "").toUpperCase();
+    if (!/^[A-Z]+:[A-Z0-9&_.-]+$/.test(s)) return error(-300, "Please provide a valid symbol");
+    if (this.master.isLoaded() && !instruments.parse(s).continuous && !this.master.get(s))
+      return error(-300, `Invalid symbol: ${s}`);
+    return null;
+  }
+
+  /* ---------------- orders ------------------------------------- */
+  placeOrder(req = {}) {
+    const bad = this.#badSymbol(req.symbol);
+    if (bad) return bad;
+    if (instruments.parse(req.symbol).type === "INDEX") return error(-50, "Indices cannot be traded");
+    if (!Number.isInteger(Number(req.qty)) || Number(req.qty) <= 0) return error(-50, "Invalid quantity");
+    if (![1, -1].includes(Number(req.side))) return error(-50, "Invalid side");
+    if (!ORDER_TYPES[req.type]) return error(-50, "Invalid order type");
+    if ([1, 4].includes(Number(req.type)) && !(Number(req.limitPrice) > 0)) return error(-50, "limitPrice is required");
+    if ([3, 4].includes(Number(req.type)) && !(Number(req.stopPrice) > 0)) return error(-50, "stopPrice is required");
+
+    const id = `${ist(this.now()).format("YYMMDD")}${String(++this.seq).padStart(8, "0")}`;
+    const order = {
+      id, symbol: String(req.symbol).toUpperCase(), qty: Number(req.qty), side: Number(req.side), type: Number(req.type),
+      limitPrice: Number(req.limitPrice) || 0, stopPrice: Number(req.stopPrice) || 0,
+      productType: req.productType ?? "INTRADAY", orderTag: req.orderTag ?? "",
+      status: STATUS.PENDING, filledQty: 0, remainingQuantity: Number(req.qty), tradedPrice: 0,
+      orderDateTime: ist(this.now()).format("DD-MMM-YYYY HH:mm:ss"), message: "", triggered: Number(req.type) <= 2
+    };
+    this.orders.set(id, order);
+    this.#publish("orders", order);
+    setImmediate(() => this.#match(order));
+    return { s: "ok", code: 1101, message: `Order submitted successfully. Your Order Ref. No.${id}`, id };
+  }
+
+  modifyOrder(req = {}) {
+    const order = this.orders.get(String(req.id));
+    if (!order) return error(-50, `Order ${req.id} not found`);
+    if (order.status !== STATUS.PENDING) return error(-52, "Only pending orders can be modified");
+    for (const k of ["qty", "type", "limitPrice", "stopPrice"]) if (req[k] !== undefined) order[k] = Number(req[k]);
+    order.remainingQuantity = order.qty;
+    this.#publish("orders", order);
+    setImmediate(() => this.#match(order));
+    return { s: "ok", code: 1102, message: "Successfully modified order", id: order.id };
+  }
+
+  cancelOrder({ id } = {}) {
+    const order = this.orders.get(String(id));
+    if (!order) return error(-50, `Order ${id} not found`);
+    if (order.status !== STATUS.PENDING) return error(-52, "Only pending orders can be cancelled");
+    Object.assign(order, { status: STATUS.CANCELLED, message: "Cancelled by user" });
+    this.#publish("orders", order);
+    return { s: "ok", code: 1103, message: "Successfully cancelled order", id: order.id };
+  }
+
+  orderBook() {
+    return { s: "ok", code: 200, message: "", orderBook: [...this.orders.values()].map(({ triggered, ...o }) => o) };
+  }
+
+  netPositions() {
+    const t = this.now();
+    const netPositions = [...this.positions.values()].map(p => {
+      const ltp = this.market.price(p.symbol, this.market.marketTime(p.symbol, t, this.afterHours));
+      const unrealized = Math.round((ltp - p.netAvg) * p.netQty * 100) / 100;
+      return { ...p, ltp, unrealized_profit: unrealized, pl: Math.round((p.realized_profit + unrealized) * 100) / 100 };
+    });
+    const sum = k => Math.round(netPositions.reduce((s, p) => s + p[k], 0) * 100) / 100;
+    return {
+      s: "ok", code: 200, message: "", netPositions,
+      overall: { count_total: netPositions.length, count_open: netPositions.filter(p => p.netQty).length,
+                 pl_total: sum("pl"), pl_realized: sum("realized_profit"), pl_unrealized: sum("unrealized_profit") }
+    };
+  }
+
+  holdings() {
+    return { s: "ok", code: 200, message: "", holdings: [],
+             overall: { count_total: 0, pnl_perc: 0, total_current_value: 0, total_investment: 0, total_pl: 0 } };
+  }
+
+  // Fills the order if the synthetic price allows; pending ones are re-checked every tick
+  #match(order) {
+    if (order.status !== STATUS.PENDING) return;
+    const t   = this.now();
+    const ltp = this.market.price(order.symbol, this.market.marketTime(order.symbol, t, this.afterHours));
+    const buy = order.side === 1;
+
+    if (!order.triggered && (buy ? ltp >= order.stopPrice : ltp <= order.stopPrice)) order.triggered = true;
+    const marketable = order.triggered && (order.type === 2 || order.type === 3 || (buy ? ltp <= order.limitPrice : ltp >= order.limitPrice));
+    if (!marketable) return this.#watch();
+
+    const price = order.type === 2 || order.type === 3 ? ltp : order.limitPrice;
+    Object.assign(order, { status: STATUS.FILLED, filledQty: order.qty, remainingQuantity: 0, tradedPrice: price, message: "TRADE CONFIRMED" });
+    this.#publish("orders", order);
+    this.#publish("trades", {
+      orderNumber: order.id, tradeNumber: `${order.id}-1`, symbol: order.symbol, tradedQty: order.qty, tradePrice: price,
+      tradeValue: Math.round(order.qty * price * 100) / 100, side: order.side, productType: order.productType, orderDateTime: order.orderDateTime
+    });
+    this.#publish("positions", this.#book(order, price));
+    this.#watch();
+  }
+
+  #book(order, price) {
+    const p = this.positions.get(order.symbol) ?? {
+      symbol: order.symbol, productType: order.productType, netQty: 0, netAvg: 0,
+      buyQty: 0, buyAvg: 0, sellQty: 0, sellAvg: 0, realized_profit: 0
+    };
+    const qty = order.qty * order.side;
+    if (order.side === 1) { p.buyAvg = (p.buyAvg * p.buyQty + price * order.qty) / (p.buyQty + order.qty); p.buyQty += order.qty; }
+    else                  { p.sellAvg = (p.sellAvg * p.sellQty + price * order.qty) / (p.sellQty + order.qty); p.sellQty += order.qty; }
+
+    if (p.netQty && Math.sign(qty) !== Math.sign(p.netQty)) {
+      const closed = Math.min(Math.abs(qty), Math.abs(p.netQty));
+      p.realized_profit = Math.round((p.realized_profit + closed * (price - p.netAvg) * Math.sign(p.netQty)) * 100) / 100;
+      if (Math.abs(qty) > Math.abs(p.netQty)) p.netAvg = price;
+    } else {
+      p.netAvg = (p.netAvg * Math.abs(p.netQty) + price * Math.abs(qty)) / (Math.abs(p.netQty) + Math.abs(qty));
+    }
+    p.netQty += qty;
+    if (!p.netQty) p.netAvg = 0;
+    this.positions.set(order.symbol, p);
+    return { ...p, qty: p.netQty };
+  }
+
+  #watch() {
+    const pending = [...this.orders.values()].some(o => o.status === STATUS.PENDING);
+    if (pending && !this.timer) {
+      this.timer = setInterval(() => [...this.orders.values()].forEach(o => this.#match(o)), this.tickMs);
+      this.timer.unref?.();
+    } else if (!pending && this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  #publish(channel, { triggered, ...data }) { this.emit("order", channel, data); }
+}
+
+/* ---------------- fyers-api-v3 surface -------------------------- */
+const simulator = new Simulator();
+
+class fyersModel {
+  constructor(opts = {}, sim = simulator) {
+    this.sim         = sim;
+    this.appId       = null;
+    this.redirectUrl = null;
+    this.accessToken = null;
+  }
+
+  setAppId(id)          { this.appId = id; }
+  setRedirectUrl(url)   { this.redirectUrl = url; }
+  setAccessToken(token) { this.accessToken = token; }
+
+  generateAuthCode()                  { return this.sim.authUrl(this.appId, this.redirectUrl); }
+  async generate_access_token(req)    { return this.sim.exchange(req); }
+  async get_profile()                 { return this.sim.request(this.accessToken, () => this.sim.profile(this.accessToken)); }
+  async getHistory(params)            { return this.sim.request(this.accessToken, () => this.sim.history(params)); }
+  async place_order(req)              { return this.sim.request(this.accessToken, () => this.sim.placeOrder(req)); }
+  async modify_order(req)             { return this.sim.request(this.accessToken, () => this.sim.modifyOrder(req)); }
+  async cancel_order(req)             { return this.sim.request(this.accessToken, () => this.sim.cancelOrder(req)); }
+  async get_orders()                  { return this.sim.request(this.accessToken, () => this.sim.orderBook()); }
+  async get_positions()               { return this.sim.request(this.accessToken, () => this.sim.netPositions()); }
+  async get_holdings()                { return this.sim.request(this.accessToken, () => this.sim.holdings()); }
+}
+
+module.exports = {
+  fyersModel,
+  fyersDataSocket : SimDataSocket,
+  fyersOrderSocket: SimOrderSocket,
+  simulator,
+  Simulator,
+  Market
+};
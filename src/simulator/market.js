@@ -0,0 +1,234 @@
+/* ------------------------------------------------------------------ */
+/*  simulator/market.js – synthetic prices, candles and quotes         */
+/* ------------------------------------------------------------------ */
+// Every ticker gets a deterministic price path: a few slow waves plus
+// minute-level noise, all seeded from the ticker, so history and live ticks
+// agree and the same request always returns the same candles.
+//
+//   equities   base 50 … 5000 from the ticker hash, indices their usual level
+//   futures    spot of the underlying plus carry to expiry
+//   options    Black-Scholes on the spot with a volatility smile
+//
+// Candles are built from one-minute bars inside the exchange's normal
+// session (marketCalendar), so weekends, holidays and half days look real.
+
+const bs          = require("../blackScholes");
+const instruments = require("../instruments");
+const { calendarForSymbol } = require("../marketCalendar");
+
+const DAY        = 86_400;
+const YEAR       = 365 * DAY;
+const TICK       = 0.05;
+const CARRY_RATE = 0.07;
+const RATE       = 0.065;
+
+const INDEX_LEVELS = {
+  "NSE:NIFTY50-INDEX"   : 24_000,
+  "NSE:NIFTYBANK-INDEX" : 52_000,
+  "NSE:FINNIFTY-INDEX"  : 24_500,
+  "NSE:MIDCPNIFTY-INDEX": 12_500,
+  "NSE:NIFTYNXT50-INDEX": 68_000,
+  "NSE:INDIAVIX-INDEX"  : 14,
+  "BSE:SENSEX-INDEX"    : 80_000,
+  "BSE:BANKEX-INDEX"    : 60_000
+};
+
+// 32-bit FNV-1a of a string, and a [0, 1) value for (seed, n)
+function hash(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) h = Math.imul(h ^ str.charCodeAt(i), 0x01000193);
+  return h >>> 0;
+}
+function unit(seed, n) {
+  let x = (seed ^ Math.imul(n | 0, 0x9e3779b1)) >>> 0;
+  x = Math.imul(x ^ (x >>> 16), 0x7feb352d);
+  x = Math.imul(x ^ (x >>> 15), 0x846ca68b);
+  return ((x ^ (x >>> 16)) >>> 0) / 4294967296;
+}
+
+const roundTick = p => Math.max(TICK, Math.round(Math.round(p / TICK) * TICK * 100) / 100);
+const round2    = n => Math.round(n * 100) / 100;
+
+class Market {
+  constructor(opts = {}) {
+    this.instruments = opts.instruments ?? instruments;
+    this.specs = new Map();   // ticker → pricing spec
+    this.days  = new Map();   // ticker → running session stats for quotes
+  }
+
+  /* ---------------- price paths -------------------------------- */
+  // How a ticker is priced (cached – parsing is too slow for every sample)
+  spec(ticker) {
+    if (this.specs.has(ticker)) return this.specs.get(ticker);
+    const info = this.instruments.parse(this.instruments.resolve(ticker));
+    const seed = hash(info.ticker);
+    const spec = { ticker: info.ticker, type: info.type, seed, volume: 2_000 + Math.floor(unit(seed, 1) * 50_000) };
+
+    if (info.type === "FUT" || info.type === "OPT") {
+      const cal = calendarForSymbol(info.ticker);
+      Object.assign(spec, {
+        spot      : this.instruments.spotOf(info.ticker),
+        strike    : info.strike,
+        optionType: info.optionType,
+        expiry    : cal.sessionClose(info.expiryDate) ?? info.expiry + DAY,
+        oi        : 50_000 + Math.floor(unit(seed, 2) * 2_000_000)
+      });
+    } else {
+      spec.base = INDEX_LEVELS[info.ticker] ?? 50 + Math.floor(unit(seed, 0) * 4_950);
+      if (info.type === "INDEX") spec.volume = 0;        // indices report no volume
+    }
+    this.specs.set(ticker, spec);
+    return spec;
+  }
+
+  // Underlying price at unix second t: slow waves + interpolated minute noise
+  spot(spec, t) {
+    const wave = n => 2 * Math.PI * unit(spec.seed, n);
+    const m = t / 60, i = Math.floor(m), f = m - i;
+    const noise = (unit(spec.seed, i) * (1 - f) + unit(spec.seed, i + 1) * f) * 2 - 1;
+    return spec.base * Math.exp(
+      0.10  * Math.sin((2 * Math.PI * t) / (120 * DAY) + wave(3)) +
+      0.04  * Math.sin((2 * Math.PI * t) / (11 * DAY) + wave(4)) +
+      0.008 * Math.sin((2 * Math.PI * t) / (150 * 60) + wave(5)) +
+      0.002 * noise
+    );
+  }
+
+  price(ticker, t) {
+    const spec = this.spec(ticker);
+    if (spec.type !== "FUT" && spec.type !== "OPT") return roundTick(this.spot(spec, t));
+
+    const S = this.spot(this.spec(spec.spot), t);
+    const T = Math.max(0, (spec.expiry - t) / YEAR);
+    if (spec.type === "FUT") return roundTick(S * Math.exp(CARRY_RATE * T));
+    const moneyness = Math.log(spec.strike / S);
+    const sigma     = Math.min(1.5, 0.13 + 0.8 * moneyness * moneyness + 0.02 * unit(spec.seed, 6));
+    return roundTick(bs.price(spec.optionType, S, spec.strike, T, RATE, sigma));
+  }
+
+  // Volume traded in the minute starting at t (U-shaped through the session)
+  volume(spec, t, session) {
+    if (!spec.volume) return 0;
+    const x = (t - session.start) / (session.end - session.start);
+    return Math.round(spec.volume * (0.4 + unit(spec.seed, Math.floor(t / 60) + 7)) * (0.6 + 2 * (x - 0.5) ** 2));
+  }
+
+  // Open interest at t, drifting through the contract's life
+  openInterest(spec, t) {
+    return Math.round(spec.oi * (1 + 0.25 * Math.sin(t / (3 * DAY) + 2 * Math.PI * unit(spec.seed, 8))));
+  }
+
+  /* ---------------- candles ------------------------------------ */
+  // [start, o, h, l, c, v] of the minute at `start`, cut at `until`
+  minuteBar(ticker, start, session, until = Infinity) {
+    const spec = this.spec(ticker);
+    const px   = [0, 15, 30, 45, 59].filter(s => start + s <= until).map(s => this.price(ticker, start + s));
+    const full = Math.min(1, (until - start + 1) / 60);
+    return [start, px[0], Math.max(...px), Math.min(...px), px[px.length - 1], Math.round(this.volume(spec, start, session) * full)];
+  }
+
+  // Candles with bar start in [from, to] at a resolution ("D" or minutes),
+  // nothing after `now`; daily candles carry the exchange-date midnight
+  candles(ticker, resolution, from, to, now) {
+    const cal   = calendarForSymbol(ticker);
+    const daily = resolution === "D";
+    const step  = daily ? 0 : Number(resolution) * 60;
+    const out   = [];
+
+    for (const date of cal.tradingDays(from, Math.min(to, now))) {
+      const session = cal.sessionsOn(date).normal;
+      const buckets = daily ? [[cal.midnight(date), session.start, session.end]] : [];
+      for (let b = session.start; !daily && b < session.end; b += step) buckets.push([b, b, Math.min(b + step, session.end)]);
+
+      for (const [ts, start, end] of buckets) {
+        if (ts < from || ts > to || start > now) continue;
+        let bar = null;
+        for (let m = start; m < end && m <= now; m += 60) {
+          const [, o, h, l, c, v] = this.minuteBar(ticker, m, session, now);
+          if (!bar) bar = [ts, o, h, l, c, v];
+          else { bar[2] = Math.max(bar[2], h); bar[3] = Math.min(bar[3], l); bar[4] = c; bar[5] += v; }
+        }
+        out.push(bar.map((x, i) => (i && i < 5 ? round2(x) : x)));
+      }
+    }
+    return out;
+  }
+
+  /* ---------------- quotes ------------------------------------- */
+  // The moment the market shows at wall-clock t: t itself in the session
+  // (or always with afterHours), otherwise the last session's close
+  marketTime(ticker, t, afterHours = false) {
+    if (afterHours) return t;
+    const cal  = calendarForSymbol(ticker);
+    const date = cal.lastTradingDay(t);
+    if (!date) return t;
+    return Math.min(t, cal.sessionClose(date) - 1);
+  }
+
+  // Full-mode `sf` message as the data socket sends it
+  quote(ticker, t, afterHours = false) {
+    const at   = this.marketTime(ticker, t, afterHours);
+    const spec = this.spec(ticker);
+    const cal  = calendarForSymbol(ticker);
+    const date = cal.lastTradingDay(at) ?? cal.dateOf(at);
+    const day  = this.#day(ticker, date, at);
+    const ltp  = this.price(ticker, at);
+    const prevDate  = cal.tradingDaysBack(date, 1);
+    const prevClose = this.price(ticker, cal.sessionClose(prevDate) - 1);
+    const spread    = Math.max(TICK, roundTick(ltp * 0.0002));
+
+    const msg = {
+      symbol          : ticker,
+      ltp,
+      open_price      : day.open ?? ltp,
+      high_price      : Math.max(day.high ?? ltp, ltp),
+      low_price       : Math.min(day.low ?? ltp, ltp),
+      prev_close_price: prevClose,
+      ch              : round2(ltp - prevClose),
+      chp             : round2(((ltp - prevClose) / prevClose) * 100),
+      vol_traded_today: day.volume,
+      last_traded_time: Math.floor(at),
+      exch_feed_time  : Math.floor(at),
+      last_traded_qty : spec.volume ? 1 + Math.floor(unit(spec.seed, Math.floor(at)) * 50) : 0,
+      avg_trade_price : day.open ? round2((day.open + ltp) / 2) : ltp,
+      bid_price       : round2(ltp - spread),
+      ask_price       : round2(ltp + spread),
+      bid_size        : spec.volume ? 10 + Math.floor(unit(spec.seed, Math.floor(at) + 1) * 500) : 0,
+      ask_size        : spec.volume ? 10 + Math.floor(unit(spec.seed, Math.floor(at) + 2) * 500) : 0,
+      tot_buy_qty     : day.volume * 2,
+      tot_sell_qty    : day.volume * 2,
+      lower_ckt       : round2(prevClose * 0.9),
+      upper_ckt       : round2(prevClose * 1.1),
+      type            : "sf"
+    };
+    if (spec.oi) {
+      msg.oi   = this.openInterest(spec, at);
+      msg.pdoi = this.openInterest(spec, cal.sessionClose(prevDate) - 1);
+      msg.oipercent = round2(((msg.oi - msg.pdoi) / msg.pdoi) * 100);
+    }
+    return msg;
+  }
+
+  // Session open / high / low / volume up to the last whole minute, kept
+  // incrementally so a quote costs a few minute bars, not the whole day
+  #day(ticker, date, at) {
+    const session = calendarForSymbol(ticker).sessionsOn(date)?.normal;
+    let day = this.days.get(ticker);
+    if (!day || day.date !== date) {
+      day = { date, next: session?.start ?? Infinity, open: null, high: null, low: null, volume: 0 };
+      this.days.set(ticker, day);
+    }
+    const lastMinute = Math.min(Math.floor(at / 60) * 60, session ? session.end : 0);
+    for (; day.next < lastMinute; day.next += 60) {
+      const [, o, h, l, , v] = this.minuteBar(ticker, day.next, session);
+      day.open ??= o;
+      day.high = Math.max(day.high ?? h, h);
+      day.low  = Math.min(day.low ?? l, l);
+      day.volume += v;
+    }
+    return day;
+  }
+}
+
+module.exports = Market;
+module.exports.hash = hash;
@@ -0,0 +1,150 @@
+/* ------------------------------------------------------------------ */
+/*  simulator/sockets.js – fyersDataSocket / fyersOrderSocket stand-ins */
+/* ------------------------------------------------------------------ */
+// Same surface as the fyers-api-v3 sockets (on / connect / subscribe /
+// mode / close …). The data socket sends one snapshot per subscribed
+// symbol, then a tick every FYERS_MOCK_TICK_MS while the symbol's session
+// is open. Symbols found in the FYERS_MOCK_TICKS recording are replayed
+// from it instead, looping, with their timestamps moved to the present.
+// The order socket relays the simulator's order / trade / position events.
+
+const { EventEmitter } = require("events");
+
+class SimDataSocket extends EventEmitter {
+  constructor(accessToken, sim) {
+    super();
+    this.sim         = sim;
+    this.accessToken = accessToken;
+    this.symbols     = new Set();
+    this.connected   = false;
+    this.reconnect   = false;
+    this.full        = true;
+    this.timer       = null;
+    this.replay      = null;     // { started, first, i } cursor into sim.recording
+    this.FullMode    = true;
+    this.LiteMode    = false;
+  }
+
+  static getInstance(accessToken, logPath, logging, sim = require("./index").simulator) {
+    return new SimDataSocket(accessToken, sim);
+  }
+
+  connect() {
+    setImmediate(() => {
+      const denied = this.sim.checkToken(this.accessToken);
+      if (denied) {
+        this.emit("error", denied);
+        return this.emit("close");
+      }
+      this.connected = true;
+      this.emit("connect");
+      this.timer = setInterval(() => this.#tick(), this.sim.tickMs);
+      this.timer.unref?.();
+    });
+  }
+
+  isConnected() { return this.connected; }
+
+  autoreconnect() { this.reconnect = true; }
+
+  mode(full) { this.full = full !== this.LiteMode; }
+
+  subscribe(symbols = []) {
+    const fresh = symbols.filter(s => !this.symbols.has(s));
+    fresh.forEach(s => this.symbols.add(s));
+    // Like the live feed: the latest quote straight after subscribing
+    setImmediate(() => fresh.filter(s => !this.sim.recorded.has(s)).forEach(s => this.#send(this.sim.quote(s))));
+  }
+
+  unsubscribe(symbols = []) { symbols.forEach(s => this.symbols.delete(s)); }
+
+  close() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (!this.connected) return;
+    this.connected = false;
+    this.emit("close");
+  }
+
+  #tick() {
+    const now = Date.now() / 1000;
+    for (const symbol of this.symbols) {
+      if (this.sim.recorded.has(symbol)) continue;
+      if (!this.sim.afterHours && !this.sim.isOpen(symbol, now)) continue;
+      this.#send(this.sim.quote(symbol, now));
+    }
+    this.#replay(Date.now());
+  }
+
+  // Recorded messages due since the last tick, in recorded order
+  #replay(nowMs) {
+    const rec = this.sim.recording;
+    if (!rec.length) return;
+    if (!this.replay || this.replay.i >= rec.length)
+      this.replay = { started: nowMs, first: rec[0].recvAt, i: 0 };
+
+    const offset = Math.floor((this.replay.started - this.replay.first) / 1000);
+    for (const r = this.replay; r.i < rec.length && rec[r.i].recvAt - r.first <= (nowMs - r.started) * this.sim.replaySpeed; r.i++) {
+      const { recvAt, ...msg } = rec[r.i];
+      if (!this.symbols.has(msg.symbol)) continue;
+      for (const k of ["last_traded_time", "exch_feed_time"]) if (msg[k]) msg[k] += offset;
+      this.#send(msg);
+    }
+  }
+
+  #send(msg) {
+    if (!this.connected || !msg) return;
+    this.emit("message", this.full ? msg : { symbol: msg.symbol, ltp: msg.ltp, ch: msg.ch, chp: msg.chp, type: msg.type });
+  }
+}
+
+class SimOrderSocket extends EventEmitter {
+  constructor(accessToken, logPath, logging, sim = require("./index").simulator) {
+    super();
+    this.sim         = sim;
+    this.accessToken = accessToken;     // "<app id>:<access token>"
+    this.channels    = new Set();
+    this.connected   = false;
+    this.relay       = (event, data) => {
+      if (this.connected && this.channels.has(SimOrderSocket.CHANNELS[event])) this.emit(event, { s: "ok", [event]: data });
+    };
+    this.orderUpdates    = "OnOrders";
+    this.tradeUpdates    = "OnTrades";
+    this.positionUpdates = "OnPositions";
+    this.edis            = "OnEdis";
+    this.pricealerts     = "OnPriceAlerts";
+  }
+
+  connect() {
+    setImmediate(() => {
+      const token  = String(this.accessToken ?? "").split(":").pop();
+      const denied = this.sim.checkToken(token);
+      if (denied) {
+        this.emit("error", denied);
+        return this.emit("close");
+      }
+      this.connected = true;
+      this.sim.on("order", this.relay);
+      this.emit("connect");
+    });
+  }
+
+  isConnected() { return this.connected; }
+
+  autoreconnect() {}
+
+  subscribe(channels = []) { channels.forEach(c => this.channels.add(c)); }
+
+  unsubscribe(channels = []) { channels.forEach(c => this.channels.delete(c)); }
+
+  close() {
+    this.sim.off("order", this.relay);
+    if (!this.connected) return;
+    this.connected = false;
+    this.emit("close");
+  }
+}
+
+SimOrderSocket.CHANNELS = { orders: "OnOrders", trades: "OnTrades", positions: "OnPositions" };
+
+module.exports = { SimDataSocket, SimOrderSocket };
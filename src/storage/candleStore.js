@@ -0,0 +1,91 @@
+/* ------------------------------------------------------------------ */
+/*  storage/candleStore.js – the candle storage interface              */
+/* ------------------------------------------------------------------ */
+// Every backend (sqliteStore, postgresStore, memoryStore) implements these
+// async methods and passes test/candleStore.test.js:
+//
+//   storeCandles(symbol, resolution, candles)  upsert [[ts, o, h, l, c, v]] by ts,
+//                                              keeping SMA20/50/200 current → count;
+//                                              rejects when nothing could be written
+//   getCandles(symbol, resolution, from, to)   [[ts, o, h, l, c, v]] oldest first
+//   countCandles(symbol, resolution, from, to)
+//   pageCandles(symbol, resolution, after, to, { limit, sma })
+//                                              up to `limit` rows { ts, open, …, volume[, sma20,
+//                                              sma50, sma200] } with after < ts <= to, oldest first
+//   getRecent(symbol, resolution, limit)       the newest `limit` [[ts, o, h, l, c, v]], oldest first
+//   getSMAs(symbol, resolution)                { ts, sma20, sma50, sma200 } of the newest
+//                                              candle (nulls when there is none / too little history)
+//   getLatest(resolution, { symbols })         newest candle + SMAs of every symbol
+//   close()
+//
+// Timestamps are unix seconds; from / to also take "YYYY-MM-DD[ HH:mm]"
+// (exchange time). Resolutions are normalised ("1h" → "60", "1D" → "D").
+
+const { toUnix } = require("../exchangeTime");
+
+const SMA_PERIODS = [20, 50, 200];
+const MAX_PERIOD  = 200;
+const PAGE        = 5_000;                  // pageCandles default limit
+
+// Resolution in the Fyers format: "5m" → "5", "2h" → "120", "1D" → "D"
+function normalizeResolution(res) {
+  const r = String(res).toUpperCase().trim();
+  if (/^\d+M$/.test(r)) return r.slice(0, -1);
+  if (/^\d+H$/.test(r)) return String(parseInt(r) * 60);
+  if (r === "1D") return "D";
+  return r;
+}
+
+// Resolution the user / API asked for: normalizeResolution, then "240" falls
+// back to "120" (the longest intraday timeframe the strategy keeps) and
+// anything but minutes, D, W or M is rejected
+function parseResolution(res) {
+  const r = normalizeResolution(res);
+  if (r === "240") return "120";
+  if (r !== "D" && r !== "W" && r !== "M" && !/^\d+$/.test(r)) throw new Error(`Invalid resolution: ${res}`);
+  return r;
+}
+
+// SMAs of the `tail` closes given up to MAX_PERIOD - 1 closes before them
+// (oldest first) → [{ sma20, sma50, sma200 }] per tail close
+function smaTail(prior, tail) {
+  const csum = [0];
+  for (const c of [...prior, ...tail]) csum.push(csum.at(-1) + c);
+  return tail.map((_, j) => {
+    const i = prior.length + j + 1;                    // closes up to and including this one
+    const out = {};
+    for (const n of SMA_PERIODS) out[`sma${n}`] = i >= n ? (csum[i] - csum[i - n]) / n : null;
+    return out;
+  });
+}
+
+const EMPTY_SMAS = Object.freeze({ ts: null, sma20: null, sma50: null, sma200: null });
+
+class CandleStore {
+  get kind() { return "abstract"; }
+
+  async storeCandles(symbol, resolution, candles) { throw new Error(`${this.kind}: storeCandles not implemented`); }
+  async getCandles(symbol, resolution, from, to)  { throw new Error(`${this.kind}: getCandles not implemented`); }
+  async countCandles(symbol, resolution, from, to) { throw new Error(`${this.kind}: countCandles not implemented`); }
+  async pageCandles(symbol, resolution, after, to, opts = {}) { throw new Error(`${this.kind}: pageCandles not implemented`); }
+  async getRecent(symbol, resolution, limit)      { throw new Error(`${this.kind}: getRecent not implemented`); }
+  async getSMAs(symbol, resolution)               { throw new Error(`${this.kind}: getSMAs not implemented`); }
+  async getLatest(resolution, opts = {})          { throw new Error(`${this.kind}: getLatest not implemented`); }
+  async close() {}
+
+  // SMAs of every resolution the strategy tracks: { "1": {…}, "5": {…}, … }
+  async getTimeframeSMAs(symbol, resolutions = ["1", "5", "60", "120", "D"]) {
+    const out = {};
+    for (const res of resolutions) out[res] = await this.getSMAs(symbol, res);
+    return out;
+  }
+
+  // { from, to } as unix seconds
+  static range(from, to) {
+    const a = toUnix(from), b = toUnix(to);
+    if (Number.isNaN(a) || Number.isNaN(b)) throw new Error("from/to must be unix seconds or YYYY-MM-DD");
+    return { from: a, to: b };
+  }
+}
+
+module.exports = { CandleStore, normalizeResolution, parseResolution, smaTail, SMA_PERIODS, MAX_PERIOD, PAGE, EMPTY_SMAS };
@@ -0,0 +1,77 @@
+/* ------------------------------------------------------------------ */
+/*  storage/index.js – the configured candle store                     */
+/* ------------------------------------------------------------------ */
+// CANDLE_STORE picks the backend:
+//
+//   sqlite    (default) data/candles.sqlite via candleDB – one process
+//   postgres  CANDLE_PG_URL / DATABASE_URL – several workers share one store
+//   timescale postgres + a TimescaleDB hypertable
+//   memory    nothing persisted (tests)
+//
+// Every candle read and write of the running app (tradingService history
+// cache, Strategy, BarAggregator, backfill gap checks, the candles API and
+// export, indicators, risk checks) goes through this store. Backfill job
+// tables, retention and the backtester work on candles.sqlite.
+//
+// The exported store is created on first use, so a bad CANDLE_STORE or a
+// missing CANDLE_PG_URL fails the first candle call, not every require().
+
+const { CandleStore } = require("./candleStore");
+const SqliteCandleStore   = require("./sqliteStore");
+const MemoryCandleStore   = require("./memoryStore");
+const PostgresCandleStore = require("./postgresStore");
+
+const configFromEnv = (env = process.env) => ({
+  kind     : (env.CANDLE_STORE || "sqlite").toLowerCase(),
+  url      : env.CANDLE_PG_URL || env.DATABASE_URL,
+  poolSize : env.CANDLE_PG_POOL ? Number(env.CANDLE_PG_POOL) : undefined
+});
+
+function createCandleStore(config = configFromEnv()) {
+  switch (config.kind) {
+    case "sqlite"   : return new SqliteCandleStore(config);
+    case "memory"   : return new MemoryCandleStore(config);
+    case "postgres" :
+    case "pg"       : return new PostgresCandleStore(config);
+    case "timescale": return new PostgresCandleStore({ ...config, timescale: true });
+    default: throw new Error(`Unknown CANDLE_STORE "${config.kind}" (sqlite, postgres, timescale or memory)`);
+  }
+}
+
+// Forwards every CandleStore method to the configured backend, built on first call
+class LazyCandleStore extends CandleStore {
+  #store = null;
+  constructor(config = configFromEnv) {
+    super();
+    this.config = config;               // a config or a function returning one
+  }
+
+  get store() {
+    return (this.#store ??= createCandleStore(typeof this.config === "function" ? this.config() : this.config));
+  }
+
+  get kind() { return this.store.kind; }
+
+  async storeCandles(...args) { return this.store.storeCandles(...args); }
+  async getCandles(...args)   { return this.store.getCandles(...args); }
+  async countCandles(...args) { return this.store.countCandles(...args); }
+  async pageCandles(...args)  { return this.store.pageCandles(...args); }
+  async getRecent(...args)    { return this.store.getRecent(...args); }
+  async getSMAs(...args)      { return this.store.getSMAs(...args); }
+  async getLatest(...args)    { return this.store.getLatest(...args); }
+
+  async close() {
+    const store = this.#store;
+    this.#store = null;
+    await store?.close();
+  }
+}
+
+module.exports = new LazyCandleStore();
+module.exports.LazyCandleStore     = LazyCandleStore;
+module.exports.createCandleStore   = createCandleStore;
+module.exports.configFromEnv       = configFromEnv;
+module.exports.CandleStore         = CandleStore;
+module.exports.SqliteCandleStore   = SqliteCandleStore;
+module.exports.MemoryCandleStore   = MemoryCandleStore;
+module.exports.PostgresCandleStore = PostgresCandleStore;
@@ -0,0 +1,82 @@
+/* ------------------------------------------------------------------ */
+/*  storage/memoryStore.js – in-process candle store (tests, scratch)  */
+/* ------------------------------------------------------------------ */
+// One sorted array of rows per symbol × resolution. Nothing is persisted.
+
+const { CandleStore, normalizeResolution, smaTail, MAX_PERIOD, PAGE, EMPTY_SMAS } = require("./candleStore");
+
+const asArray = c => [c.ts, c.open, c.high, c.low, c.close, c.volume];
+
+class MemoryCandleStore extends CandleStore {
+  constructor() {
+    super();
+    this.series = new Map();                 // "symbol|res" → [{ ts, open, …, sma200 }] by ts
+  }
+
+  get kind() { return "memory"; }
+
+  #rows(symbol, res) { return this.series.get(`${symbol}|${res}`) ?? []; }
+
+  async storeCandles(symbol, resolution, candles) {
+    if (!candles?.length) return 0;
+    const res  = normalizeResolution(resolution);
+    const byTs = new Map(this.#rows(symbol, res).map(r => [r.ts, r]));
+    let first = Infinity;
+    for (const [ts, open, high, low, close, volume = null] of candles) {
+      byTs.set(ts, { ts, open, high, low, close, volume: volume ?? null, sma20: null, sma50: null, sma200: null });
+      first = Math.min(first, ts);
+    }
+    const rows = [...byTs.values()].sort((a, b) => a.ts - b.ts);
+
+    const at    = rows.findIndex(r => r.ts >= first);
+    const prior = rows.slice(Math.max(0, at - (MAX_PERIOD - 1)), at).map(r => r.close);
+    smaTail(prior, rows.slice(at).map(r => r.close)).forEach((s, j) => Object.assign(rows[at + j], s));
+
+    this.series.set(`${symbol}|${res}`, rows);
+    return candles.length;
+  }
+
+  async getCandles(symbol, resolution, from, to) {
+    const r = CandleStore.range(from, to);
+    return this.#rows(symbol, normalizeResolution(resolution))
+      .filter(c => c.ts >= r.from && c.ts <= r.to)
+      .map(asArray);
+  }
+
+  async countCandles(symbol, resolution, from, to) {
+    return (await this.getCandles(symbol, resolution, from, to)).length;
+  }
+
+  async pageCandles(symbol, resolution, after, to, { limit = PAGE, sma = false } = {}) {
+    return this.#rows(symbol, normalizeResolution(resolution))
+      .filter(c => c.ts > after && c.ts <= to)
+      .slice(0, limit)
+      .map(({ sma20, sma50, sma200, ...c }) => (sma ? { ...c, sma20, sma50, sma200 } : c));
+  }
+
+  async getRecent(symbol, resolution, limit) {
+    const rows = this.#rows(symbol, normalizeResolution(resolution));
+    return rows.slice(Math.max(0, rows.length - limit)).map(asArray);
+  }
+
+  async getSMAs(symbol, resolution) {
+    const last = this.#rows(symbol, normalizeResolution(resolution)).at(-1);
+    return last ? { ts: last.ts, sma20: last.sma20, sma50: last.sma50, sma200: last.sma200 } : { ...EMPTY_SMAS };
+  }
+
+  async getLatest(resolution, { symbols } = {}) {
+    const res  = normalizeResolution(resolution);
+    const want = symbols ? new Set(symbols) : null;
+    const out  = [];
+    for (const [key, rows] of this.series) {
+      const [symbol, r] = key.split("|");
+      if (r !== res || !rows.length || (want && !want.has(symbol))) continue;
+      out.push({ symbol, ...rows.at(-1) });
+    }
+    return out.sort((a, b) => a.symbol.localeCompare(b.symbol));
+  }
+
+  async close() { this.series.clear(); }
+}
+
+module.exports = MemoryCandleStore;
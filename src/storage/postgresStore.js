@@ -0,0 +1,196 @@
+/* ------------------------------------------------------------------ */
+/*  storage/postgresStore.js – CandleStore on PostgreSQL / TimescaleDB  */
+/* ------------------------------------------------------------------ */
+// One `candles` table keyed by (symbol, resolution, ts), shared by every
+// worker pointed at the same database. With `timescale: true` the table is
+// turned into a hypertable partitioned on ts (30-day chunks).
+//
+// storeCandles upserts, then recomputes SMAs from the first stored candle on
+// using the 199 closes before it – in one transaction that holds an
+// advisory lock on the series, so two workers writing the same symbol ×
+// resolution can't interleave their recomputes.
+
+const { CandleStore, normalizeResolution, smaTail, MAX_PERIOD, PAGE, EMPTY_SMAS } = require("./candleStore");
+
+const BATCH      = 1_000;                   // rows per multi-row INSERT / UPDATE
+const CHUNK_SECS = 30 * 86_400;             // hypertable chunk interval
+
+const num = v => (v === null || v === undefined ? null : Number(v));
+const row = r => ({
+  ts: Number(r.ts), open: num(r.open), high: num(r.high), low: num(r.low), close: num(r.close),
+  volume: num(r.volume), sma20: num(r.sma20), sma50: num(r.sma50), sma200: num(r.sma200)
+});
+const asArray = x => { const c = row(x); return [c.ts, c.open, c.high, c.low, c.close, c.volume]; };
+// "($1, $2, …), ($9, …)" for `n` rows of `width` parameters
+const placeholders = (n, width, casts = []) => Array.from({ length: n }, (_, i) =>
+  `(${Array.from({ length: width }, (_, j) => `$${i * width + j + 1}${casts[j] ?? ""}`).join(", ")})`).join(", ");
+
+class PostgresCandleStore extends CandleStore {
+  // opts.pool: a pg Pool (or compatible); otherwise opts.url → new Pool
+  constructor(opts = {}) {
+    super();
+    if (opts.pool) this.pool = opts.pool;
+    else {
+      if (!opts.url) throw new Error("Postgres candle store needs CANDLE_PG_URL (or DATABASE_URL)");
+      const { Pool } = require("pg");
+      this.pool = new Pool({ connectionString: opts.url, max: opts.poolSize ?? 5 });
+    }
+    this.timescale = opts.timescale ?? false;
+    this.ready     = null;
+  }
+
+  get kind() { return this.timescale ? "timescale" : "postgres"; }
+
+  #init() {
+    return (this.ready ??= (async () => {
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS candles (
+          symbol      TEXT NOT NULL,
+          resolution  TEXT NOT NULL,
+          ts          BIGINT NOT NULL,
+          open        DOUBLE PRECISION,
+          high        DOUBLE PRECISION,
+          low         DOUBLE PRECISION,
+          close       DOUBLE PRECISION,
+          volume      DOUBLE PRECISION,
+          sma20       DOUBLE PRECISION,
+          sma50       DOUBLE PRECISION,
+          sma200      DOUBLE PRECISION,
+          PRIMARY KEY (symbol, resolution, ts)
+        )
+      `);
+      if (this.timescale) {
+        await this.pool.query(`CREATE EXTENSION IF NOT EXISTS timescaledb`);
+        await this.pool.query(
+          `SELECT create_hypertable('candles', 'ts', chunk_time_interval => ${CHUNK_SECS}::bigint, if_not_exists => TRUE, migrate_data => TRUE)`
+        );
+      }
+    })().catch(err => { this.ready = null; throw err; }));
+  }
+
+  async #query(sql, params) {
+    await this.#init();
+    return this.pool.query(sql, params);
+  }
+
+  async storeCandles(symbol, resolution, candles) {
+    if (!candles?.length) return 0;
+    await this.#init();
+    const res    = normalizeResolution(resolution);
+    const client = await this.pool.connect();
+    try {
+      await client.query("BEGIN");
+      await client.query(`SELECT pg_advisory_xact_lock(hashtext($1))`, [`${symbol}|${res}`]);
+
+      for (let i = 0; i < candles.length; i += BATCH) {
+        const part   = candles.slice(i, i + BATCH);
+        const params = part.flatMap(([ts, o, h, l, c, v]) => [symbol, res, ts, o, h, l, c, v ?? null]);
+        await client.query(`
+          INSERT INTO candles (symbol, resolution, ts, open, high, low, close, volume)
+          VALUES ${placeholders(part.length, 8)}
+          ON CONFLICT (symbol, resolution, ts) DO UPDATE SET
+            open = EXCLUDED.open, high = EXCLUDED.high, low = EXCLUDED.low,
+            close = EXCLUDED.close, volume = EXCLUDED.volume
+        `, params);
+      }
+
+      // SMAs from the first stored candle on
+      const first = candles.reduce((m, c) => Math.min(m, c[0]), Infinity);
+      const prior = (await client.query(`
+        SELECT close FROM candles WHERE symbol = $1 AND resolution = $2 AND ts < $3
+        ORDER BY ts DESC LIMIT ${MAX_PERIOD - 1}
+      `, [symbol, res, first])).rows.map(r => Number(r.close)).reverse();
+      const tail = (await client.query(`
+        SELECT ts, close FROM candles WHERE symbol = $1 AND resolution = $2 AND ts >= $3 ORDER BY ts
+      `, [symbol, res, first])).rows;
+      const smas = smaTail(prior, tail.map(r => Number(r.close)));
+
+      for (let i = 0; i < tail.length; i += BATCH) {
+        const part   = tail.slice(i, i + BATCH);
+        const params = part.flatMap((r, j) => { const s = smas[i + j]; return [Number(r.ts), s.sma20, s.sma50, s.sma200]; });
+        await client.query(`
+          UPDATE candles SET sma20 = v.sma20, sma50 = v.sma50, sma200 = v.sma200
+          FROM (VALUES ${placeholders(part.length, 4, ["::bigint", "::double precision", "::double precision", "::double precision"])})
+            AS v (ts, sma20, sma50, sma200)
+          WHERE candles.symbol = $${params.length + 1} AND candles.resolution = $${params.length + 2} AND candles.ts = v.ts
+        `, [...params, symbol, res]);
+      }
+      await client.query("COMMIT");
+      return candles.length;
+    } catch (err) {
+      await client.query("ROLLBACK").catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getCandles(symbol, resolution, from, to) {
+    const r = CandleStore.range(from, to);
+    const { rows } = await this.#query(`
+      SELECT ts, open, high, low, close, volume FROM candles
+      WHERE symbol = $1 AND resolution = $2 AND ts BETWEEN $3 AND $4
+      ORDER BY ts
+    `, [symbol, normalizeResolution(resolution), r.from, r.to]);
+    return rows.map(asArray);
+  }
+
+  async countCandles(symbol, resolution, from, to) {
+    const r = CandleStore.range(from, to);
+    const { rows } = await this.#query(`
+      SELECT COUNT(*) AS n FROM candles
+      WHERE symbol = $1 AND resolution = $2 AND ts BETWEEN $3 AND $4
+    `, [symbol, normalizeResolution(resolution), r.from, r.to]);
+    return Number(rows[0].n);
+  }
+
+  async pageCandles(symbol, resolution, after, to, { limit = PAGE, sma = false } = {}) {
+    const { rows } = await this.#query(`
+      SELECT ts, open, high, low, close, volume${sma ? ", sma20, sma50, sma200" : ""} FROM candles
+      WHERE symbol = $1 AND resolution = $2 AND ts > $3 AND ts <= $4
+      ORDER BY ts LIMIT $5
+    `, [symbol, normalizeResolution(resolution), after, to, limit]);
+    return rows.map(x => {
+      const { ts, open, high, low, close, volume, sma20, sma50, sma200 } = row(x);
+      return sma ? { ts, open, high, low, close, volume, sma20, sma50, sma200 } : { ts, open, high, low, close, volume };
+    });
+  }
+
+  async getRecent(symbol, resolution, limit) {
+    const { rows } = await this.#query(`
+      SELECT ts, open, high, low, close, volume FROM candles
+      WHERE symbol = $1 AND resolution = $2
+      ORDER BY ts DESC LIMIT $3
+    `, [symbol, normalizeResolution(resolution), limit]);
+    return rows.map(asArray).reverse();
+  }
+
+  async getSMAs(symbol, resolution) {
+    const { rows } = await this.#query(`
+      SELECT ts, sma20, sma50, sma200 FROM candles
+      WHERE symbol = $1 AND resolution = $2
+      ORDER BY ts DESC LIMIT 1
+    `, [symbol, normalizeResolution(resolution)]);
+    if (!rows.length) return { ...EMPTY_SMAS };
+    const { ts, sma20, sma50, sma200 } = row(rows[0]);
+    return { ts, sma20, sma50, sma200 };
+  }
+
+  async getLatest(resolution, { symbols } = {}) {
+    const res = normalizeResolution(resolution);
+    const { rows } = await this.#query(`
+      SELECT c.symbol, c.ts, c.open, c.high, c.low, c.close, c.volume, c.sma20, c.sma50, c.sma200
+      FROM candles c
+      JOIN (SELECT symbol, MAX(ts) AS ts FROM candles WHERE resolution = $1 GROUP BY symbol) l
+        ON c.symbol = l.symbol AND c.ts = l.ts
+      WHERE c.resolution = $1
+      ORDER BY c.symbol
+    `, [res]);
+    const want = symbols ? new Set(symbols) : null;
+    return rows.filter(r => !want || want.has(r.symbol)).map(r => ({ symbol: r.symbol, ...row(r) }));
+  }
+
+  async close() { await this.pool.end(); }
+}
+
+module.exports = PostgresCandleStore;
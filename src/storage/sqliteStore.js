@@ -0,0 +1,81 @@
+/* ------------------------------------------------------------------ */
+/*  storage/sqliteStore.js – CandleStore over candleDB (better-sqlite3) */
+/* ------------------------------------------------------------------ */
+// The default backend: data/candles.sqlite through the CandleDB instance the
+// SQLite-only tools (backfill, retention, export, indicators) share.
+// better-sqlite3 is synchronous; the methods are async only to match the
+// interface.
+
+const { CandleStore, normalizeResolution, PAGE, EMPTY_SMAS } = require("./candleStore");
+
+class SqliteCandleStore extends CandleStore {
+  // opts.candleDB: a CandleDB instance; opts.path: open a separate file (":memory:" for tests)
+  constructor(opts = {}) {
+    super();
+    if (opts.candleDB) this.candleDB = opts.candleDB;
+    else if (opts.path) this.candleDB = new (require("../candleDB").CandleDB)(opts.path);
+    else this.candleDB = require("../candleDB");
+    this.db = this.candleDB.db;
+
+    this._smas = this.db.prepare(`
+      SELECT unix_timestamp AS ts, sma20, sma50, sma200 FROM candles
+      WHERE symbol = ? AND resolution = ?
+      ORDER BY unix_timestamp DESC LIMIT 1
+    `);
+    this._recent = this.db.prepare(`
+      SELECT unix_timestamp, open, high, low, close, volume FROM candles
+      WHERE symbol = ? AND resolution = ?
+      ORDER BY unix_timestamp DESC LIMIT ?
+    `);
+  }
+
+  get kind() { return "sqlite"; }
+
+  async storeCandles(symbol, resolution, candles) {
+    if (!candles?.length) return 0;
+    return this.candleDB.storeCandles(symbol, resolution, candles);
+  }
+
+  async getCandles(symbol, resolution, from, to) {
+    const r = CandleStore.range(from, to);
+    return this.candleDB.getCandles(symbol, resolution, r.from, r.to);
+  }
+
+  async countCandles(symbol, resolution, from, to) {
+    const r = CandleStore.range(from, to);
+    return this.candleDB.countCandles(symbol, resolution, r.from, r.to);
+  }
+
+  async pageCandles(symbol, resolution, after, to, { limit = PAGE, sma = false } = {}) {
+    return this.candleDB.pageCandles(symbol, resolution, after, to, limit, sma);
+  }
+
+  async getRecent(symbol, resolution, limit) {
+    return this._recent.raw().all(symbol, normalizeResolution(resolution), limit).reverse();
+  }
+
+  async getSMAs(symbol, resolution) {
+    return this._smas.get(symbol, normalizeResolution(resolution)) ?? { ...EMPTY_SMAS };
+  }
+
+  async getLatest(resolution, { symbols } = {}) {
+    const rows = this.db.prepare(`
+      SELECT c.symbol, c.unix_timestamp AS ts, c.open, c.high, c.low, c.close, c.volume,
+             c.sma20, c.sma50, c.sma200
+      FROM candles c
+      JOIN (SELECT symbol, MAX(unix_timestamp) AS ts FROM candles WHERE resolution = ? GROUP BY symbol) l
+        ON c.symbol = l.symbol AND c.unix_timestamp = l.ts
+      WHERE c.resolution = ?
+      ORDER BY c.symbol
+    `).all(normalizeResolution(resolution), normalizeResolution(resolution));
+    if (!symbols) return rows;
+    const want = new Set(symbols);
+    return rows.filter(r => want.has(r.symbol));
+  }
+
+  async close() {
+    if (this.candleDB !== require("../candleDB")) this.db.close();
+  }
+}
+
+module.exports = SqliteCandleStore;
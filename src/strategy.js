@@ -1,14 +1,23 @@
 /* ------------------------------------------------------------------ */
-/*  strategy.js – v5-legacy (sig compat, SQLite cache, unique keys)   */
+/*  strategy.js – v5-legacy (sig compat, candle store, unique keys)   */
 /* ------------------------------------------------------------------ */
 
 const { EventEmitter } = require("events");
-const moment           = require("moment");
-const CandleDB         = require("./candleDB");
+const { ist, periodKey, today: exchangeToday } = require("./exchangeTime");
+const candleStore      = require("./storage");
+const { parseResolution } = require("./storage/candleStore");
+const IndicatorStore   = require("./indicatorStore");
+const instruments      = require("./instruments");
+const { calendarForSymbol } = require("./marketCalendar");
+const { evaluate, loadStrategies } = require("./rules");
 
 /* Candle array indices */
 const T = 0, O = 1, H = 2, L = 3, C = 4, V = 5;
 
+/* The shipped BUY rule set keeps the `${symbol}@${res}` signal key clients already
+   use; every other set (bearish included) is prefixed so no two sets share a key */
+const LEGACY_KEY = "bullish";
+
 /* ---------- utils ------------------------------------------------- */
 const SMA = (arr, n) =>
   arr.length < n ? null : arr.slice(-n).reduce((s, x) => s + x, 0) / n;
@@ -16,9 +25,7 @@ const SMA = (arr, n) =>
 const rollup = (daily, mode) => {
   const m = new Map();
   daily.forEach(c => {
-    const d = moment.unix(c[T]);
-    const k = mode === "W" ? `${d.isoWeek()}_${d.year()}`
-                           : `${d.year()}_${d.format("MM")}`;
+    const k = periodKey(c[T], mode);
     if (!m.has(k)) m.set(k, [...c]);
     else {
       const p = m.get(k);
@@ -31,6 +38,72 @@ const rollup = (daily, mode) => {
   return [...m.values()].sort((a, b) => a[T] - b[T]);
 };
 
+/* ---------- rule context (shared with backtest.js) --------------- */
+// daily      : daily candles, oldest → newest
+// end        : index of "today" in daily (default: the last candle), so a
+//              replay can hand over the whole series instead of a copy
+// smaBuf     : {sma20, sma50, sma200} for the selected SMA resolution
+// timeframes : { "1", "5", "60", "120", "D" } → {sma20, sma50, sma200} | undefined
+// indicator  : (name, res, params) → { ...outputs } | null, backs ind() in rules
+// weekly / monthly : this week's / month's bar up to today (default: rolled up from daily)
+const buildContext = ({ daily, end = daily.length - 1, smaBuf, timeframes = {}, indicator = null, weekly, monthly }) => ({
+  daily,
+  end,
+  bars: {
+    daily  : daily[end],
+    prev   : daily[end - 1],
+    weekly : weekly  ?? rollup(daily.slice(0, end + 1), "W").at(-1),
+    monthly: monthly ?? rollup(daily.slice(0, end + 1), "M").at(-1)
+  },
+  sma: { ...timeframes, res: smaBuf },
+  indicator
+});
+
+/* ---------- signal payload (what the React client renders) -------- */
+// BUY : stop-loss 5% below entry, target 10% above
+// SELL: stop-loss 5% above entry, target 10% below
+const buildTrade = (symbol, daily, { key, resolution, strategy, type = "BUY" }) => {
+  const short  = type === "SELL";
+  const latest = daily.at(-1);
+  const prev   = daily.at(-2) || latest;
+  const price  = latest[C];
+  const diff   = price - prev[C];
+  const pct    = ((diff / prev[C]) * 100).toFixed(2);
+
+  const inst = instruments.describe(symbol);
+
+  return {
+    key,
+    strategy,
+    resolution,
+    ticker: symbol,          // full Fyers symbol, e.g. NSE:NH-EQ, NSE:NIFTY25JANFUT, NSE:NIFTY-FUT
+    symbol: inst.display,    // NH, NIFTY 30 JAN FUT, NIFTY 09 JAN 24000 CE, NIFTY FUT (30 JAN)
+    exchange: inst.exchange,
+    instrument: {
+      type: inst.type,       // EQ | INDEX | FUT | OPT
+      underlying: inst.underlying,
+      contract: inst.contract,
+      expiry: inst.expiry,
+      strike: inst.strike,
+      optionType: inst.optionType
+    },
+    lotSize: inst.lotSize,
+    openInterest: inst.oi,
+    type,
+    price: price.toFixed(2),
+    change: diff.toFixed(2),
+    changePercentage: `${pct}%`,
+    entryPrice: price.toFixed(2),
+    stopLoss: (price * (short ? 1.05 : 0.95)).toFixed(2),
+    target: (price * (short ? 0.90 : 1.10)).toFixed(2),
+    liveReturns: "0.00%",
+    estimatedGains: "10.00%",
+    entryTime: ist(latest[T]).format("HH:mm"),
+    entryDate: ist(latest[T]).format("DD-MM-YYYY"),
+    isProfit: diff >= 0
+  };
+};
+
 /* ---------- class ------------------------------------------------- */
 class Strategy extends EventEmitter {
   constructor(tradingService, io, opts = {}) {
@@ -43,7 +116,12 @@ class Strategy extends EventEmitter {
     // Data structures to store candles and state
     this.dailyMap   = new Map();  // Daily candles: symbol → candles[]
     this.smaMap     = new Map();  // SMA values for current resolution: symbol → {sma20, sma50, sma200}
-    this.state      = new Map();  // Strategy state: symbol → {bullish, ...}
+
+    // Rule sets from strategies/*.json|yaml, each with its own signal state
+    this.strategies = opts.strategies ?? loadStrategies();
+    this.risk       = opts.risk ?? null;  // RiskManager – verdict attached as trade.risk
+    this.state      = new Map();  // Strategy state: name → (symbol → {signal, ...rule flags})
+    for (const { name } of this.strategies) this.state.set(name, new Map());
     
     // SMA values for each specific resolution
     this.resolution1mSMA = new Map();  // 1-minute SMA values
@@ -52,69 +130,66 @@ class Strategy extends EventEmitter {
     this.resolution120mSMA = new Map(); // 120-minute SMA values
     this.resolutionDSMA = new Map();   // Daily SMA values
 
-    /* ---- FIX: always fall back to module ---------------------- */
-    this.candleDB   = tradingService.candleDB ?? CandleDB;
+    // Candles + SMAs through the configured store (storage/index.js)
+    this.store      = opts.store ?? candleStore;
+    this.indicators = opts.indicators ?? IndicatorStore;
 
     this.lastFetch  = new Map();           // symbol → YYYY-MM-DD
   }
 
-  /* ---- helper: unique key per symbol+resolution ---------------- */
-  #makeKey(sym) { return `${sym}@${this.smaRes}`; }
+  /* ---- helper: unique key per strategy+symbol+resolution ------ */
+  #makeKey(sym, set) {
+    const key = `${sym}@${this.smaRes}`;
+    return set.type === "BUY" && set.name === LEGACY_KEY ? key : `${set.name}:${key}`;
+  }
 
   /* ---------------- public helpers ----------------------------- */
-  getBullish() { return [...this.state.values()].filter(r => r.bullish).map(r => r.symbol); }
-  getBearishSignals() { return []; }
+  // Symbols with an active signal for one strategy
+  getActive(name) {
+    return [...(this.state.get(name)?.values() ?? [])].filter(r => r.signal).map(r => r.symbol);
+  }
+  getBullish() { return this.strategies.filter(s => s.type === "BUY").flatMap(s => this.getActive(s.name)); }
+  getBearish() { return this.strategies.filter(s => s.type === "SELL").flatMap(s => this.getActive(s.name)); }
   getResolution() { return this.smaRes; }
+  getStrategies() { return this.strategies; }
+
+  // Signals of every strategy with the given side, flattened for the UI
+  getSignals(type) {
+    return this.strategies
+      .filter(s => s.type === type)
+      .flatMap(s => this.getStrategySignals(s.name));
+  }
+
+  getStrategySignals(name) {
+    const set = this.strategies.find(s => s.name === name);
+    if (!set) return [];
 
-  getBullishSignals() {
     const out = [];
-    for (const symbol of this.getBullish()) {
+    for (const symbol of this.getActive(name)) {
       const daily = this.dailyMap.get(symbol);
       if (!daily?.length) continue;
 
-      const latest = daily.at(-1);
-      const prev   = daily.at(-2) || latest;
-      const price  = latest[C];
-      const diff   = price - prev[C];
-      const pct    = ((diff / prev[C]) * 100).toFixed(2);
-
-      const [exch, codeRaw] = symbol.split(":");
-      const stock = codeRaw ? codeRaw.split("-")[0] : symbol;
-
-      out.push({
-        trade: {
-          key: this.#makeKey(symbol),
-          resolution: this.smaRes,
-          symbol: stock,
-          exchange: exch || "NSE",
-          type: "BUY",
-          price: price.toFixed(2),
-          change: diff.toFixed(2),
-          changePercentage: `${pct}%`,
-          entryPrice: price.toFixed(2),
-          stopLoss: (price * 0.95).toFixed(2),
-          target: (price * 1.10).toFixed(2),
-          liveReturns: "0.00%",
-          estimatedGains: "10.00%",
-          entryTime: moment.unix(latest[T]).format("HH:mm"),
-          entryDate: moment.unix(latest[T]).format("DD-MM-YYYY"),
-          isProfit: diff >= 0
-        }
-      });
+      out.push({ trade: this.#trade(set, symbol, daily) });
     }
     return out;
   }
 
+  getBullishSignals() { return this.getSignals("BUY"); }
+  getBearishSignals() { return this.getSignals("SELL"); }
+
+  // `record` is only set for freshly emitted signals so UI refreshes don't
+  // log the same rejection over and over
+  #trade(set, symbol, daily, { record = false } = {}) {
+    const trade = buildTrade(symbol, daily, {
+      key: this.#makeKey(symbol, set), resolution: this.smaRes, strategy: set.name, type: set.type
+    });
+    if (this.risk) trade.risk = this.risk.evaluate(trade, { record });
+    return trade;
+  }
+
   /* ---------------- resolution management ---------------------- */
   setResolution(res) {
-    let r = String(res).toUpperCase().trim();
-    if (r === "240") r = "120";
-    if (/^\d+M$/i.test(r)) r = r.slice(0, -1);
-    if (/^\d+H$/i.test(r)) r = String(parseInt(r) * 60);
-    if (r === "1D") r = "D";
-    if (r !== "D" && r !== "W" && r !== "M" && !/^\d+$/.test(r))
-      throw new Error(`Invalid resolution: ${res}`);
-
+    const r = parseResolution(res);
     if (r !== this.smaRes) {
       console.log(`Changing SMA resolution ${this.smaRes} → ${r}`);
       this.smaRes = r;
@@ -123,6 +198,45 @@ class Strategy extends EventEmitter {
     return this.smaRes;
   }
 
+  /* ---------------- watchlist changes -------------------------- */
+  // Load history + SMAs for a newly watched symbol and evaluate it once
+  async hydrate(symbol) {
+    await this.#ensureDaily(symbol);
+    await this.#ensureSMA(symbol);
+    await this.#analyze(symbol);
+  }
+
+  // Forget a symbol that left the watchlist; active signals are cleared
+  removeSymbol(symbol) {
+    for (const set of this.strategies) {
+      const prev = this.state.get(set.name).get(symbol);
+      if (prev?.signal) this.#diff(set, symbol, { ...prev, signal: false });
+      this.state.get(set.name).delete(symbol);
+    }
+    for (const map of [this.dailyMap, this.smaMap, this.resolution1mSMA, this.resolution5mSMA,
+                       this.resolution60mSMA, this.resolution120mSMA, this.resolutionDSMA])
+      map.delete(symbol);
+    for (const key of this.lastFetch.keys())
+      if (key.startsWith(`${symbol}_`)) this.lastFetch.delete(key);
+  }
+
+  /* ---------------- live bars (BarAggregator) ------------------ */
+  // A freshly stored intraday bar: re-read its SMAs from the store (no REST
+  // call) and re-evaluate the symbol
+  async onBarClose({ symbol, resolution }) {
+    if (!this.dailyMap.has(symbol)) return;          // not hydrated yet – the next tick will load it
+    const maps = {
+      "1": this.resolution1mSMA, "5": this.resolution5mSMA,
+      "60": this.resolution60mSMA, "120": this.resolution120mSMA
+    };
+    const { sma20, sma50, sma200 } = await this.store.getSMAs(symbol, resolution);
+    if (sma20 === null) return;
+
+    maps[resolution]?.set(symbol, { sma20, sma50, sma200 });
+    if (resolution === this.smaRes) this.smaMap.set(symbol, { sma20, sma50, sma200 });
+    await this.#analyze(symbol);
+  }
+
   /* legacy alias -------------------------------------------------- */
   async updateRealtimeDataFromSF({ symbol, ltp }) { return this.tick(symbol, ltp); }
 
@@ -139,33 +253,36 @@ class Strategy extends EventEmitter {
     if (ltp > tdy[H]) tdy[H] = ltp;
     if (ltp < tdy[L]) tdy[L] = ltp;
 
-    this.candleDB.storeCandles(symbol, "D", [tdy]);
+    await this.store.storeCandles(symbol, "D", [tdy]);
 
     const pct = Math.abs((ltp - prevC) / prevC * 100);
     await this.#analyze(symbol, pct >= 0.5);
   }
 
   /* ---------------- history loaders ---------------------------- */
+  // The newest daily candle should be from the last session that has opened:
+  // no refetch over weekends, holidays or before the open
   async #ensureDaily(symbol) {
-    const today = moment().format("YYYY-MM-DD");
-    if (this.lastFetch.get(`${symbol}_D`) === today && this.dailyMap.has(symbol)) return;
+    const cal      = calendarForSymbol(symbol);
+    const expected = cal.lastTradingDay();
+    if (this.lastFetch.get(`${symbol}_D`) === expected && this.dailyMap.has(symbol)) return;
 
-    const endTs   = moment().unix();
-    const startTs = moment().subtract(300, "days").unix();
-    let candles   = this.candleDB.getCandles(symbol, "D", startTs, endTs);
+    const endTs   = ist().unix();
+    const startTs = ist().subtract(300, "days").unix();
+    let candles   = await this.store.getCandles(symbol, "D", startTs, endTs);
 
-    if (!candles.length || !moment.unix(candles.at(-1)[T]).isSame(today, "day")) {
+    if (!candles.length || cal.dateOf(candles.at(-1)[T]) < expected) {
       const { candles: api } = await this.svc.getHistoricalData(symbol, "D", 300);
       candles = api;
-      this.candleDB.storeCandles(symbol, "D", api);
+      await this.store.storeCandles(symbol, "D", api);
     }
     this.dailyMap.set(symbol, candles);
-    this.lastFetch.set(`${symbol}_D`, today);
+    this.lastFetch.set(`${symbol}_D`, expected);
   }
 
   async #ensureSMA(symbol) {
     const tag   = `${symbol}_${this.smaRes}`;
-    const today = moment().format("YYYY-MM-DD");
+    const today = exchangeToday();
     
     // Return early if we already have current data in memory for current resolution
     // This is our first cache check - memory cache
@@ -174,50 +291,18 @@ class Strategy extends EventEmitter {
       return;
     }
 
-    // Try to get SMA values directly from the database view (most efficient)
+    // SMAs stored with the newest candle
     try {
-      // This uses our optimized view-based query
-      const allSMAs = this.candleDB.getAllSMA(symbol, this.smaRes);
-      if (allSMAs.sma20 !== null && allSMAs.sma50 !== null && allSMAs.sma200 !== null) {
-        // We have all the values we need in the database
-        this.smaMap.set(symbol, {
-          sma20 : allSMAs.sma20,
-          sma50 : allSMAs.sma50,
-          sma200: allSMAs.sma200
-        });
-        console.log(`Using database-cached SMA values for ${symbol} @ ${this.smaRes}`);
+      const stored = await this.store.getSMAs(symbol, this.smaRes);
+      if (stored.sma20 !== null && stored.sma50 !== null && stored.sma200 !== null) {
+        this.smaMap.set(symbol, { sma20: stored.sma20, sma50: stored.sma50, sma200: stored.sma200 });
+        console.log(`Using stored SMA values for ${symbol} @ ${this.smaRes}`);
         this.lastFetch.set(tag, today);
-        
-        // Now ensure we have SMA values for all key timeframes
-        // But we'll use a non-API fetching approach when possible
         await this.#ensureAllTimeframeSMAs(symbol, true); // true = prioritize cache
         return;
       }
     } catch (err) {
-      console.warn(`Error getting cached SMA values: ${err.message}`);
-    }
-    
-    // Fallback to individual SMA queries if the view approach failed
-    const sma20  = this.candleDB.getCachedSMA(symbol, this.smaRes, 20);
-    const sma50  = this.candleDB.getCachedSMA(symbol, this.smaRes, 50);
-    const sma200 = this.candleDB.getCachedSMA(symbol, this.smaRes, 200);
-    
-    // Check if all SMAs are available for current resolution
-    const allSmasAvailable = sma20?.value && sma50?.value && sma200?.value;
-    
-    if (allSmasAvailable) {
-      // We have all the values from individual queries
-      this.smaMap.set(symbol, {
-        sma20 : sma20.value,
-        sma50 : sma50.value,
-        sma200: sma200.value
-      });
-      console.log(`Using individual cached SMA values for ${symbol} @ ${this.smaRes}`);
-      this.lastFetch.set(tag, today);
-      
-      // Now ensure we have SMA values for all key timeframes
-      await this.#ensureAllTimeframeSMAs(symbol, true); // true = prioritize cache
-      return;
+      console.warn(`Error getting stored SMA values: ${err.message}`);
     }
     
     // If we get here, we need to fetch new data from the API
@@ -225,14 +310,10 @@ class Strategy extends EventEmitter {
     try {
       const { candles } = await this.svc.getHistoricalData(symbol, this.smaRes, 300);
       
-      // Cache the new candles with SMA calculations
+      // Storing the candles computes their SMAs
       if (candles && candles.length > 0) {
-        this.candleDB.cacheSMA(symbol, this.smaRes, 20, candles);
-        this.candleDB.cacheSMA(symbol, this.smaRes, 50, candles);
-        this.candleDB.cacheSMA(symbol, this.smaRes, 200, candles);
-        
-        // Get the updated SMA values from the database
-        const updatedSMAs = this.candleDB.getAllSMA(symbol, this.smaRes);
+        await this.store.storeCandles(symbol, this.smaRes, candles);
+        const updatedSMAs = await this.store.getSMAs(symbol, this.smaRes);
         this.smaMap.set(symbol, {
           sma20 : updatedSMAs.sma20,
           sma50 : updatedSMAs.sma50,
@@ -252,7 +333,7 @@ class Strategy extends EventEmitter {
   }
   
   async #ensureAllTimeframeSMAs(symbol) {
-    const today = moment().format("YYYY-MM-DD");
+    const today = exchangeToday();
     const tag = `${symbol}_allTimeframes`;
     
     // Skip if we already have current data for all timeframes
@@ -266,12 +347,10 @@ class Strategy extends EventEmitter {
       return;
     }
     
-    // Attempt to get all SMA values from the database views
+    // Attempt to get all SMA values from the store
     try {
-      console.log(`Fetching all timeframe SMA values for ${symbol} from database views...`);
-      
-      // Use the new optimized method that queries all timeframes at once
-      const allTimeframeSMAs = this.candleDB.getAllTimeframeSMAs(symbol);
+      console.log(`Fetching all timeframe SMA values for ${symbol} from the candle store...`);
+      const allTimeframeSMAs = await this.store.getTimeframeSMAs(symbol);
       
       // Check if we have all SMA values for all resolutions
       const allAvailable = Object.values(allTimeframeSMAs).every(sma => 
@@ -286,17 +365,17 @@ class Strategy extends EventEmitter {
         this.resolution120mSMA.set(symbol, allTimeframeSMAs['120']);
         this.resolutionDSMA.set(symbol, allTimeframeSMAs['D']);
         
-        console.log(`Got all SMA values for ${symbol} from database views`);
+        console.log(`Got all SMA values for ${symbol} from the candle store`);
         this.lastFetch.set(tag, today);
         return;
       }
       
       console.log(`Some SMA values missing for ${symbol}, fetching candles...`);
     } catch (err) {
-      console.error(`Error fetching SMA values for ${symbol} from views: ${err.message}`);
+      console.error(`Error fetching SMA values for ${symbol} from the candle store: ${err.message}`);
     }
     
-    // If we couldn't get all values from the views, fetch candles for the missing ones
+    // If the store doesn't have all values, fetch candles for the missing ones
     const timeframes = [
       { res: "1", map: this.resolution1mSMA },     // 1-minute
       { res: "5", map: this.resolution5mSMA },     // 5-minute
@@ -311,18 +390,18 @@ class Strategy extends EventEmitter {
       // Skip if we already have current data for this timeframe
       if (this.lastFetch.get(timeframeTag) === today && map.has(symbol)) continue;
       
-      // Check if we have SMAs for this timeframe using the new view-based method
-      const smaValues = this.candleDB.getAllSMA(symbol, res);
+      // Check if we have SMAs for this timeframe in the store
+      const smaValues = await this.store.getSMAs(symbol, res);
       const allSmasAvailable = smaValues.sma20 !== null && smaValues.sma50 !== null && smaValues.sma200 !== null;
       
       if (allSmasAvailable) {
-        // Use the values from the view
+        // Use the stored values
         map.set(symbol, {
           sma20: smaValues.sma20,
           sma50: smaValues.sma50,
           sma200: smaValues.sma200
         });
-        console.log(`Using SMA values from view for ${symbol} @ ${res}`);
+        console.log(`Using stored SMA values for ${symbol} @ ${res}`);
         this.lastFetch.set(timeframeTag, today);
         continue;
       }
@@ -331,7 +410,7 @@ class Strategy extends EventEmitter {
       console.log(`Fetching candles for ${symbol} @ ${res} (missing SMAs in cache)`);
       
       // Determine appropriate candle count based on timeframe
-      // Remember Fyers API limits: 1-15m (30 days), 30-60m (180 days), 120m (180 days), D+ (365 days)
+      // Remember Fyers API limits: 1-15m (30 days), 20-240m (100 days), D+ (365 days)
       let lookback = 300;
       
       // For 1m and 5m, we need enough data for SMA calculations. Fyers allows max 30 days for 1-15m
@@ -351,12 +430,8 @@ class Strategy extends EventEmitter {
         const { candles } = await this.svc.getHistoricalData(symbol, res, lookback);
         
         if (candles && candles.length > 0) {
-          this.candleDB.cacheSMA(symbol, res, 20, candles);
-          this.candleDB.cacheSMA(symbol, res, 50, candles);
-          this.candleDB.cacheSMA(symbol, res, 200, candles);
-          
-          // Get the updated SMA values using the optimized method
-          const updatedSMAs = this.candleDB.getAllSMA(symbol, res);
+          await this.store.storeCandles(symbol, res, candles);
+          const updatedSMAs = await this.store.getSMAs(symbol, res);
           map.set(symbol, {
             sma20: updatedSMAs.sma20,
             sma50: updatedSMAs.sma50,
@@ -395,201 +470,85 @@ class Strategy extends EventEmitter {
       return;
     }
 
-    // Get the latest candle and previous 7 days
-    const today = daily.at(-1);
-    const todayRange = today[H] - today[L]; // Today's high-low range
-
-    // Check individual range comparisons against previous 7 days
-    // (Daily High - Daily Low) greater than (n days ago High - n days ago Low)
-    const rangeComparisons = [];
-    for (let i = 1; i <= 7; i++) {
-      if (daily.length < i + 1) continue; // Skip if we don't have enough data
-      
-      const prevCandle = daily.at(-1 - i);
-      const prevRange = prevCandle[H] - prevCandle[L];
-      rangeComparisons.push({
-        day: i,
-        today: todayRange,
-        prev: prevRange,
-        result: todayRange > prevRange
-      });
-    }
-    
-    // Must pass all range comparisons
-    const rangeOK = rangeComparisons.every(comp => comp.result);
-
-    // Daily Close greater than Daily Open
-    const closeGTopen = today[C] > today[O];
-    
-    // Daily Close greater than 1 day ago Close
-    const closeGTyest = today[C] > daily.at(-2)[C];
-    
-    // 1 day ago Volume greater than 10000
-    const volYestOK = daily.at(-2)[V] > 10_000;
-    
-    // Weekly Close greater than Weekly Open
-    const weeklyData = rollup(daily, "W");
-    const wkBull = weeklyData.length > 0 && weeklyData.at(-1)[C] > weeklyData.at(-1)[O];
-    
-    // Monthly Close greater than Monthly Open
-    const monthlyData = rollup(daily, "M");
-    const moBull = monthlyData.length > 0 && monthlyData.at(-1)[C] > monthlyData.at(-1)[O];
-
-    // ==== Multi-timeframe SMA Analysis ==== //
-    // Check if we have SMA values for all timeframes
-    const sma1m = this.resolution1mSMA.get(symbol);
-    const sma5m = this.resolution5mSMA.get(symbol);
-    const sma60m = this.resolution60mSMA.get(symbol);
-    const sma120m = this.resolution120mSMA.get(symbol);
-    const smaD = this.resolutionDSMA.get(symbol);
-    
-    // Create an object to store SMA conditions for each timeframe
-    const smaConds = {};
-    
-    // Check 1-minute SMA condition: SMA20 > SMA50 > SMA200
-    smaConds.minute1 = sma1m && sma1m.sma20 > sma1m.sma50 && sma1m.sma50 > sma1m.sma200;
-    
-    // Check 5-minute SMA condition: SMA20 > SMA50 > SMA200
-    smaConds.minute5 = sma5m && sma5m.sma20 > sma5m.sma50 && sma5m.sma50 > sma5m.sma200;
-    
-    // Check 60-minute SMA condition: SMA20 > SMA50 > SMA200
-    smaConds.minute60 = sma60m && sma60m.sma20 > sma60m.sma50 && sma60m.sma50 > sma60m.sma200;
-    
-    // Check 120-minute SMA condition: SMA20 > SMA50 > SMA200
-    smaConds.minute120 = sma120m && sma120m.sma20 > sma120m.sma50 && sma120m.sma50 > sma120m.sma200;
-    
-    // Check Daily SMA condition: SMA20 > SMA50 > SMA200
-    smaConds.daily = smaD && smaD.sma20 > smaD.sma50 && smaD.sma50 > smaD.sma200;
-    
-    // SMA conditions using cached values from database for current resolution
+    const timeframes = {
+      "1"  : this.resolution1mSMA.get(symbol),
+      "5"  : this.resolution5mSMA.get(symbol),
+      "60" : this.resolution60mSMA.get(symbol),
+      "120": this.resolution120mSMA.get(symbol),
+      "D"  : this.resolutionDSMA.get(symbol)
+    };
+    // Rules and risk checks are synchronous: bring what they read from the
+    // candle store up to date first
+    const resOf = res => (res === "res" ? this.smaRes : res);
+    for (const { id, res, params } of this.strategies.flatMap(s => s.indicators ?? []))
+      await this.indicators.refresh?.(symbol, resOf(res), id, params);
+    await this.risk?.loadDaily(symbol);
+
+    const indicator = (name, res, params) => this.indicators.latest(symbol, resOf(res), name, params);
+    const ctx = buildContext({ daily, smaBuf, timeframes, indicator });
     const { sma20:s20, sma50:s50, sma200:s200 } = smaBuf;
-    
-    // Daily SMA(close, 20) greater than Daily SMA(close, 50)
-    // Daily SMA(close, 50) greater than Daily SMA(close, 200)
-    const smaOK = s20 > s50 && s50 > s200;
-    
-    // Count how many timeframes show bullish SMA pattern
-    const bullishTimeframes = Object.values(smaConds).filter(Boolean).length;
-    
-    // Check if the shorter timeframes (1m and 5m) have valid data
-    const shortFramesValid = (sma1m !== undefined && sma5m !== undefined);
-    
-    // Check if at least one of the short timeframes is bullish (if we have valid data)
-    const shortTimeframesBullish = shortFramesValid ? 
-      (smaConds.minute1 || smaConds.minute5) : true; // If no data, consider as neutral (not negative)
-    
-    // All conditions must be true, including at least one short timeframe if data is available
-    const bullish =
-      rangeOK && closeGTopen && closeGTyest &&
-      volYestOK && wkBull && moBull && smaOK && 
-      shortTimeframesBullish; // Require at least one short timeframe to be bullish if data exists
-    
-    // Debug output for each condition
+
+    // SMA debugging for all timeframes (shared by every rule set)
     if (this.debug && isPriority) {
       console.log(`\n--- ${symbol} Strategy Analysis ---`);
-      console.log(`Range comparisons:`);
-      rangeComparisons.forEach(comp => {
-        console.log(`  Day -${comp.day}: Today(${comp.today.toFixed(2)}) > Prev(${comp.prev.toFixed(2)}) = ${comp.result ? '✅' : '❌'}`);
-      });
-      console.log(`Close > Open: ${closeGTopen ? '✅' : '❌'}`);
-      console.log(`Close > Yesterday Close: ${closeGTyest ? '✅' : '❌'}`);
-      console.log(`Yesterday Vol > 10k: ${volYestOK ? '✅' : '❌'} (${daily.at(-2)[V].toFixed(0)})`);
-      console.log(`Weekly Bullish: ${wkBull ? '✅' : '❌'}`);
-      console.log(`Monthly Bullish: ${moBull ? '✅' : '❌'}`);
-      
-      // SMA debugging for all timeframes
-      console.log(`\nSMA Analysis by Timeframe:`);
-      if (sma1m) console.log(`  1m: SMA20(${sma1m.sma20?.toFixed(2)}) > SMA50(${sma1m.sma50?.toFixed(2)}) > SMA200(${sma1m.sma200?.toFixed(2)}): ${smaConds.minute1 ? '✅' : '❌'}`);
-      else console.log(`  1m: No data`);
-      
-      if (sma5m) console.log(`  5m: SMA20(${sma5m.sma20?.toFixed(2)}) > SMA50(${sma5m.sma50?.toFixed(2)}) > SMA200(${sma5m.sma200?.toFixed(2)}): ${smaConds.minute5 ? '✅' : '❌'}`);
-      else console.log(`  5m: No data`);
-      
-      if (sma60m) console.log(`  60m: SMA20(${sma60m.sma20?.toFixed(2)}) > SMA50(${sma60m.sma50?.toFixed(2)}) > SMA200(${sma60m.sma200?.toFixed(2)}): ${smaConds.minute60 ? '✅' : '❌'}`);
-      else console.log(`  60m: No data`);
-      
-      if (sma120m) console.log(`  120m: SMA20(${sma120m.sma20?.toFixed(2)}) > SMA50(${sma120m.sma50?.toFixed(2)}) > SMA200(${sma120m.sma200?.toFixed(2)}): ${smaConds.minute120 ? '✅' : '❌'}`);
-      else console.log(`  120m: No data`);
-      
-      if (smaD) console.log(`  D: SMA20(${smaD.sma20?.toFixed(2)}) > SMA50(${smaD.sma50?.toFixed(2)}) > SMA200(${smaD.sma200?.toFixed(2)}): ${smaConds.daily ? '✅' : '❌'}`);
-      else console.log(`  D: No data`);
-      
-      console.log(`Current Resolution (${this.smaRes}): SMA20(${s20?.toFixed(2)}) > SMA50(${s50?.toFixed(2)}) > SMA200(${s200?.toFixed(2)}): ${smaOK ? '✅' : '❌'}`);
-      console.log(`Bullish Timeframes: ${bullishTimeframes} of ${Object.keys(smaConds).length}`);
-      console.log(`Overall result: ${bullish ? '✅ BULLISH' : '❌ NOT BULLISH'}`);
+      console.log(`SMA values by timeframe:`);
+      for (const [res, sma] of Object.entries({ ...timeframes, [`${this.smaRes} (selected)`]: smaBuf })) {
+        if (sma) console.log(`  ${res}: SMA20(${sma.sma20?.toFixed(2)}) SMA50(${sma.sma50?.toFixed(2)}) SMA200(${sma.sma200?.toFixed(2)})`);
+        else console.log(`  ${res}: No data`);
+      }
     }
 
-    this.#diff(symbol, {
-      symbol,
-      bullish,
-      rangeOK,
-      closeGTopen,
-      closeGTyest,
-      volYestOK,
-      wkBull,
-      moBull,
-      smaOK,
-      s20,
-      s50,
-      s200,
-      ma20_gt_ma200: s20 > s200,
-      isPriorityCheck: isPriority
-    });
+    for (const set of this.strategies) {
+      const { signal, flags } = evaluate(set, ctx);
+
+      // Debug output for each condition
+      if (this.debug && isPriority) {
+        console.log(`[${set.name}]`);
+        for (const r of set.rules) console.log(`  ${r.name}: ${flags[r.name] ? '✅' : '❌'}  (${r.expr})`);
+        console.log(`  Overall result: ${signal ? `✅ ${set.type}` : `❌ NO ${set.type}`}`);
+      }
+
+      this.#diff(set, symbol, {
+        symbol,
+        strategy: set.name,
+        signal,
+        ...flags,
+        s20,
+        s50,
+        s200,
+        isPriorityCheck: isPriority
+      });
+    }
   }
 
   /* ---------------- diff / emit --------------------------------- */
-  #diff(symbol, next) {
-    const prev = this.state.get(symbol);
-    this.state.set(symbol, next);
+  #diff(set, symbol, next) {
+    const states = this.state.get(set.name);
+    const prev   = states.get(symbol);
+    states.set(symbol, next);
 
     if (this.debug) {
       console.log(
-        `${symbol}${next.isPriorityCheck ? " [PRIORITY]" : ""}: ${
-          next.bullish ? "✅" : "❌"
+        `${symbol} [${set.name}]${next.isPriorityCheck ? " [PRIORITY]" : ""}: ${
+          next.signal ? "✅" : "❌"
         }`
       );
     }
 
-    /* --------- new bullish ------------------------------------- */
-    if (next.bullish && !prev?.bullish) {
-      const daily = this.dailyMap.get(symbol);
-      const latest = daily.at(-1);
-      const prevC  = daily.at(-2) || latest;
-      const price  = latest[C];
-      const diff   = price - prevC[C];
-      const pct    = ((diff / prevC[C]) * 100).toFixed(2);
-      const [exch, codeRaw] = symbol.split(":");
-      const stock = codeRaw ? codeRaw.split("-")[0] : symbol;
-
-      const payload = {
-        trade: {
-          key: this.#makeKey(symbol),
-          resolution: this.smaRes,
-          symbol: stock,
-          exchange: exch || "NSE",
-          type: "BUY",
-          price: price.toFixed(2),
-          change: diff.toFixed(2),
-          changePercentage: `${pct}%`,
-          entryPrice: price.toFixed(2),
-          stopLoss: (price * 0.95).toFixed(2),
-          target: (price * 1.10).toFixed(2),
-          liveReturns: "0.00%",
-          estimatedGains: "10.00%",
-          entryTime: moment.unix(latest[T]).format("HH:mm"),
-          entryDate: moment.unix(latest[T]).format("DD-MM-YYYY"),
-          isProfit: diff >= 0
-        }
-      };
+    /* --------- new signal -------------------------------------- */
+    // BUY rule sets → "bullish"/"bullishSignal", SELL → "bearish"/"bearishSignal"
+    if (next.signal && !prev?.signal) {
+      const payload = { trade: this.#trade(set, symbol, this.dailyMap.get(symbol), { record: true }) };
+      const side    = set.type === "SELL" ? "bearish" : "bullish";
 
-      this.emit("bullish", payload);
-      this.io?.emit("bullishSignal", payload);
+      this.emit(side, payload);
+      this.io?.emit(`${side}Signal`, payload);
       this.io?.emit("signalRefresh", { ts: Date.now() });
     }
 
     /* --------- clear ------------------------------------------- */
-    if (!next.bullish && prev?.bullish) {
-      const payload = { key: this.#makeKey(symbol) };
+    if (!next.signal && prev?.signal) {
+      const payload = { key: this.#makeKey(symbol, set), strategy: set.name, type: set.type };
       this.emit("clear", payload);
       this.io?.emit("clear", payload);
       this.io?.emit("signalRefresh", { ts: Date.now() });
@@ -610,10 +569,15 @@ class Strategy extends EventEmitter {
     for (const s of symbols) {
       const close = this.dailyMap.get(s).at(-1)[C];
       await this.tick(s, close);
-      results.push(this.state.get(s));
+      for (const states of this.state.values()) {
+        if (states.has(s)) results.push(states.get(s));
+      }
     }
     return results;
   }
 }
 
 module.exports = Strategy;
+module.exports.buildContext    = buildContext;
+module.exports.buildTrade      = buildTrade;
+module.exports.rollup          = rollup;
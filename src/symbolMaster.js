@@ -0,0 +1,269 @@
+/* ------------------------------------------------------------------ */
+/*  symbolMaster.js – Fyers symbol master (NSE CM/FO, BSE CM, MCX)     */
+/* ------------------------------------------------------------------ */
+// Imports the public symbol master CSVs (public.fyers.in/sym_details/
+// NSE_CM.csv, NSE_FO.csv, BSE_CM.csv, MCX_COM.csv) from a local path into
+// data/app.sqlite, and answers "does this ticker exist?" before a request
+// reaches getHistory, the data socket or the order API.
+//
+// Validation only kicks in once a master has been imported, so a fresh
+// install keeps working (with a warning) until the first import.
+
+const fs       = require("fs");
+const path     = require("path");
+const readline = require("readline");
+const appDB    = require("./appDB");
+
+// Column positions in the Fyers CSV (the files have no header row)
+const COL = {
+  fytoken: 0, name: 1, instType: 2, lotSize: 3, tickSize: 4, isin: 5,
+  session: 6, updated: 7, expiry: 8, ticker: 9, exchange: 10, segment: 11,
+  underlying: 13, strike: 15, optionType: 16
+};
+const EXCHANGES = { 10: "NSE", 11: "MCX", 12: "BSE" };
+const SEGMENTS  = { 10: "CM", 11: "FO", 12: "CD", 20: "COM" };
+const BATCH     = 5_000;
+
+// "NSE:RELIANCE-EQ" → "RELIANCE", "NSE:NIFTY25JANFUT" → "NIFTY25JANFUT"
+const baseOf = ticker => String(ticker).replace(/^[A-Z]+:/, "").replace(/-[A-Z]+$/, "");
+
+// Plain Levenshtein distance, used for typo-tolerant matches
+function distance(a, b) {
+  const prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diag = prev[0];
+    prev[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = prev[j];
+      prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diag = tmp;
+    }
+  }
+  return prev[b.length];
+}
+
+class SymbolMaster {
+  constructor(db = appDB) {
+    this.db = db;
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS symbols (
+        ticker      TEXT PRIMARY KEY,        -- NSE:RELIANCE-EQ
+        base        TEXT NOT NULL,           -- RELIANCE
+        name        TEXT,
+        exchange    TEXT,                    -- NSE | BSE | MCX
+        segment     TEXT,                    -- CM | FO | COM
+        inst_type   INTEGER,
+        fytoken     TEXT,
+        isin        TEXT,
+        lot_size    INTEGER,
+        tick_size   REAL,
+        expiry      INTEGER,                 -- unix seconds, derivatives only
+        underlying  TEXT,
+        strike      REAL,
+        option_type TEXT,                    -- CE | PE | XX
+        source      TEXT,                    -- file it was imported from
+        updated_at  INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_symbols_base ON symbols(base);
+    `);
+    this._upsert = this.db.prepare(`
+      INSERT OR REPLACE INTO symbols
+        (ticker, base, name, exchange, segment, inst_type, fytoken, isin, lot_size, tick_size,
+         expiry, underlying, strike, option_type, source, updated_at)
+      VALUES (@ticker, @base, @name, @exchange, @segment, @inst_type, @fytoken, @isin, @lot_size, @tick_size,
+              @expiry, @underlying, @strike, @option_type, @source, @updated_at)
+    `);
+    this._get   = this.db.prepare(`SELECT * FROM symbols WHERE ticker = ?`);
+    this.loaded = null;               // cached "has anything been imported" flag
+    this.warned = false;
+  }
+
+  /* ---------------- import ------------------------------------- */
+  // One CSV file; rows of the same file replace earlier imports of it
+  async importFile(file) {
+    const source = path.basename(file);
+    const insert = this.db.transaction(rows => rows.forEach(r => this._upsert.run(r)));
+    const rl     = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+    const now    = Date.now();
+
+    this.db.prepare(`DELETE FROM symbols WHERE source = ?`).run(source);
+    let batch = [], count = 0, skipped = 0;
+    for await (const line of rl) {
+      const row = this.#parse(line, source, now);
+      if (!row) { skipped++; continue; }
+      batch.push(row);
+      if (batch.length >= BATCH) { insert(batch); count += batch.length; batch = []; }
+    }
+    if (batch.length) { insert(batch); count += batch.length; }
+
+    this.loaded = null;
+    console.log(`📇 Imported ${count} symbols from ${source}${skipped ? ` (${skipped} lines skipped)` : ""}`);
+    return { file: source, count, skipped };
+  }
+
+  // A file or every *.csv in a directory
+  async importPath(p) {
+    const stat  = fs.statSync(p);
+    const files = stat.isDirectory()
+      ? fs.readdirSync(p).filter(f => f.toLowerCase().endsWith(".csv")).sort().map(f => path.join(p, f))
+      : [p];
+    if (!files.length) throw new Error(`No CSV files in ${p}`);
+
+    const results = [];
+    for (const f of files) results.push(await this.importFile(f));
+    return results;
+  }
+
+  /* ---------------- lookups ------------------------------------ */
+  isLoaded() {
+    this.loaded ??= !!this.db.prepare(`SELECT 1 FROM symbols LIMIT 1`).get();
+    return this.loaded;
+  }
+
+  get(ticker) {
+    const r = this._get.get(String(ticker ?? "").toUpperCase());
+    return r ? this.#view(r) : null;
+  }
+
+  // Throws for a ticker that isn't in the master; no-op until a master is loaded
+  validate(ticker) {
+    if (!this.isLoaded()) {
+      if (!this.warned) console.warn("⚠️ Symbol master not imported – symbols are not validated");
+      this.warned = true;
+      return null;
+    }
+    const info = this.get(ticker);
+    if (!info) {
+      const hint = this.search(baseOf(String(ticker ?? "").toUpperCase()), { limit: 3 }).map(s => s.ticker);
+      throw new Error(`Unknown symbol: ${ticker}${hint.length ? ` (did you mean ${hint.join(", ")}?)` : ""}`);
+    }
+    return info;
+  }
+
+  // Ranked matches on ticker and name: exact > prefix > substring > typo (edit distance ≤ 2)
+  search(q, { limit = 20, exchange, segment } = {}) {
+    const term = String(q ?? "").trim().toUpperCase();
+    if (!term) return [];
+
+    const where = [], args = [];
+    if (exchange) { where.push("exchange = ?"); args.push(String(exchange).toUpperCase()); }
+    if (segment)  { where.push("segment = ?");  args.push(String(segment).toUpperCase()); }
+    const filter = where.length ? `AND ${where.join(" AND ")}` : "";
+
+    const like = this.db.prepare(`
+      SELECT * FROM symbols
+      WHERE (base LIKE ? OR UPPER(name) LIKE ?) ${filter}
+      LIMIT 1000
+    `).all(`%${term}%`, `%${term}%`, ...args);
+
+    const scored = like.map(r => ({ r, score: this.#score(r, term) }));
+    if (scored.length < limit && term.length >= 3) {
+      // Typo pass: same first letter and similar length, ranked by edit distance
+      const seen = new Set(like.map(r => r.ticker));
+      const near = this.db.prepare(`
+        SELECT * FROM symbols
+        WHERE base LIKE ? AND LENGTH(base) BETWEEN ? AND ? ${filter}
+      `).all(`${term[0]}%`, term.length - 2, term.length + 2, ...args);
+      for (const r of near) {
+        if (seen.has(r.ticker)) continue;
+        const d = distance(term, r.base);
+        if (d <= 2) scored.push({ r, score: 30 - d * 10 });
+      }
+    }
+
+    return scored
+      .sort((a, b) => b.score - a.score || a.r.base.length - b.r.base.length || a.r.ticker.localeCompare(b.r.ticker))
+      .slice(0, limit)
+      .map(({ r, score }) => ({ ...this.#view(r), score }));
+  }
+
+  // Futures contracts of an underlying ("NIFTY"), nearest expiry first
+  futures(underlying, exchange = "NSE") {
+    return this.db.prepare(`
+      SELECT ticker, expiry, lot_size AS lotSize FROM symbols
+      WHERE underlying = ? AND exchange = ? AND ticker LIKE '%FUT' AND expiry IS NOT NULL
+      ORDER BY expiry
+    `).all(String(underlying).toUpperCase(), String(exchange).toUpperCase());
+  }
+
+  // Option contracts of an underlying; expiry (unix) limits them to that
+  // exchange date (any time of day)
+  options(underlying, { exchange = "NSE", from = null, to = null } = {}) {
+    return this.db.prepare(`
+      SELECT ticker, strike, option_type AS optionType, expiry, lot_size AS lotSize FROM symbols
+      WHERE underlying = ? AND exchange = ? AND option_type IN ('CE', 'PE')
+        AND expiry IS NOT NULL AND expiry >= ? AND expiry < ?
+      ORDER BY expiry, strike, option_type
+    `).all(String(underlying).toUpperCase(), String(exchange).toUpperCase(), from ?? 0, to ?? Number.MAX_SAFE_INTEGER);
+  }
+
+  // Lot size of an underlying's nearest derivative contract, or null
+  lotSizeOf(underlying, exchange = "NSE") {
+    return this.db.prepare(`
+      SELECT lot_size FROM symbols
+      WHERE underlying = ? AND exchange = ? AND segment IN ('FO', 'COM') AND lot_size IS NOT NULL
+      ORDER BY expiry LIMIT 1
+    `).get(String(underlying).toUpperCase(), String(exchange).toUpperCase())?.lot_size ?? null;
+  }
+
+  stats() {
+    return this.db.prepare(`
+      SELECT exchange, segment, COUNT(*) AS count, MAX(updated_at) AS updatedAt
+      FROM symbols GROUP BY exchange, segment ORDER BY exchange, segment
+    `).all();
+  }
+
+  /* ---------------- internals ---------------------------------- */
+  #parse(line, source, now) {
+    const c = line.split(",");
+    const ticker = c[COL.ticker]?.trim().toUpperCase();
+    if (!ticker || !ticker.includes(":")) return null;
+    const expiry = Number(c[COL.expiry]);
+    return {
+      ticker,
+      base       : baseOf(ticker),
+      name       : c[COL.name]?.trim() || null,
+      exchange   : EXCHANGES[c[COL.exchange]] ?? ticker.split(":")[0],
+      segment    : SEGMENTS[c[COL.segment]] ?? null,
+      inst_type  : Number(c[COL.instType]) || 0,
+      fytoken    : c[COL.fytoken]?.trim() || null,
+      isin       : c[COL.isin]?.trim() || null,
+      lot_size   : Number(c[COL.lotSize]) || 1,
+      tick_size  : Number(c[COL.tickSize]) || null,
+      expiry     : expiry > 0 ? expiry : null,
+      underlying : c[COL.underlying]?.trim() || null,
+      strike     : Number(c[COL.strike]) > 0 ? Number(c[COL.strike]) : null,
+      option_type: c[COL.optionType]?.trim() || null,
+      source,
+      updated_at : now
+    };
+  }
+
+  #score(r, term) {
+    const name = String(r.name ?? "").toUpperCase();
+    if (r.base === term)            return 100;
+    if (r.base.startsWith(term))    return 80;
+    if (name.startsWith(term))      return 70;
+    if (r.base.includes(term))      return 60;
+    return 40;                      // name contains
+  }
+
+  #view(r) {
+    return {
+      ticker    : r.ticker,
+      name      : r.name,
+      exchange  : r.exchange,
+      segment   : r.segment,
+      isin      : r.isin,
+      lotSize   : r.lot_size,
+      tickSize  : r.tick_size,
+      expiry    : r.expiry,
+      underlying: r.underlying,
+      strike    : r.strike,
+      optionType: r.option_type
+    };
+  }
+}
+
+module.exports = new SymbolMaster();
+module.exports.SymbolMaster = SymbolMaster;
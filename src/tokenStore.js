@@ -0,0 +1,78 @@
+/* ------------------------------------------------------------------ */
+/*  tokenStore.js – encrypted Fyers OAuth tokens in data/app.sqlite    */
+/* ------------------------------------------------------------------ */
+// One row per account (the app id) holding
+//
+//   { accessToken, refreshToken, issuedAt, expiresAt, refreshExpiresAt }
+//
+// (times in unix seconds) as AES-256-GCM ciphertext. The key is derived
+// from FYERS_TOKEN_KEY, or from FYERS_SECRET_KEY when that isn't set, so a
+// copied database is useless without the .env. A row that no longer
+// decrypts (key changed, tampered) reads as "no token": log in again.
+
+const crypto = require("crypto");
+const appDB  = require("./appDB");
+
+const SALT = "fyers-token-store";
+
+class TokenStore {
+  constructor(opts = {}) {
+    this.db  = opts.db ?? appDB;
+    this.key = crypto.scryptSync(TokenStore.secret(opts.secret), SALT, 32);
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS fyers_tokens (
+        account     TEXT PRIMARY KEY,
+        payload     TEXT NOT NULL,
+        updated_at  INTEGER NOT NULL
+      )
+    `);
+    this._get = this.db.prepare(`SELECT payload FROM fyers_tokens WHERE account = ?`);
+    this._put = this.db.prepare(`
+      INSERT INTO fyers_tokens (account, payload, updated_at) VALUES (?, ?, ?)
+      ON CONFLICT(account) DO UPDATE SET payload = excluded.payload, updated_at = excluded.updated_at
+    `);
+    this._del = this.db.prepare(`DELETE FROM fyers_tokens WHERE account = ?`);
+  }
+
+  static secret(explicit) {
+    const s = explicit ?? process.env.FYERS_TOKEN_KEY ?? process.env.FYERS_SECRET_KEY;
+    if (!s) throw new Error("FYERS_TOKEN_KEY or FYERS_SECRET_KEY is required to encrypt tokens");
+    return s;
+  }
+
+  load(account) {
+    const row = this._get.get(account);
+    if (!row) return null;
+    try {
+      return JSON.parse(this.#decrypt(row.payload));
+    } catch (err) {
+      console.warn(`⚠️ Stored token for ${account} could not be decrypted (${err.message}) – login required`);
+      return null;
+    }
+  }
+
+  save(account, tokens) {
+    this._put.run(account, this.#encrypt(JSON.stringify(tokens)), Date.now());
+    return tokens;
+  }
+
+  clear(account) { this._del.run(account); }
+
+  // iv.tag.ciphertext, each base64url
+  #encrypt(text) {
+    const iv     = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", this.key, iv);
+    const data   = Buffer.concat([cipher.update(text, "utf8"), cipher.final()]);
+    return [iv, cipher.getAuthTag(), data].map(b => b.toString("base64url")).join(".");
+  }
+
+  #decrypt(payload) {
+    const [iv, tag, data] = String(payload).split(".").map(s => Buffer.from(s, "base64url"));
+    const decipher = crypto.createDecipheriv("aes-256-gcm", this.key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString("utf8");
+  }
+}
+
+module.exports = TokenStore;
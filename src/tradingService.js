@@ -1,25 +1,40 @@
 /* ------------------------------------------------------------------ */
-/*  tradingService.js – Fyers API v3  |  SQLite cache + retry logic   */
+/*  tradingService.js – Fyers API v3  |  candle store + retry logic   */
 /* ------------------------------------------------------------------ */
-const { fyersModel } = require("fyers-api-v3");
+const { fyersModel } = require("./fyersApi");
 const authManager    = require("./auth2.0");
-const moment         = require("moment");
+const { ist, parse, periodKey } = require("./exchangeTime");
 const path           = require("path");
 const dotenv         = require("dotenv");
-const candleDB       = require("./candleDB");          // ← SQLite wrapper
+const candleStore    = require("./storage");           // ← CANDLE_STORE backend
+const { parseResolution } = require("./storage/candleStore");
+const instruments    = require("./instruments");
+const { calendarForSymbol } = require("./marketCalendar");
 
 dotenv.config({ path: path.resolve(__dirname, "../.env") });
 
 /* ----------------------------- helpers --------------------------- */
 const sleep = ms => new Promise(r => setTimeout(r, ms));
 
+// Calendar days per getHistory call: Fyers rejects intraday ranges over 100
+// days (the simulator enforces the same limit)
 function maxDaysFor(resMin) {
   if (resMin <= 15)  return 30;
-  if (resMin <= 60)  return 180;
-  if (resMin <= 120) return 180;
+  if (resMin <= 240) return 100;
   return 365;
 }
 
+// Days of history one getHistory call may span for a resolution ("D" or minutes)
+const windowDaysFor = res => (String(res).toUpperCase() === "D" ? 365 : maxDaysFor(Number(res)));
+
+// parseResolution for ranges fetched from Fyers: weekly / monthly candles
+// aren't fetched, they are rolled up from daily ones
+function rangeResolution(resolution) {
+  const res = parseResolution(resolution);
+  if (res === "W" || res === "M") throw new Error(`Invalid resolution: ${resolution} (weekly / monthly candles are rolled up from daily)`);
+  return res;
+}
+
 class RateLimiter {
   constructor(maxPerMin = 8) {
     this.max    = maxPerMin;
@@ -46,31 +61,53 @@ class RateLimiter {
   }
 }
 
+/* ----------------------- order constants ------------------------- */
+// Fyers v3 order `type` codes
+const ORDER_TYPES = { LIMIT: 1, MARKET: 2, "SL-M": 3, SL: 4 };
+const SIDES       = { BUY: 1, SELL: -1 };
+const PRODUCTS    = ["CNC", "INTRADAY", "MARGIN", "CO", "BO", "MTF"];
+
+// Dry-run order ids, unique across accounts (they share the orders table)
+let dryRunSeq = 0;
+
+const num = (v, name) => {
+  const n = Number(v);
+  if (v === undefined || v === null || v === "" || !Number.isFinite(n))
+    throw new Error(`${name} must be a number`);
+  return n;
+};
+
 /* ------------------------------------------------------------------ */
 class TradingService {
-  constructor() {
+  // opts.auth: the account's FyersAuthManager (accounts.js); the default
+  // instance uses the FYERS_APP_ID account
+  constructor(opts = {}) {
+    this.auth      = opts.auth ?? authManager;
     this.fyers     = null;
     this.limiter   = new RateLimiter(8);
+    this.orderLimiter = new RateLimiter(200);  // Fyers order APIs allow 200/min
     this.cache     = new Map();          // key → { ts, data }
     this.cacheTTL  = 5 * 60_000;         // 5 minutes
     this.lastCall  = 0;
+    this.dryRun    = /^(1|true|yes)$/i.test(process.env.DRY_RUN || "");
   }
 
   /* ---------------- bootstrap (unchanged) ----------------------- */
   async initialize() {
     if (this.fyers) return this;
 
-    await authManager.initialize();
-    let token = await authManager.getAccessToken();
-    if (!token) token = await authManager.authenticate();
-    if (!token) throw new Error("Failed to get access token");
+    await this.auth.initialize();
+    const token = await this.auth.getAccessToken();
+    if (!token) throw new Error("Fyers login required – see GET /api/auth/status");
 
     console.log("🔑 using token:", token.slice(0, 30), "…");
 
     this.fyers = new fyersModel({ path: path.resolve(__dirname, "../logs"), enableLogging: true });
-    this.fyers.setAppId(process.env.FYERS_APP_ID);
-    this.fyers.setRedirectUrl(process.env.FYERS_REDIRECT_URI);
+    this.fyers.setAppId(this.auth.appId);
+    this.fyers.setRedirectUrl(this.auth.redirectUri);
     this.fyers.setAccessToken(token);
+    // Refreshed / re-login tokens replace this one
+    this.auth.on("token", t => this.fyers.setAccessToken(t));
 
     const profile = await this.fyers.get_profile();
     if (!profile || profile.s !== "ok") throw new Error("Profile validation failed");
@@ -93,7 +130,7 @@ class TradingService {
       if (params.date_format === "1") {
         for (const k of ["range_from", "range_to"]) {
           if (params[k] && isNaN(Number(params[k]))) {
-            const m = moment(params[k], "YYYY-MM-DD");
+            const m = parse(params[k], "YYYY-MM-DD");
             if (m.isValid()) params[k] = String(m.unix());
           }
         }
@@ -101,6 +138,8 @@ class TradingService {
       }
 
       const resp = await this.fyers.getHistory(params);
+      if (resp?.s === "no_data")                    // holiday / weekend window – nothing to retry
+        return { success: true, candles: [] };
       if (!resp || resp.s !== "ok" || !Array.isArray(resp.candles))
         throw new Error(resp?.s || "API error");
 
@@ -109,11 +148,11 @@ class TradingService {
         return { success: true, candles };
 
       /* ------------ need more intraday data --------------------- */
-      const earliest = moment().subtract(limitD, "days").unix();
+      const earliest = ist().subtract(limitD, "days").unix();
 
       if (original.date_format === "1") {
-        const f = moment(original.range_from, "YYYY-MM-DD");
-        const t = moment(original.range_to,   "YYYY-MM-DD");
+        const f = parse(original.range_from, "YYYY-MM-DD");
+        const t = parse(original.range_to,   "YYYY-MM-DD");
         const span = t.diff(f, "days");
         const newFrom = f.subtract(span * (retry + 1), "days");
         if (newFrom.unix() <= earliest) return { success: true, candles };
@@ -146,13 +185,8 @@ class TradingService {
   /* ---------------- public: getHistoricalData ------------------- */
   async getHistoricalData(symbol, resolution = "D", lookback = 365) {
     /* 1️⃣ normalise resolution ---------------------------------- */
-    let res = String(resolution).toUpperCase().trim();
-    if (res === "240") res = "120";
-    if (/^\d+M$/i.test(res)) res = res.slice(0, -1);
-    if (/^\d+H$/i.test(res)) res = String(parseInt(res) * 60);
-    if (res === "1D") res = "D";
-    if (res !== "D" && res !== "W" && res !== "M" && !/^\d+$/.test(res))
-      throw new Error(`Bad resolution: ${resolution}`);
+    const res = parseResolution(resolution);
+    instruments.validate(symbol);    // fail fast instead of four empty retries
 
     /* 2️⃣ weekly / monthly roll-up ------------------------------ */
     if (res === "W" || res === "M") {
@@ -168,18 +202,21 @@ class TradingService {
     this.lastCall = Date.now();
 
     /* 4️⃣ compute look-back window ------------------------------ */
-    const WANT   = 200;
-    const resMin = res === "D" ? 1440 : Number(res);
-    const backDays = Math.min(
-      Math.ceil((WANT * resMin) / (6.5 * 60)) * 1.3,
-      maxDaysFor(resMin)
+    // Sessions needed for WANT bars, counted back on the exchange calendar
+    // (weekends / holidays skipped), capped by the API's calendar-day limit
+    const WANT     = 200;
+    const resMin   = res === "D" ? 1440 : Number(res);
+    const cal      = calendarForSymbol(symbol);
+    const sessions = res === "D" ? WANT : Math.ceil((WANT * resMin) / cal.sessionMinutes());
+    const end      = ist().unix();
+    const start    = Math.max(
+      cal.midnight(cal.tradingDaysBack(cal.dateOf(end), sessions)),
+      ist().subtract(maxDaysFor(resMin), "days").unix()
     );
-    const end   = moment().unix();
-    const start = moment().subtract(backDays, "days").unix();
 
-    /* 5️⃣ SQLite first ----------------------------------------- */
-    if (candleDB.countCandles(symbol, res, start, end) >= WANT) {
-      const candles = candleDB.getCandles(symbol, res, start, end);
+    /* 5️⃣ candle store first ----------------------------------- */
+    if (await candleStore.countCandles(symbol, res, start, end) >= WANT) {
+      const candles = await candleStore.getCandles(symbol, res, start, end);
       const ok = { success: true, candles };
       this.cache.set(`${symbol}_${res}_${start}_${end}`, { ts: Date.now(), data: ok });
       return ok;
@@ -191,15 +228,17 @@ class TradingService {
     if (hit && Date.now() - hit.ts < this.cacheTTL) return hit.data;
 
     /* 7️⃣ call API --------------------------------------------- */
+    // Continuous futures are fetched through the front-month contract with
+    // cont_flag=1 and stored under the continuous symbol
     const p = {
-      symbol,
+      symbol     : instruments.resolve(symbol),
       resolution : res,
       date_format: "1",
-      range_from : moment.unix(start).format("YYYY-MM-DD"),
-      range_to   : moment.unix(end).format("YYYY-MM-DD"),
-      cont_flag  : "1"
+      range_from : ist(start).format("YYYY-MM-DD"),
+      range_to   : ist(end).format("YYYY-MM-DD"),
+      cont_flag  : instruments.contFlag(symbol)
     };
-    console.log(`📈 ${symbol}@${res} ${p.range_from} → ${p.range_to}`);
+    console.log(`📈 ${symbol}@${res} ${p.range_from} → ${p.range_to}${p.symbol !== symbol ? ` via ${p.symbol}` : ""}`);
 
     let result = await this._fetch(p, symbol, res, WANT);
     if (!result || typeof result !== "object")
@@ -209,19 +248,49 @@ class TradingService {
 
     /* 8️⃣ persist & memoise ------------------------------------ */
     if (result.success && Array.isArray(result.candles) && result.candles.length) {
-      candleDB.storeCandles(symbol, res, result.candles);
+      try {
+        await candleStore.storeCandles(symbol, res, result.candles);
+      } catch (err) {
+        console.error(`⚠️ storing ${symbol}@${res} candles failed:`, err.message);
+      }
     }
     this.cache.set(key, { ts: Date.now(), data: result });
     return result;
   }
 
+  /* ---------------- public: explicit date range ---------------- */
+  // Fetches [from, to] (unix seconds) in windows the API accepts for the
+  // resolution, storing every window in the candle store. Returns the candle count;
+  // throws when a window still fails after _fetch's retries.
+  async getHistoricalRange(symbol, resolution, from, to) {
+    const res = rangeResolution(resolution);
+    instruments.validate(symbol);
+
+    const contract   = instruments.resolve(symbol);
+    const windowDays = windowDaysFor(res);
+    let total = 0;
+    for (let start = from; start <= to; start += windowDays * 86_400) {
+      const end = Math.min(to, start + windowDays * 86_400 - 1);
+      await this.limiter.wait();
+      const p = {
+        symbol: contract, resolution: res, date_format: "0",
+        range_from: String(start), range_to: String(end), cont_flag: instruments.contFlag(symbol)
+      };
+      console.log(`📈 ${symbol}@${res} ${ist(start).format("YYYY-MM-DD")} → ${ist(end).format("YYYY-MM-DD")}`);
+      const { success, candles = [] } = await this._fetch(p, symbol, res, 0);
+      if (!success) throw new Error(`History fetch failed for ${symbol}@${res} from ${ist(start).format("YYYY-MM-DD")}`);
+      if (candles.length) await candleStore.storeCandles(symbol, res, candles);
+      total += candles.length;
+    }
+    return total;
+  }
+
   /* ---------------- roll-up helper ------------------------------ */
   _rollup(daily, mode) {
     if (!daily?.length) return [];
     const m = new Map();
     daily.forEach(([ts, o, h, l, c, v]) => {
-      const d = moment.unix(ts);
-      const key = mode === "W" ? `${d.isoWeek()}_${d.year()}` : `${d.year()}_${d.format("MM")}`;
+      const key = periodKey(ts, mode);
       if (!m.has(key)) m.set(key, [ts, o, h, l, c, v]);
       else {
         const r = m.get(key);
@@ -234,6 +303,122 @@ class TradingService {
     return [...m.values()].sort((a, b) => a[0] - b[0]);
   }
 
+  /* ---------------- orders ------------------------------------- */
+  // All mutating calls go through #send(): in dry-run mode the exact request
+  // is logged and a fake "ok" response is returned instead of hitting Fyers.
+  setDryRun(on) {
+    this.dryRun = !!on;
+    console.log(`🧪 Dry-run ${this.dryRun ? "enabled" : "disabled"}`);
+    return this.dryRun;
+  }
+
+  isDryRun() { return this.dryRun; }
+
+  // { symbol, qty, side: BUY|SELL, type: MARKET|LIMIT|SL|SL-M, limitPrice, stopPrice,
+  //   productType, validity, disclosedQty, stopLoss, takeProfit, orderTag }
+  buildOrder(o = {}) {
+    if (!o.symbol) throw new Error("symbol is required");
+    const symbol = instruments.resolve(o.symbol);     // continuous future → front-month contract
+    instruments.validate(symbol);
+    const qty  = num(o.qty, "qty");
+    if (!Number.isInteger(qty) || qty <= 0) throw new Error("qty must be a positive integer");
+    const lot  = instruments.lotSize(symbol);
+    if (qty % lot) throw new Error(`qty must be a multiple of the lot size (${lot}) for ${symbol}`);
+
+    const side = SIDES[String(o.side ?? "").toUpperCase()];
+    if (!side) throw new Error(`Invalid side: ${o.side} (BUY or SELL)`);
+
+    const typeName = String(o.type ?? "MARKET").toUpperCase();
+    const type = ORDER_TYPES[typeName];
+    if (!type) throw new Error(`Invalid order type: ${o.type} (${Object.keys(ORDER_TYPES).join(", ")})`);
+
+    const productType = String(o.productType ?? "INTRADAY").toUpperCase();
+    if (!PRODUCTS.includes(productType)) throw new Error(`Invalid productType: ${o.productType}`);
+
+    const limitPrice = type === ORDER_TYPES.LIMIT || type === ORDER_TYPES.SL ? num(o.limitPrice, "limitPrice") : 0;
+    const stopPrice  = type === ORDER_TYPES.SL || type === ORDER_TYPES["SL-M"] ? num(o.stopPrice, "stopPrice") : 0;
+
+    return {
+      symbol,
+      qty,
+      type,
+      side,
+      productType,
+      limitPrice,
+      stopPrice,
+      validity    : String(o.validity ?? "DAY").toUpperCase(),
+      disclosedQty: Number(o.disclosedQty) || 0,
+      offlineOrder: !!o.offlineOrder,
+      stopLoss    : Number(o.stopLoss) || 0,
+      takeProfit  : Number(o.takeProfit) || 0,
+      ...(o.orderTag ? { orderTag: String(o.orderTag) } : {})
+    };
+  }
+
+  async placeOrder(order) {
+    const req = this.buildOrder(order);
+    if (["BO", "CO"].includes(req.productType) && !req.stopLoss)
+      throw new Error(`${req.productType} orders need a stopLoss`);
+    if (req.productType === "BO" && !req.takeProfit)
+      throw new Error("BO orders need a takeProfit");
+    return this.#send("place_order", req);
+  }
+
+  // stopLoss / takeProfit are price distances (points) from the entry, as Fyers expects
+  async placeBracketOrder(order) {
+    return this.placeOrder({ ...order, productType: "BO", stopLoss: num(order.stopLoss, "stopLoss"), takeProfit: num(order.takeProfit, "takeProfit") });
+  }
+
+  async placeCoverOrder(order) {
+    return this.placeOrder({ ...order, productType: "CO", stopLoss: num(order.stopLoss, "stopLoss"), takeProfit: 0 });
+  }
+
+  async modifyOrder(id, changes = {}) {
+    if (!id) throw new Error("order id is required");
+    const req = { id: String(id) };
+    if (changes.qty !== undefined)        req.qty        = num(changes.qty, "qty");
+    if (changes.limitPrice !== undefined) req.limitPrice = num(changes.limitPrice, "limitPrice");
+    if (changes.stopPrice !== undefined)  req.stopPrice  = num(changes.stopPrice, "stopPrice");
+    if (changes.type !== undefined) {
+      req.type = ORDER_TYPES[String(changes.type).toUpperCase()];
+      if (!req.type) throw new Error(`Invalid order type: ${changes.type}`);
+    }
+    if (Object.keys(req).length === 1) throw new Error("Nothing to modify");
+    return this.#send("modify_order", req);
+  }
+
+  async cancelOrder(id) {
+    if (!id) throw new Error("order id is required");
+    return this.#send("cancel_order", { id: String(id) });
+  }
+
+  async getOrderBook() { return this.#read("get_orders"); }
+  async getPositions() { return this.#read("get_positions"); }
+  async getHoldings()  { return this.#read("get_holdings"); }
+
+  async #read(method) {
+    await this.initialize();
+    await this.orderLimiter.wait();
+    const resp = await this.fyers[method]();
+    if (!resp || resp.s !== "ok") throw new Error(resp?.message || `${method} failed`);
+    return resp;
+  }
+
+  async #send(method, req) {
+    if (this.dryRun) {
+      console.log(`🧪 DRY-RUN ${method}: ${JSON.stringify(req)}`);
+      const id = req.id ?? `DRY-${Date.now()}-${++dryRunSeq}`;
+      return { s: "ok", code: 1101, message: "dry-run: request not sent", id, dryRun: true, request: req };
+    }
+
+    await this.initialize();
+    await this.orderLimiter.wait();
+    console.log(`📤 ${method}: ${JSON.stringify(req)}`);
+    const resp = await this.fyers[method](req);
+    if (!resp || resp.s !== "ok") throw new Error(resp?.message || `${method} failed`);
+    return { ...resp, request: req };
+  }
+
   /* ---------------- misc pass-throughs -------------------------- */
   async getProfile()            { await this.initialize(); return this.fyers.get_profile(); }
   async connectOrderSocket(t)   { if (!t) throw new Error("token required"); return require("./orderSocket").connect(t); }
@@ -241,3 +426,7 @@ class TradingService {
 }
 
 module.exports = new TradingService();
+module.exports.TradingService = TradingService;
+module.exports.windowDaysFor = windowDaysFor;
+module.exports.rangeResolution = rangeResolution;
+module.exports.RateLimiter   = RateLimiter;
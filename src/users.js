@@ -0,0 +1,258 @@
+/* ------------------------------------------------------------------ */
+/*  users.js – app users, API keys and the per-user audit log          */
+/* ------------------------------------------------------------------ */
+// Everything lives in data/app.sqlite:
+//
+//   users       username, scrypt password hash, role (viewer < trader < admin),
+//               the Fyers accounts (accounts.js) the user may see and trade –
+//               NULL for all of them; admins always have all – and when the
+//               password last changed (older JWTs stop working, access.js)
+//   api_keys    sha256 of "fk_…" keys; the key itself is shown once on creation
+//   audit_log   who did what: logins, every changing API request, denials
+//
+// With no users yet, AUTH_ADMIN_USER / AUTH_ADMIN_PASSWORD create the first
+// admin on start. Each audit entry is also emitted as "audit" so server.js
+// can stream it to the admin socket namespace.
+
+const crypto           = require("crypto");
+const { EventEmitter } = require("events");
+const appDB            = require("./appDB");
+
+const ROLES   = ["viewer", "trader", "admin"];
+const NAME_RE = /^[\w.@-]{3,64}$/;
+const MIN_PASSWORD = 8;
+
+const sha256 = s => crypto.createHash("sha256").update(s).digest("hex");
+
+// "scrypt$<salt>$<hash>", both base64url
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, 32);
+  return `scrypt$${salt.toString("base64url")}$${hash.toString("base64url")}`;
+}
+
+function checkPassword(password, stored) {
+  const [, salt, hash] = String(stored).split("$");
+  const want = Buffer.from(hash ?? "", "base64url");
+  const got  = crypto.scryptSync(String(password), Buffer.from(salt ?? "", "base64url"), 32);
+  return want.length === got.length && crypto.timingSafeEqual(want, got);
+}
+
+// Compared against when the user doesn't exist, so both cases take as long
+const DUMMY_HASH = hashPassword(crypto.randomBytes(8).toString("hex"));
+
+const roleAtLeast = (role, min) => ROLES.indexOf(role) >= ROLES.indexOf(min) && ROLES.includes(min);
+
+class UserStore extends EventEmitter {
+  constructor(opts = {}) {
+    super();
+    this.db = opts.db ?? appDB;
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS users (
+        username    TEXT PRIMARY KEY,
+        password    TEXT NOT NULL,        -- scrypt$salt$hash
+        role        TEXT NOT NULL,
+        disabled    INTEGER NOT NULL DEFAULT 0,
+        created_at  INTEGER NOT NULL,
+        accounts    TEXT,                 -- JSON array of account ids, NULL = all
+        password_changed_at INTEGER         -- ms; NULL for users from before it was kept
+      );
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id          INTEGER PRIMARY KEY AUTOINCREMENT,
+        username    TEXT NOT NULL REFERENCES users(username) ON DELETE CASCADE,
+        name        TEXT NOT NULL,
+        prefix      TEXT NOT NULL,        -- first characters, to tell keys apart
+        key_hash    TEXT NOT NULL UNIQUE,
+        created_at  INTEGER NOT NULL,
+        last_used   INTEGER
+      );
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id          INTEGER PRIMARY KEY AUTOINCREMENT,
+        ts          INTEGER NOT NULL,
+        username    TEXT,                 -- NULL for anonymous requests
+        role        TEXT,
+        action      TEXT NOT NULL,        -- login | login_failed | request | denied | candle_fetch | fyers_login …
+        method      TEXT,
+        path        TEXT,
+        status      INTEGER,
+        ip          TEXT,
+        details     TEXT                  -- JSON
+      );
+      CREATE INDEX IF NOT EXISTS idx_audit_user_ts ON audit_log(username, ts);
+    `);
+    // Users from before account access existed keep seeing every account
+    const columns = this.db.prepare(`PRAGMA table_info(users)`).all().map(c => c.name);
+    if (!columns.includes("accounts")) this.db.exec(`ALTER TABLE users ADD COLUMN accounts TEXT`);
+    if (!columns.includes("password_changed_at")) this.db.exec(`ALTER TABLE users ADD COLUMN password_changed_at INTEGER`);
+    this._audit = this.db.prepare(`
+      INSERT INTO audit_log (ts, username, role, action, method, path, status, ip, details)
+      VALUES (@ts, @username, @role, @action, @method, @path, @status, @ip, @details)
+    `);
+
+    const admin = opts.admin ?? { username: process.env.AUTH_ADMIN_USER, password: process.env.AUTH_ADMIN_PASSWORD };
+    if (!this.count()) {
+      if (admin.username && admin.password) {
+        this.create({ ...admin, role: "admin" });
+        console.log(`🔐 Created admin user ${admin.username}`);
+      } else {
+        console.warn("⚠️ No users yet – set AUTH_ADMIN_USER and AUTH_ADMIN_PASSWORD to create the first admin");
+      }
+    }
+  }
+
+  /* ---------------- users -------------------------------------- */
+  count() { return this.db.prepare(`SELECT COUNT(*) AS n FROM users`).get().n; }
+
+  list() {
+    return this.db.prepare(`SELECT * FROM users ORDER BY username`).all().map(UserStore.#public);
+  }
+
+  // Public fields, or null
+  get(username) {
+    const row = this.#row(username);
+    return row ? UserStore.#public(row) : null;
+  }
+
+  // accounts: account ids, null for all; other users than admins get "default" unless given
+  create({ username, password, role = "viewer", accounts = role === "admin" ? null : ["default"] } = {}) {
+    if (!NAME_RE.test(String(username ?? ""))) throw new Error("username must be 3–64 letters, digits or . _ @ -");
+    if (this.#row(username)) throw new Error(`User ${username} already exists`);
+    UserStore.#validate({ password, role, accounts });
+    const now = Date.now();
+    this.db.prepare(`INSERT INTO users (username, password, role, created_at, accounts, password_changed_at) VALUES (?, ?, ?, ?, ?, ?)`)
+      .run(username, hashPassword(password), role, now, UserStore.#accountsJson(accounts), now);
+    return this.get(username);
+  }
+
+  // { role, password, disabled, accounts }
+  update(username, changes = {}) {
+    const row = this.#existing(username);
+    UserStore.#validate(changes);
+    const demoted = (changes.role && changes.role !== "admin") || changes.disabled;
+    if (this.#activeAdmin(row) && demoted && this.#admins() === 1) throw new Error("The last admin can't be demoted or disabled");
+
+    if (changes.role !== undefined) this.db.prepare(`UPDATE users SET role = ? WHERE username = ?`).run(changes.role, username);
+    if (changes.password !== undefined) this.db.prepare(`UPDATE users SET password = ?, password_changed_at = ? WHERE username = ?`).run(hashPassword(changes.password), Date.now(), username);
+    if (changes.disabled !== undefined) this.db.prepare(`UPDATE users SET disabled = ? WHERE username = ?`).run(changes.disabled ? 1 : 0, username);
+    if (changes.accounts !== undefined) this.db.prepare(`UPDATE users SET accounts = ? WHERE username = ?`).run(UserStore.#accountsJson(changes.accounts), username);
+    return this.get(username);
+  }
+
+  remove(username) {
+    const row = this.#existing(username);
+    if (this.#activeAdmin(row) && this.#admins() === 1) throw new Error("The last admin can't be removed");
+    this.db.prepare(`DELETE FROM api_keys WHERE username = ?`).run(username);
+    this.db.prepare(`DELETE FROM users WHERE username = ?`).run(username);
+    return { removed: username };
+  }
+
+  // The user for a correct password, else null (disabled users included)
+  verifyPassword(username, password) {
+    const row = this.#row(username);
+    const ok  = checkPassword(password ?? "", row?.password ?? DUMMY_HASH);
+    return ok && row && !row.disabled ? UserStore.#public(row) : null;
+  }
+
+  // Whether `user` (public fields) may see and trade Fyers account `id`
+  mayUse(user, id) {
+    return !!user && (user.role === "admin" || user.accounts === null || user.accounts.includes(String(id)));
+  }
+
+  /* ---------------- API keys ----------------------------------- */
+  // { key, apiKey } – `key` is not stored and can't be shown again
+  createApiKey(username, name = "default") {
+    this.#existing(username);
+    const key = `fk_${crypto.randomBytes(24).toString("base64url")}`;
+    const { lastInsertRowid } = this.db.prepare(`
+      INSERT INTO api_keys (username, name, prefix, key_hash, created_at) VALUES (?, ?, ?, ?, ?)
+    `).run(username, String(name).slice(0, 64), key.slice(0, 10), sha256(key), Date.now());
+    return { key, apiKey: this.listApiKeys(username).find(k => k.id === Number(lastInsertRowid)) };
+  }
+
+  listApiKeys(username) {
+    return this.db.prepare(`SELECT id, name, prefix, created_at, last_used FROM api_keys WHERE username = ? ORDER BY id`)
+      .all(username)
+      .map(r => ({ id: r.id, name: r.name, prefix: r.prefix, createdAt: r.created_at, lastUsed: r.last_used }));
+  }
+
+  revokeApiKey(username, id) {
+    const { changes } = this.db.prepare(`DELETE FROM api_keys WHERE username = ? AND id = ?`).run(username, Number(id));
+    if (!changes) throw new Error(`Unknown API key: ${id}`);
+    return { revoked: Number(id) };
+  }
+
+  // The key's user, or null
+  verifyApiKey(key) {
+    const row = this.db.prepare(`
+      SELECT k.id, u.* FROM api_keys k JOIN users u ON u.username = k.username WHERE k.key_hash = ?
+    `).get(sha256(String(key ?? "")));
+    if (!row || row.disabled) return null;
+    this.db.prepare(`UPDATE api_keys SET last_used = ? WHERE id = ?`).run(Date.now(), row.id);
+    return UserStore.#public(row);
+  }
+
+  /* ---------------- audit log ---------------------------------- */
+  // { user, action, method, path, status, ip, details }
+  audit({ user = null, action, method = null, path = null, status = null, ip = null, details = null }) {
+    const entry = {
+      ts: Date.now(), username: user?.username ?? null, role: user?.role ?? null,
+      action, method, path, status, ip, details: details ? JSON.stringify(details).slice(0, 4000) : null
+    };
+    const { lastInsertRowid } = this._audit.run(entry);
+    const out = { id: Number(lastInsertRowid), ...entry, details };
+    this.emit("audit", out);
+    return out;
+  }
+
+  // Newest first; ?user=&action=&since=&limit=
+  auditLog({ user, action, since, limit = 100 } = {}) {
+    const where = [], args = [];
+    if (user)   { where.push("username = ?"); args.push(user); }
+    if (action) { where.push("action = ?");   args.push(action); }
+    if (since)  { where.push("ts >= ?");      args.push(Number(since)); }
+    return this.db.prepare(`
+      SELECT * FROM audit_log ${where.length ? `WHERE ${where.join(" AND ")}` : ""} ORDER BY id DESC LIMIT ?
+    `).all(...args, Math.min(Number(limit) || 100, 1000))
+      .map(r => ({ ...r, details: r.details ? JSON.parse(r.details) : null }));
+  }
+
+  /* ---------------- internals ---------------------------------- */
+  #row(username) { return this.db.prepare(`SELECT * FROM users WHERE username = ?`).get(String(username ?? "")); }
+
+  #existing(username) {
+    const row = this.#row(username);
+    if (!row) throw new Error(`Unknown user: ${username}`);
+    return row;
+  }
+
+  #admins() { return this.db.prepare(`SELECT COUNT(*) AS n FROM users WHERE role = 'admin' AND disabled = 0`).get().n; }
+
+  // Counted by #admins(): a disabled admin may be demoted or removed freely
+  #activeAdmin(row) { return row.role === "admin" && !row.disabled; }
+
+  static #validate({ password, role, accounts }) {
+    if (password !== undefined && String(password).length < MIN_PASSWORD)
+      throw new Error(`password must be at least ${MIN_PASSWORD} characters`);
+    if (role !== undefined && !ROLES.includes(role)) throw new Error(`Invalid role: ${role} (${ROLES.join(", ")})`);
+    if (accounts !== undefined && accounts !== null && !(Array.isArray(accounts) && accounts.every(a => typeof a === "string")))
+      throw new Error("accounts must be an array of account ids or null");
+  }
+
+  static #accountsJson(accounts) { return accounts === null ? null : JSON.stringify([...new Set(accounts)]); }
+
+  static #public(row) {
+    return {
+      username : row.username,
+      role     : row.role,
+      disabled : !!row.disabled,
+      accounts : row.accounts ? JSON.parse(row.accounts) : null,
+      createdAt: row.created_at,
+      passwordChangedAt: row.password_changed_at
+    };
+  }
+}
+
+module.exports = UserStore;
+module.exports.ROLES       = ROLES;
+module.exports.roleAtLeast = roleAtLeast;
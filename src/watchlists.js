@@ -0,0 +1,190 @@
+/* ------------------------------------------------------------------ */
+/*  watchlists.js – named symbol lists, one of them active             */
+/* ------------------------------------------------------------------ */
+// Replaces the hard-coded universe in dataSocket.js. Lists live in
+// data/app.sqlite; on first run a "default" list is seeded from
+// nifty50Symbols and activated. Whenever the active universe changes a
+// "change" event { added, removed, symbols } is emitted so server.js can
+// (un)subscribe the data socket and hydrate / drop Strategy state.
+
+const { EventEmitter }   = require("events");
+const appDB              = require("./appDB");
+const instruments        = require("./instruments");
+const { nifty50Symbols } = require("./dataSocket");
+
+const NAME_RE = /^[\w-]{1,40}$/;
+
+// "reliance" → "NSE:RELIANCE-EQ", "nifty25janfut" → "NSE:NIFTY25JANFUT";
+// fully qualified symbols are only upper-cased
+function normalizeSymbol(raw) {
+  const s = String(raw ?? "").trim().toUpperCase();
+  if (!s) return null;
+  if (s.includes(":")) return s;
+  return s.includes("-") || instruments.isDerivativeCode(s) ? `NSE:${s}` : `NSE:${s}-EQ`;
+}
+
+// First column, or the "symbol" column when there is a header row
+function parseCSV(text) {
+  const rows = String(text ?? "").split(/\r?\n/).map(l => l.split(",").map(c => c.trim().replace(/^"|"$/g, "")));
+  const head = rows[0]?.map(c => c.toLowerCase()) ?? [];
+  const col  = head.findIndex(c => c === "symbol" || c === "ticker");
+  const body = col >= 0 ? rows.slice(1) : rows;
+  return body.map(r => normalizeSymbol(r[Math.max(col, 0)])).filter(Boolean);
+}
+
+class WatchlistStore extends EventEmitter {
+  constructor(io, opts = {}) {
+    super();
+    this.io = io;
+    this.db = opts.db ?? appDB;
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS watchlists (
+        id          INTEGER PRIMARY KEY AUTOINCREMENT,
+        name        TEXT NOT NULL UNIQUE,
+        active      INTEGER NOT NULL DEFAULT 0,
+        created_at  INTEGER NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS watchlist_symbols (
+        watchlist_id INTEGER NOT NULL REFERENCES watchlists(id) ON DELETE CASCADE,
+        symbol       TEXT NOT NULL,
+        added_at     INTEGER NOT NULL,
+        PRIMARY KEY (watchlist_id, symbol)
+      );
+    `);
+    this._addSym = this.db.prepare(`INSERT OR IGNORE INTO watchlist_symbols (watchlist_id, symbol, added_at) VALUES (?, ?, ?)`);
+    this._delSym = this.db.prepare(`DELETE FROM watchlist_symbols WHERE watchlist_id = ? AND symbol = ?`);
+
+    // validate() – continuous futures are checked through their front-month contract
+    this.symbols = opts.symbolMaster ?? instruments;
+
+    // Seed symbols are trusted – they predate the symbol master
+    if (!this.db.prepare(`SELECT COUNT(*) AS n FROM watchlists`).get().n) {
+      const { lastInsertRowid } = this.db.prepare(`INSERT INTO watchlists (name, created_at) VALUES ('default', ?)`).run(Date.now());
+      (opts.seed ?? nifty50Symbols).forEach(s => this._addSym.run(lastInsertRowid, s, Date.now()));
+      this.activate("default");
+    }
+  }
+
+  /* ---------------- queries ------------------------------------ */
+  list() {
+    return this.db.prepare(`
+      SELECT w.name, w.active, w.created_at, COUNT(s.symbol) AS count
+      FROM watchlists w LEFT JOIN watchlist_symbols s ON s.watchlist_id = w.id
+      GROUP BY w.id ORDER BY w.name
+    `).all().map(r => ({ name: r.name, active: !!r.active, count: r.count, createdAt: r.created_at }));
+  }
+
+  get(name) {
+    const w = this.#row(name);
+    return { name: w.name, active: !!w.active, createdAt: w.created_at, symbols: this.#symbols(w.id) };
+  }
+
+  getActive() {
+    const w = this.db.prepare(`SELECT * FROM watchlists WHERE active = 1`).get();
+    return w ? this.get(w.name) : null;
+  }
+
+  getActiveSymbols() { return this.getActive()?.symbols ?? []; }
+
+  /* ---------------- mutations ---------------------------------- */
+  create(name, symbols = []) {
+    if (!NAME_RE.test(String(name ?? ""))) throw new Error(`Invalid watchlist name: ${name}`);
+    if (this.db.prepare(`SELECT 1 FROM watchlists WHERE name = ?`).get(name))
+      throw new Error(`Watchlist already exists: ${name}`);
+
+    this.db.prepare(`INSERT INTO watchlists (name, created_at) VALUES (?, ?)`).run(name, Date.now());
+    if (symbols.length) this.addSymbols(name, symbols);
+    return this.get(name);
+  }
+
+  delete(name) {
+    const w = this.#row(name);
+    if (w.active) throw new Error(`Cannot delete the active watchlist (${name}); activate another one first`);
+    this.db.transaction(() => {
+      this.db.prepare(`DELETE FROM watchlist_symbols WHERE watchlist_id = ?`).run(w.id);
+      this.db.prepare(`DELETE FROM watchlists WHERE id = ?`).run(w.id);
+    })();
+    return { name };
+  }
+
+  addSymbols(name, symbols) {
+    return this.#mutate(name, w => {
+      const now = Date.now();
+      this.#clean(symbols).forEach(s => this._addSym.run(w.id, s, now));
+    });
+  }
+
+  removeSymbols(name, symbols) {
+    return this.#mutate(name, w => this.#clean(symbols).forEach(s => this._delSym.run(w.id, s)));
+  }
+
+  // replace = true swaps the list contents for the CSV, otherwise it is merged in
+  importCSV(name, text, { replace = false } = {}) {
+    const symbols = this.#clean(parseCSV(text));
+    if (!symbols.length) throw new Error("CSV contains no symbols");
+    if (!this.db.prepare(`SELECT 1 FROM watchlists WHERE name = ?`).get(name)) return this.create(name, symbols);
+
+    return this.#mutate(name, w => {
+      if (replace) this.db.prepare(`DELETE FROM watchlist_symbols WHERE watchlist_id = ?`).run(w.id);
+      const now = Date.now();
+      symbols.forEach(s => this._addSym.run(w.id, s, now));
+    });
+  }
+
+  activate(name) {
+    const w      = this.#row(name);
+    const before = this.getActiveSymbols();
+    this.db.transaction(() => {
+      this.db.prepare(`UPDATE watchlists SET active = 0 WHERE active = 1`).run();
+      this.db.prepare(`UPDATE watchlists SET active = 1 WHERE id = ?`).run(w.id);
+    })();
+    console.log(`📋 Activated watchlist "${name}"`);
+    this.#changed(before);
+    return this.get(name);
+  }
+
+  /* ---------------- internals ---------------------------------- */
+  #row(name) {
+    const w = this.db.prepare(`SELECT * FROM watchlists WHERE name = ?`).get(name);
+    if (!w) throw new Error(`Unknown watchlist: ${name}`);
+    return w;
+  }
+
+  #symbols(id) {
+    return this.db.prepare(`SELECT symbol FROM watchlist_symbols WHERE watchlist_id = ? ORDER BY added_at, rowid`)
+      .all(id).map(r => r.symbol);
+  }
+
+  // Normalised, de-duplicated and checked against the symbol master
+  #clean(symbols) {
+    if (!Array.isArray(symbols)) throw new Error("symbols must be an array");
+    const out = [...new Set(symbols.map(normalizeSymbol).filter(Boolean))];
+    out.forEach(s => this.symbols.validate(s));
+    return out;
+  }
+
+  // Run a change against one list; emits "change" if it is the active list
+  #mutate(name, fn) {
+    const w      = this.#row(name);
+    const before = w.active ? this.getActiveSymbols() : null;
+    this.db.transaction(() => fn(w))();
+    if (before) this.#changed(before);
+    return this.get(name);
+  }
+
+  #changed(before) {
+    const symbols = this.getActiveSymbols();
+    const added   = symbols.filter(s => !before.includes(s));
+    const removed = before.filter(s => !symbols.includes(s));
+    if (!added.length && !removed.length) return;
+
+    const change = { name: this.getActive()?.name, added, removed, symbols };
+    this.emit("change", change);
+    this.io?.emit("watchlistChange", change);
+  }
+}
+
+module.exports = WatchlistStore;
+module.exports.normalizeSymbol = normalizeSymbol;
+module.exports.parseCSV        = parseCSV;
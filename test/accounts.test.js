@@ -0,0 +1,148 @@
+// AccountRegistry on the simulator: per-account auth, trading, orders and
+// risk over one database, strategy assignments, and the order sockets of
+// accounts other than "default".
+process.env.CANDLE_DB_PATH = ":memory:";
+process.env.APP_DB_PATH    = ":memory:";
+process.env.FYERS_MOCK     = "true";
+process.env.FYERS_APP_ID     ??= "TEST-100";
+process.env.FYERS_SECRET_KEY ??= "secret";
+
+const { describe, test, after } = require("node:test");
+const assert   = require("node:assert/strict");
+const Database = require("better-sqlite3");
+const AccountRegistry = require("../src/accounts");
+const TokenStore = require("../src/tokenStore");
+const OrderStore = require("../src/orderStore");
+const { FyersAuthManager } = require("../src/auth2.0");
+const { TradingService } = require("../src/tradingService");
+
+process.env.CLIENT1_SECRET = "s1";
+
+const CONFIG = {
+  client1: { name: "Client One", appId: "CL1-100", secretKey: "env:CLIENT1_SECRET", pin: "1234", strategies: ["bullish"] },
+  client2: { appId: "CL2-100", secretKey: "s2", risk: { capital: 100_000 } }
+};
+const ORDER = { symbol: "NSE:SBIN-EQ", qty: 1, side: "BUY", type: "MARKET", productType: "INTRADAY" };
+
+const registries = [];
+function registry(db = new Database(":memory:"), config = CONFIG) {
+  const store = new TokenStore({ db, secret: "k" });
+  const auth  = new FyersAuthManager({ store, appId: "APP-100", secret: "s", account: "APP-100" });
+  const reg   = new AccountRegistry(null, { db, config, auth, trading: new TradingService({ auth }) });
+  // Token rows of the configured accounts go to the same in-memory database
+  reg.all().forEach(a => (a.auth.store = store));
+  registries.push(reg);
+  return reg;
+}
+
+after(() => registries.forEach(r => r.stop()));
+
+describe("configuration", () => {
+  test("default plus the configured accounts, each with its own services", () => {
+    const reg = registry();
+    assert.deepEqual(reg.all().map(a => a.id), ["default", "client1", "client2"]);
+
+    const c1 = reg.get("client1");
+    assert.equal(c1.name, "Client One");
+    assert.equal(c1.appId, "CL1-100");
+    assert.equal(c1.auth.secret, "s1");                     // env:CLIENT1_SECRET
+    assert.equal(c1.auth.pin, "1234");
+    assert.equal(c1.auth.account, "sim:client1");
+    assert.equal(reg.get("client2").risk.config.capital, 100_000);
+
+    const [d, a, b] = reg.all();
+    assert.notEqual(a.trading, b.trading);
+    assert.notEqual(a.trading.limiter, d.trading.limiter);
+    assert.notEqual(a.orders, b.orders);
+    assert.equal(a.trading.auth, a.auth);
+  });
+
+  test("unknown, invalid and duplicate ids", () => {
+    const reg = registry();
+    assert.throws(() => reg.get("nobody"), /Unknown account: nobody/);
+    assert.throws(() => registry(undefined, { "bad id": { appId: "X-100" } }), /Invalid account id/);
+    assert.throws(() => registry(undefined, { default: { appId: "X-100" } }), /Duplicate account: default/);
+    assert.throws(() => registry(undefined, { c: {} }), /appId is required/);
+  });
+});
+
+describe("strategy assignments", () => {
+  test("defaults: every rule set for default, the configured list or none otherwise", () => {
+    const reg = registry();
+    assert.equal(reg.get("default").strategies, null);
+    assert.deepEqual(reg.get("client1").strategies, ["bullish"]);
+    assert.deepEqual(reg.get("client2").strategies, []);
+    assert.deepEqual(reg.accountsFor("bullish").map(a => a.id), ["default", "client1"]);
+    assert.deepEqual(reg.accountsFor("bearish").map(a => a.id), ["default"]);
+  });
+
+  test("assignStrategies validates, persists and overrides the config", () => {
+    const db  = new Database(":memory:");
+    const reg = registry(db);
+    const known = ["bullish", "bearish"];
+    assert.throws(() => reg.assignStrategies("client2", ["nope"], known), /Unknown strategy: nope/);
+    assert.throws(() => reg.assignStrategies("client2", "bearish", known), /must be an array/);
+
+    reg.assignStrategies("client2", ["bearish", "bearish"], known);
+    reg.assignStrategies("client1", null, known);
+    assert.deepEqual(reg.accountsFor("bearish").map(a => a.id), ["default", "client1", "client2"]);
+
+    const again = registry(db);
+    assert.deepEqual(again.get("client2").strategies, ["bearish"]);
+    assert.equal(again.get("client1").strategies, null);
+  });
+});
+
+describe("orders and risk per account", () => {
+  test("orders are kept apart in the shared table", async () => {
+    const db  = new Database(":memory:");
+    const reg = registry(db);
+    const [c1, c2] = [reg.get("client1"), reg.get("client2")];
+    c1.trading.setDryRun(true);
+
+    const order = c1.orders.recordPlaced(await c1.trading.placeOrder(ORDER));
+    assert.equal(order.account, "client1");
+    assert.equal(c1.orders.list().length, 1);
+    assert.equal(c2.orders.list().length, 0);
+    assert.equal(c2.trading.isDryRun(), false);
+
+    assert.equal(new OrderStore(null, { db, account: "client1" }).get(order.id).symbol, "NSE:SBIN-EQ");
+    assert.equal(new OrderStore(null, { db, account: "client2" }).get(order.id), null);
+  });
+
+  test("an orders table from before accounts is migrated to default", () => {
+    const db = new Database(":memory:");
+    db.exec(`CREATE TABLE orders (id TEXT PRIMARY KEY, symbol TEXT, status TEXT, dry_run INTEGER DEFAULT 0, data TEXT NOT NULL, updated_at INTEGER NOT NULL)`);
+    db.prepare(`INSERT INTO orders VALUES ('1', 'NSE:SBIN-EQ', 'FILLED', 0, ?, 0)`).run(JSON.stringify({ id: "1", symbol: "NSE:SBIN-EQ", history: [] }));
+    assert.equal(new OrderStore(null, { db }).get("1").symbol, "NSE:SBIN-EQ");
+    assert.equal(new OrderStore(null, { db, account: "client1" }).get("1"), null);
+  });
+
+  test("risk rejections are recorded under the account", async () => {
+    const reg = registry();
+    await reg.get("client1").risk.checkOrder({ ...ORDER, symbol: "NSE:NOCANDLES-EQ" });
+    assert.equal(reg.get("client1").risk.getRejections().length, 1);
+    assert.equal(reg.get("client2").risk.getRejections().length, 0);
+    assert.equal(reg.get("default").risk.getRejections().length, 0);
+  });
+});
+
+describe("initialize", () => {
+  test("logs every account in and connects the order sockets of the others", async () => {
+    const reg = registry();
+    await reg.initialize();
+    for (const a of reg.all()) assert.equal(a.auth.getStatus().status, "authenticated", a.id);
+
+    assert.equal(reg.get("default").orderSocket, null);   // server.js connects it with the data socket
+    for (const id of ["client1", "client2"]) {
+      const socket = reg.get(id).orderSocket;
+      assert.ok(socket, id);
+      assert.match(socket.accessToken, new RegExp(`^${reg.get(id).appId}:mock\\.`));
+    }
+
+    const before = reg.get("client1").orderSocket;
+    await reg.get("client1").auth.refresh();
+    assert.equal(reg.get("client1").orderSocket, before);  // reconnected, not replaced
+    assert.equal(before.accessToken, `CL1-100:${await reg.get("client1").auth.getAccessToken()}`);
+  });
+});
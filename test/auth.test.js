@@ -0,0 +1,181 @@
+// Token lifecycle: the encrypted token store, the simulator's refresh-token
+// grant and 06:00 expiry, and FyersAuthManager on top of them (simulated
+// logins approve themselves, so no browser is involved).
+process.env.CANDLE_DB_PATH = ":memory:";
+process.env.APP_DB_PATH    = ":memory:";
+process.env.FYERS_MOCK     = "true";
+process.env.FYERS_APP_ID     ??= "TEST-100";
+process.env.FYERS_SECRET_KEY ??= "secret";
+
+const { describe, test, afterEach } = require("node:test");
+const assert   = require("node:assert/strict");
+const crypto   = require("crypto");
+const Database = require("better-sqlite3");
+const TokenStore = require("../src/tokenStore");
+const { FyersAuthManager } = require("../src/auth2.0");
+const { refreshAccessToken } = require("../src/fyersApi");
+const { Simulator } = require("../src/simulator");
+const { ist, nextAt, nowUnix } = require("../src/exchangeTime");
+
+const APP  = "APP-100";
+const b64  = s => Buffer.from(s).toString("base64url");
+const hash = crypto.createHash("sha256").update(`${APP}:s`).digest("hex");
+const TOKENS = { accessToken: "a", refreshToken: "r", issuedAt: 1, expiresAt: 2, refreshExpiresAt: 3 };
+
+describe("nextAt", () => {
+  const T = 1736490600;                                     // Fri 2025-01-10 12:00 IST
+  test("later the same day, else the next day", () => {
+    assert.equal(nextAt(T, "15:30"), T + 3.5 * 3600);
+    assert.equal(nextAt(T, "06:00"), T + 18 * 3600);
+    assert.equal(nextAt(T, "12:00"), T + 86_400);           // strictly after ts
+  });
+});
+
+describe("TokenStore", () => {
+  test("round trip, encrypted at rest", () => {
+    const db    = new Database(":memory:");
+    const store = new TokenStore({ db, secret: "k1" });
+    assert.equal(store.load(APP), null);
+    store.save(APP, TOKENS);
+    assert.deepEqual(store.load(APP), TOKENS);
+
+    const { payload } = db.prepare("SELECT payload FROM fyers_tokens WHERE account = ?").get(APP);
+    assert.ok(!payload.includes("accessToken"));
+    assert.equal(payload.split(".").length, 3);
+    store.save(APP, { ...TOKENS, accessToken: "b" });
+    assert.equal(store.load(APP).accessToken, "b");
+
+    store.clear(APP);
+    assert.equal(store.load(APP), null);
+  });
+
+  test("a different key or a tampered row reads as no token", () => {
+    const db = new Database(":memory:");
+    new TokenStore({ db, secret: "k1" }).save(APP, TOKENS);
+    assert.equal(new TokenStore({ db, secret: "k2" }).load(APP), null);
+
+    const store = new TokenStore({ db, secret: "k1" });
+    const { payload } = db.prepare("SELECT payload FROM fyers_tokens").get();
+    const [iv, tag, data] = payload.split(".");
+    db.prepare("UPDATE fyers_tokens SET payload = ?").run([iv, tag, b64("x") + data].join("."));
+    assert.equal(store.load(APP), null);
+  });
+});
+
+describe("simulator: refresh-token grant", () => {
+  const sim = new Simulator();
+  const now = nowUnix();
+
+  test("refresh token + PIN → a new access token", () => {
+    const code  = `mockauth.${b64(`${APP}|${now}`)}`;
+    const login = sim.exchange({ client_id: APP, secret_key: "s", auth_code: code });
+    assert.equal(login.s, "ok");
+    assert.match(login.refresh_token, /^mockrefresh\./);
+
+    const body = { grant_type: "refresh_token", appIdHash: hash, refresh_token: login.refresh_token, pin: "1234" };
+    const resp = sim.refresh(body);
+    assert.equal(resp.s, "ok");
+    assert.equal(sim.checkToken(resp.access_token), null);
+
+    assert.equal(sim.refresh({ ...body, pin: "12" }).code, -16);
+    assert.equal(sim.refresh({ ...body, appIdHash: "x" }).code, -50);
+    assert.equal(sim.refresh({ ...body, grant_type: "authorization_code" }).code, -50);
+    assert.equal(sim.refresh({ ...body, refresh_token: "nope" }).code, -16);
+    assert.equal(sim.refresh({ ...body, refresh_token: `mockrefresh.${b64(`${APP}|${now - 16 * 86_400}`)}` }).code, -17);
+  });
+
+  test("access tokens expire at 06:00 IST the day after issue", () => {
+    const yesterday = nextAt(now - 2 * 86_400, "12:00");    // noon two days ago, IST
+    assert.equal(sim.checkToken(`mock.${b64(`${APP}|${yesterday}`)}`).code, -17);
+    assert.equal(sim.checkToken(`mock.${b64(`${APP}|${now}`)}`), null);
+  });
+
+  test("fyersApi.refreshAccessToken hashes app id and secret", async () => {
+    const refresh_token = `mockrefresh.${b64(`${APP}|${now}`)}`;
+    const resp = await refreshAccessToken({ client_id: APP, secret_key: "s", refresh_token, pin: "1234" });
+    assert.equal(resp.s, "ok");
+  });
+});
+
+describe("FyersAuthManager", () => {
+  const managers = [];
+  const manager = (opts = {}) => {
+    const m = new FyersAuthManager({ store: new TokenStore({ db: opts.db ?? new Database(":memory:"), secret: "k" }), appId: APP, secret: "s", account: APP, ...opts });
+    managers.push(m);
+    return m;
+  };
+  afterEach(() => managers.splice(0).forEach(m => m.stopTokenRefresh()));
+
+  test("no stored token: logs in, stores the tokens and schedules the refresh", async () => {
+    const db = new Database(":memory:");
+    const m  = manager({ db, pin: "1234" });
+    const tokens = [];
+    m.on("token", t => tokens.push(t));
+    await m.initialize();
+
+    const status = m.getStatus();
+    assert.equal(status.status, "authenticated");
+    assert.equal(status.hasRefreshToken, true);
+    assert.equal(status.pinConfigured, true);
+    assert.equal(status.expiresAt, ist(nowUnix()).add(1, "day").hour(6).startOf("hour").unix());
+    assert.equal(status.nextRefreshAt, status.expiresAt - 30 * 60);
+    assert.equal(status.loginUrl, null);
+    assert.deepEqual(tokens, [await m.getAccessToken()]);
+    assert.equal(new TokenStore({ db, secret: "k" }).load(APP).accessToken, tokens[0]);
+  });
+
+  test("a valid stored token is used as is", async () => {
+    const db = new Database(":memory:");
+    const first = manager({ db });
+    await first.initialize();
+
+    const second = manager({ db });
+    second.completeLogin = () => assert.fail("logged in again");
+    await second.initialize();
+    assert.equal(await second.getAccessToken(), await first.getAccessToken());
+    assert.deepEqual(second.tokens, first.tokens);
+  });
+
+  test("an expired stored token is refreshed with the PIN", async () => {
+    const db     = new Database(":memory:");
+    const issued = nowUnix() - 3 * 86_400;
+    new TokenStore({ db, secret: "k" }).save(APP, {
+      accessToken: `mock.${b64(`${APP}|${issued}`)}`,
+      refreshToken: `mockrefresh.${b64(`${APP}|${issued}`)}`,
+      issuedAt: issued, expiresAt: issued + 86_400, refreshExpiresAt: issued + 15 * 86_400,
+    });
+
+    const m = manager({ db, pin: "1234" });
+    await m.initialize();
+    assert.equal(m.status, "authenticated");
+    assert.equal(m.tokens.refreshToken, `mockrefresh.${b64(`${APP}|${issued}`)}`);   // kept
+    assert.ok(m.tokens.issuedAt >= nowUnix() - 5);
+  });
+
+  test("refresh: needs a PIN, a failure keeps the status and records the error", async () => {
+    const m = manager();
+    await m.initialize();
+    await assert.rejects(m.refresh(), /FYERS_PIN is not set/);
+
+    m.pin = "12";
+    const statuses = [];
+    m.on("status", s => statuses.push(s.status));
+    await assert.rejects(m.refresh(), /Invalid PIN/);
+    assert.deepEqual(statuses, ["refreshing", "authenticated"]);
+    assert.equal(m.getStatus().lastError, "Invalid PIN");
+
+    m.pin = "1234";
+    const before = m.tokens.accessToken;
+    const token  = await m.refresh();
+    assert.equal(m.tokens.accessToken, token);
+    assert.equal(m.getStatus().lastError, null);
+    assert.ok(token.startsWith("mock.") && before.startsWith("mock."));
+  });
+
+  test("an expired refresh token can't be used", async () => {
+    const m = manager({ pin: "1234" });
+    await m.initialize();
+    m.tokens = { ...m.tokens, refreshExpiresAt: nowUnix() - 1 };
+    await assert.rejects(m.refresh(), /Refresh token expired/);
+  });
+});
@@ -0,0 +1,92 @@
+// Backtester.run over a small in-memory CandleDB: entries on a fresh signal,
+// stop-loss / target exits for BUY and SELL rule sets (the stop wins when a
+// bar touches both), positions still open at the end, and symbols skipped
+// for lack of data.
+process.env.CANDLE_DB_PATH = ":memory:";
+process.env.APP_DB_PATH    = ":memory:";
+
+const { describe, test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { CandleDB } = require("../src/candleDB");
+const { compileRuleSet } = require("../src/rules");
+const Backtester = require("../src/backtest");
+
+const DAY   = 86_400;
+const START = 1704047400;                                    // 2024-01-01 00:00 IST
+const FROM  = "2024-01-11";                                  // bar 10: ten warm-up bars before it
+
+// [open, high, low, close] per day from START; volume 10 000
+const bars = ohlc => ohlc.map(([o, h, l, c], i) => [START + i * DAY, o, h, l, c, 10_000]);
+const flat = n => Array.from({ length: n }, () => [100, 100, 100, 100]);
+
+const UP   = compileRuleSet({ name: "up",   type: "BUY",  rules: { green: "daily.close > daily.open" }, signal: "green" });
+const DOWN = compileRuleSet({ name: "down", type: "SELL", rules: { red:   "daily.close < daily.open" }, signal: "red" });
+
+describe("Backtester.run", () => {
+  let db;
+  const run = (strategy, symbols, to) =>
+    new Backtester({ candleDB: db, strategies: [UP, DOWN], strategy, smaResolution: "D" }).run({ symbols, from: FROM, to });
+
+  before(() => {
+    db = new CandleDB(":memory:");
+    // BUY entries at 100 (stop 95, target 110)
+    db.storeCandles("NSE:LONG-EQ", "D", bars([
+      ...flat(10),
+      [ 99, 100,  99, 100],                                  // 11 Jan: signal, enter at the close
+      [100, 111,  94, 100],                                  // both levels touched: stop-loss at 95
+      [ 99, 100,  99, 100],                                  // enter again
+      [112, 113, 111, 112],                                  // gaps over the target: out at the open
+      [112, 112, 112, 112]
+    ]));
+    // SELL entries at 100 (stop 105, target 90)
+    db.storeCandles("NSE:SHORT-EQ", "D", bars([
+      ...flat(10),
+      [101, 101, 100, 100],                                  // signal, short at the close
+      [100, 106,  89, 100],                                  // both levels touched: stop-loss at 105
+      [101, 101, 100, 100],                                  // short again
+      [ 95,  96,  89,  96],                                  // target at 90 (a green bar: no signal)
+      [101, 101, 100, 100],                                  // short a third time…
+      [100, 102,  97,  98]                                   // …still open at the end
+    ]));
+    db.storeCandles("NSE:THIN-EQ", "D", bars(flat(3)));
+  });
+
+  test("BUY: stop-loss first when a bar touches both levels, gap fills at the open", () => {
+    const { trades, summary } = run("up", ["NSE:LONG-EQ"], "2024-01-15");
+    assert.deepEqual(trades.map(t => [t.entryPrice, t.exitPrice, t.exitReason, t.bars, t.qty, t.pnl]), [
+      [100,  95, "stopLoss", 1, 100, -500],
+      [100, 112, "target",   1, 100, 1200]
+    ]);
+    assert.deepEqual([trades[0].stopLoss, trades[0].target], [95, 110]);
+    assert.equal(summary.totalPnl, 700);
+    assert.equal(summary.finalEquity, 100_700);
+  });
+
+  test("SELL: stops above, targets below, P&L of a short", () => {
+    const { trades, summary, equityCurve } = run("down", ["NSE:SHORT-EQ"], "2024-01-16");
+    assert.deepEqual(trades.map(t => [t.type, t.exitPrice, t.exitReason, t.returnPct, t.pnl]), [
+      ["SELL", 105, "stopLoss", -5, -500],
+      ["SELL",  90, "target",   10, 1000],
+      ["SELL",  98, "end",       2,  200]
+    ]);
+    assert.deepEqual([trades[0].stopLoss, trades[0].target], [105, 90]);
+    assert.deepEqual(equityCurve.map(p => p.equity), [100_000, 99_500, 100_500, 100_700]);
+    assert.equal(summary.winRate, 66.67);
+    assert.equal(summary.maxDrawdown, 500);
+  });
+
+  test("symbols with too little data are skipped and reported", () => {
+    const result = run("up", ["NSE:LONG-EQ", "NSE:THIN-EQ", "NSE:NONE-EQ"], "2024-01-15");
+    assert.deepEqual(result.tradesBySymbol, { "NSE:LONG-EQ": 2 });
+    assert.deepEqual(result.skipped, [
+      { symbol: "NSE:THIN-EQ", reason: "only 3 daily candles in DB" },
+      { symbol: "NSE:NONE-EQ", reason: "only 0 daily candles in DB" }
+    ]);
+    assert.equal(result.summary.trades, 2);
+  });
+
+  test("no symbols or an inverted range throws", () => {
+    assert.throws(() => run("up", [], "2024-01-15"), /At least one symbol/);
+    assert.throws(() => run("up", ["NSE:LONG-EQ"], "2024-01-01"), /Invalid date range/);
+  });
+});
@@ -0,0 +1,67 @@
+// Live bars: late ticks for a closed bucket and failed writes, on a stub
+// store and on the sqlite one.
+process.env.CANDLE_DB_PATH = ":memory:";
+process.env.APP_DB_PATH    = ":memory:";
+
+const { test }  = require("node:test");
+const assert    = require("node:assert/strict");
+const BarAggregator = require("../src/barAggregator");
+const { SqliteCandleStore } = require("../src/storage");
+
+const at   = (hhmm) => Date.parse(`2024-11-26T${hhmm}:00+05:30`) / 1000;
+const tick = (hhmm, ltp) => ({ symbol: "NSE:T-EQ", ltp, exch_feed_time: at(hhmm) });
+
+function aggregator(storeCandles) {
+  const stored = [], closed = [];
+  const agg = new BarAggregator({
+    store: { storeCandles: storeCandles ?? (async (s, r, rows) => { stored.push(...rows); }) },
+    resolutions: ["5"], flushMs: 60_000
+  });
+  agg.on("barClose", b => closed.push(b.candle));
+  return { agg, stored, closed };
+}
+
+test("a late tick for a flushed bucket doesn't start a new bar", async () => {
+  const { agg, stored, closed } = aggregator();
+  agg.onTick(tick("09:16", 100));
+  agg.onTick(tick("09:18", 102));
+  agg.flushExpired(at("09:20"));
+  await new Promise(setImmediate);
+  agg.onTick(tick("09:19", 90));                          // delayed feed, bucket already stored
+  agg.flushExpired(at("09:25"));
+  await new Promise(setImmediate);
+  agg.stop();
+
+  assert.deepEqual(stored.map(c => c.slice(0, 5)), [[at("09:15"), 100, 102, 100, 102]]);
+  assert.equal(closed.length, 1);
+  assert.deepEqual(agg.getOpenBars(), []);
+});
+
+test("barClose is only emitted once the bar is stored", async (t) => {
+  t.mock.method(console, "error", () => {});
+  const { agg, closed } = aggregator(async () => { throw new Error("disk full"); });
+  agg.onTick(tick("09:16", 100));
+  agg.flushExpired(at("09:20"));
+  await new Promise(setImmediate);
+  agg.stop();
+  assert.deepEqual(closed, []);
+  assert.equal(console.error.mock.callCount(), 1);
+});
+
+test("a failed insert on the sqlite store emits no barClose", async (t) => {
+  t.mock.method(console, "error", () => {});
+  t.mock.method(console, "log", () => {});
+  const store = new SqliteCandleStore({ path: ":memory:" });
+  store.db.exec(`CREATE TRIGGER no_insert BEFORE INSERT ON candles BEGIN SELECT RAISE(ABORT, 'read-only'); END`);
+  const agg = new BarAggregator({ store, resolutions: ["5"], flushMs: 60_000 });
+  const closed = [];
+  agg.on("barClose", b => closed.push(b));
+  agg.onTick(tick("09:16", 100));
+  agg.flushExpired(at("09:20"));
+  await new Promise(setImmediate);
+  agg.stop();
+
+  assert.deepEqual(closed, []);
+  assert.equal(await store.countCandles("NSE:T-EQ", "5", 0, at("09:30")), 0);
+  assert.ok(console.error.mock.calls.some(c => /storing 5m bar for NSE:T-EQ failed: read-only/.test(c.arguments.join(" "))));
+});
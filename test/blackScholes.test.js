@@ -0,0 +1,73 @@
+// Black-Scholes price, Greeks and implied volatility on textbook inputs
+// (Hull, Options, Futures and Other Derivatives).
+const { test }  = require("node:test");
+const assert    = require("node:assert/strict");
+const bs        = require("../src/blackScholes");
+
+const near = (actual, expected, tol, msg) =>
+  assert.ok(Math.abs(actual - expected) <= tol, `${msg}: ${actual} ≠ ${expected} ± ${tol}`);
+
+test("normal distribution", () => {
+  near(bs.normCdf(0), 0.5, 1e-7, "N(0)");
+  near(bs.normCdf(1.96), 0.975002, 1e-6, "N(1.96)");
+  near(bs.normCdf(-1), 0.158655, 1e-6, "N(-1)");
+  near(bs.normPdf(0), 0.398942, 1e-6, "n(0)");
+});
+
+test("prices calls and puts", () => {
+  // S = 100, K = 100, T = 1, r = 5%, σ = 20%
+  near(bs.price("CE", 100, 100, 1, 0.05, 0.2), 10.4506, 1e-4, "ATM call");
+  near(bs.price("PE", 100, 100, 1, 0.05, 0.2), 5.5735, 1e-4, "ATM put");
+  // Hull example 15.6: S = 42, K = 40, T = 0.5, r = 10%, σ = 20%
+  near(bs.price("CE", 42, 40, 0.5, 0.1, 0.2), 4.7594, 1e-4, "Hull call");
+  near(bs.price("PE", 42, 40, 0.5, 0.1, 0.2), 0.8086, 1e-4, "Hull put");
+});
+
+test("satisfies put-call parity with a dividend yield", () => {
+  const [S, K, T, r, q, v] = [24_150, 24_000, 12 / 365, 0.065, 0.012, 0.14];
+  const parity = bs.price("CE", S, K, T, r, v, q) - bs.price("PE", S, K, T, r, v, q);
+  near(parity, S * Math.exp(-q * T) - K * Math.exp(-r * T), 1e-6, "C − P");
+});
+
+test("expired or zero-vol options are worth their intrinsic value", () => {
+  assert.equal(bs.price("CE", 110, 100, 0, 0.05, 0.2), 10);
+  assert.equal(bs.price("PE", 110, 100, 0, 0.05, 0.2), 0);
+  assert.equal(bs.price("PE", 90, 100, -1, 0.05, 0.2), 10);
+  assert.equal(bs.greeks("CE", 100, 100, 0, 0.05, 0.2), null);
+});
+
+test("Greeks – theta per day, vega and rho per point", () => {
+  const c = bs.greeks("CE", 100, 100, 1, 0.05, 0.2);
+  const p = bs.greeks("PE", 100, 100, 1, 0.05, 0.2);
+  near(c.delta, 0.636831, 1e-6, "call delta");
+  near(p.delta, -0.363169, 1e-6, "put delta");
+  near(c.gamma, 0.018762, 1e-6, "gamma");
+  near(p.gamma, c.gamma, 1e-12, "put gamma");
+  near(c.vega, 0.375240, 1e-6, "vega");
+  near(c.theta, -6.414028 / 365, 1e-6, "call theta");
+  near(p.theta, -1.657880 / 365, 1e-6, "put theta");
+  near(c.rho, 0.532325, 1e-6, "call rho");
+  near(p.rho, -0.418905, 1e-6, "put rho");
+});
+
+test("implied volatility recovers the pricing vol", () => {
+  const [S, T, r, q] = [24_150, 9 / 365, 0.065, 0.01];
+  for (const K of [22_000, 23_500, 24_150, 25_000, 26_500]) {
+    for (const type of ["CE", "PE"]) {
+      for (const sigma of [0.08, 0.15, 0.45, 1.2]) {
+        const premium = bs.price(type, S, K, T, r, sigma, q);
+        // under a tick of time value the premium no longer pins down the vol
+        if (premium - bs.price(type, S, K, T, r, 0, q) < 0.05) continue;
+        near(bs.impliedVol(type, premium, S, K, T, r, q), sigma, 1e-4, `${type} ${K} σ=${sigma}`);
+      }
+    }
+  }
+});
+
+test("implied volatility is null outside the no-arbitrage bounds", () => {
+  assert.equal(bs.impliedVol("CE", 5, 110, 100, 0.5, 0.05), null, "below intrinsic");
+  assert.equal(bs.impliedVol("CE", 120, 110, 100, 0.5, 0.05), null, "above spot");
+  assert.equal(bs.impliedVol("PE", 3, 100, 100, 0, 0.05), null, "expired");
+  assert.equal(bs.impliedVol("PE", 0, 100, 100, 0.5, 0.05), null, "no premium");
+  assert.throws(() => bs.price("XX", 100, 100, 1, 0, 0.2), /CE or PE/);
+});
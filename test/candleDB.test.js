@@ -0,0 +1,94 @@
+// candleDB's two SMA paths must agree: _calculateSMA (plain windowed means,
+// used by cacheSMA) and _recalcSMA (running close sums, incremental from the
+// first changed candle, or a full rebuild).
+process.env.CANDLE_DB_PATH = ":memory:";
+process.env.APP_DB_PATH    = ":memory:";
+
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { CandleDB } = require("../src/candleDB");
+
+const DAY   = 86_400;
+const START = 1704047400;                                    // 2024-01-01 00:00 IST
+const SYM   = "NSE:AAA-EQ";
+
+// n daily candles with a wobbly close so the SMAs differ from bar to bar
+const series = (n, from = 0) => Array.from({ length: n }, (_, j) => {
+  const i = from + j, c = 100 + 10 * Math.sin(i / 7) + (i % 5);
+  return [START + i * DAY, c - 1, c + 2, c - 2, c, 1000 + i];
+});
+
+// Stored sma20/50/200 vs _calculateSMA over the same candles (null before a full window)
+function assertParity(db, candles) {
+  const rows = db.pageCandles(SYM, "D", 0, Infinity, 10_000, true);
+  assert.equal(rows.length, candles.length);
+  for (const n of [20, 50, 200]) {
+    const expected = db._calculateSMA(candles, n);
+    rows.forEach((r, i) => {
+      const want = i < n - 1 ? null : expected[i - (n - 1)];
+      const got  = r[`sma${n}`];
+      assert.ok(want === null ? got === null : Math.abs(got - want) < 1e-9, `sma${n} @ ${i}: ${got} ≠ ${want}`);
+    });
+  }
+}
+
+describe("_calculateSMA", () => {
+  const db = new CandleDB(":memory:");
+
+  test("one mean per full window, starting at index period - 1", () => {
+    const candles = [1, 2, 3, 4, 5].map((c, i) => [START + i * DAY, c, c, c, c, 0]);
+    assert.deepEqual(db._calculateSMA(candles, 3), [2, 3, 4]);
+    assert.deepEqual(db._calculateSMA(candles, 5), [3]);
+    assert.deepEqual(db._calculateSMA(candles, 6), []);
+  });
+});
+
+describe("_recalcSMA parity", () => {
+  test("first store", () => {
+    const db = new CandleDB(":memory:");
+    const candles = series(260);
+    db.storeCandles(SYM, "D", candles);
+    assertParity(db, candles);
+  });
+
+  test("appended candles (incremental from the running sums)", () => {
+    const db = new CandleDB(":memory:");
+    const candles = series(300);
+    db.storeCandles(SYM, "D", candles.slice(0, 240));
+    db.storeCandles(SYM, "D", candles.slice(240, 241));
+    db.storeCandles(SYM, "D", candles.slice(241));
+    assertParity(db, candles);
+  });
+
+  test("a changed candle in the middle", () => {
+    const db = new CandleDB(":memory:");
+    const candles = series(300);
+    db.storeCandles(SYM, "D", candles);
+    candles[150] = [candles[150][0], 1, 500, 1, 400, 5];
+    db.storeCandles(SYM, "D", [candles[150]]);
+    assertParity(db, candles);
+  });
+
+  test("full rebuild, and missing running sums fall back to it", () => {
+    const db = new CandleDB(":memory:");
+    const candles = series(260);
+    db.storeCandles(SYM, "D", candles, { refresh: false });
+    db._recalcSMA(SYM, "D");
+    assertParity(db, candles);
+
+    db.db.prepare("UPDATE candles SET close_csum = NULL").run();
+    candles.push(...series(5, 260));
+    db.storeCandles(SYM, "D", candles.slice(-5));
+    assertParity(db, candles);
+  });
+
+  test("cacheSMA writes the same values", () => {
+    const db = new CandleDB(":memory:");
+    const candles = series(230);
+    db.storeCandles(SYM, "D", candles);
+    const before = db.pageCandles(SYM, "D", 0, Infinity, 10_000, true).map(r => r.sma50);
+    db.cacheSMA(SYM, "D", 50, candles);
+    const after = db.pageCandles(SYM, "D", 0, Infinity, 10_000, true).map(r => r.sma50);
+    after.forEach((x, i) => assert.ok(x === null ? before[i] === null : Math.abs(x - before[i]) < 1e-9, `sma50 @ ${i}`));
+  });
+});
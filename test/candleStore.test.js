@@ -0,0 +1,237 @@
+// Conformance suite every CandleStore backend must pass (src/storage).
+// Postgres runs on pg-mem; set CANDLE_TEST_PG_URL to a throwaway database
+// (its candles table is emptied) to run it against a real server too.
+process.env.CANDLE_DB_PATH = ":memory:";
+process.env.APP_DB_PATH    = ":memory:";
+
+const { describe, test, beforeEach, afterEach } = require("node:test");
+const assert  = require("node:assert/strict");
+const { newDb, DataType } = require("pg-mem");
+const Database = require("better-sqlite3");
+const { SqliteCandleStore, MemoryCandleStore, PostgresCandleStore, LazyCandleStore } = require("../src/storage");
+const RiskManager = require("../src/riskManager");
+const { IndicatorStore } = require("../src/indicatorStore");
+const { compute } = require("../src/indicators");
+const { CandleDB } = require("../src/candleDB");
+const candleExport = require("../src/candleExport");
+const { ist } = require("../src/exchangeTime");
+
+// pg-mem lacks the advisory lock / hashtext functions storeCandles uses
+function pgMemPool() {
+  const db = newDb();
+  db.public.registerFunction({ name: "hashtext", args: [DataType.text], returns: DataType.integer, implementation: () => 0 });
+  db.public.registerFunction({ name: "pg_advisory_xact_lock", args: [DataType.integer], returns: DataType.integer, implementation: () => 0, impure: true });
+  const { Pool } = db.adapters.createPg();
+  return new Pool();
+}
+
+const BACKENDS = {
+  memory  : () => new MemoryCandleStore(),
+  sqlite  : () => new SqliteCandleStore({ path: ":memory:" }),
+  postgres: () => new PostgresCandleStore({ pool: pgMemPool() })
+};
+if (process.env.CANDLE_TEST_PG_URL) {
+  BACKENDS["postgres (server)"] = async () => {
+    const store = new PostgresCandleStore({ url: process.env.CANDLE_TEST_PG_URL });
+    await store.countCandles("X", "D", 0, 0);              // creates the table
+    await store.pool.query("TRUNCATE candles");
+    return store;
+  };
+}
+
+const DAY   = 86_400;
+const START = 1704047400;                                    // 2024-01-01 00:00 IST
+// n daily candles, close = 1 … n
+const series = (n, from = START) => Array.from({ length: n }, (_, i) =>
+  [from + i * DAY, i + 0.5, i + 2, i, i + 1, 1000 + i]);
+const mean = (a, b) => (a + b) / 2;                         // mean of the integers a … b
+
+const close = (actual, expected, msg) =>
+  assert.ok(expected === null ? actual === null : Math.abs(actual - expected) < 1e-9, `${msg}: ${actual} ≠ ${expected}`);
+
+for (const [name, make] of Object.entries(BACKENDS)) {
+  describe(`CandleStore: ${name}`, () => {
+    let store;
+    beforeEach(async () => { store = await make(); });
+    afterEach(async () => { await store.close(); });
+
+    test("stores and reads candles oldest first within [from, to]", async () => {
+      const candles = series(10);
+      assert.equal(await store.storeCandles("NSE:AAA-EQ", "D", [...candles].reverse()), 10);
+      assert.deepEqual(await store.getCandles("NSE:AAA-EQ", "D", START, START + 99 * DAY), candles);
+      assert.deepEqual(await store.getCandles("NSE:AAA-EQ", "D", START + 2 * DAY, START + 4 * DAY), candles.slice(2, 5));
+      assert.equal(await store.countCandles("NSE:AAA-EQ", "D", START + 2 * DAY, START + 4 * DAY), 3);
+      assert.deepEqual(await store.getCandles("NSE:AAA-EQ", "60", START, START + 99 * DAY), []);
+      assert.deepEqual(await store.getCandles("NSE:BBB-EQ", "D", START, START + 99 * DAY), []);
+    });
+
+    test("accepts exchange-time date strings and normalises resolutions", async () => {
+      await store.storeCandles("NSE:AAA-EQ", "1h", series(3));
+      assert.equal(await store.countCandles("NSE:AAA-EQ", "60", "2024-01-01", "2024-01-02"), 2);
+      assert.equal((await store.getCandles("NSE:AAA-EQ", "60", START, START + 2 * DAY)).length, 3);
+    });
+
+    test("upserts by timestamp", async () => {
+      await store.storeCandles("NSE:AAA-EQ", "D", series(5));
+      await store.storeCandles("NSE:AAA-EQ", "D", [[START + 2 * DAY, 1, 2, 0.5, 42, 7]]);
+      const got = await store.getCandles("NSE:AAA-EQ", "D", START, START + 10 * DAY);
+      assert.equal(got.length, 5);
+      assert.deepEqual(got[2], [START + 2 * DAY, 1, 2, 0.5, 42, 7]);
+    });
+
+    test("keeps SMA20/50/200 of the newest candle", async () => {
+      assert.deepEqual(await store.getSMAs("NSE:AAA-EQ", "D"), { ts: null, sma20: null, sma50: null, sma200: null });
+
+      await store.storeCandles("NSE:AAA-EQ", "D", series(30));
+      let s = await store.getSMAs("NSE:AAA-EQ", "D");
+      assert.equal(s.ts, START + 29 * DAY);
+      close(s.sma20, mean(11, 30), "sma20 of 30");
+      close(s.sma50, null, "sma50 of 30");
+
+      // the rest of the history arrives in pieces, newest first
+      const all = series(250);
+      await store.storeCandles("NSE:AAA-EQ", "D", all.slice(200));
+      await store.storeCandles("NSE:AAA-EQ", "D", all.slice(30, 200));
+      s = await store.getSMAs("NSE:AAA-EQ", "D");
+      assert.equal(s.ts, START + 249 * DAY);
+      close(s.sma20,  mean(231, 250), "sma20");
+      close(s.sma50,  mean(201, 250), "sma50");
+      close(s.sma200, mean(51, 250),  "sma200");
+    });
+
+    test("recomputes SMAs after a changed candle in the middle", async () => {
+      await store.storeCandles("NSE:AAA-EQ", "D", series(220));
+      await store.storeCandles("NSE:AAA-EQ", "D", [[START + 210 * DAY, 0, 0, 0, 211 + 100, 0]]);
+      const s = await store.getSMAs("NSE:AAA-EQ", "D");
+      close(s.sma20,  mean(201, 220) + 100 / 20,  "sma20");
+      close(s.sma200, mean(21, 220)  + 100 / 200, "sma200");
+    });
+
+    test("returns the newest candle of every symbol at a resolution", async () => {
+      await store.storeCandles("NSE:AAA-EQ", "D", series(25));
+      await store.storeCandles("NSE:BBB-EQ", "D", series(3, START + 5 * DAY));
+      await store.storeCandles("NSE:CCC-EQ", "60", series(2));
+
+      const latest = await store.getLatest("D");
+      assert.deepEqual(latest.map(r => [r.symbol, r.ts, r.close]), [
+        ["NSE:AAA-EQ", START + 24 * DAY, 25],
+        ["NSE:BBB-EQ", START + 7 * DAY, 3]
+      ]);
+      close(latest[0].sma20, mean(6, 25), "AAA sma20");
+      assert.equal(latest[1].sma20, null);
+      assert.deepEqual((await store.getLatest("D", { symbols: ["NSE:BBB-EQ"] })).map(r => r.symbol), ["NSE:BBB-EQ"]);
+      assert.deepEqual((await store.getLatest("5")), []);
+    });
+
+    test("reads SMAs of several timeframes", async () => {
+      await store.storeCandles("NSE:AAA-EQ", "5", series(20));
+      const tf = await store.getTimeframeSMAs("NSE:AAA-EQ", ["5", "D"]);
+      close(tf["5"].sma20, mean(1, 20), "5m sma20");
+      assert.equal(tf.D.sma20, null);
+    });
+
+    test("pages rows after a timestamp, with or without SMAs", async () => {
+      await store.storeCandles("NSE:AAA-EQ", "D", series(25));
+      const page = await store.pageCandles("NSE:AAA-EQ", "D", START + 2 * DAY, START + 99 * DAY, { limit: 3 });
+      assert.deepEqual(page, [3, 4, 5].map(i => ({
+        ts: START + i * DAY, open: i + 0.5, high: i + 2, low: i, close: i + 1, volume: 1000 + i
+      })));
+      const last = await store.pageCandles("NSE:AAA-EQ", "D", START + 20 * DAY, START + 23 * DAY, { sma: true });
+      assert.deepEqual(last.map(r => r.ts), [START + 21 * DAY, START + 22 * DAY, START + 23 * DAY]);
+      close(last.at(-1).sma20, mean(5, 24), "paged sma20");
+      assert.deepEqual(await store.pageCandles("NSE:AAA-EQ", "60", 0, 2 ** 31), []);
+    });
+
+    test("returns the newest candles oldest first", async () => {
+      const candles = series(10);
+      await store.storeCandles("NSE:AAA-EQ", "D", candles);
+      assert.deepEqual(await store.getRecent("NSE:AAA-EQ", "D", 3), candles.slice(7));
+      assert.deepEqual(await store.getRecent("NSE:AAA-EQ", "1D", 99), candles);
+      assert.deepEqual(await store.getRecent("NSE:BBB-EQ", "D", 3), []);
+    });
+
+    test("ignores an empty batch", async () => {
+      assert.equal(await store.storeCandles("NSE:AAA-EQ", "D", []), 0);
+      assert.equal(await store.countCandles("NSE:AAA-EQ", "D", 0, 2 ** 31), 0);
+    });
+  });
+}
+
+describe("LazyCandleStore", () => {
+  test("builds the backend on first use; a bad config fails that call, not the require", async () => {
+    const bad = new LazyCandleStore({ kind: "postgres" });
+    await assert.rejects(bad.countCandles("X", "D", 0, 1), /needs CANDLE_PG_URL/);
+
+    const lazy = new LazyCandleStore({ kind: "memory" });
+    assert.equal(lazy.kind, "memory");
+    await lazy.storeCandles("NSE:AAA-EQ", "D", series(3));
+    assert.equal(await lazy.countCandles("NSE:AAA-EQ", "D", START, START + 9 * DAY), 3);
+    await lazy.close();
+    assert.equal(await lazy.countCandles("NSE:AAA-EQ", "D", START, START + 9 * DAY), 0);   // a fresh backend
+  });
+});
+
+describe("consumers on a non-sqlite store", () => {
+  // 30 liquid daily candles ending yesterday
+  const recent = n => series(n, ist().startOf("day").subtract(n, "days").unix());
+
+  test("risk: liquidity and order value come from the store", async () => {
+    const store = new MemoryCandleStore();
+    await store.storeCandles("NSE:AAA-EQ", "D", recent(30).map(c => [...c.slice(0, 5), 100_000]));
+    const risk = new RiskManager({ store, db: new Database(":memory:"), sectors: {} });
+
+    const order = await risk.checkOrder({ symbol: "NSE:AAA-EQ", qty: 1, side: "BUY" }, { record: false });
+    assert.equal(order.approved, true, order.reason);
+    assert.equal(order.notional, 30);                       // last close
+    assert.match((await risk.checkOrder({ symbol: "NSE:BBB-EQ", qty: 1, side: "BUY" })).reason, /No daily candles/);
+
+    await risk.loadDaily("NSE:AAA-EQ");
+    assert.equal(risk.evaluate({ ticker: "NSE:AAA-EQ", entryPrice: 30, stopLoss: 29 }).approved, true);
+  });
+
+  test("indicators: computed from the store, the newest value follows a changed tail candle", async () => {
+    const store = new MemoryCandleStore();
+    const ind   = new IndicatorStore(new CandleDB(":memory:"), store);
+    await store.storeCandles("NSE:AAA-EQ", "D", series(30));
+
+    const { series: rows } = await ind.series("NSE:AAA-EQ", "D", "sma", "5");
+    assert.equal(rows.length, 26);
+    close(rows.at(-1).value, mean(26, 30), "sma5");
+
+    await store.storeCandles("NSE:AAA-EQ", "D", [[START + 29 * DAY, 0, 0, 0, 80, 0]]);
+    await ind.refresh("NSE:AAA-EQ", "D", "sma", "5");
+    close(ind.latest("NSE:AAA-EQ", "D", "sma", "5").value, mean(26, 29) * 4 / 5 + 80 / 5, "sma5 after the change");
+  });
+
+  test("indicators: a changed tail candle recomputes from a bounded window, not the history", async (t) => {
+    const store = new SqliteCandleStore({ path: ":memory:" });
+    const ind   = new IndicatorStore(store.candleDB, store);
+    await store.storeCandles("NSE:AAA-EQ", "D", series(400));
+    await ind.refresh("NSE:AAA-EQ", "D", "ema", "10");
+    const stored = () => ind.db.prepare(`SELECT COUNT(*) FROM indicators`).pluck().get();
+    assert.equal(stored(), 391);
+
+    const tail = [START + 399 * DAY, 0, 0, 0, 80, 0];
+    await store.storeCandles("NSE:AAA-EQ", "D", [tail]);
+    assert.equal(stored(), 391);                              // only the tail changed: nothing dropped
+    const full   = t.mock.method(store, "getCandles");
+    const recent = t.mock.method(store, "getRecent");
+    await ind.refresh("NSE:AAA-EQ", "D", "ema", "10");
+    assert.equal(full.mock.callCount(), 0);
+    assert.equal(recent.mock.calls.at(-1).arguments[2], 1 + 100);   // the tail + ten periods
+
+    const want = compute("ema", [...series(399), tail], { period: 10 }).at(-1).value;
+    close(ind.latest("NSE:AAA-EQ", "D", "ema", "10").value, want, "ema10 after the change");
+
+    await store.storeCandles("NSE:AAA-EQ", "D", [[START + 10 * DAY, 0, 0, 0, 80, 0]]);
+    assert.equal(stored(), 1);                                // an older candle changed: dropped from there on
+  });
+
+  test("export pages through the store", async () => {
+    const store = new MemoryCandleStore();
+    await store.storeCandles("NSE:AAA-EQ", "D", series(12));
+    const got = [];
+    for await (const r of candleExport.rows("NSE:AAA-EQ", "D", { from: START + DAY, to: START + 99 * DAY, store })) got.push(r.ts);
+    assert.deepEqual(got, series(12).slice(1).map(c => c[0]));
+  });
+});
@@ -0,0 +1,96 @@
+// Prints, as JSON, everything that turns candle timestamps into dates or
+// times of day. test/timezone.test.js runs it under several TZ values and
+// expects identical (exchange-time) answers every time.
+const fs       = require("fs");
+const os       = require("os");
+const path     = require("path");
+const Database = require("better-sqlite3");
+
+console.log = () => {};                                   // candleDB is chatty
+
+const { CandleDB, timestampKey } = require("../../src/candleDB");
+const { rollup, buildTrade }     = require("../../src/strategy");
+const tradingService             = require("../../src/tradingService");
+const calendar                   = require("../../src/marketCalendar");
+const BarAggregator              = require("../../src/barAggregator");
+const { compute }                = require("../../src/indicators");
+const { toUnix, periodKey }      = require("../../src/exchangeTime");
+
+const IST_MIDNIGHT = 1732559400;                          // 2024-11-26 00:00 IST = 2024-11-25 18:30 UTC
+const at = (date, hhmm) => toUnix(`${date} ${hhmm}`);
+const candle = (ts, c = 100, v = 10) => [ts, c, c, c, c, v];
+
+const out = {};
+
+/* candle keys --------------------------------------------------- */
+out.keys = {
+  D  : timestampKey(IST_MIDNIGHT, "D"),
+  m5 : timestampKey(at("2024-11-26", "09:15"), "5"),
+  m60: timestampKey(at("2024-11-26", "09:15"), "60")
+};
+
+const db = new CandleDB(":memory:");
+db.storeCandles("NSE:T-EQ", "D", [candle(IST_MIDNIGHT)]);
+out.stored = db.db.prepare(`SELECT timestamp FROM candles WHERE symbol = 'NSE:T-EQ'`).pluck().all();
+
+/* migration of keys written in another zone ---------------------- */
+const file = path.join(os.tmpdir(), `tz-probe-${process.pid}.sqlite`);
+const raw  = new Database(file);
+raw.exec(`CREATE TABLE candles (symbol TEXT NOT NULL, resolution TEXT NOT NULL, timestamp TEXT NOT NULL,
+  unix_timestamp INTEGER, open REAL, high REAL, low REAL, close REAL, volume REAL,
+  sma20 REAL, sma50 REAL, sma200 REAL, PRIMARY KEY (symbol, resolution, timestamp))`);
+const ins = raw.prepare(`INSERT INTO candles VALUES ('NSE:T-EQ', ?, ?, ?, 1, 1, 1, 1, 1, NULL, NULL, NULL)`);
+ins.run("D", "2024-11-24", IST_MIDNIGHT - 86_400);         // UTC-host keys, one day early
+ins.run("D", "2024-11-25", IST_MIDNIGHT);
+ins.run("60", "2024-11-26_03h", at("2024-11-26", "09:15"));
+raw.close();
+const migrated = new CandleDB(file);
+out.migrated = migrated.db.prepare(`SELECT timestamp FROM candles ORDER BY resolution, unix_timestamp`).pluck().all();
+migrated.db.close();
+for (const f of [file, `${file}-wal`, `${file}-shm`]) fs.rmSync(f, { force: true });
+
+/* weekly / monthly roll-ups -------------------------------------- */
+const days  = ["2024-12-27", "2024-12-30", "2024-12-31", "2025-01-01", "2025-01-03"]
+  .map((d, i) => candle(toUnix(d), 100 + i));
+const shape = rows => rows.map(r => [calendar.dateOf(r[0]), r[4], r[5]]);
+out.rollup = {
+  strategyW: shape(rollup(days, "W")),
+  strategyM: shape(rollup(days, "M")),
+  serviceW : shape(tradingService._rollup(days, "W")),
+  serviceM : shape(tradingService._rollup(days, "M")),
+  keys     : days.map(c => [periodKey(c[0], "W"), periodKey(c[0], "M")])
+};
+
+/* signal fields ------------------------------------------------- */
+const trade = buildTrade("NSE:T-EQ", [candle(at("2024-11-25", "15:29")), candle(at("2024-11-26", "09:15"), 101)],
+                         { key: "k", resolution: "D", strategy: "s" });
+out.trade = { entryTime: trade.entryTime, entryDate: trade.entryDate };
+
+/* calendar / sessions ------------------------------------------- */
+out.calendar = {
+  dateOf   : calendar.dateOf(IST_MIDNIGHT),
+  midnight : calendar.midnight("2024-11-26"),
+  phase    : calendar.phaseAt(at("2024-11-26", "09:20")),
+  lastDay  : calendar.lastTradingDay(at("2024-11-26", "09:00")),
+  nextOpen : calendar.nextSessionOpen(at("2024-11-23", "12:00"))
+};
+
+/* live bars ----------------------------------------------------- */
+const bars   = [];
+const agg    = new BarAggregator({ store: { async storeCandles() {} }, resolutions: ["5"], flushMs: 60_000 });
+agg.on("barClose", b => bars.push(b.candle[0]));
+agg.onTick({ symbol: "NSE:T-EQ", ltp: 100, exch_feed_time: at("2024-11-26", "09:16") });
+agg.onTick({ symbol: "NSE:T-EQ", ltp: 101, exch_feed_time: at("2024-11-26", "09:21") });
+agg.onTick({ symbol: "NSE:T-EQ", ltp: 102, exch_feed_time: at("2024-11-26", "08:30") });   // pre-open: ignored
+agg.stop();
+out.bars = { closed: bars, open: agg.getOpenBars().map(b => b.start) };
+
+/* VWAP resets at the IST day boundary ---------------------------- */
+const vw = compute("vwap", [
+  [at("2024-11-26", "15:25"), 10, 10, 10, 10, 100],
+  [at("2024-11-27", "09:15"), 20, 20, 20, 20, 100]
+], {});
+out.vwap = vw.map(r => r.value);
+
+// barClose is emitted once the (stub) store has written the bar
+setImmediate(() => process.stdout.write(JSON.stringify(out)));
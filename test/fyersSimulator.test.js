@@ -0,0 +1,188 @@
+// The local Fyers simulator (FYERS_MOCK): token exchange, history limits and
+// error codes, orders and both sockets – and TradingService running on it.
+process.env.CANDLE_DB_PATH = ":memory:";
+process.env.APP_DB_PATH    = ":memory:";
+process.env.FYERS_MOCK     = "true";
+process.env.FYERS_APP_ID     ??= "TEST-100";
+process.env.FYERS_SECRET_KEY ??= "secret";
+
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const path   = require("path");
+const { Simulator, fyersModel, fyersDataSocket, fyersOrderSocket } = require("../src/simulator");
+
+const NOW = 1736490600;                                   // Fri 2025-01-10 12:00 IST
+const once = (emitter, event) => new Promise(r => emitter.once(event, r));
+
+async function login(sim) {
+  const fyers = new fyersModel({}, sim);
+  fyers.setAppId("APP-100");
+  const code = new URL(fyers.generateAuthCode()).searchParams.get("auth_code");
+  const resp = await fyers.generate_access_token({ client_id: "APP-100", secret_key: "s", auth_code: code });
+  fyers.setAccessToken(resp.access_token);
+  return { fyers, token: resp.access_token };
+}
+
+describe("auth", () => {
+  test("auth code → access token → profile", async () => {
+    const sim   = new Simulator({ now: () => NOW });
+    const fyers = new fyersModel({}, sim);
+    fyers.setAppId("APP-100");
+    assert.equal((await fyers.get_profile()).code, -16);
+
+    const code = new URL(fyers.generateAuthCode()).searchParams.get("auth_code");
+    assert.equal((await fyers.generate_access_token({ client_id: "OTHER", secret_key: "s", auth_code: code })).s, "error");
+    assert.equal((await fyers.generate_access_token({ client_id: "APP-100", auth_code: code })).s, "error");
+    const resp = await fyers.generate_access_token({ client_id: "APP-100", secret_key: "s", auth_code: code });
+    assert.equal(resp.s, "ok");
+
+    fyers.setAccessToken(resp.access_token);
+    const profile = await fyers.get_profile();
+    assert.equal(profile.s, "ok");
+    assert.equal(profile.data.app_id, "APP-100");
+  });
+
+  test("rate limit answers 429", async () => {
+    const { fyers } = await login(new Simulator({ now: () => NOW }));
+    const codes = [];
+    for (let i = 0; i < 11; i++) codes.push((await fyers.get_profile()).code);
+    assert.deepEqual(codes.slice(-2), [200, 429]);
+  });
+});
+
+describe("history", () => {
+  const sim = new Simulator({ now: () => NOW, rateLimit: false });
+  const get = async p => (await login(sim)).fyers.getHistory({ date_format: "1", cont_flag: "1", ...p });
+
+  test("session-aligned intraday candles up to now, stable across calls", async () => {
+    const resp = await get({ symbol: "NSE:SBIN-EQ", resolution: "15", range_from: "2025-01-09", range_to: "2025-01-10" });
+    assert.equal(resp.s, "ok");
+    assert.equal(resp.candles.length, 25 + 12);              // a full Thursday, Friday up to the 12:00 bar
+    assert.equal(resp.candles[0][0], 1736394300);            // 2025-01-09 09:15 IST
+    assert.ok(resp.candles.every(c => c.length === 6 && c[2] >= Math.max(c[1], c[4]) && c[3] <= Math.min(c[1], c[4])));
+    assert.ok(resp.candles.at(-1)[0] <= NOW);
+    assert.deepEqual((await get({ symbol: "NSE:SBIN-EQ", resolution: "15", range_from: "2025-01-09", range_to: "2025-01-10" })).candles, resp.candles);
+  });
+
+  test("daily candles agree with the intraday ones", async () => {
+    const daily = await get({ symbol: "NSE:SBIN-EQ", resolution: "D", range_from: "2025-01-06", range_to: "2025-01-09" });
+    const mins  = await get({ symbol: "NSE:SBIN-EQ", resolution: "1", range_from: "2025-01-09", range_to: "2025-01-09" });
+    assert.equal(daily.candles.length, 4);
+    const [, o, h, l, c] = daily.candles.at(-1);
+    assert.deepEqual([o, h, l, c], [
+      mins.candles[0][1], Math.max(...mins.candles.map(x => x[2])), Math.min(...mins.candles.map(x => x[3])), mins.candles.at(-1)[4]
+    ]);
+  });
+
+  test("Fyers range limits and error codes", async () => {
+    assert.equal((await get({ symbol: "NSE:SBIN-EQ", resolution: "5", range_from: "2024-09-01", range_to: "2025-01-01" })).code, -50);
+    assert.equal((await get({ symbol: "NSE:SBIN-EQ", resolution: "5", range_from: "2024-10-01", range_to: "2025-01-01" })).s, "ok");
+    assert.equal((await get({ symbol: "NSE:SBIN-EQ", resolution: "D", range_from: "2023-01-01", range_to: "2025-01-01" })).code, -50);
+    assert.equal((await get({ symbol: "NSE:SBIN-EQ", resolution: "7", range_from: "2025-01-01", range_to: "2025-01-02" })).code, -50);
+    assert.equal((await get({ symbol: "NSE:SBIN-EQ", resolution: "5", range_from: "2025-01-09", range_to: "2025-01-01" })).code, -50);
+    assert.equal((await get({ symbol: "SBIN", resolution: "5", range_from: "2025-01-01", range_to: "2025-01-02" })).code, -300);
+    assert.equal((await get({ symbol: "NSE:SBIN-EQ", resolution: "5", range_from: "2025-01-04", range_to: "2025-01-05" })).s, "no_data");
+  });
+
+  test("futures carry over spot, options price off the same spot", async () => {
+    const day = { resolution: "D", range_from: "2025-01-09", range_to: "2025-01-09" };
+    const spot = (await get({ symbol: "NSE:NIFTY50-INDEX", ...day })).candles[0];
+    const fut  = (await get({ symbol: "NSE:NIFTY25JANFUT", ...day })).candles[0];
+    const call = (await get({ symbol: "NSE:NIFTY25JAN20000CE", ...day })).candles[0];
+    assert.equal(spot[5], 0);                                  // indices carry no volume
+    assert.ok(fut[4] > spot[4] && fut[4] < spot[4] * 1.01);
+    assert.ok(call[4] >= spot[4] - 20_000);                    // deep ITM call ≥ intrinsic
+  });
+});
+
+describe("orders and sockets", () => {
+  // Built while the suite is collected: the recording is logged when loaded
+  const replaySim = new Simulator({ now: () => NOW, tickMs: 20, afterHours: true, ticksFile: path.join(__dirname, "fixtures/ticks.jsonl") });
+
+  test("market orders fill, limit orders wait, updates reach the order socket", async () => {
+    const sim = new Simulator({ now: () => NOW, tickMs: 20 });
+    const { fyers, token } = await login(sim);
+    const os = new fyersOrderSocket(`APP-100:${token}`, "./logs", false, sim);
+    os.on("connect", () => os.subscribe([os.orderUpdates, os.tradeUpdates, os.positionUpdates]));
+    os.connect();
+    await once(os, "connect");
+    const events = [];
+    for (const e of ["orders", "trades", "positions"]) os.on(e, m => events.push([e, m[e]]));
+
+    const ltp = sim.quote("NSE:SBIN-EQ").ltp;
+    const buy = await fyers.place_order({ symbol: "NSE:SBIN-EQ", qty: 10, side: 1, type: 2, productType: "INTRADAY" });
+    const ask = await fyers.place_order({ symbol: "NSE:SBIN-EQ", qty: 5, side: -1, type: 1, limitPrice: ltp * 2, productType: "INTRADAY" });
+    assert.equal(buy.code, 1101);
+    assert.equal((await fyers.place_order({ symbol: "NSE:NIFTY50-INDEX", qty: 1, side: 1, type: 2 })).s, "error");
+    await new Promise(r => setTimeout(r, 60));
+
+    const book = Object.fromEntries((await fyers.get_orders()).orderBook.map(o => [o.id, o]));
+    assert.equal(book[buy.id].status, 2);
+    assert.equal(book[buy.id].tradedPrice, ltp);
+    assert.equal(book[ask.id].status, 6);
+    assert.deepEqual(events.map(([e]) => e), ["orders", "orders", "orders", "trades", "positions"]);
+    assert.equal(events.find(([e]) => e === "positions")[1].netQty, 10);
+
+    assert.equal((await fyers.modify_order({ id: ask.id, type: 2 })).s, "ok");
+    await new Promise(r => setTimeout(r, 60));
+    assert.equal((await fyers.cancel_order({ id: ask.id })).code, -52);   // already filled
+    const { netPositions, overall } = await fyers.get_positions();
+    assert.equal(netPositions[0].netQty, 5);
+    assert.equal(overall.pl_realized, 0);
+    os.close();
+  });
+
+  test("data socket: snapshot on subscribe, then ticks in session", async () => {
+    const sim = new Simulator({ now: () => NOW, tickMs: 20, afterHours: true });
+    const { token } = await login(sim);
+    const ds = fyersDataSocket.getInstance(token, "./logs", false, sim);
+    const msgs = [];
+    ds.on("message", m => msgs.push(m));
+    ds.on("connect", () => { ds.subscribe(["NSE:SBIN-EQ", "NSE:NIFTY25JANFUT"]); ds.mode(ds.FullMode); });
+    ds.connect();
+    await new Promise(r => setTimeout(r, 100));
+    ds.close();
+
+    assert.ok(msgs.length > 2);
+    const fut = msgs.find(m => m.symbol === "NSE:NIFTY25JANFUT");
+    assert.equal(fut.type, "sf");
+    assert.ok(fut.oi > 0 && fut.pdoi > 0);
+    assert.ok(msgs.filter(m => m.symbol === "NSE:SBIN-EQ").every(m => m.low_price <= m.ltp && m.ltp <= m.high_price));
+  });
+
+  test("data socket rejects a bad token", async () => {
+    const ds = fyersDataSocket.getInstance("nope", "./logs", false, new Simulator());
+    ds.connect();
+    assert.equal((await once(ds, "error")).code, -16);
+  });
+
+  test("recorded ticks replay in order with present-day timestamps", async () => {
+    const { token } = await login(replaySim);
+    const ds = fyersDataSocket.getInstance(token, "./logs", false, replaySim);
+    const ltps = [];
+    ds.on("message", m => ltps.push([m.ltp, m.exch_feed_time]));
+    ds.on("connect", () => ds.subscribe(["NSE:TCS-EQ"]));
+    ds.connect();
+    await new Promise(r => setTimeout(r, 80));
+    ds.close();
+
+    assert.deepEqual(ltps.slice(0, 3).map(([ltp]) => ltp), [100, 101, 102]);
+    assert.ok(Math.abs(ltps[0][1] - Date.now() / 1000) < 5);
+  });
+});
+
+describe("TradingService on the simulator", () => {
+  test("initialises offline and backfills a range in API-sized windows", async () => {
+    const tradingService = require("../src/tradingService");
+    const authManager    = require("../src/auth2.0");
+    const candleStore    = require("../src/storage");
+    await tradingService.initialize();
+    authManager.stopTokenRefresh();
+    assert.equal((await tradingService.getProfile()).s, "ok");
+
+    const from = 1735669800, to = from + 20 * 86_400;           // 2025-01-01 … 01-21 IST
+    const n = await tradingService.getHistoricalRange("NSE:SBIN-EQ", "60", from, to);
+    assert.equal(n, 14 * 7);                                     // 14 sessions × 7 hourly bars
+    assert.equal(await candleStore.countCandles("NSE:SBIN-EQ", "60", from, to), n);
+  });
+});
@@ -0,0 +1,112 @@
+// Indicator maths on short, hand-worked series: every expected value below
+// can be checked with pen and paper from the candles in this file, warm-up
+// nulls included.
+const { test }  = require("node:test");
+const assert    = require("node:assert/strict");
+const { INDICATORS, compute } = require("../src/indicators");
+
+const near = (actual, expected, tol, msg) =>
+  assert.ok(Math.abs(actual - expected) <= tol, `${msg}: ${actual} ≠ ${expected} ± ${tol}`);
+
+const MIN   = 60;
+const DAY   = 86_400;
+const OPEN  = 1704047400 + 33_300;                           // 2024-01-01 09:15 IST
+const bars  = closes => closes.map((c, i) => [OPEN + i * DAY, c, c, c, c, 0]);
+const nulls = (name, candles, params) => INDICATORS[name].fn(candles, params).map(v => v === null);
+
+// [ts, o, h, l, c, v]; true ranges 2, 2, 3, 4, 3, 4 (bar 3 gaps up, bar 5 falls through)
+const HLC = [[10, 8, 9], [11, 9, 10], [12, 9, 11], [15, 12, 14], [14, 11, 12], [11, 8, 9]]
+  .map(([h, l, c], i) => [OPEN + i * DAY, c, h, l, c, 0]);
+
+test("EMA: seeded with the SMA of the first period closes", () => {
+  // period 3, k = 0.5: seed (1 + 3 + 2) / 3 = 2, then 4, 6, 4.5
+  const candles = bars([1, 3, 2, 6, 8, 3]);
+  assert.deepEqual(nulls("ema", candles, { period: 3 }), [true, true, false, false, false, false]);
+  assert.deepEqual(compute("ema", candles, { period: 3 }).map(r => [r.ts, r.value]), [
+    [OPEN + 2 * DAY, 2], [OPEN + 3 * DAY, 4], [OPEN + 4 * DAY, 6], [OPEN + 5 * DAY, 4.5]
+  ]);
+});
+
+test("RSI: Wilder-smoothed gains and losses", () => {
+  // changes +1, +1, −1, +2; period 3 → avg gain 2/3, loss 1/3 (RS 2), then 10/9 and 2/9 (RS 5)
+  const candles = bars([10, 11, 12, 11, 13]);
+  assert.deepEqual(nulls("rsi", candles, { period: 3 }), [true, true, true, false, false]);
+  const rows = compute("rsi", candles, { period: 3 });
+  assert.deepEqual(rows.map(r => r.ts), [OPEN + 3 * DAY, OPEN + 4 * DAY]);
+  near(rows[0].value, 200 / 3, 1e-9, "RS 2");
+  near(rows[1].value, 250 / 3, 1e-9, "RS 5");
+
+  assert.equal(compute("rsi", bars([5, 5, 5, 5]), { period: 3 })[0].value, 50, "flat");
+  assert.equal(compute("rsi", bars([1, 2, 3, 4]), { period: 3 })[0].value, 100, "no losses");
+});
+
+test("MACD: line from the first slow EMA, signal and histogram after its own warm-up", () => {
+  // fast 2: 2, 2, 10/3, 46/9, 136/27   slow 3: 2, 3, 4.5, 4.75   signal 2 over the line
+  const candles = bars([1, 3, 2, 4, 6, 5]);
+  assert.deepEqual(nulls("macd", candles, { fast: 2, slow: 3, signal: 2 }), [true, true, false, false, false, false]);
+  const rows = compute("macd", candles, { fast: 2, slow: 3, signal: 2 });
+  assert.deepEqual(rows[0], { ts: OPEN + 2 * DAY, macd: 0, signal: null, hist: null });
+  const want = [[1 / 3, 1 / 6], [11 / 18, 25 / 54], [136 / 27 - 4.75, 28 / 81]];
+  want.forEach(([m, s], i) => {
+    near(rows[i + 1].macd,   m,     1e-9, `macd ${i}`);
+    near(rows[i + 1].signal, s,     1e-9, `signal ${i}`);
+    near(rows[i + 1].hist,   m - s, 1e-9, `hist ${i}`);
+  });
+});
+
+test("ATR: Wilder average of the true range, gaps included", () => {
+  assert.deepEqual(nulls("atr", HLC, { period: 3 }), [true, true, false, false, false, false]);
+  const rows = compute("atr", HLC, { period: 3 });
+  [7 / 3, 26 / 9, 79 / 27, 266 / 81].forEach((v, i) => near(rows[i].value, v, 1e-9, `atr ${i}`));
+});
+
+test("Bollinger: SMA ± mult population standard deviations", () => {
+  // closes 2, 4, 6 → mean 4, sd √(8/3); 4, 6, 8 → mean 6, same sd
+  const candles = bars([2, 4, 6, 8]);
+  assert.deepEqual(nulls("bollinger", candles, { period: 3, mult: 2 }), [true, true, false, false]);
+  const sd = Math.sqrt(8 / 3);
+  const rows = compute("bollinger", candles, { period: 3, mult: 2 });
+  [[4, 4 * sd / 4], [6, 4 * sd / 6]].forEach(([mid, width], i) => {
+    near(rows[i].middle, mid,          1e-9, `middle ${i}`);
+    near(rows[i].upper,  mid + 2 * sd, 1e-9, `upper ${i}`);
+    near(rows[i].lower,  mid - 2 * sd, 1e-9, `lower ${i}`);
+    near(rows[i].width,  width,        1e-9, `width ${i}`);
+  });
+});
+
+test("VWAP: typical price × volume, reset each IST session", () => {
+  const candles = [
+    [OPEN,                 0, 12,  6,  9, 100],              // typical 9
+    [OPEN + MIN,           0, 11,  8, 11, 300],              // typical 10 → (900 + 3000) / 400
+    [OPEN + DAY,           0, 20, 14, 17,   0],              // new session, no volume yet
+    [OPEN + DAY + MIN,     0, 21, 15, 18,  50]               // typical 18
+  ];
+  assert.deepEqual(nulls("vwap", candles, {}), [false, false, true, false]);
+  assert.deepEqual(compute("vwap", candles, {}).map(r => [r.ts, r.value]), [
+    [OPEN, 9], [OPEN + MIN, 9.75], [OPEN + DAY + MIN, 18]
+  ]);
+});
+
+test("Supertrend: ratcheting bands, flips when the close crosses one", () => {
+  // period 3, mult 1 over the ATR above; the last close (9) breaks the lower band
+  assert.deepEqual(nulls("supertrend", HLC, { period: 3, mult: 1 }), [true, true, false, false, false, false]);
+  const rows = compute("supertrend", HLC, { period: 3, mult: 1 });
+  const want = [[10.5 - 7 / 3, 1], [13.5 - 26 / 9, 1], [13.5 - 26 / 9, 1], [9.5 + 266 / 81, -1]];
+  want.forEach(([v, d], i) => {
+    near(rows[i].value, v, 1e-9, `value ${i}`);
+    assert.equal(rows[i].direction, d, `direction ${i}`);
+  });
+});
+
+test("ADX: DI from Wilder-smoothed moves, ADX a second smoothing of DX", () => {
+  // period 2: +DM 1, 1, 3, 0, 0  −DM 0, 0, 0, 1, 3  TR 2, 3, 4, 3, 4 (from bar 1)
+  assert.deepEqual(nulls("adx", HLC, { period: 2 }), [true, true, true, false, false, false]);
+  const rows = compute("adx", HLC, { period: 2 });
+  assert.deepEqual(rows.map(r => r.ts), [3, 4, 5].map(i => OPEN + i * DAY));
+  const want = [[100, 200 / 3.25, 0], [200 / 3, 32, 16], [550 / 9, 50 / 3.5625, 175 / 3.5625]];
+  want.forEach(([a, p, m], i) => {
+    near(rows[i].adx,     a, 1e-9, `adx ${i}`);
+    near(rows[i].plusDI,  p, 1e-9, `+DI ${i}`);
+    near(rows[i].minusDI, m, 1e-9, `−DI ${i}`);
+  });
+});
@@ -0,0 +1,157 @@
+// Instruments: ticker parsing, computed monthly expiries, continuous-future
+// resolution across an expiry roll and validation of an alias – with stub
+// symbol masters and a mocked clock (no network, no imported master).
+process.env.CANDLE_DB_PATH = ":memory:";
+process.env.APP_DB_PATH    = ":memory:";
+
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { Instruments } = require("../src/instruments");
+const { toUnix } = require("../src/exchangeTime");
+
+// No master imported: expiries follow the exchange rule
+const NO_MASTER = { isLoaded: () => false, validate: () => null };
+
+// Imported master holding only the given contracts (ticker → expiry date)
+function master(contracts) {
+  const rows = Object.fromEntries(Object.entries(contracts)
+    .map(([ticker, date]) => [ticker, { ticker, expiry: toUnix(`${date} 15:30`), lotSize: 75 }]));
+  const validated = [];
+  return {
+    validated,
+    isLoaded: () => true,
+    get     : t => rows[t] ?? null,
+    futures : u => Object.values(rows).filter(r => r.ticker.startsWith(`NSE:${u}2`)),
+    validate(t) {
+      validated.push(t);
+      if (!rows[t]) throw new Error(`Unknown symbol: ${t}`);
+      return rows[t];
+    }
+  };
+}
+
+const make = (opts = {}) => new Instruments({ symbolMaster: NO_MASTER, lotSizes: { NIFTY: 75 }, rollDays: 0, ...opts });
+const at   = (t, stamp) => t.mock.timers.enable({ apis: ["Date"], now: toUnix(stamp) * 1000 });
+
+describe("parse", () => {
+  const inst = make();
+
+  test("cash, index and bare codes", () => {
+    assert.deepEqual(
+      (({ ticker, type, underlying, series }) => ({ ticker, type, underlying, series }))(inst.parse("nse:sbin-eq")),
+      { ticker: "NSE:SBIN-EQ", type: "EQ", underlying: "SBIN", series: "EQ" });
+    assert.equal(inst.parse("NSE:NIFTY50-INDEX").type, "INDEX");
+    assert.equal(inst.parse("RELIANCE-EQ").ticker, "NSE:RELIANCE-EQ");
+    assert.equal(inst.isDerivative("NSE:SBIN-EQ"), false);
+  });
+
+  test("monthly future and option", () => {
+    const fut = inst.parse("NSE:NIFTY25JANFUT");
+    assert.equal(fut.type, "FUT");
+    assert.equal(fut.underlying, "NIFTY");
+    assert.equal(fut.expiryDate, "2025-01-30");              // last Thursday
+    assert.equal(fut.expiry, toUnix("2025-01-30 00:00"));
+    assert.equal(fut.strike, null);
+
+    const opt = inst.parse("NSE:BANKNIFTY25JAN48000.5PE");
+    assert.deepEqual([opt.type, opt.underlying, opt.expiryDate, opt.strike, opt.optionType, opt.weekly],
+      ["OPT", "BANKNIFTY", "2025-01-30", 48000.5, "PE", false]);
+  });
+
+  test("weekly option: single-character month code", () => {
+    const jan = inst.parse("NSE:NIFTY2510924000CE");
+    assert.deepEqual([jan.type, jan.underlying, jan.expiryDate, jan.strike, jan.optionType, jan.weekly],
+      ["OPT", "NIFTY", "2025-01-09", 24000, "CE", true]);
+    assert.equal(inst.parse("NSE:NIFTY25O0725000PE").expiryDate, "2025-10-07");
+    assert.equal(inst.parse("NSE:NIFTY25D2325000PE").expiryDate, "2025-12-23");
+  });
+
+  test("continuous alias", () => {
+    const alias = inst.parse("NSE:NIFTY-FUT");
+    assert.deepEqual([alias.type, alias.underlying, alias.continuous, alias.expiryDate], ["FUT", "NIFTY", true, null]);
+    assert.equal(inst.contFlag("NSE:NIFTY-FUT"), "1");
+    assert.equal(inst.contFlag("NSE:NIFTY25JANFUT"), "0");
+    assert.ok(["NIFTY25JANFUT", "NIFTY2510924000CE", "NIFTY-FUT"].every(c => inst.isDerivativeCode(c)));
+    assert.equal(inst.isDerivativeCode("SBIN"), false);
+  });
+
+  test("the master's expiry beats the computed one", () => {
+    const inst = make({ symbolMaster: master({ "NSE:NIFTY25JANFUT": "2025-01-29" }) });
+    assert.equal(inst.parse("NSE:NIFTY25JANFUT").expiryDate, "2025-01-29");
+  });
+});
+
+describe("monthly expiries", () => {
+  const inst = make();
+
+  test("last Thursday before the Sep 2025 series, last Tuesday from it", () => {
+    assert.equal(inst.monthlyExpiry("2025-08"), "2025-08-28");
+    assert.equal(inst.monthlyExpiry("2025-09"), "2025-09-30");
+  });
+
+  test("moved back over a holiday", () => {
+    assert.equal(inst.monthlyExpiry("2023-03"), "2023-03-29"); // Thu 30 Mar 2023: Ram Navami
+    assert.equal(inst.monthlyExpiry("2026-03"), "2026-03-30"); // Tue 31 Mar 2026: Mahavir Jayanti
+  });
+});
+
+describe("resolve across an expiry roll", () => {
+  test("the front month holds through its expiry day, then moves on", () => {
+    const inst = make();
+    assert.equal(inst.resolve("NSE:NIFTY-FUT", "2025-01-30"), "NSE:NIFTY25JANFUT");
+    assert.equal(inst.resolve("NSE:NIFTY-FUT", "2025-01-31"), "NSE:NIFTY25FEBFUT");
+    assert.equal(inst.resolve("NSE:NIFTY25JANFUT", "2025-01-31"), "NSE:NIFTY25JANFUT");
+    assert.equal(inst.fronts.size, 0);                       // other dates don't move the front
+  });
+
+  test("FUT_ROLL_DAYS rolls that many trading days early", () => {
+    const inst = make({ rollDays: 2 });
+    assert.equal(inst.resolve("NSE:NIFTY-FUT", "2025-01-28"), "NSE:NIFTY25JANFUT");
+    assert.equal(inst.resolve("NSE:NIFTY-FUT", "2025-01-29"), "NSE:NIFTY25FEBFUT");
+  });
+
+  test("emits roll once when today's front changes", (t) => {
+    t.mock.method(console, "log", () => {});
+    const inst = make(), rolls = [];
+    inst.on("roll", r => rolls.push(r));
+
+    at(t, "2025-01-30 15:00");
+    assert.equal(inst.resolve("NSE:NIFTY-FUT"), "NSE:NIFTY25JANFUT");
+    t.mock.timers.setTime(toUnix("2025-01-31 09:00") * 1000);
+    assert.equal(inst.resolve("NSE:NIFTY-FUT"), "NSE:NIFTY25FEBFUT");
+    assert.equal(inst.resolve("NSE:NIFTY-FUT"), "NSE:NIFTY25FEBFUT");
+
+    assert.deepEqual(rolls, [{ symbol: "NSE:NIFTY-FUT", from: "NSE:NIFTY25JANFUT", to: "NSE:NIFTY25FEBFUT" }]);
+    assert.equal(inst.fronts.get("NSE:NIFTY-FUT"), "NSE:NIFTY25FEBFUT");
+  });
+
+  test("an imported master's contracts decide the front month", () => {
+    const inst = make({ symbolMaster: master({
+      "NSE:NIFTY25JANFUT": "2025-01-29", "NSE:NIFTY25FEBFUT": "2025-02-27"
+    }) });
+    assert.equal(inst.resolve("NSE:NIFTY-FUT", "2025-01-29"), "NSE:NIFTY25JANFUT");
+    assert.equal(inst.resolve("NSE:NIFTY-FUT", "2025-01-30"), "NSE:NIFTY25FEBFUT");
+    assert.throws(() => inst.resolve("NSE:NIFTY-FUT", "2025-03-01"), /No futures contract found for NSE:NIFTY/);
+  });
+});
+
+describe("validate", () => {
+  test("a continuous alias is checked through its front-month contract", (t) => {
+    const stub = master({ "NSE:NIFTY25JANFUT": "2025-01-30", "NSE:NIFTY25FEBFUT": "2025-02-27" });
+    const inst = make({ symbolMaster: stub });
+    at(t, "2025-01-20 10:00");
+    assert.equal(inst.validate("NSE:NIFTY-FUT").ticker, "NSE:NIFTY25JANFUT");
+    assert.deepEqual(stub.validated, ["NSE:NIFTY25JANFUT"]);
+  });
+
+  test("an alias with no listed contract, or an unknown one, throws", (t) => {
+    const inst = make({ symbolMaster: master({ "NSE:NIFTY25JANFUT": "2025-01-30" }) });
+    at(t, "2025-02-03 10:00");
+    assert.throws(() => inst.validate("NSE:NIFTY-FUT"), /No futures contract found/);
+    assert.throws(() => inst.validate("NSE:NIFTY25FEBFUT"), /Unknown symbol: NSE:NIFTY25FEBFUT/);
+  });
+
+  test("no master imported: nothing to check against", () => {
+    assert.equal(make().validate("NSE:NIFTY-FUT"), null);
+  });
+});
@@ -0,0 +1,145 @@
+// candles.sqlite migrations (src/migrations/candles) up and down through the
+// Migrator, starting from the schema of releases before versioned migrations:
+// row counts and SMA columns survive every step, and 004 moves the primary
+// key to (symbol, resolution, unix_timestamp) and back.
+process.env.CANDLE_DB_PATH = ":memory:";
+process.env.APP_DB_PATH    = ":memory:";
+
+const { describe, test, beforeEach } = require("node:test");
+const assert   = require("node:assert/strict");
+const fs       = require("fs");
+const os       = require("os");
+const path     = require("path");
+const Database = require("better-sqlite3");
+const { Migrator } = require("../src/migrator");
+const { toUnix } = require("../src/exchangeTime");
+
+const SYM = "NSE:AAA-EQ";
+
+// 25 daily closes 100…124 (SMA20 from the 20th) and 12 five-minute bars
+const DAILY = Array.from({ length: 25 }, (_, i) => {
+  const close = 100 + i;
+  return { key: `2024-01-${String(i + 1).padStart(2, "0")}`, close, sma20: i >= 19 ? close - 9.5 : null };
+});
+const INTRADAY = Array.from({ length: 12 }, (_, i) => {
+  const unix = toUnix("2024-01-02 09:15") + i * 300;
+  return { unix, close: 50 + i, utcKey: new Date(unix * 1000).toISOString().slice(0, 16).replace("T", "_") };
+});
+
+// candles as shipped before schema_version: no unix_timestamp / close_csum
+// when `unix` is false, keyed by `timestamp`, with host-zone (here UTC) keys
+function seedBaseline(db, { unix }) {
+  db.exec(`
+    CREATE TABLE candles (
+      symbol TEXT NOT NULL, resolution TEXT NOT NULL, timestamp TEXT NOT NULL,
+      ${unix ? "unix_timestamp INTEGER," : ""}
+      open REAL, high REAL, low REAL, close REAL, volume REAL,
+      sma20 REAL, sma50 REAL, sma200 REAL,
+      PRIMARY KEY (symbol, resolution, timestamp)
+    );
+  `);
+  const insert = db.prepare(`
+    INSERT INTO candles (symbol, resolution, timestamp, ${unix ? "unix_timestamp, " : ""}open, high, low, close, volume, sma20)
+    VALUES (?, ?, ?, ${unix ? "?, " : ""}?, ?, ?, ?, ?, ?)
+  `);
+  for (const d of DAILY) {
+    const ts = toUnix(d.key);
+    insert.run(SYM, "D", d.key, ...(unix ? [ts] : []), d.close, d.close, d.close, d.close, 1000, d.sma20);
+  }
+  for (const b of INTRADAY) {
+    const key = unix ? b.utcKey : `2024-01-02_${new Date((b.unix + 19_800) * 1000).toISOString().slice(11, 16)}`;
+    insert.run(SYM, "5", key, ...(unix ? [b.unix] : []), b.close, b.close, b.close, b.close, 10, null);
+  }
+}
+
+const primaryKey = db => db.prepare(`PRAGMA table_info(candles)`).all()
+  .filter(c => c.pk).sort((a, b) => a.pk - b.pk).map(c => c.name);
+const count = (db, res) => db.prepare(`SELECT COUNT(*) FROM candles WHERE resolution = ?`).pluck().get(res);
+const views = db => db.prepare(`SELECT name FROM sqlite_master WHERE type = 'view' ORDER BY name`).pluck().all();
+const rows  = (db, res) => db.prepare(`
+  SELECT timestamp, unix_timestamp AS ts, close, sma20 FROM candles WHERE resolution = ? ORDER BY unix_timestamp
+`).all(res);
+
+describe("candle migrations", () => {
+  let db, migrator;
+  beforeEach((t) => {
+    t.mock.method(console, "log", () => {});
+    db = new Database(":memory:");
+    migrator = new Migrator(db, { log: () => {} });
+  });
+
+  test("a database from before unix_timestamp migrates up with its rows and SMAs", () => {
+    seedBaseline(db, { unix: false });
+    assert.deepEqual(primaryKey(db), ["symbol", "resolution", "timestamp"]);
+
+    assert.deepEqual(migrator.migrate(), [1, 2, 3, 4]);
+    assert.equal(migrator.status().current, 4);
+    assert.deepEqual(primaryKey(db), ["symbol", "resolution", "unix_timestamp"]);
+    assert.equal(count(db, "D"), 25);
+    assert.equal(count(db, "5"), 12);
+
+    // unix_timestamp filled from the keys, SMA columns untouched
+    assert.deepEqual(rows(db, "D"), DAILY.map(d => ({ timestamp: d.key, ts: toUnix(d.key), close: d.close, sma20: d.sma20 })));
+    assert.deepEqual(rows(db, "5").map(r => r.ts), INTRADAY.map(b => b.unix));
+    assert.deepEqual(db.prepare(`SELECT close, sma20 FROM view_sma_D ORDER BY unix_timestamp DESC LIMIT 1`).get(),
+      { close: 124, sma20: 114.5 });
+    assert.equal(migrator.migrate().length, 0);
+  });
+
+  test("002 rewrites host-zone keys in exchange time", () => {
+    seedBaseline(db, { unix: true });
+    migrator.migrate({ to: 2 });
+    const keys = rows(db, "5").map(r => r.timestamp);
+    assert.equal(keys[0], "2024-01-02_09:15");
+    assert.equal(keys.at(-1), "2024-01-02_10:10");
+    assert.equal(count(db, "5"), 12);
+    assert.deepEqual(rows(db, "D").map(r => r.sma20), DAILY.map(d => d.sma20));
+  });
+
+  test("004 down restores the timestamp key; up again moves it back", () => {
+    seedBaseline(db, { unix: true });
+    migrator.migrate();
+    const before = { D: rows(db, "D"), 5: rows(db, "5") };
+
+    assert.deepEqual(migrator.rollback(), [4]);
+    assert.equal(migrator.current(), 3);
+    assert.deepEqual(primaryKey(db), ["symbol", "resolution", "timestamp"]);
+    assert.deepEqual({ D: rows(db, "D"), 5: rows(db, "5") }, before);
+    assert.ok(db.prepare(`PRAGMA index_list(candles)`).all().some(i => i.name === "idx_candles_symbol_res_unix"));
+    assert.deepEqual(views(db), ["view_latest_sma", "view_sma_1", "view_sma_120", "view_sma_5", "view_sma_60", "view_sma_D"]);
+
+    assert.deepEqual(migrator.migrate(), [4]);
+    assert.deepEqual(primaryKey(db), ["symbol", "resolution", "unix_timestamp"]);
+    assert.deepEqual({ D: rows(db, "D"), 5: rows(db, "5") }, before);
+    assert.throws(() => db.prepare(`INSERT INTO candles (symbol, resolution, timestamp, unix_timestamp) VALUES (?, 'D', 'x', ?)`)
+      .run(SYM, before.D[0].ts), /UNIQUE constraint failed/);
+  });
+
+  test("rolling back to 0 drops the views and tables", () => {
+    seedBaseline(db, { unix: true });
+    migrator.migrate();
+    assert.deepEqual(migrator.rollback({ to: 0 }), [4, 3, 2, 1]);
+    assert.equal(migrator.current(), 0);
+    assert.deepEqual(views(db), []);
+    assert.equal(db.prepare(`SELECT COUNT(*) FROM sqlite_master WHERE name IN ('candles', 'indicators')`).pluck().get(), 0);
+  });
+});
+
+describe("Migrator", () => {
+  test("a failing migration leaves the database at the previous version", (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "migrations-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(dir, "001_table.js"),
+      `module.exports = { up: db => db.exec("CREATE TABLE t (x)"), down: db => db.exec("DROP TABLE t") };`);
+    fs.writeFileSync(path.join(dir, "002_broken.js"),
+      `module.exports = { up: db => { db.exec("INSERT INTO t VALUES (1)"); throw new Error("boom"); } };`);
+
+    const db = new Database(":memory:");
+    const migrator = new Migrator(db, { dir, log: () => {} });
+    assert.throws(() => migrator.migrate(), /boom/);
+    assert.equal(migrator.current(), 1);
+    assert.equal(db.prepare(`SELECT COUNT(*) FROM t`).pluck().get(), 0);
+    assert.deepEqual(migrator.status().migrations.map(m => [m.version, m.applied]), [[1, true], [2, false]]);
+    assert.deepEqual(migrator.rollback({ to: 0 }), [1]);
+  });
+});
@@ -0,0 +1,173 @@
+// Option chain assembly, PCR and max pain on fixed inputs, and the live
+// service with a stub symbol master / candle store (no network).
+process.env.CANDLE_DB_PATH = ":memory:";
+process.env.APP_DB_PATH    = ":memory:";
+
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const bs     = require("../src/blackScholes");
+const { buildChain, pcr, maxPain, OptionChainService } = require("../src/optionChain");
+const { MemoryCandleStore } = require("../src/storage");
+
+const DAY    = 86_400;
+const NOW    = 1735790400;                                  // 2025-01-02 09:30 IST
+const EXPIRY = NOW + 7 * DAY;
+const T      = 7 / 365;
+const RATE   = 0.065;
+
+const contract = (strike, optionType) =>
+  ({ ticker: `NSE:TEST25109${strike}${optionType}`, strike, optionType, lotSize: 50 });
+const CONTRACTS = [100, 110, 120].flatMap(k => [contract(k, "CE"), contract(k, "PE")]);
+
+// OI: calls 100 / 300 / 500, puts 400 / 200 / 100 at strikes 100 / 110 / 120
+const OI = { "100CE": 100, "110CE": 300, "120CE": 500, "100PE": 400, "110PE": 200, "120PE": 100 };
+const quotesAt = (spot, sigma) => Object.fromEntries(CONTRACTS.map(c => {
+  const ltp = Number(bs.price(c.optionType, spot, c.strike, T, RATE, sigma).toFixed(6));
+  const oi  = OI[`${c.strike}${c.optionType}`];
+  return [c.ticker, { ltp, oi, prevOi: oi - 50, volume: oi * 2 }];
+}));
+
+const near = (actual, expected, tol, msg) =>
+  assert.ok(Math.abs(actual - expected) <= tol, `${msg}: ${actual} ≠ ${expected} ± ${tol}`);
+
+describe("chain maths", () => {
+  const rows = [100, 110, 120].map(strike => ({
+    strike,
+    call: { oi: OI[`${strike}CE`], volume: 10 },
+    put : { oi: OI[`${strike}PE`], volume: 5 }
+  }));
+
+  test("put/call ratio of OI and volume", () => {
+    assert.deepEqual(pcr(rows), { oi: 0.7778, volume: 0.5, callOI: 900, putOI: 700, callVolume: 30, putVolume: 15 });
+    assert.equal(pcr([{ strike: 1, call: null, put: { oi: 5 } }]).oi, null);
+  });
+
+  test("max pain is the strike with the smallest payout to buyers", () => {
+    // payout at 100: 200·10 + 100·20 = 4000; at 110: 100·10 + 100·10 = 2000; at 120: 100·20 + 300·10 = 5000
+    assert.deepEqual(maxPain(rows), { strike: 110, value: 2000 });
+    assert.equal(maxPain([{ strike: 100, call: { oi: 0 }, put: null }]), null);
+  });
+});
+
+describe("buildChain", () => {
+  const chain = buildChain({
+    underlying: "TEST", expiry: "2025-01-09", expiryTs: EXPIRY, spot: 108,
+    contracts: CONTRACTS, quotes: quotesAt(108, 0.25), now: NOW, rate: RATE
+  });
+
+  test("rows by strike with both sides, ATM nearest the spot", () => {
+    assert.deepEqual(chain.rows.map(r => r.strike), [100, 110, 120]);
+    assert.equal(chain.atm, 110);
+    assert.equal(chain.daysToExpiry, 7);
+    assert.equal(chain.rows[1].call.ticker, "NSE:TEST25109110CE");
+    assert.equal(chain.rows[1].put.lotSize, 50);
+    assert.equal(chain.rows[1].put.oiChange, 50);
+  });
+
+  test("IV and Greeks from the quoted premiums", () => {
+    for (const row of chain.rows) {
+      for (const side of ["call", "put"]) {
+        const type = side === "call" ? "CE" : "PE";
+        const g    = bs.greeks(type, 108, row.strike, T, RATE, 0.25);
+        near(row[side].iv, 25, 0.01, `${row.strike} ${type} iv`);
+        near(row[side].delta, g.delta, 1e-4, `${row.strike} ${type} delta`);
+        near(row[side].gamma, g.gamma, 1e-6, `${row.strike} ${type} gamma`);
+        near(row[side].theta, g.theta, 0.01, `${row.strike} ${type} theta`);
+        near(row[side].vega, g.vega, 0.01, `${row.strike} ${type} vega`);
+      }
+    }
+    near(chain.atmIV, 25, 0.01, "ATM IV");
+  });
+
+  test("the bid/ask mid beats the last price", () => {
+    const quotes = quotesAt(108, 0.25);
+    const mid    = bs.price("CE", 108, 110, T, RATE, 0.3);
+    quotes["NSE:TEST25109110CE"] = { ltp: 0.01, bid: mid - 0.05, ask: mid + 0.05 };
+    const c = buildChain({ expiryTs: EXPIRY, spot: 108, contracts: CONTRACTS, quotes, now: NOW, rate: RATE });
+    near(c.rows[1].call.iv, 30, 0.01, "iv from mid");
+  });
+
+  test("PCR and max pain cover the whole chain when rows are windowed", () => {
+    const w = buildChain({ expiryTs: EXPIRY, spot: 118, contracts: CONTRACTS, quotes: quotesAt(118, 0.25), now: NOW, strikes: 1 });
+    assert.deepEqual(w.rows.map(r => r.strike), [110, 120]);
+    assert.equal(w.strikes, 3);
+    assert.equal(w.pcr.oi, 0.7778);
+    assert.equal(w.maxPain.strike, 110);
+  });
+
+  test("no spot or no quotes: OI only, no Greeks", () => {
+    const c = buildChain({ expiryTs: EXPIRY, contracts: CONTRACTS, quotes: quotesAt(108, 0.25), now: NOW });
+    assert.equal(c.atm, null);
+    assert.equal(c.rows[0].call.iv, null);
+    assert.equal(c.rows[0].call.oi, 100);
+    const empty = buildChain({ expiryTs: EXPIRY, spot: 108, contracts: CONTRACTS, now: NOW });
+    assert.equal(empty.rows[0].put.ltp, null);
+    assert.equal(empty.maxPain, null);
+  });
+});
+
+describe("OptionChainService", () => {
+  const master = {
+    isLoaded: () => true,
+    options : (und, { from = 0, to = Infinity } = {}) =>
+      und !== "TEST" ? [] : CONTRACTS.map(c => ({ ...c, expiry: EXPIRY })).filter(c => c.expiry >= from && c.expiry < to)
+  };
+  const instruments = { spotOf: () => "NSE:TEST-EQ", underlyingOf: t => t.replace(/^\w+:/, "").replace(/-\w+$/, "") };
+  const make = opts => new OptionChainService({ symbolMaster: master, instruments, store: new MemoryCandleStore(), ...opts });
+
+  test("watching subscribes the spot and every contract once", () => {
+    const svc  = make();
+    const subs = [];
+    svc.on("subscribe", t => subs.push(t));
+    const chain = svc.watch("NSE:TEST-EQ", { expiry: "2025-01-09" });
+    svc.watch("TEST", { expiry: "2025-01-09", listener: true });
+    assert.equal(chain.key, "NSE:TEST:2025-01-09");
+    assert.deepEqual(subs, [["NSE:TEST-EQ", ...CONTRACTS.map(c => c.ticker)]]);
+    assert.equal(chain.watchers, 1);
+    assert.throws(() => svc.watch("OTHER", { expiry: "2025-01-09" }), /No OTHER options expiring/);
+    assert.throws(() => svc.watch("TEST", { expiry: "09-01-2025" }), /YYYY-MM-DD/);
+  });
+
+  test("ticks fill the chain; spot falls back to the last daily close", async () => {
+    const svc = make({ strikes: 0 });
+    const yesterday = Math.floor(Date.now() / 1000) - DAY;   // the fallback reads the last 10 days
+    await svc.store.storeCandles("NSE:TEST-EQ", "D", [[yesterday, 100, 110, 99, 107, 1000]]);
+    svc.watch("TEST", { expiry: "2025-01-09" });
+    for (const [ticker, q] of Object.entries(quotesAt(108, 0.25)))
+      svc.onTick({ type: "sf", symbol: ticker, ltp: q.ltp, oi: q.oi, pdoi: q.prevOi, vol_traded_today: q.volume });
+
+    let chain = await svc.chain("TEST", { expiry: "2025-01-09" });
+    assert.equal(chain.spot, 107);
+    assert.equal(chain.pcr.oi, 0.7778);
+
+    svc.onTick({ type: "sf", symbol: "NSE:TEST-EQ", ltp: 108 });
+    chain = await svc.chain("TEST", { expiry: "2025-01-09" });
+    assert.equal(chain.spot, 108);
+    assert.equal(chain.rows[1].call.oi, 300);
+    assert.equal(chain.daysToExpiry, 0);                        // expired on the real clock: no IV
+    assert.equal(chain.rows[1].call.iv, null);
+  });
+
+  test("pushes changed chains to watchers and drops idle ones", async () => {
+    const svc = make({ idleMinutes: 0 });
+    const updates = [], unsubs = [];
+    svc.on("update", key => updates.push(key));
+    svc.on("unsubscribe", t => unsubs.push(t));
+
+    const chain = svc.watch("TEST", { expiry: "2025-01-09", listener: true });
+    svc.start();
+    await new Promise(r => setTimeout(r, 1100));
+    assert.deepEqual(updates, [chain.key]);
+
+    svc.unwatch(chain.key);
+    await new Promise(r => setTimeout(r, 1100));
+    svc.stop();
+    assert.equal(svc.chains.size, 0);
+    assert.equal(unsubs[0].length, CONTRACTS.length + 1);
+  });
+
+  test("needs the symbol master", () => {
+    const svc = new OptionChainService({ symbolMaster: { isLoaded: () => false }, instruments, store: new MemoryCandleStore() });
+    assert.throws(() => svc.watch("TEST"), /Symbol master not imported/);
+  });
+});
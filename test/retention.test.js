@@ -0,0 +1,73 @@
+// CandleRetention archive → delete → restore on an in-memory CandleDB with a
+// temporary archive directory, including a run that crashed between writing
+// the archive and deleting the rows.
+process.env.CANDLE_DB_PATH = ":memory:";
+process.env.APP_DB_PATH    = ":memory:";
+
+const { describe, test, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs     = require("fs");
+const os     = require("os");
+const path   = require("path");
+const zlib   = require("zlib");
+const { CandleDB } = require("../src/candleDB");
+const { CandleRetention } = require("../src/retention");
+
+const DAY   = 86_400;
+const START = 1704047400;                                    // 2024-01-01 00:00 IST
+const SYM   = "NSE:AAA-EQ";
+const NOW   = START + 120 * DAY;                             // 2024-04-30: 30 days back is 2024-03-31
+
+const candles = Array.from({ length: 120 }, (_, i) => {
+  const c = 100 + 10 * Math.sin(i / 7) + (i % 5);
+  return [START + i * DAY, c - 1, c + 2, c - 2, c, 1000 + i];
+});
+
+const dirs = [];
+after(() => dirs.forEach(d => fs.rmSync(d, { recursive: true, force: true })));
+
+describe("CandleRetention", () => {
+  let db, retention, original;
+  const rows = () => db.pageCandles(SYM, "D", 0, Infinity, 10_000, true);
+  const restoreAll = async () => {
+    for (const a of retention.archives()) await retention.restore(a.file);
+  };
+
+  beforeEach(() => {
+    db = new CandleDB(":memory:");
+    db.storeCandles(SYM, "D", candles);
+    original = rows();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "retention-"));
+    dirs.push(dir);
+    retention = new CandleRetention({ candleDB: db, dir, retention: "D:30d" });
+  });
+
+  test("apply archives the expired rows per month, then deletes them", () => {
+    const [report] = retention.apply({ now: NOW });
+    const cutoff = START + 90 * DAY;                         // 2024-03-31 00:00 IST
+    assert.equal(report.rows, 90);
+    assert.deepEqual(retention.archives().map(a => a.month), ["2024-01", "2024-02", "2024-03"]);
+    assert.deepEqual(rows().map(r => r.ts), original.filter(r => r.ts >= cutoff).map(r => r.ts));
+    assert.equal(retention.apply({ now: NOW })[0].rows, 0);
+  });
+
+  test("restore brings back the same rows and SMAs", async () => {
+    retention.apply({ now: NOW });
+    await restoreAll();
+    assert.deepEqual(rows(), original);
+  });
+
+  test("rows archived twice (a crash before the delete) restore once", async (t) => {
+    const transaction = t.mock.method(db.db, "transaction", () => () => { throw new Error("killed"); });
+    assert.throws(() => retention.apply({ now: NOW }), /killed/);
+    transaction.mock.restore();
+    assert.equal(rows().length, 120);                        // archived, not deleted
+
+    assert.equal(retention.apply({ now: NOW })[0].rows, 90);
+    const archived = retention.archives()
+      .flatMap(a => zlib.gunzipSync(fs.readFileSync(a.file)).toString().trim().split("\n"));
+    assert.equal(archived.length, 180);
+    await restoreAll();
+    assert.deepEqual(rows(), original);
+  });
+});
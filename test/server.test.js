@@ -0,0 +1,266 @@
+// server.js end to end on the Fyers simulator (FYERS_MOCK) with in-memory
+// databases: bootstrap, /api/change-resolution, what a socket.io client
+// receives when it connects, and logins / roles / the audit log.
+process.env.CANDLE_DB_PATH = ":memory:";
+process.env.APP_DB_PATH    = ":memory:";
+process.env.FYERS_MOCK     = "true";
+process.env.FYERS_APP_ID     ??= "TEST-100";
+process.env.FYERS_SECRET_KEY ??= "secret";
+process.env.AUTH_ADMIN_USER     = "admin";
+process.env.AUTH_ADMIN_PASSWORD = "admin-password";
+process.env.AUTH_JWT_SECRET     = "test-secret";
+process.env.ACCOUNTS_FILE       = require("path").join(__dirname, "fixtures/accounts.json");
+
+// The server logs plenty; on stdout that shares the pipe with Node 20's
+// test runner protocol and now and then garbles it ("Unable to deserialize
+// cloned data"), so it goes to stderr here
+console.log = console.error;
+
+const { describe, test, before, after } = require("node:test");
+const assert    = require("node:assert/strict");
+const WebSocket = require("ws");
+const { server, io, bootstrap, watchlists, accounts, getStrategy, getDataSocket } = require("../src/server");
+const authManager = require("../src/auth2.0");
+
+const SYM = "NSE:SBIN-EQ";
+let base, port, token;   // token: the admin's JWT
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+async function until(fn, ms = 30_000) {
+  for (const end = Date.now() + ms; Date.now() < end; await sleep(100)) if (fn()) return;
+  throw new Error("timed out");
+}
+
+const request = (method, url, body, auth = token) => fetch(`${base}${url}`, {
+  method,
+  headers: { "Content-Type": "application/json", ...(auth && { Authorization: `Bearer ${auth}` }) },
+  body: body === undefined ? undefined : JSON.stringify(body)
+}).then(async r => ({ status: r.status, body: await r.json() }));
+const post = (url, body, auth) => request("POST", url, body, auth);
+const get  = (url, auth) => request("GET", url, undefined, auth);
+
+// Bare socket.io client over ws (Engine.IO v4 framing): collects [event, payload],
+// the namespace's answer as ["connect", …] or ["connect_error", { message }]
+function ioClient({ nsp = "/", auth = { token }, query = "" } = {}) {
+  const ws     = new WebSocket(`ws://localhost:${port}/socket.io/?EIO=4&transport=websocket${query}`);
+  const prefix = nsp === "/" ? "" : `${nsp},`;
+  const events = [];
+  ws.on("message", raw => {
+    const msg = raw.toString();
+    if (msg.startsWith("0")) ws.send(`40${prefix}${JSON.stringify(auth)}`);   // handshake → join the namespace
+    else if (msg === "2") ws.send("3");                     // ping → pong
+    else if (msg.startsWith(`40${prefix}`)) events.push(["connect", JSON.parse(msg.slice(2 + prefix.length))]);
+    else if (msg.startsWith(`42${prefix}`)) events.push(JSON.parse(msg.slice(2 + prefix.length)));
+    else if (msg.startsWith(`44${prefix}`)) events.push(["connect_error", JSON.parse(msg.slice(2 + prefix.length))]);
+  });
+  return {
+    events,
+    close: () => ws.close(),
+    emit : (event, data) => ws.send(`42${prefix}${JSON.stringify([event, data])}`),
+    got  : name => events.find(([e]) => e === name)?.[1]
+  };
+}
+
+before(async () => {
+  // One symbol keeps hydration within the API rate limit
+  watchlists.create("test", [SYM]);
+  watchlists.activate("test");
+  await bootstrap();
+  authManager.stopTokenRefresh();
+  await new Promise(r => server.listen(0, r));
+  port = server.address().port;
+  base = `http://localhost:${port}`;
+  token = (await post("/api/login", { username: "admin", password: "admin-password" })).body.token;
+  // The snapshot tick hydrates the symbol and evaluates both strategies
+  await until(() => [...getStrategy().state.values()].every(s => s.has(SYM)));
+});
+
+after(async () => {
+  getDataSocket()?.disconnect();
+  accounts.stop();
+  await new Promise(r => io.close(r));
+});
+
+describe("socket.io hydration", () => {
+  test("a new client gets the current signals and paper positions", async () => {
+    const client = ioClient();
+    await until(() => client.got("initialPaperPositions"), 5_000);
+    client.close();
+
+    const strategy = getStrategy();
+    assert.deepEqual(client.got("initialBullishSignals"), strategy.getBullishSignals());
+    assert.deepEqual(client.got("initialBearishSignals"), strategy.getBearishSignals());
+    assert.ok(Array.isArray(client.got("initialPaperPositions")));
+  });
+});
+
+describe("POST /api/change-resolution", () => {
+  test("resolution is required", async () => {
+    const { status, body } = await post("/api/change-resolution", {});
+    assert.equal(status, 400);
+    assert.equal(body.message, "Resolution parameter is required");
+    assert.equal(body.current, "60");
+  });
+
+  test("an invalid resolution is a 400 and changes nothing", async () => {
+    const { status, body } = await post("/api/change-resolution", { resolution: "5s" });
+    assert.equal(status, 400);
+    assert.equal(body.message, "Invalid resolution: 5s");
+    assert.equal(getStrategy().getResolution(), "60");
+  });
+
+  test("re-analyses at the new resolution and pushes the signals to every client", async () => {
+    const client = ioClient();
+    await until(() => client.got("initialPaperPositions"), 5_000);
+    client.events.length = 0;
+
+    const { status, body } = await post("/api/change-resolution", { resolution: "2h" });
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    assert.equal(body.resolution, "120");
+    assert.equal(body.analysisCount, getStrategy().getStrategies().length);
+    assert.ok(body.bullishSignals.every(s => s.trade.key.endsWith("@120")));
+
+    await until(() => client.got("initialBearishSignals"), 5_000);
+    client.close();
+    assert.deepEqual(client.got("initialBullishSignals"), body.bullishSignals);
+    assert.deepEqual(client.got("initialBearishSignals"), body.bearishSignals);
+
+    const current = (await get("/api/resolution")).body;
+    assert.equal(current.resolution, "120");
+  });
+});
+
+describe("users & access", () => {
+  let viewer;
+  before(async () => {
+    assert.equal((await post("/api/users", { username: "viewer", password: "viewer-password", role: "viewer" })).status, 200);
+    viewer = (await post("/api/login", { username: "viewer", password: "viewer-password" })).body.token;
+  });
+
+  test("login: bad credentials are a 401, no token or a bad one too", async () => {
+    assert.equal((await post("/api/login", { username: "admin", password: "nope" })).status, 401);
+    assert.equal((await get("/api/resolution", null)).status, 401);
+    assert.equal((await get("/api/resolution", "garbage")).status, 401);
+    assert.equal((await get("/api/me")).body.user.role, "admin");
+  });
+
+  test("a viewer reads but can't change anything or reach admin routes", async () => {
+    assert.equal((await get("/api/resolution", viewer)).status, 200);
+    assert.equal((await post("/api/change-resolution", { resolution: "60" }, viewer)).status, 403);
+    assert.equal((await get("/api/users", viewer)).status, 403);
+    assert.equal((await get("/api/me", viewer)).body.user.username, "viewer");
+  });
+
+  test("viewers can't start Fyers fetches: gap requeue is a POST, candles come from the cache", async () => {
+    const range = `symbols=${SYM}&resolutions=D&from=2020-01-01&to=2020-01-31`;
+    assert.equal((await get(`/api/backfill/gaps?${range}`, viewer)).status, 200);
+    const requeue = { symbols: SYM, resolutions: "D", from: "2020-01-01", to: "2020-01-31" };
+    assert.equal((await post("/api/backfill/gaps/requeue", requeue, viewer)).status, 403);
+
+    const candles = `/api/candles/${SYM}?resolution=D&from=2020-01-01&to=2020-01-31`;
+    const cached  = await get(candles, viewer);
+    assert.equal(cached.status, 200);
+    assert.deepEqual(cached.body.candles, []);
+    assert.ok(!(await get("/api/audit?action=candle_fetch")).body.entries.length);
+
+    assert.ok((await get(candles)).body.candles.length > 0);
+    const [fetched] = (await get("/api/audit?action=candle_fetch")).body.entries;
+    assert.equal(fetched.username, "admin");
+  });
+
+  test("API keys authenticate with X-API-Key until revoked", async () => {
+    const { body } = await post("/api/me/api-keys", { name: "script" }, viewer);
+    assert.match(body.key, /^fk_/);
+    const me = () => fetch(`${base}/api/me`, { headers: { "X-API-Key": body.key } });
+    assert.equal((await (await me()).json()).user.username, "viewer");
+
+    assert.equal((await request("DELETE", `/api/me/api-keys/${body.apiKey.id}`, undefined, viewer)).status, 200);
+    assert.equal((await me()).status, 401);
+  });
+
+  test("sockets need a user, the admin namespace an admin", async () => {
+    const anonymous = ioClient({ auth: {} });
+    const denied    = ioClient({ nsp: "/admin", auth: { token: viewer } });
+    const adminSock = ioClient({ nsp: "/admin" });
+    await until(() => anonymous.got("connect_error") && denied.got("connect_error"), 5_000);
+    assert.equal(anonymous.got("connect_error").message, "Authentication required");
+    assert.match(denied.got("connect_error").message, /admin role required/);
+
+    await until(() => adminSock.got("connect"), 5_000);
+    await post("/api/change-resolution", {}, viewer);
+    await until(() => adminSock.got("audit"), 5_000);
+    [anonymous, denied, adminSock].forEach(c => c.close());
+    assert.equal(adminSock.got("audit").username, "viewer");
+  });
+
+  test("the audit log has logins, changes (without secrets) and denials", async () => {
+    const { body } = await get("/api/audit?user=viewer&limit=1000");
+    const actions = body.entries.map(e => e.action);
+    assert.ok(actions.includes("login"));
+    assert.ok(actions.includes("denied"));
+
+    const keyCreated = body.entries.find(e => e.method === "POST" && e.path === "/api/me/api-keys");
+    assert.equal(keyCreated.status, 200);
+    assert.deepEqual(keyCreated.details, { body: { name: "script" } });
+
+    const created = (await get("/api/audit?action=request&limit=1000")).body.entries.find(e => e.path === "/api/users");
+    assert.equal(created.details.body.password, "***");
+  });
+
+  test("a Fyers callback without our OAuth state is refused and audited", async () => {
+    const r = await fetch(`${base}/?auth_code=mockauth.forged&state=forged`);
+    assert.equal(r.status, 400);
+    assert.match(await r.text(), /Invalid or expired OAuth state/);
+    const [entry] = (await get("/api/audit?action=fyers_login_failed")).body.entries;
+    assert.equal(entry.details.account, "default");
+  });
+});
+
+describe("accounts per user", () => {
+  let viewer;
+  before(async () => {
+    await post("/api/users", { username: "default-only", password: "viewer-password", accounts: ["default"] });
+    viewer = (await post("/api/login", { username: "default-only", password: "viewer-password" })).body.token;
+  });
+
+  test("REST: only the user's accounts are listed and reachable", async () => {
+    assert.deepEqual((await get("/api/accounts", viewer)).body.accounts.map(a => a.id), ["default"]);
+    assert.equal((await get("/api/accounts/client1", viewer)).status, 403);
+    assert.equal((await get("/api/accounts/client1/orders", viewer)).status, 403);
+    assert.equal((await get("/api/accounts/client1/auth/status", viewer)).status, 403);
+    assert.equal((await get("/api/orders", viewer)).status, 200);
+    assert.equal((await get("/api/accounts/client1/orders")).status, 200);       // admin
+    assert.deepEqual((await request("PATCH", "/api/users/default-only", { accounts: ["nope"] })).body.message, "Unknown account: nope");
+  });
+
+  test("sockets can't join another account's room", async () => {
+    const client = ioClient({ auth: { token: viewer }, query: "&account=client1" });
+    await until(() => client.got("accountError") && client.got("authStatus"), 5_000);
+    assert.equal(client.got("accountError").message, "Not allowed to use account client1");
+    assert.equal(client.got("authStatus").account, "default");
+
+    client.events.length = 0;
+    client.emit("selectAccount", "client1");
+    await until(() => client.got("accountError"), 5_000);
+    client.close();
+    assert.equal(client.got("authStatus"), undefined);
+  });
+
+  test("accountSignal carries each account's own risk verdict", async () => {
+    const own    = ioClient({ query: "&account=client1" });
+    await until(() => own.got("authStatus"), 5_000);
+    // Rejected for "default", so the paper broker leaves it alone
+    const trade = { ticker: SYM, type: "BUY", strategy: "bullish", entryPrice: 500, stopLoss: 495, risk: { approved: false, reason: "default's" } };
+    getStrategy().emit("bullish", { trade });
+
+    await until(() => own.got("accountSignal"), 5_000);
+    own.close();
+    const { account, trade: got } = own.got("accountSignal");
+    assert.equal(account, "client1");
+    assert.notEqual(got.risk.reason, "default's");
+    const client1 = accounts.get("client1").risk;
+    await client1.loadDaily(trade.ticker);
+    assert.deepEqual(got.risk, client1.evaluate(trade));
+  });
+});
@@ -0,0 +1,263 @@
+// Strategy.#analyze end to end through the public entry points (tick /
+// hydrate): not enough data, new signals, persisting signals, clears, the
+// priority debug dump and ind() lookups – with a stub TradingService, an
+// in-memory candle store and a fake socket.io server.
+process.env.CANDLE_DB_PATH = ":memory:";
+process.env.APP_DB_PATH    = ":memory:";
+
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const Strategy = require("../src/strategy");
+const { rollup } = require("../src/strategy");
+const { compileRuleSet } = require("../src/rules");
+const { MemoryCandleStore } = require("../src/storage");
+const { calendarForSymbol } = require("../src/marketCalendar");
+
+const SYM = "NSE:SBIN-EQ";
+const cal = calendarForSymbol(SYM);
+
+// n daily candles ending with the last session (what #ensureDaily expects), close 100
+const dailyBars = n => Array.from({ length: n }, (_, i) =>
+  [cal.midnight(cal.tradingDaysBack(cal.lastTradingDay(), n - 1 - i)), 100, 101, 99, 100, 50_000]);
+// n intraday candles a minute apart ending now, close 100 → every SMA is 100
+const intradayBars = n => Array.from({ length: n }, (_, i) =>
+  [Math.floor(Date.now() / 1000) - (n - i) * 60, 100, 101, 99, 100, 1000]);
+
+// TradingService stand-in: per-resolution candles, records what was asked for
+function stubService({ daily = 30, intraday = 220, empty = [] } = {}) {
+  const calls = [];
+  return {
+    calls,
+    getHistoricalData: async (symbol, res) => {
+      calls.push(res);
+      if (empty.includes(res)) return { success: true, candles: [] };
+      return { success: true, candles: res === "D" ? dailyBars(daily) : intradayBars(intraday) };
+    }
+  };
+}
+
+// socket.io stand-in: records every broadcast
+function fakeIO() {
+  const sent = [];
+  return { sent, emit: (event, payload) => sent.push([event, payload]) };
+}
+
+const UP   = compileRuleSet({ name: "up", type: "BUY", rules: { above: "daily.close > sma(res,20)" }, signal: "above" });
+const DOWN = compileRuleSet({ name: "down", type: "SELL", rules: { below: "daily.close < sma(res,20)" }, signal: "below" });
+
+function make(svcOpts, opts = {}) {
+  const svc = stubService(svcOpts);
+  const io  = fakeIO();
+  const strategy = new Strategy(svc, io, { strategies: [UP, DOWN], store: new MemoryCandleStore(), debug: false, ...opts });
+  const events = [];
+  for (const e of ["bullish", "bearish", "clear"]) strategy.on(e, p => events.push([e, p]));
+  return { strategy, svc, io, events };
+}
+
+// Runs fn with console.log captured; returns the logged lines
+async function captureLog(fn) {
+  const lines = [], log = console.log;
+  console.log = (...args) => lines.push(args.join(" "));
+  try {
+    await fn();
+  } finally {
+    console.log = log;
+  }
+  return lines;
+}
+
+describe("not enough data", () => {
+  test("fewer than 10 daily candles: no state, no signals", async () => {
+    const { strategy, events, io } = make({ daily: 5 });
+    await strategy.tick(SYM, 110);
+    assert.equal(strategy.state.get("up").size, 0);
+    assert.deepEqual(events, []);
+    assert.deepEqual(io.sent, []);
+  });
+
+  test("no SMAs at the selected resolution: no state, no signals", async () => {
+    const { strategy, svc, events } = make({ empty: ["60"] });
+    await strategy.hydrate(SYM);
+    assert.ok(svc.calls.includes("60"));
+    assert.equal(strategy.smaMap.has(SYM), false);
+    assert.equal(strategy.state.get("down").size, 0);
+    assert.deepEqual(events, []);
+  });
+
+  test("logs the reason only with debug on", async () => {
+    const quiet = await captureLog(() => make({ daily: 5 }).strategy.tick(SYM, 110));
+    assert.ok(!quiet.some(l => l.includes("Not enough data")));
+    const loud = await captureLog(() => make({ daily: 5 }, { debug: true }).strategy.tick(SYM, 110));
+    assert.ok(loud.includes(`${SYM}: Not enough data for analysis (daily: 5, smaBuf: true)`));
+  });
+});
+
+describe("signals", () => {
+  test("hydrate evaluates every rule set and keeps the flags", async () => {
+    const { strategy, svc, events } = make();
+    await strategy.hydrate(SYM);
+    assert.deepEqual(svc.calls, ["D", "60", "1", "5", "120", "D"]); // 60 reused; 30 days are too few for a daily SMA200
+    assert.deepEqual(events, []);                                    // close == SMA20: neither side
+    const up = strategy.state.get("up").get(SYM);
+    assert.equal(up.signal, false);
+    assert.equal(up.above, false);
+    assert.deepEqual([up.s20, up.s50, up.s200], [100, 100, 100]);
+    assert.equal(strategy.state.get("down").get(SYM).below, false);
+  });
+
+  test("new signal → bullish event, bullishSignal + signalRefresh broadcast", async () => {
+    const { strategy, io, events } = make();
+    await strategy.tick(SYM, 110);
+    assert.deepEqual(events.map(([e]) => e), ["bullish"]);
+    const { trade } = events[0][1];
+    assert.equal(trade.key, `up:${SYM}@60`);
+    assert.equal(trade.type, "BUY");
+    assert.equal(trade.price, "110.00");
+    assert.deepEqual(io.sent.map(([e]) => e), ["bullishSignal", "signalRefresh"]);
+    assert.deepEqual(io.sent[0][1], events[0][1]);
+    assert.deepEqual(strategy.getBullish(), [SYM]);
+    assert.deepEqual(strategy.getBullishSignals().map(s => s.trade.key), [trade.key]);
+  });
+
+  test("a persisting signal is not emitted again", async () => {
+    const { strategy, io, events } = make();
+    await strategy.tick(SYM, 110);
+    await strategy.tick(SYM, 111);
+    assert.equal(events.length, 1);
+    assert.equal(io.sent.length, 2);
+    assert.equal(strategy.state.get("up").get(SYM).signal, true);
+  });
+
+  test("losing a signal clears it; the other side fires bearish", async () => {
+    const { strategy, io, events } = make();
+    await strategy.tick(SYM, 110);
+    await strategy.tick(SYM, 90);
+    assert.deepEqual(events.map(([e]) => e), ["bullish", "clear", "bearish"]);
+    assert.deepEqual(events[1][1], { key: `up:${SYM}@60`, strategy: "up", type: "BUY" });
+    assert.equal(events[2][1].trade.type, "SELL");
+    assert.deepEqual(io.sent.map(([e]) => e),
+      ["bullishSignal", "signalRefresh", "clear", "signalRefresh", "bearishSignal", "signalRefresh"]);
+    assert.deepEqual(strategy.getBullish(), []);
+    assert.deepEqual(strategy.getBearish(), [SYM]);
+  });
+
+  test("removing a symbol clears its active signals", async () => {
+    const { strategy, events } = make();
+    await strategy.tick(SYM, 110);
+    strategy.removeSymbol(SYM);
+    assert.deepEqual(events.map(([e]) => e), ["bullish", "clear"]);
+    assert.equal(strategy.dailyMap.has(SYM), false);
+  });
+
+  test("signal keys follow the selected resolution", async () => {
+    const { strategy, events } = make();
+    strategy.setResolution("2h");
+    await strategy.tick(SYM, 110);
+    assert.equal(events[0][1].trade.key, `up:${SYM}@120`);
+  });
+
+  const BULLISH = compileRuleSet({ name: "bullish", type: "BUY", rules: { above: "daily.close > sma(res,20)" }, signal: "above" });
+  const BEARISH = compileRuleSet({ name: "bearish", type: "SELL", rules: { below: "daily.close < sma(res,20)" }, signal: "below" });
+
+  test("the shipped bullish rule set keeps the symbol@resolution key, bearish is prefixed", async () => {
+    const { strategy, events } = make(undefined, { strategies: [BULLISH, BEARISH] });
+    await strategy.tick(SYM, 110);
+    await strategy.tick(SYM, 90);
+    assert.equal(events[0][1].trade.key, `${SYM}@60`);
+    assert.equal(events[0][1].trade.strategy, "bullish");
+    assert.equal(events[2][1].trade.key, `bearish:${SYM}@60`);
+  });
+
+  test("a flip within one tick never clears the new signal", async () => {
+    // bearish is evaluated first, so its signal goes out before bullish's clear
+    const { strategy, io } = make(undefined, { strategies: [BEARISH, BULLISH] });
+    const shown = new Map();                                    // what a client keeps, by key
+    await strategy.tick(SYM, 110);
+    await strategy.tick(SYM, 90);
+    for (const [event, payload] of io.sent) {
+      if (event === "clear") shown.delete(payload.key);
+      else if (payload.trade) shown.set(payload.trade.key, payload.trade.type);
+    }
+    assert.deepEqual(io.sent.filter(([e]) => e !== "signalRefresh").map(([e]) => e),
+      ["bullishSignal", "bearishSignal", "clear"]);
+    assert.deepEqual([...shown], [[`bearish:${SYM}@60`, "SELL"]]);
+  });
+});
+
+describe("debug output", () => {
+  test("a priority move (≥ 0.5 %) dumps SMAs and every rule", async () => {
+    const { strategy } = make({ empty: ["1"] }, { debug: true });
+    await strategy.hydrate(SYM);
+    const lines = await captureLog(() => strategy.tick(SYM, 110));
+    assert.ok(lines.includes(`\n--- ${SYM} Strategy Analysis ---`));
+    assert.ok(lines.includes("  1: No data"));
+    assert.ok(lines.includes("  5: SMA20(100.00) SMA50(100.00) SMA200(100.00)"));
+    assert.ok(lines.includes("  60 (selected): SMA20(100.00) SMA50(100.00) SMA200(100.00)"));
+    assert.ok(lines.includes("[up]"));
+    assert.ok(lines.includes("  above: ✅  (daily.close > sma(res,20))"));
+    assert.ok(lines.includes("  Overall result: ✅ BUY"));
+    assert.ok(lines.includes("  Overall result: ❌ NO SELL"));
+    assert.ok(lines.includes(`${SYM} [up] [PRIORITY]: ✅`));
+  });
+
+  test("small moves only log the per-strategy result", async () => {
+    const { strategy } = make({}, { debug: true });
+    await strategy.hydrate(SYM);
+    const lines = await captureLog(() => strategy.tick(SYM, 100.1));
+    assert.ok(!lines.some(l => l.includes("Strategy Analysis") || l.includes("Overall result")));
+    assert.ok(lines.includes(`${SYM} [up]: ✅`));
+    assert.ok(lines.includes(`${SYM} [down]: ❌`));
+  });
+
+  test("debug off: no analysis output", async () => {
+    const { strategy } = make();
+    await strategy.hydrate(SYM);
+    const lines = await captureLog(() => strategy.tick(SYM, 110));
+    assert.ok(!lines.some(l => l.includes("Strategy Analysis") || l.includes("[up]") || l.includes("[down]")));
+  });
+});
+
+describe("ind() lookups", () => {
+  test("`res` means the selected SMA resolution", async () => {
+    const asked = [];
+    const indicators = { latest: (symbol, res, name, params) => { asked.push([symbol, res, name, params]); return { value: 60 }; } };
+    const set = compileRuleSet({
+      name: "rsi", type: "BUY",
+      rules: { hot: "ind(rsi, res, 14) > 50", dailyHot: "ind(rsi, D, 14) > 70" },
+      signal: "hot"
+    });
+    const { strategy, events } = make({}, { strategies: [set], indicators });
+    await strategy.hydrate(SYM);
+    assert.deepEqual(asked, [[SYM, "60", "rsi", { period: 14 }], [SYM, "D", "rsi", { period: 14 }]]);
+    assert.equal(strategy.state.get("rsi").get(SYM).dailyHot, false);
+    assert.deepEqual(events.map(([e]) => e), ["bullish"]);
+  });
+});
+
+describe("rollup", () => {
+  const DAY = 86_400;
+  const MON = 1735497000;                                     // Mon 2024-12-30 00:00 IST
+  // Mon 30 Dec … Fri 10 Jan, skipping the weekend
+  const days = [0, 1, 2, 3, 4, 7, 8, 9, 10, 11].map((d, i) => [MON + d * DAY, 10 + i, 20 + i, 5 + i, 15 + i, 100]);
+
+  test("weekly buckets are ISO weeks, even across the new year", () => {
+    assert.deepEqual(rollup(days, "W"), [
+      [MON, 10, 24, 5, 19, 500],
+      [MON + 7 * DAY, 15, 29, 10, 24, 500]
+    ]);
+  });
+
+  test("monthly buckets split at the month boundary", () => {
+    assert.deepEqual(rollup(days, "M"), [
+      [MON, 10, 21, 5, 16, 200],
+      [MON + 2 * DAY, 12, 29, 7, 24, 800]
+    ]);
+  });
+
+  test("leaves the daily candles untouched", () => {
+    const copy = days.map(c => [...c]);
+    rollup(days, "W");
+    rollup(days, "M");
+    assert.deepEqual(days, copy);
+  });
+});
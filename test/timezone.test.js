@@ -0,0 +1,46 @@
+// Candle keys, roll-ups, signal dates and sessions must come out in
+// exchange time (Asia/Kolkata) whatever TZ the process runs under.
+const { test }      = require("node:test");
+const assert        = require("node:assert/strict");
+const path          = require("path");
+const { execFileSync } = require("child_process");
+
+const PROBE = path.join(__dirname, "fixtures", "tzProbe.js");
+const ZONES = ["UTC", "Asia/Kolkata", "America/New_York", "Pacific/Kiritimati", "Pacific/Pago_Pago"];
+
+const at = (date, hhmm) => Date.parse(`${date}T${hhmm}:00+05:30`) / 1000;
+
+const EXPECTED = {
+  keys    : { D: "2024-11-26", m5: "2024-11-26_09:15", m60: "2024-11-26_09h" },
+  stored  : ["2024-11-26"],
+  migrated: ["2024-11-26_09h", "2024-11-25", "2024-11-26"],
+  rollup  : {
+    strategyW: [["2024-12-27", 100, 10], ["2024-12-30", 104, 40]],
+    strategyM: [["2024-12-27", 102, 30], ["2025-01-01", 104, 20]],
+    serviceW : [["2024-12-27", 100, 10], ["2024-12-30", 104, 40]],
+    serviceM : [["2024-12-27", 102, 30], ["2025-01-01", 104, 20]],
+    keys     : [["2024-W52", "2024-12"], ["2025-W01", "2024-12"], ["2025-W01", "2024-12"],
+                ["2025-W01", "2025-01"], ["2025-W01", "2025-01"]]
+  },
+  trade   : { entryTime: "09:15", entryDate: "26-11-2024" },
+  calendar: {
+    dateOf  : "2024-11-26",
+    midnight: at("2024-11-26", "00:00"),
+    phase   : "open",
+    lastDay : "2024-11-25",
+    nextOpen: at("2024-11-25", "09:15")
+  },
+  bars    : { closed: [at("2024-11-26", "09:15")], open: [at("2024-11-26", "09:20")] },
+  vwap    : [10, 20]
+};
+
+const probe = tz => JSON.parse(execFileSync(process.execPath, [PROBE], {
+  env: { ...process.env, TZ: tz, CANDLE_DB_PATH: ":memory:", APP_DB_PATH: ":memory:" },
+  encoding: "utf8"
+}));
+
+for (const tz of ZONES) {
+  test(`candle timestamps are exchange time under TZ=${tz}`, () => {
+    assert.deepEqual(probe(tz), EXPECTED);
+  });
+}
@@ -0,0 +1,108 @@
+// TradingService helpers with no network: resolution parsing (shared with
+// Strategy.setResolution and the candle stores), weekly / monthly roll-ups
+// and the per-minute rate limiter.
+process.env.CANDLE_DB_PATH = ":memory:";
+process.env.APP_DB_PATH    = ":memory:";
+process.env.FYERS_MOCK     = "true";
+
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const tradingService = require("../src/tradingService");
+const { RateLimiter, rangeResolution } = require("../src/tradingService");
+const { normalizeResolution, parseResolution } = require("../src/storage/candleStore");
+const Strategy = require("../src/strategy");
+
+describe("resolutions", () => {
+  const CASES = {
+    "1": "1", " 5 ": "5", "15m": "15", "5M": "5", "1h": "60", "2H": "120",
+    "60": "60", "240": "120", "4h": "120", "D": "D", "d": "D", "1D": "D", "W": "W", "m": "M"
+  };
+
+  test("normalizeResolution: Fyers format, no validation", () => {
+    assert.equal(normalizeResolution("5m"), "5");
+    assert.equal(normalizeResolution("2h"), "120");
+    assert.equal(normalizeResolution("1d"), "D");
+    assert.equal(normalizeResolution("240"), "240");         // stored series keep their resolution
+    assert.equal(normalizeResolution("weekly"), "WEEKLY");
+  });
+
+  test("parseResolution: accepted spellings", () => {
+    for (const [input, want] of Object.entries(CASES)) assert.equal(parseResolution(input), want, input);
+  });
+
+  test("parseResolution: anything else throws", () => {
+    for (const bad of ["", "1.5", "5s", "2D", "weekly", "H", null])
+      assert.throws(() => parseResolution(bad), /Invalid resolution/, String(bad));
+  });
+
+  test("Strategy.setResolution and getHistoricalData use the same rules", async () => {
+    const strategy = new Strategy(null, null, { strategies: [], debug: false });
+    for (const [input, want] of Object.entries(CASES)) assert.equal(strategy.setResolution(input), want, input);
+    assert.throws(() => strategy.setResolution("5s"), /Invalid resolution: 5s/);
+    assert.equal(strategy.getResolution(), "M");             // unchanged by the failed call
+
+    await assert.rejects(tradingService.getHistoricalData("NSE:SBIN-EQ", "5s"), /Invalid resolution: 5s/);
+  });
+
+  test("rangeResolution (getHistoricalRange, backfill): parseResolution without W / M", () => {
+    assert.equal(rangeResolution("5m"), "5");
+    assert.equal(rangeResolution("1h"), "60");
+    assert.equal(rangeResolution("d"), "D");
+    assert.throws(() => rangeResolution("W"), /Invalid resolution: W \(weekly/);
+    assert.throws(() => rangeResolution("5s"), /Invalid resolution: 5s/);
+  });
+});
+
+describe("_rollup", () => {
+  const DAY = 86_400;
+  const MON = 1735497000;                                     // Mon 2024-12-30 00:00 IST
+  const days = [0, 1, 2, 3, 4, 7, 8, 9, 10, 11].map((d, i) => [MON + d * DAY, 10 + i, 20 + i, 5 + i, 15 + i, 100]);
+
+  test("weekly: ISO weeks, first open, last close, high / low / volume over the week", () => {
+    assert.deepEqual(tradingService._rollup(days, "W"), [
+      [MON, 10, 24, 5, 19, 500],
+      [MON + 7 * DAY, 15, 29, 10, 24, 500]
+    ]);
+  });
+
+  test("monthly: split at the month boundary", () => {
+    assert.deepEqual(tradingService._rollup(days, "M"), [
+      [MON, 10, 21, 5, 16, 200],
+      [MON + 2 * DAY, 12, 29, 7, 24, 800]
+    ]);
+  });
+
+  test("agrees with Strategy's rollup", () => {
+    for (const mode of ["W", "M"]) assert.deepEqual(tradingService._rollup(days, mode), Strategy.rollup(days, mode));
+  });
+
+  test("no candles", () => {
+    assert.deepEqual(tradingService._rollup([], "W"), []);
+    assert.deepEqual(tradingService._rollup(undefined, "M"), []);
+  });
+});
+
+describe("RateLimiter", () => {
+  test("a full bucket passes immediately, then waits for a refill", async () => {
+    const limiter = new RateLimiter(600);                     // 10 per second
+    const t0 = Date.now();
+    for (let i = 0; i < 600; i++) await limiter.wait();
+    assert.ok(Date.now() - t0 < 50, "bucket starts full");
+
+    const t1 = Date.now();
+    await limiter.wait();
+    assert.ok(Date.now() - t1 >= 90, "the next call waits ~100 ms");
+  });
+
+  test("refills at the per-minute rate, capped at the maximum", async () => {
+    const limiter = new RateLimiter(60);
+    limiter.tokens = 0;
+    limiter.last   = Date.now() - 2_500;
+    limiter._refill();
+    assert.ok(Math.abs(limiter.tokens - 2.5) < 0.05);
+
+    limiter.last = Date.now() - 3_600_000;
+    limiter._refill();
+    assert.equal(limiter.tokens, 60);
+  });
+});
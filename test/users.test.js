@@ -0,0 +1,253 @@
+// App users: UserStore (passwords, roles, API keys, audit log), Access
+// (JWT / API key authentication, role middleware, socket.io checks) and the
+// OAuth state on the Fyers login callback.
+process.env.CANDLE_DB_PATH = ":memory:";
+process.env.APP_DB_PATH    = ":memory:";
+process.env.FYERS_MOCK     = "true";
+process.env.FYERS_APP_ID     ??= "TEST-100";
+process.env.FYERS_SECRET_KEY ??= "secret";
+
+const { describe, test, after } = require("node:test");
+const assert   = require("node:assert/strict");
+const Database = require("better-sqlite3");
+const jwt      = require("jsonwebtoken");
+const UserStore  = require("../src/users");
+const Access     = require("../src/access");
+const TokenStore = require("../src/tokenStore");
+const { redact } = require("../src/access");
+const { roleAtLeast } = require("../src/users");
+const { FyersAuthManager } = require("../src/auth2.0");
+
+const ADMIN = { username: "root", password: "root-password" };
+const store = (admin = ADMIN) => new UserStore({ db: new Database(":memory:"), admin });
+
+// Runs an express-style middleware; { status, next } of what it did
+function run(mw, req) {
+  const out = { status: null, next: false };
+  const res = { status: code => ((out.status = code), res), json: body => ((out.body = body), res) };
+  mw({ method: "GET", get: h => req.headers?.[h.toLowerCase()], ...req }, res, () => (out.next = true));
+  return out;
+}
+
+describe("UserStore", () => {
+  test("the first admin comes from the options, only while there are no users", () => {
+    const db = new Database(":memory:");
+    new UserStore({ db, admin: ADMIN });
+    const again = new UserStore({ db, admin: { username: "other", password: "other-password" } });
+    assert.deepEqual(again.list().map(u => [u.username, u.role]), [["root", "admin"]]);
+    assert.equal(store({}).count(), 0);
+  });
+
+  test("passwords are hashed and checked; disabled users can't sign in", () => {
+    const users = store();
+    users.create({ username: "ann", password: "ann-password", role: "trader" });
+    const { password } = users.db.prepare("SELECT password FROM users WHERE username = 'ann'").get();
+    assert.match(password, /^scrypt\$/);
+    assert.ok(!password.includes("ann-password"));
+
+    assert.equal(users.verifyPassword("ann", "ann-password").role, "trader");
+    assert.equal(users.verifyPassword("ann", "wrong-password"), null);
+    assert.equal(users.verifyPassword("nobody", "ann-password"), null);
+    users.update("ann", { disabled: true });
+    assert.equal(users.verifyPassword("ann", "ann-password"), null);
+  });
+
+  test("validation and the last admin", () => {
+    const users = store();
+    assert.throws(() => users.create({ username: "x", password: "long-enough" }), /username must be/);
+    assert.throws(() => users.create({ username: "bob", password: "short" }), /at least 8/);
+    assert.throws(() => users.create({ username: "bob", password: "long-enough", role: "god" }), /Invalid role: god/);
+    assert.throws(() => users.create(ADMIN), /already exists/);
+    assert.equal(users.create({ username: "bob", password: "long-enough" }).role, "viewer");
+
+    assert.throws(() => users.update("root", { role: "trader" }), /last admin/);
+    assert.throws(() => users.update("root", { disabled: true }), /last admin/);
+    assert.throws(() => users.remove("root"), /last admin/);
+    users.update("bob", { role: "admin" });
+    assert.equal(users.update("root", { role: "viewer" }).role, "viewer");
+    assert.throws(() => users.remove("nobody"), /Unknown user: nobody/);
+  });
+
+  test("a disabled admin doesn't count as the last admin", () => {
+    const users = store();
+    users.create({ username: "old-admin", password: "long-enough", role: "admin" });
+    users.update("old-admin", { disabled: true });
+    assert.equal(users.update("old-admin", { role: "viewer" }).role, "viewer");
+    users.update("old-admin", { role: "admin" });
+    assert.deepEqual(users.remove("old-admin"), { removed: "old-admin" });
+    assert.throws(() => users.remove("root"), /last admin/);
+  });
+
+  test("account access: default only for new users, all for admins and null", () => {
+    const users = store();
+    const val = users.create({ username: "val", password: "val-password" });
+    assert.deepEqual(val.accounts, ["default"]);
+    assert.ok(users.mayUse(val, "default"));
+    assert.ok(!users.mayUse(val, "client1"));
+    assert.ok(users.mayUse(users.get("root"), "client1"));
+    assert.ok(!users.mayUse(null, "default"));
+
+    assert.deepEqual(users.update("val", { accounts: ["client1", "client1"] }).accounts, ["client1"]);
+    assert.ok(users.mayUse(users.get("val"), "client1"));
+    assert.equal(users.update("val", { accounts: null }).accounts, null);
+    assert.ok(users.mayUse(users.get("val"), "anything"));
+    assert.throws(() => users.update("val", { accounts: "client1" }), /accounts must be an array/);
+  });
+
+  test("users from before account access keep every account", () => {
+    const db = new Database(":memory:");
+    db.exec(`CREATE TABLE users (username TEXT PRIMARY KEY, password TEXT NOT NULL, role TEXT NOT NULL, disabled INTEGER NOT NULL DEFAULT 0, created_at INTEGER NOT NULL)`);
+    db.prepare(`INSERT INTO users VALUES ('old', 'x', 'viewer', 0, 0)`).run();
+    assert.equal(new UserStore({ db, admin: {} }).get("old").accounts, null);
+  });
+
+  test("API keys: shown once, stored hashed, gone with their user", () => {
+    const users = store();
+    users.create({ username: "bot", password: "bot-password", role: "trader" });
+    const { key, apiKey } = users.createApiKey("bot", "script");
+    assert.match(key, /^fk_/);
+    assert.equal(apiKey.prefix, key.slice(0, 10));
+    assert.equal(users.db.prepare("SELECT COUNT(*) AS n FROM api_keys WHERE key_hash = ?").get(key).n, 0);
+
+    assert.equal(users.verifyApiKey(key).username, "bot");
+    assert.ok(users.listApiKeys("bot")[0].lastUsed);
+    assert.equal(users.verifyApiKey("fk_nope"), null);
+
+    users.revokeApiKey("bot", apiKey.id);
+    assert.equal(users.verifyApiKey(key), null);
+    assert.throws(() => users.revokeApiKey("bot", apiKey.id), /Unknown API key/);
+
+    const second = users.createApiKey("bot").key;
+    users.remove("bot");
+    assert.equal(users.verifyApiKey(second), null);
+  });
+
+  test("audit entries are stored, emitted and filtered", () => {
+    const users = store();
+    const seen = [];
+    users.on("audit", e => seen.push(e));
+    const root = users.get("root");
+    users.audit({ user: root, action: "login" });
+    users.audit({ user: root, action: "request", method: "POST", path: "/api/orders", status: 200, details: { body: { qty: 1 } } });
+    users.audit({ action: "login_failed", details: { username: "eve" } });
+
+    assert.equal(seen.length, 3);
+    assert.equal(users.auditLog().length, 3);
+    assert.deepEqual(users.auditLog({ user: "root" }).map(e => e.action), ["request", "login"]);
+    assert.deepEqual(users.auditLog({ action: "request" })[0].details, { body: { qty: 1 } });
+    assert.equal(users.auditLog({ limit: 1 })[0].username, null);
+  });
+
+  test("roles are ordered", () => {
+    assert.ok(roleAtLeast("admin", "trader"));
+    assert.ok(roleAtLeast("trader", "trader"));
+    assert.ok(!roleAtLeast("viewer", "trader"));
+    assert.ok(!roleAtLeast("admin", "root"));
+  });
+});
+
+describe("Access", () => {
+  const users  = store();
+  users.create({ username: "val", password: "val-password", role: "viewer" });
+  const access = new Access(users, { secret: "s", ttl: "1h" });
+
+  test("login returns a JWT for the user; failures are audited and throw", () => {
+    const { token, expiresAt, user } = access.login("val", "val-password", "127.0.0.1");
+    assert.equal(jwt.verify(token, "s").sub, "val");
+    assert.ok(expiresAt > Date.now() / 1000 + 3500);
+    assert.equal(user.role, "viewer");
+    assert.throws(() => access.login("val", "nope"), /Invalid username or password/);
+    assert.deepEqual(users.auditLog({ limit: 2 }).map(e => e.action), ["login_failed", "login"]);
+  });
+
+  test("identify: a wrong secret, an expired token or a disabled user is nobody", () => {
+    const { token } = access.login("val", "val-password");
+    assert.equal(access.identify({ token }).username, "val");
+    assert.equal(access.identify({ token: jwt.sign({ sub: "val" }, "other") }), null);
+    assert.equal(access.identify({ token: jwt.sign({ sub: "val", exp: 1 }, "s") }), null);
+    assert.equal(access.identify({}), null);
+
+    users.update("val", { disabled: true });
+    assert.equal(access.identify({ token }), null);
+    users.update("val", { disabled: false });
+  });
+
+  test("identify: tokens from before a password change are refused", () => {
+    users.db.prepare(`UPDATE users SET password_changed_at = ? WHERE username = 'val'`).run(Date.now() - 120_000);
+    const old = jwt.sign({ sub: "val", iat: Math.floor(Date.now() / 1000) - 60 }, "s");
+    assert.equal(access.identify({ token: old }).username, "val");
+    users.update("val", { password: "new-password" });
+    assert.ok(users.get("val").passwordChangedAt >= Date.now() - 1000);
+    assert.equal(access.identify({ token: old }), null);
+    assert.equal(access.identify({ token: access.issue(users.get("val")).token }).username, "val");
+    users.update("val", { password: "val-password" });
+  });
+
+  test("authenticate / authorize / require", () => {
+    const { token } = access.login("val", "val-password");
+    assert.equal(run(access.authenticate(), { headers: {} }).status, 401);
+
+    const req = { headers: { authorization: `Bearer ${token}` } };
+    assert.equal(run(access.authenticate(), req).next, true);
+    const user = users.get("val");
+    assert.equal(run(access.authorize(), { user }).next, true);
+    assert.equal(run(access.authorize(), { user, method: "POST" }).status, 403);
+    assert.equal(run(access.require("admin"), { user: users.get("root") }).next, true);
+    assert.equal(run(access.require("admin"), { user }).status, 403);
+
+    const { key } = users.createApiKey("val");
+    assert.equal(run(access.authenticate(), { headers: { "x-api-key": key } }).next, true);
+  });
+
+  test("socket middleware checks the handshake and sets data.user", () => {
+    const { token } = access.login("val", "val-password");
+    const sock = auth => ({ handshake: { auth, address: "::1" }, nsp: { name: "/admin" }, data: {} });
+    const check = (role, s) => { let err; access.socket(role)(s, e => (err = e)); return err; };
+
+    const ok = sock({ token });
+    assert.equal(check("viewer", ok), undefined);
+    assert.equal(ok.data.user.username, "val");
+    assert.equal(check("viewer", sock({})).message, "Authentication required");
+    assert.match(check("admin", sock({ token })).message, /admin role required/);
+    assert.equal(users.auditLog({ limit: 1 })[0].path, "socket.io /admin");
+  });
+
+  test("redact hides secrets in audited bodies", () => {
+    assert.deepEqual(redact({ username: "a", password: "p", pin: "1234", qty: 1 }), { username: "a", password: "***", pin: "***", qty: 1 });
+    assert.equal(redact(undefined), null);
+  });
+});
+
+describe("OAuth state", () => {
+  const managers = [];
+  after(() => managers.forEach(m => m.stopTokenRefresh()));
+  const manager = async () => {
+    const m = new FyersAuthManager({ store: new TokenStore({ db: new Database(":memory:"), secret: "k" }), appId: "APP-100", secret: "s", account: "APP-100" });
+    managers.push(m);
+    await m.initialize();
+    return m;
+  };
+
+  test("login URLs carry a state the callback has to bring back, once", async () => {
+    const m   = await manager();
+    const url = new URL(m.loginUrl());
+    const state = url.searchParams.get("state");
+    assert.match(state, /^[0-9a-f]{32}$/);
+    assert.equal(new URL(m.loginUrl()).searchParams.get("state"), state);   // reused while fresh
+
+    const code = url.searchParams.get("auth_code");
+    await assert.rejects(m.completeLogin(code), /Invalid or expired OAuth state/);
+    await assert.rejects(m.completeLogin(code, "forged"), /Invalid or expired OAuth state/);
+    assert.ok(await m.completeLogin(code, state));
+    await assert.rejects(m.completeLogin(code, state), /Invalid or expired OAuth state/);
+    assert.notEqual(new URL(m.loginUrl()).searchParams.get("state"), state);
+  });
+
+  test("an expired state is refused", async () => {
+    const m = await manager();
+    const url = new URL(m.loginUrl());
+    const state = url.searchParams.get("state");
+    m.oauthStates.set(state, Date.now() - 1);
+    await assert.rejects(m.completeLogin(url.searchParams.get("auth_code"), state), /expired OAuth state/);
+  });
+});